@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
@@ -5,26 +6,90 @@ import readline from 'readline';
 import { fileURLToPath } from 'url';
 
 import SessionManager from './src/backend/SessionManager.js';
-import ArmoryManager from './src/backend/ArmoryManager.js';
+import AccountRegistry, { parseTags } from './src/backend/AccountRegistry.js';
+import AccountImporter, { parseCredentials, planImport } from './src/backend/AccountImport.js';
+import { ArmoryManager as ArmoryManagerClass } from './src/backend/ArmoryManager.js';
+import ConnectionPool from './src/backend/ConnectionPool.js';
 import SteamClient from './src/backend/SteamClient.js';
 import SchemaResolver from './src/backend/SchemaResolver.js';
+import PurchaseHistory from './src/backend/PurchaseHistory.js';
+import PurchaseJobs from './src/backend/PurchaseJobs.js';
+import DaemonLog from './src/backend/DaemonLog.js';
+import BalanceCache from './src/backend/BalanceCache.js';
+import ValueEstimator from './src/backend/ValueEstimator.js';
+import FakeSteamNetwork from './src/backend/FakeSteamNetwork.js';
+import { generateCode, normalizeSharedSecret, readMaFiles } from './src/backend/SteamGuard.js';
+import ItemsImporter, { readItemsGame } from './src/backend/ItemsImporter.js';
+import BasketPlanner, { GOALS } from './src/backend/BasketPlanner.js';
+import InventoryBrowser, { ITEM_TYPES, SORT_KEYS } from './src/backend/InventoryBrowser.js';
+import PurchaseReport, { REPORT_FORMATS } from './src/backend/PurchaseReport.js';
+import DropAlerts, { EXAMPLE_ALERTS, describeWebhook, startWebhookReceiver } from './src/backend/DropAlerts.js';
+import RedeemPolicies, { EXAMPLE_POLICIES } from './src/backend/RedeemPolicies.js';
+import ApiServer, { ApiError } from './src/backend/ApiServer.js';
+import { normalizeNetworkSettings, maskProxy, checkNetwork } from './src/backend/NetworkSettings.js';
+import { CONFIG_FILE, CONFIG_ENV, DEFAULT_CONFIG, defaultConfig, envName, loadConfig, parseOverrides } from './src/backend/Config.js';
+import { LANGUAGES, hasMessage, resolveLanguage, setLanguage, t } from './src/backend/I18n.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const SESSIONS_DIR = path.join(__dirname, 'sessions');
-const ITEMS_DB_PATH = path.join(__dirname, 'src', 'backend', 'items_database.json');
-const SCHEMA_PATH = path.join(__dirname, 'schema.json');
+// Пути, таймауты, паузы и язык: значения по умолчанию < cs2-stars.config.json < переменные окружения < --set.
+// До applyConfig() действуют значения по умолчанию
+let config = defaultConfig(__dirname);
+let configFile = null;
 
-const schemaResolver = new SchemaResolver(SCHEMA_PATH);
+const schemaResolver = new SchemaResolver(config.paths.schema);
+const valueEstimator = new ValueEstimator(schemaResolver);
+const basketPlanner = new BasketPlanner(valueEstimator);
+const inventoryBrowser = new InventoryBrowser(schemaResolver, valueEstimator);
+const purchaseReport = new PurchaseReport(inventoryBrowser, valueEstimator);
+const dropAlerts = new DropAlerts(inventoryBrowser, valueEstimator);
+const redeemPolicies = new RedeemPolicies(basketPlanner);
 
-const TIMEOUTS = {
-    steamLogonMs: 30000,
-    gcConnectMs: 8000,
-    starsWaitMs: 2500,
-    disconnectDelayMs: 500,
+const OFFLINE_SCENARIOS = [
+    'ok',
+    'redeem-timeout',
+    'malformed',
+    'invalid-token',
+    'gc-down',
+    'no-stars',
+    'expiring-token',
+    'lost-drop',
+    'late-drop',
+    'price-change',
+    'rate-limit',
+];
+
+// Пути и транспорт Steam; берутся из настроек в applyConfig(), в офлайн-режиме подменяются в setupOffline()
+const runtime = {
+    sessionsDir: config.paths.sessionsDir,
+    historyPath: config.paths.history,
+    jobsDir: config.paths.jobsDir,
+    reportsDir: config.paths.reportsDir,
+    daemonLogPath: config.paths.daemonLog,
+    balanceCachePath: config.paths.balanceCache,
+    lateDropMs: config.timeouts.lateDropMs,
+    steamTransport: {},
+    armoryOptions: {},
+    armoryLogger: console,
+    offline: null,
 };
 
+// Одно тёплое подключение Steam + GC на аккаунт: через него читается баланс и идут покупки,
+// несколько аккаунтов могут быть подключены одновременно
+const connectionPool = new ConnectionPool({
+    createManager: () => {
+        const manager = new ArmoryManagerClass(runtime.armoryOptions);
+        manager.setLogger(runtime.armoryLogger);
+        return manager;
+    },
+    idleTimeoutMs: config.timeouts.connectionIdleMs,
+});
+
+async function closeConnections() {
+    if (connectionPool.closeAll()) await wait(config.timeouts.disconnectDelayMs);
+}
+
 const isWin = process.platform === 'win32';
 const winBuild = isWin ? Number(String(os.release()).split('.')[2] || 0) : 0;
 const isWindowsTerminal = Boolean(process.env.WT_SESSION);
@@ -40,8 +105,16 @@ const ICONS = {
     error: supportsEmoji ? '❌' : '[X]',
     warning: supportsEmoji ? '⚠️' : '[!]',
     loading: supportsEmoji ? '⏳' : '[...]',
+    alert: supportsEmoji ? '🚨' : '[!!]',
 };
 
+// Цвет только в терминале; NO_COLOR отключает
+const supportsColor = Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+
+function highlight(text) {
+    return supportsColor ? `\x1b[1;33m${text}\x1b[0m` : text;
+}
+
 function wait(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -54,6 +127,18 @@ function ask(rl, q) {
     return new Promise((resolve) => rl.question(q, (ans) => resolve(ans.trim())));
 }
 
+function askHidden(rl, q) {
+    const write = rl._writeToOutput;
+    rl._writeToOutput = (s) => {
+        if (s.startsWith(q)) write.call(rl, q + '*'.repeat(s.length - q.length));
+        else if (s === '\r\n' || s === '\n') write.call(rl, s);
+        else write.call(rl, '*'.repeat(s.length));
+    };
+    return ask(rl, q).finally(() => {
+        rl._writeToOutput = write;
+    });
+}
+
 function clearScreen() {
     console.log('\x1Bc');
 }
@@ -63,11 +148,32 @@ function banner() {
     console.log('╔════════════════════════════════════════════════════════════════╗');
     console.log('║               CS2 STARS SHOP MANAGER v1.1                      ║');
     console.log('╚════════════════════════════════════════════════════════════════╝');
+    if (runtime.offline) console.log(`${ICONS.warning} ${t('offline.banner')}`);
     console.log('');
 }
 
 function ensureSessionsDir() {
-    if (!fs.existsSync(SESSIONS_DIR)) fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+    if (!fs.existsSync(runtime.sessionsDir)) fs.mkdirSync(runtime.sessionsDir, { recursive: true });
+}
+
+function createSteamClient(username) {
+    return new SteamClient(username, runtime.steamTransport);
+}
+
+function loadSharedSecret(username) {
+    try {
+        return SessionManager.loadSharedSecret(username);
+    } catch {
+        return null;
+    }
+}
+
+// Ввод "код или shared_secret": 5 символов — разовый код, иначе ключ из .maFile
+function parseGuardInput(input) {
+    const value = String(input || '').trim();
+    if (!value) return {};
+    const sharedSecret = normalizeSharedSecret(value);
+    return sharedSecret ? { sharedSecret } : { twoFactorCode: value };
 }
 
 function safeJsonParse(raw, fallback) {
@@ -80,9 +186,9 @@ function safeJsonParse(raw, fallback) {
 }
 
 function loadItemsDb() {
-    if (!fs.existsSync(ITEMS_DB_PATH)) return { items: [] };
+    if (!fs.existsSync(config.paths.itemsDb)) return { items: [] };
 
-    const raw = fs.readFileSync(ITEMS_DB_PATH, 'utf8');
+    const raw = fs.readFileSync(config.paths.itemsDb, 'utf8');
     const parsed = safeJsonParse(raw, null);
 
     if (!parsed) return { items: [] };
@@ -96,30 +202,80 @@ function normalizeItem(it, idx) {
     const name = it.name ?? it.title ?? it.market_hash_name ?? it.market_hashname ?? `Item ${id}`;
     const price = Number(it.price ?? it.cost ?? it.stars ?? it.starPrice ?? 0);
     const armoryId = Number(it.armoryId ?? it.armoryid ?? it.id ?? 0);
-    return { id, name, price, armoryId };
+    const grants = {
+        collection: it.collection ?? null,
+        container: it.container ?? null,
+        paint: it.paint ?? null,
+        agent: it.agent ?? null,
+        collectible: it.collectible ?? null,
+        musicKit: it.musicKit ?? it.music_kit ?? null,
+        value: typeof it.value === 'number' ? it.value : null,
+    };
+    return { id, name, price, armoryId, ...grants };
+}
+
+function formatMoney(cents) {
+    if (cents == null) return '—';
+    return `$${(cents / 100).toFixed(2)}`;
+}
+
+function formatTokenStatus(info) {
+    if (!info) return '';
+    if (!info.valid) return `${ICONS.error} ${t('token.corrupted')}`;
+    if (info.expired) return `${ICONS.error} ${t('token.expired')}`;
+    if (info.daysLeft === null) return '';
+    const label = t('token.daysLeft', { days: info.daysLeft });
+    return info.daysLeft <= config.tokens.warnDays ? `${ICONS.warning} ${label}` : label;
 }
 
 function printMenuAccounts(accounts) {
-    console.log('═══════════════════ АККАУНТЫ ═══════════════════');
-    accounts.forEach((a, i) => console.log(` [${i + 1}] ${a}`));
+    console.log(`═══════════════════ ${t('menu.accounts.title')} ═══════════════════`);
+    const expiring = [];
+    accounts.forEach((a, i) => {
+        const info = SessionManager.getTokenInfo(a);
+        const status = formatTokenStatus(info);
+        if (info && (!info.valid || info.expired || (info.daysLeft !== null && info.daysLeft <= config.tokens.warnDays))) expiring.push(a);
+        const labels = formatLabels(AccountRegistry.get(a));
+        console.log(` [${i + 1}] ${a}${labels ? ` ${labels}` : ''}${status ? ` (${status})` : ''}`);
+    });
+    if (expiring.length) {
+        console.log('');
+        console.log(`${ICONS.warning} ${t('menu.accounts.expiring', { accounts: expiring.join(', ') })}`);
+    }
     console.log('');
-    console.log(' [N] Добавить новый аккаунт');
-    console.log(' [Q] Выход');
+    console.log(` [N] ${t('menu.accounts.add')}`);
+    console.log(` [I] ${t('menu.accounts.import')}`);
+    console.log(` [A] ${t('menu.accounts.bulk')}`);
+    console.log(` [D] ${t('menu.accounts.dashboard')}`);
+    console.log(` [H] ${t('menu.accounts.history')}`);
+    console.log(` [V] ${t('menu.accounts.ev')}`);
+    const unfinished = PurchaseJobs.listUnfinished().length;
+    if (unfinished) console.log(` [J] ${t('menu.accounts.jobs', { count: unfinished })}`);
+    console.log(` [G] ${t('menu.accounts.guard')}`);
+    console.log(` [R] ${t('menu.accounts.proxy')}`);
+    console.log(` [M] ${t('menu.accounts.registry')}`);
+    console.log(` [P] ${t('menu.accounts.vault')}`);
+    console.log(` [Q] ${t('menu.accounts.quit')}`);
     console.log('════════════════════════════════════════════════');
     console.log('');
 }
 
 function printItems(items, balance) {
     console.log('');
-    console.log(`═══════════════════ ТОВАРЫ (Баланс: ${balance}${ICONS.star}) ═══════════════════`);
+    console.log(`═══════════════════ ${t('menu.items.title', { balance: `${balance}${ICONS.star}` })} ═══════════════════`);
 
     items.forEach((it, i) => {
-        const canBuy = balance >= it.price ? '' : ' (недостаточно звёзд)';
-        console.log(` [${i + 1}] ${it.name} - ${it.price}${ICONS.star}${canBuy}`);
+        const canBuy = balance >= it.price ? '' : ` (${t('menu.items.notEnough')})`;
+        const ev = valueEstimator.estimateOffer(it);
+        const evText = ev.value !== null ? ` ~ ${formatMoney(ev.value)} (${formatMoney(ev.valuePerStar)}/${ICONS.star})` : '';
+        console.log(` [${i + 1}] ${it.name} - ${it.price}${ICONS.star}${evText}${canBuy}`);
     });
 
     console.log('');
-    console.log(' [B] Назад');
+    console.log(` [P] ${t('menu.items.plan')}`);
+    console.log(` [W] ${t('menu.items.watch')}`);
+    console.log(` [I] ${t('menu.items.inventory')}`);
+    console.log(` [B] ${t('common.back')}`);
     console.log('════════════════════════════════════════════════════════════');
     console.log('');
 }
@@ -129,50 +285,30 @@ function toInt(s) {
     return Number.isFinite(n) ? n : null;
 }
 
+const QUALITY_PREFIX = {
+    9: 'StatTrak™ ',
+    12: 'Souvenir ',
+};
+
 function parseItemFromGC(item) {
-    const defindex = item?.defindex ?? item?.def_index;
-    if (defindex == null) return { type: 'unknown', name: 'Unknown Item', floatValue: null, paintSeed: null, rarity: 0 };
-
-    let paintindex = null;
-    let paintwear = null;
-    let paintseed = null;
-    let charmId = null;
-    let charmPattern = null;
-    let stickerId = null;
-
-    const attrs = item?.attribute;
-    if (Array.isArray(attrs)) {
-        for (const attr of attrs) {
-            const valueHex = attr?.valuebytes ?? attr?.value_bytes;
-            if (!valueHex) continue;
-
-            const buf = Buffer.from(valueHex, 'hex');
-            const attrDef = attr?.defindex ?? attr?.def_index;
-
-            switch (attrDef) {
-                case 6:
-                    paintindex = Math.floor(buf.readFloatLE(0));
-                    break;
-                case 7:
-                    paintseed = buf.readUInt32LE(0) % 1000;
-                    break;
-                case 8:
-                    paintwear = buf.readFloatLE(0);
-                    break;
-                case 113:
-                    stickerId = buf.readUInt32LE(0);
-                    break;
-                case 299:
-                    charmId = buf.readUInt32LE(0);
-                    break;
-                case 306:
-                    charmPattern = buf.readUInt32LE(0);
-                    break;
-                default:
-                    break;
-            }
-        }
-    }
+    const defindex = item?.def_index ?? item?.defindex;
+    if (defindex == null) return { type: 'unknown', name: 'Unknown Item', floatValue: null, paintSeed: null, rarity: 0, item: item ?? null };
+
+    const paintindex = item.paint_index ?? null;
+    const paintwear = item.paint_wear ?? null;
+    const paintseed = item.paint_seed ?? null;
+    const keychain = item.keychains?.[0] ?? null;
+    const sticker = item.stickers?.[0] ?? null;
+
+    const base = {
+        defIndex: defindex,
+        itemId: item.id ?? null,
+        quality: item.quality ?? null,
+        origin: item.origin ?? null,
+        statTrak: item.kill_eater_value ?? null,
+        customName: item.custom_name ?? null,
+        item,
+    };
 
     if (paintindex !== null && paintindex > 0) {
         const weaponData = schemaResolver.schema?.weapons?.[String(defindex)];
@@ -181,28 +317,33 @@ function parseItemFromGC(item) {
         const skinName = skinData?.name || `Skin #${paintindex}`;
 
         const exterior = schemaResolver.resolveExterior({ defindex, paintindex, paintwear });
-        const displayName = `${weaponName} | ${skinName}${exterior ? ` (${exterior})` : ''}`;
-        const rarity = skinData?.rarity ?? 0;
+        const prefix = QUALITY_PREFIX[item.quality] || '';
+        const displayName = `${prefix}${weaponName} | ${skinName}${exterior ? ` (${exterior})` : ''}`;
+        const rarity = skinData?.rarity ?? item.rarity ?? 0;
 
-        return { type: 'weapon', name: displayName, floatValue: paintwear, paintSeed: paintseed, rarity };
+        return { ...base, type: 'weapon', name: displayName, paintIndex: paintindex, floatValue: paintwear, paintSeed: paintseed, rarity };
     }
 
-    if (charmId !== null) {
+    if (keychain) {
+        const charmId = keychain.keychain_id;
+        const charmPattern = keychain.pattern;
         const charmData = schemaResolver.schema?.keychains?.[String(charmId)];
         const charmName = charmData?.market_hash_name || charmData?.markethashname || `Unknown Charm (ID: ${charmId})`;
         const displayName = charmPattern != null ? `${charmName} #${charmPattern}` : charmName;
-        return { type: 'charm', name: displayName, floatValue: null, paintSeed: charmPattern, rarity: 0 };
+        return { ...base, type: 'charm', name: displayName, floatValue: null, paintSeed: charmPattern, rarity: item.rarity ?? 0 };
     }
 
-    if (stickerId !== null) {
+    if (sticker) {
+        const stickerId = sticker.sticker_id;
         const stickerData = schemaResolver.schema?.stickers?.[String(stickerId)];
         const stickerName = stickerData?.market_hash_name || stickerData?.markethashname || `Unknown Sticker (ID: ${stickerId})`;
-        return { type: 'sticker', name: stickerName, floatValue: null, paintSeed: null, rarity: 0 };
+        return { ...base, type: 'sticker', name: stickerName, floatValue: null, paintSeed: null, rarity: item.rarity ?? 0 };
     }
 
     if (schemaResolver.schema?.containers?.[String(defindex)]) {
         const containerData = schemaResolver.schema.containers[String(defindex)];
         return {
+            ...base,
             type: 'container',
             name: containerData.market_hash_name || containerData.markethashname || `Container #${defindex}`,
             floatValue: null,
@@ -212,363 +353,3797 @@ function parseItemFromGC(item) {
     }
 
     return {
+        ...base,
         type: 'unknown',
         name: `Unknown Item (defindex: ${defindex})`,
         floatValue: paintwear,
         paintSeed: paintseed,
-        rarity: 0,
+        rarity: item.rarity ?? 0,
     };
 }
 
-async function addNewAccountFlow(rl) {
-    banner();
-    console.log('═══════════════════ ДОБАВЛЕНИЕ АККАУНТА ═══════════════════');
-    console.log('');
+function formatDropLine(itemInfo) {
+    let line = itemInfo.name;
+    if (itemInfo.floatValue !== null) line += ` | Float: ${itemInfo.floatValue.toFixed(9)}`;
+    if (itemInfo.paintSeed !== null && itemInfo.type === 'weapon') line += ` | Seed: ${itemInfo.paintSeed}`;
+    return line;
+}
 
-    const username = await ask(rl, 'Логин Steam: ');
-    if (!username) {
-        console.log(`${ICONS.error} Логин обязателен`);
-        await ask(rl, '\nНажмите Enter для продолжения...');
-        return null;
+// Строка результата покупки; дроп, попавший под правила оповещений, выделяется
+function formatDropResult(r) {
+    const line = `${formatDropLine(r.itemInfo)}, ${t('buy.starsLeft', { stars: `${r.starsLeft}${ICONS.star}` })}`;
+    if (!r.alert) return line;
+    return `${highlight(line)} [${r.alert.rules.join(', ')}]${r.paused ? ` — ${t('alerts.pausedRest')}` : ''}`;
+}
+
+// Оповещения уходят в фоне, покупка их не ждёт; ошибки доставки — в stderr, как и ошибки записи истории
+function sendAlert(alert) {
+    return dropAlerts.notify(alert).then((deliveries) => {
+        for (const d of deliveries.filter((x) => !x.ok)) {
+            console.error(`${ICONS.warning} ${t('alerts.deliveryFailed', { webhook: d.webhook, error: d.error })}`);
+        }
+        return deliveries;
+    });
+}
+
+function recordPurchase(username, item, { ok, starsBefore, starsAfter, starsExpected = null, itemInfo = null, error = null, jobId = null, reconciled = null }) {
+    const { item: gcItem = null, ...drop } = itemInfo || {};
+    try {
+        PurchaseHistory.record({
+            account: username,
+            ok,
+            jobId,
+            reconciled,
+            armoryId: item.armoryId,
+            itemName: item.name,
+            price: item.price,
+            starsBefore,
+            starsAfter,
+            starsExpected,
+            defIndex: gcItem?.def_index ?? null,
+            drop: itemInfo ? drop : null,
+            item: gcItem,
+            error,
+        });
+    } catch (e) {
+        console.error(`${ICONS.warning} ${t('history.writeFailed', { error: e?.message || e })}`);
     }
+}
 
-    const password = await ask(rl, 'Пароль: ');
-    if (!password) {
-        console.log(`${ICONS.error} Пароль обязателен`);
-        await ask(rl, '\nНажмите Enter для продолжения...');
-        return null;
+function jobLines(lines) {
+    return lines.map(({ item, qty }) => ({ armoryId: item.armoryId, name: item.name, price: item.price, qty }));
+}
+
+// Редим без ответа (таймаут, обрыв): сверяем реальный баланс. Списались звёзды — покупка прошла.
+async function reconcilePending(username, job, error = null) {
+    const { pending } = job;
+    const line = job.lines.find((l) => l.armoryId === pending.armoryId) || pending;
+
+    const starsInfo = await getStarsAutoDetailed(username);
+    if (!starsInfo.ok) return { happened: null, stars: null, code: starsInfo.code, note: starsInfo.note, line };
+
+    const happened = starsInfo.stars <= pending.starsBefore - pending.price;
+    if (happened && job.lines.includes(line)) line.done++;
+
+    recordPurchase(username, line, {
+        ok: happened,
+        starsBefore: pending.starsBefore,
+        starsAfter: starsInfo.stars,
+        error: happened ? null : error,
+        jobId: job.id,
+        reconciled: 'balance',
+    });
+
+    job.pending = null;
+    job.starsLast = starsInfo.stars;
+    PurchaseJobs.save(job);
+
+    return { happened, stars: starsInfo.stars, code: null, note: null, line };
+}
+
+function formatJobHint(job) {
+    return job.status === 'done' ? [] : [`${ICONS.warning} ${t('jobs.unfinishedHint', { id: job.id })}`];
+}
+
+function jobDone(job) {
+    return job.lines.reduce((sum, l) => sum + l.done, 0);
+}
+
+function formatReconcile(outcome, username) {
+    const prefix = username ? `[${username}] ` : '';
+    if (outcome.happened === null) {
+        return `${ICONS.warning} ${prefix}${t('reconcile.unknown', { name: outcome.line.name, note: outcome.note })}`;
+    }
+    if (outcome.happened) {
+        return `${ICONS.success} ${prefix}${t('reconcile.happened', { name: outcome.line.name, stars: `${outcome.stars}${ICONS.star}` })}`;
     }
+    return `${ICONS.warning} ${prefix}${t('reconcile.notHappened', { name: outcome.line.name, stars: `${outcome.stars}${ICONS.star}` })}`;
+}
 
-    const twoFactorCode = await ask(rl, 'Код Steam Guard: ');
-    if (!twoFactorCode) {
-        console.log(`${ICONS.error} Код Steam Guard обязателен`);
-        await ask(rl, '\nНажмите Enter для продолжения...');
-        return null;
+// Корзина: [{ item, qty }] — покупается за одно подключение, остановка на первой ошибке
+// или на дропе, попавшем под правило оповещений с pause.
+// Прогресс пишется в файл заказа (jobs/), чтобы после сбоя можно было продолжить (jobs resume).
+async function runBasket(username, lines, currentStars, { job = null, onConnected, onResult, onReconcile, onAlert } = {}) {
+    if (!job) job = PurchaseJobs.create(username, jobLines(lines), currentStars);
+    job.status = 'running';
+    job.error = null;
+    PurchaseJobs.save(job);
+
+    // Подключение берём из пула: после чтения баланса оно обычно уже открыто
+    let manager;
+    try {
+        manager = await connectionPool.acquire(username);
+    } catch (e) {
+        job.status = 'interrupted';
+        job.error = e?.message || String(e);
+        PurchaseJobs.save(job);
+        throw e;
     }
+    if (onConnected) onConnected();
 
-    console.log(`\n${ICONS.loading} Авторизация...`);
+    let starsLeft = currentStars;
+    const results = [];
+    const alerts = [];
+    const deliveries = [];
+    let failure = null;
+    let paused = false;
 
-    const sc = new SteamClient(username);
     try {
-        const refreshToken = await sc.loginWithCredentials({
-            username,
-            password,
-            twoFactorCode,
-            timeoutMs: 60000,
-        });
+        let i = 0;
+        const total = lines.reduce((sum, l) => sum + l.qty, 0);
+        basket: for (const { item, qty } of lines) {
+            const line = job.lines.find((l) => l.armoryId === item.armoryId);
 
-        SessionManager.saveSession(username, refreshToken);
+            for (let n = 0; n < qty; n++, i++) {
+                const starsBefore = starsLeft;
+                job.pending = { armoryId: item.armoryId, name: item.name, price: item.price, starsBefore, startedAt: new Date().toISOString() };
+                PurchaseJobs.save(job);
 
-        console.log(`${ICONS.success} Авторизация успешна`);
-        console.log(`${ICONS.success} Аккаунт "${username}" добавлен`);
+                let r;
+                let reconciled = null;
+                try {
+                    r = await manager.purchaseItem(item.armoryId, starsLeft, item.price);
+                } catch (e) {
+                    // Предмет мог прийти уже после таймаута — ждём его ещё немного на том же подключении
+                    const late = e?.code === 'PURCHASE_TIMEOUT' ? await manager.awaitItem(runtime.lateDropMs) : null;
+                    if (!late) {
+                        failure = { item, error: e?.message || String(e), index: i };
+                        break basket;
+                    }
+                    r = { item: late, newStars: starsLeft - item.price };
+                    reconciled = 'late-item';
+                }
 
-        await ask(rl, '\nНажмите Enter для продолжения...');
-        return username;
-    } catch (e) {
-        console.log(`${ICONS.error} Ошибка авторизации: ${e?.message || e}`);
-        await ask(rl, '\nНажмите Enter для продолжения...');
-        return null;
+                starsLeft = r?.newStars ?? starsLeft - item.price;
+                if (line) line.done++;
+                job.pending = null;
+                job.starsLast = starsLeft;
+                PurchaseJobs.save(job);
+
+                // Баланс после покупки — по данным GC, если он прислал обновление; расхождение с расчётом сохраняем
+                const starsExpected = r?.starsMismatch ? r.expectedStars : null;
+                const result = { ok: true, item, itemInfo: parseItemFromGC(r?.item), starsLeft, starsExpected, reconciled };
+                result.alert = dropAlerts.check(result.itemInfo, { account: username, offer: item, jobId: job.id });
+                if (result.alert) {
+                    result.paused = result.alert.pause && i + 1 < total;
+                    alerts.push(result.alert);
+                    if (result.alert.notify && dropAlerts.webhooks.length) deliveries.push(sendAlert(result.alert));
+                    if (onAlert) onAlert(result.alert, result);
+                }
+                results.push(result);
+                recordPurchase(username, item, {
+                    ok: true,
+                    starsBefore,
+                    starsAfter: starsLeft,
+                    starsExpected,
+                    itemInfo: result.itemInfo,
+                    jobId: job.id,
+                    reconciled,
+                });
+                if (onResult) onResult(result, i);
+
+                if (result.paused) {
+                    paused = true;
+                    break basket;
+                }
+                await wait(config.pacing.redeemDelayMs);
+            }
+        }
     } finally {
-        sc.disconnect();
-        await wait(TIMEOUTS.disconnectDelayMs);
+        connectionPool.release(username);
+        // После ошибки подключение закрываем: баланс сверяется на новом входе
+        if (failure) connectionPool.disconnect(username);
     }
-}
 
-async function selectAccountFlow(rl) {
-    while (true) {
-        banner();
-        const accounts = SessionManager.listAccounts();
-        printMenuAccounts(accounts);
+    let reconcile = null;
+    if (failure) {
+        const result = { ok: false, item: failure.item, error: failure.error };
+        results.push(result);
+        if (onResult) onResult(result, failure.index);
 
-        const input = (await ask(rl, 'Выберите аккаунт: ')).toLowerCase();
+        await wait(config.timeouts.disconnectDelayMs);
+        reconcile = await reconcilePending(username, job, failure.error);
+        if (reconcile.stars !== null) starsLeft = reconcile.stars;
+        if (onReconcile) onReconcile(reconcile);
+    }
 
-        if (input === 'q' || input === 'quit' || input === 'exit') return null;
+    job.status = PurchaseJobs.remaining(job).length || job.pending ? 'interrupted' : 'done';
+    job.error = failure?.error ?? (paused ? 'DROP_ALERT' : null);
+    PurchaseJobs.save(job);
+    // После сбоя баланс уже записан сверкой (если её удалось провести)
+    if (!failure) cacheBalance(username, { ok: true, stars: starsLeft });
 
-        if (input === 'n' || input === 'new') {
-            await addNewAccountFlow(rl);
-            continue;
-        }
+    await Promise.all(deliveries);
 
-        const pick = toInt(input);
-        if (pick === null) continue;
+    return { results, starsLeft, job, reconcile, alerts, paused };
+}
 
-        const idx = pick - 1;
-        if (idx < 0 || idx >= accounts.length) continue;
+async function runPurchase(username, item, qty, currentStars, options = {}) {
+    return runBasket(username, [{ item, qty }], currentStars, options);
+}
 
-        return accounts[idx];
-    }
+function formatStarsChange({ at, stars, previous }) {
+    const time = at.toLocaleTimeString();
+    if (previous === null || previous === undefined) return `[${time}] ${t('watch.balance', { stars: `${stars}${ICONS.star}` })}`;
+    const delta = stars - previous;
+    return `[${time}] ${t('watch.balance', { stars: `${stars}${ICONS.star}` })} (${delta > 0 ? '+' : ''}${delta})`;
 }
 
-async function getStarsAutoDetailed(username) {
-    const sc = new SteamClient(username);
+// Живое наблюдение за балансом: держим подключение к GC и сообщаем о каждом изменении, пока не сработает stop
+async function watchStars(username, { stop, onChange }) {
+    const manager = await connectionPool.acquire(username);
+    const unsubscribe = manager.onStarsChange((stars, previous) => onChange({ at: new Date(), stars, previous }));
+
+    let lost = false;
+    let poll;
+    const disconnected = new Promise((resolve) => {
+        poll = setInterval(() => {
+            if (!manager.activeConnection) {
+                lost = true;
+                resolve();
+            }
+        }, 1000);
+    });
 
     try {
-        await sc.connect({ steamTimeoutMs: TIMEOUTS.steamLogonMs, gcTimeoutMs: TIMEOUTS.gcConnectMs });
-        const stars = await sc.getStars({ timeoutMs: TIMEOUTS.starsWaitMs });
-        if (stars == null) throw new Error('Stars not received');
-        return { ok: true, stars, note: null };
-    } catch (e) {
-        const msg = e?.message || String(e);
+        if (manager.stars !== null) onChange({ at: new Date(), stars: manager.stars, previous: null });
+        await Promise.race([stop, disconnected]);
+    } finally {
+        clearInterval(poll);
+        unsubscribe();
+        connectionPool.release(username);
+    }
 
-        if (
-            msg.includes('Invalid') ||
-            msg.includes('JWT') ||
-            msg.includes('AccessDenied') ||
-            msg.includes('InvalidPassword') ||
-            msg.includes('Session file not found')
-        ) {
-            SessionManager.deleteSession(username);
-            return { ok: false, stars: 0, note: 'INVALID_TOKEN' };
-        }
+    return { lost, stars: manager.stars };
+}
 
-        if (msg.includes('GC connection timeout') || msg.includes('Stars not received')) {
-            return { ok: false, stars: 0, note: 'GC недоступен, баланс неизвестен' };
-        }
+// Продолжить прерванный заказ: сначала выясняем судьбу последнего редима, затем докупаем остаток
+async function resumeJob(job, items, { log = () => {}, onResult } = {}) {
+    const account = job.account;
+    let stars = null;
 
-        if (msg.includes('LogonSessionReplaced')) {
-            return { ok: false, stars: 0, note: 'Сессия заменена другим входом (LogonSessionReplaced)' };
-        }
+    if (job.pending) {
+        log(`${ICONS.loading} [${account}] ${t('jobs.checkingPending', { name: job.pending.name })}`);
+        const outcome = await reconcilePending(account, job, job.error || 'Interrupted');
+        log(formatReconcile(outcome, account));
+        if (outcome.happened === null) return { job, ok: false, purchased: 0, code: outcome.code, note: outcome.note };
+        stars = outcome.stars;
+    }
 
-        return { ok: false, stars: 0, note: 'Не удалось получить баланс' };
-    } finally {
-        sc.disconnect();
-        await wait(TIMEOUTS.disconnectDelayMs);
+    const remaining = PurchaseJobs.remaining(job);
+    if (!remaining.length) {
+        job.status = 'done';
+        PurchaseJobs.save(job);
+        return { job, ok: true, purchased: 0, code: null, note: null };
+    }
+
+    if (stars === null) {
+        const starsInfo = await getStarsAutoDetailed(account);
+        if (!starsInfo.ok) return { job, ok: false, purchased: 0, code: starsInfo.code, note: starsInfo.note };
+        stars = starsInfo.stars;
+    }
+
+    const cost = remaining.reduce((sum, l) => sum + l.price * l.qty, 0);
+    if (cost > stars) {
+        job.error = 'INSUFFICIENT_STARS';
+        job.starsLast = stars;
+        PurchaseJobs.save(job);
+        log(`${ICONS.warning} [${account}] ${t('jobs.remainingCost', { cost: `${cost}${ICONS.star}`, stars: `${stars}${ICONS.star}` })}`);
+        return { job, ok: false, purchased: 0, code: 'INSUFFICIENT_STARS', note: statusNote('INSUFFICIENT_STARS') };
+    }
+
+    const lines = remaining.map((l) => ({ item: items.find((it) => it.armoryId === l.armoryId) || l, qty: l.qty }));
+    log(`${ICONS.loading} [${account}] ${t('jobs.buyingRest', { lines: lines.map((l) => `${l.item.name} × ${l.qty}`).join(', ') })}`);
+
+    const doneBefore = jobDone(job);
+    try {
+        const purchase = await runBasket(account, lines, stars, {
+            job,
+            onResult:
+                onResult ||
+                ((r, i) => {
+                    if (r.ok) log(`${r.alert ? ICONS.alert : ICONS.success} [${account}] #${i + 1}: ${formatDropResult(r)}`);
+                    else log(`${ICONS.error} [${account}] #${i + 1}: ${r.error}`);
+                }),
+            onReconcile: (outcome) => log(formatReconcile(outcome, account)),
+        });
+        if (purchase.paused) {
+            return { job, ok: false, purchased: jobDone(job) - doneBefore, starsLeft: purchase.starsLeft, code: 'DROP_ALERT', note: statusNote('DROP_ALERT') };
+        }
+        return { job, ok: job.status === 'done', purchased: jobDone(job) - doneBefore, starsLeft: purchase.starsLeft, code: null, note: job.error };
+    } catch (e) {
+        const msg = e?.message || String(e);
+        log(`${ICONS.error} [${account}] ${t('common.connectionError', { error: msg })}`);
+        return { job, ok: false, purchased: 0, code: null, note: msg };
     }
 }
 
-async function reauthFlow(rl, username) {
-    console.log(`${ICONS.error} Сессия устарела. Требуется повторная авторизация.`);
-    SessionManager.deleteSession(username);
+function formatJob(job) {
+    const progress = job.lines.map((l) => `${l.name} ${l.done}/${l.qty}`).join(', ');
+    const pending = job.pending ? `, ${t('jobs.pendingUnconfirmed', { name: job.pending.name })}` : '';
+    const error = job.error ? ` (${statusNote(job.error)})` : '';
+    return `${job.id} [${job.account}] ${t(`jobs.status.${job.status}`)}: ${progress}${pending}${error}`;
+}
 
-    const reauth = await ask(rl, '\nАвторизоваться заново? (y/n): ');
-    if (!/^y(es)?$/i.test(reauth)) return false;
+async function addNewAccountFlow(rl) {
+    banner();
+    console.log(`═══════════════════ ${t('account.add.title')} ═══════════════════`);
+    console.log('');
+
+    const username = await ask(rl, t('account.add.login'));
+    if (!username) {
+        console.log(`${ICONS.error} ${t('account.add.loginRequired')}`);
+        await ask(rl, t('common.pressEnter'));
+        return null;
+    }
 
-    const password = await ask(rl, 'Пароль: ');
-    const twoFactorCode = await ask(rl, 'Код Steam Guard: ');
+    const password = await ask(rl, t('account.add.password'));
+    if (!password) {
+        console.log(`${ICONS.error} ${t('account.add.passwordRequired')}`);
+        await ask(rl, t('common.pressEnter'));
+        return null;
+    }
 
-    if (!password || !twoFactorCode) {
-        console.log(`${ICONS.error} Данные не введены`);
-        await ask(rl, '\nНажмите Enter для продолжения...');
-        return false;
+    let guard = { sharedSecret: loadSharedSecret(username) };
+    if (guard.sharedSecret) {
+        console.log(t('account.add.guardFromSecret'));
+    } else {
+        guard = parseGuardInput(await ask(rl, t('account.add.guardPrompt')));
+        if (!guard.twoFactorCode && !guard.sharedSecret) {
+            console.log(`${ICONS.error} ${t('account.add.guardRequired')}`);
+            await ask(rl, t('common.pressEnter'));
+            return null;
+        }
     }
 
-    console.log(`${ICONS.loading} Авторизация...`);
+    console.log(`\n${ICONS.loading} ${t('account.add.loggingIn')}`);
 
-    const sc = new SteamClient(username);
+    const sc = createSteamClient(username);
     try {
         const refreshToken = await sc.loginWithCredentials({
             username,
             password,
-            twoFactorCode,
+            ...guard,
             timeoutMs: 60000,
         });
 
         SessionManager.saveSession(username, refreshToken);
-        console.log(`${ICONS.success} Авторизация успешна!`);
-        await wait(600);
-        return true;
+        if (guard.sharedSecret) SessionManager.saveSharedSecret(username, guard.sharedSecret);
+
+        console.log(`${ICONS.success} ${t('account.add.loggedIn')}`);
+        console.log(`${ICONS.success} ${t('account.add.added', { username })}`);
+
+        await ask(rl, t('common.pressEnter'));
+        return username;
     } catch (e) {
-        console.log(`${ICONS.error} Ошибка авторизации: ${e?.message || e}`);
-        await ask(rl, '\nНажмите Enter для продолжения...');
-        return false;
+        console.log(`${ICONS.error} ${t('common.loginError', { error: e?.message || e })}`);
+        await ask(rl, t('common.pressEnter'));
+        return null;
     } finally {
         sc.disconnect();
-        await wait(TIMEOUTS.disconnectDelayMs);
+        await wait(config.timeouts.disconnectDelayMs);
     }
 }
 
-async function buyFlow(rl, username, items) {
+async function importFlow(rl) {
     banner();
-    console.log(`Аккаунт: ${username}`);
-    console.log(`${ICONS.loading} Получение баланса звёзд...`);
+    console.log(`═══════════════════ ${t('import.title')} ═══════════════════`);
+    console.log('');
+    console.log(t('import.intro'));
+    console.log('');
 
-    let starsInfo = await getStarsAutoDetailed(username);
+    const source = await ask(rl, t('import.askSource'));
+    if (!source) return;
 
-    if (!starsInfo.ok && starsInfo.note === 'INVALID_TOKEN') {
-        const ok = await reauthFlow(rl, username);
-        if (!ok) return;
+    try {
+        const options = {};
+        if (isMaFileSource(source)) {
+            options.passwords = (await ask(rl, t('import.askPasswords'))) || null;
+            if (!options.passwords) options.password = (await askHidden(rl, t('import.askPassword'))) || null;
+        }
 
-        banner();
-        console.log(`Аккаунт: ${username}`);
-        console.log(`${ICONS.loading} Получение баланса звёзд...`);
-        starsInfo = await getStarsAutoDetailed(username);
-    }
+        const plan = collectImport(source, options);
+        console.log(t('import.found', { count: plan.entries.length }));
+        for (const e of plan.errors) console.log(`${ICONS.error} ${e.source}: ${e.error}`);
 
-    if (!starsInfo.ok) {
-        banner();
-        console.log(`Аккаунт: ${username}`);
-        console.log(`${ICONS.warning} ${starsInfo.note}`);
-        await ask(rl, '\nНажмите Enter чтобы вернуться назад...');
-        return;
+        if (plan.entries.length) {
+            const concurrency = toInt(await ask(rl, t('import.concurrency', { count: config.pacing.importConcurrency }))) || config.pacing.importConcurrency;
+            console.log('');
+            const rows = await importAccounts(plan.entries, { concurrency, log: (line) => console.log(line) });
+            console.log('');
+            for (const line of formatImportSummary(rows, plan.errors)) console.log(line);
+        }
+    } catch (e) {
+        console.log(`${ICONS.error} ${e?.message || e}`);
     }
 
-    if (!items.length) {
-        console.log(`${ICONS.warning} Товары не загружены`);
-        await ask(rl, '\nНажмите Enter для продолжения...');
+    await ask(rl, t('common.pressEnter'));
+}
+
+// Сначала — таблица из кэша, затем дочитываются устаревшие строки
+async function dashboardFlow(rl, accounts, items) {
+    if (!accounts.length) {
+        console.log(t('errors.noAccounts'));
+        await ask(rl, t('common.pressEnter'));
         return;
     }
 
-    let currentStars = starsInfo.stars;
-
-    while (true) {
+    let sortBy = 'balance';
+    let item = null;
+    let refresh = 'stale';
+    const show = () => {
         banner();
-        console.log(`Аккаунт: ${username}`);
-        printItems(items, currentStars);
+        for (const line of formatDashboard(dashboardRows(accounts, { item, sortBy }), { item, sortBy })) console.log(line);
+        console.log('');
+    };
 
-        const input = (await ask(rl, 'Выберите товар: ')).toLowerCase();
-        if (input === 'b' || input === 'back') return;
+    while (true) {
+        show();
 
-        const pick = toInt(input);
-        if (pick === null) continue;
+        const targets = refresh === 'all' ? accounts : refresh === 'stale' ? dashboardRows(accounts).filter((r) => r.stale).map((r) => r.account) : [];
+        refresh = null;
+        if (targets.length) {
+            if (SessionManager.isEncryptionEnabled() && !SessionManager.isUnlocked()) {
+                console.log(`${ICONS.warning} ${t('vault.locked')}`);
+            } else {
+                console.log(`${ICONS.loading} ${t('dashboard.refreshing', { count: targets.length, total: accounts.length })}`);
+                await refreshBalances(targets, { log: (line) => console.log(line) });
+                show();
+            }
+        }
 
-        const item = items[pick - 1];
-        if (!item) continue;
+        console.log(` [R] ${t('dashboard.menu.refresh')}`);
+        console.log(` [S] ${t('dashboard.menu.sort')}`);
+        console.log(` [I] ${t('dashboard.menu.item')}`);
+        console.log(` [Q] ${t('common.back')}`);
+        console.log('');
 
-        const qty = toInt(await ask(rl, `Количество "${item.name}" (цена ${item.price}${ICONS.star}): `));
-        if (qty === null || qty <= 0) continue;
+        const input = (await ask(rl, t('common.chooseAction'))).toLowerCase();
+        if (input === 'q' || input === '') return;
 
-        const totalCost = item.price * qty;
+        if (input === 'r') {
+            refresh = 'all';
+        } else if (input === 's') {
+            sortBy = DASHBOARD_SORTS[(DASHBOARD_SORTS.indexOf(sortBy) + 1) % DASHBOARD_SORTS.length];
+        } else if (input === 'i') {
+            const query = await ask(rl, t('dashboard.askItem'));
+            try {
+                item = query ? findItem(items, query) : null;
+            } catch (e) {
+                console.log(`${ICONS.error} ${e?.message || e}`);
+                await ask(rl, t('common.pressEnter'));
+            }
+        }
+    }
+}
 
-        console.log('');
-        console.log(`Итого: ${qty} × ${item.price}${ICONS.star} = ${totalCost}${ICONS.star}`);
+async function mapWithConcurrency(list, limit, fn) {
+    const results = new Array(list.length);
+    let next = 0;
 
-        if (totalCost > currentStars) {
-            console.log(`${ICONS.warning} Недостаточно звёзд`);
-            await ask(rl, '\nНажмите Enter для продолжения...');
-            continue;
+    const worker = async () => {
+        while (next < list.length) {
+            const idx = next++;
+            results[idx] = await fn(list[idx], idx);
         }
+    };
 
-        const confirm = await ask(rl, 'Подтвердить покупку? (y/n): ');
-        if (!/^y(es)?$/i.test(confirm)) continue;
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, list.length)) }, worker);
+    await Promise.all(workers);
+    return results;
+}
 
-        console.log('');
-        console.log(`\n${ICONS.loading} Подключение к Steam...`);
+async function redeemAllForAccount(username, item, { log = () => {} } = {}) {
+    const starsInfo = await getStarsAutoDetailed(username);
+    if (!starsInfo.ok) {
+        log(`${ICONS.error} [${username}] ${starsInfo.note}`);
+        return { account: username, status: 'error', starsBefore: null, purchased: 0, starsLeft: null, code: starsInfo.code, note: starsInfo.note };
+    }
 
-        // Создаем постоянное подключение
-        try {
-            await ArmoryManager.createConnection(username);
-        } catch (e) {
-            console.log(`${ICONS.error} Ошибка подключения: ${e?.message || e}`);
-            await ask(rl, '\nНажмите Enter для продолжения...');
-            continue;
-        }
+    const qty = Math.floor(starsInfo.stars / item.price);
+    if (qty <= 0) {
+        log(`${ICONS.warning} [${username}] ${t('bulk.notEnough', { stars: `${starsInfo.stars}${ICONS.star}` })}`);
+        return {
+            account: username,
+            status: 'skipped',
+            starsBefore: starsInfo.stars,
+            purchased: 0,
+            starsLeft: starsInfo.stars,
+            code: 'INSUFFICIENT_STARS',
+            note: statusNote('INSUFFICIENT_STARS'),
+        };
+    }
 
-        console.log(`${ICONS.loading} Покупка ${qty} предметов...`);
+    log(`${ICONS.loading} [${username}] ${t('bulk.buying', { stars: `${starsInfo.stars}${ICONS.star}`, qty })}`);
 
-        let starsLeft = currentStars;
-        const results = [];
+    try {
+        const { results, starsLeft, job, paused } = await runPurchase(username, item, qty, starsInfo.stars, {
+            onResult: (r, i) => {
+                if (r.ok) log(`${r.alert ? ICONS.alert : ICONS.success} [${username}] #${i + 1}: ${formatDropResult(r)}`);
+                else log(`${ICONS.error} [${username}] #${i + 1}: ${r.error}`);
+            },
+            onReconcile: (outcome) => log(formatReconcile(outcome, username)),
+        });
 
-        for (let i = 0; i < qty; i++) {
-            try {
-                const r = await ArmoryManager.purchaseItem(item.armoryId, starsLeft, item.price);
-                starsLeft = r?.newStars ?? starsLeft - item.price;
+        const drops = results.filter((r) => r.ok).map((r) => r.itemInfo);
+        const error = results.find((r) => !r.ok)?.error ?? null;
+        const purchased = jobDone(job);
 
-                const itemInfo = parseItemFromGC(r?.item);
-                results.push({ ok: true, itemInfo, starsLeft });
+        return {
+            account: username,
+            status: purchased === qty ? 'ok' : purchased > 0 ? 'partial' : 'error',
+            starsBefore: starsInfo.stars,
+            purchased,
+            starsLeft,
+            code: paused ? 'DROP_ALERT' : null,
+            note: paused ? statusNote('DROP_ALERT') : error,
+            jobId: job.status === 'done' ? null : job.id,
+            drops,
+        };
+    } catch (e) {
+        const msg = e?.message || String(e);
+        log(`${ICONS.error} [${username}] ${t('common.connectionError', { error: msg })}`);
+        return { account: username, status: 'error', starsBefore: starsInfo.stars, purchased: 0, starsLeft: starsInfo.stars, code: null, note: msg };
+    }
+}
 
-                let line = itemInfo.name;
-                if (itemInfo.floatValue !== null) line += ` | Float: ${itemInfo.floatValue.toFixed(9)}`;
-                if (itemInfo.paintSeed !== null && itemInfo.type === 'weapon') line += ` | Seed: ${itemInfo.paintSeed}`;
+async function bulkRedeem(accounts, item, { concurrency = 1, log } = {}) {
+    return mapWithConcurrency(accounts, concurrency, (username) => redeemAllForAccount(username, item, { log }));
+}
 
-                console.log(`${ICONS.success} #${i + 1}: ${line}, осталось ${starsLeft}${ICONS.star}`);
-                await wait(1000); // Уменьшена задержка до 1 секунды
-            } catch (e) {
-                const msg = e?.message || String(e);
+function formatBulkSummary(rows, item) {
+    const columns = ['account', 'before', 'purchased', 'left'].map((c) => t(`bulk.column.${c}`));
+    const nameWidth = Math.max(columns[0].length, ...rows.map((r) => r.account.length));
+    const lines = [
+        `═══════════════════ ${t('bulk.summary')} ═══════════════════`,
+        t('bulk.offer', { name: item.name, price: `${item.price}${ICONS.star}` }),
+        '',
+        `${columns[0].padEnd(nameWidth)}  ${columns[1].padStart(5)}  ${columns[2].padStart(7)}  ${columns[3].padStart(8)}  ${t('bulk.column.status')}`,
+    ];
 
-                if (msg.includes('LogonSessionReplaced')) {
-                    console.log(`${ICONS.error} Сессия заменена другим входом (LogonSessionReplaced).`);
-                    console.log(`${ICONS.warning} Закрой Steam-клиент/другие боты на этом аккаунте и повтори.`);
-                } else {
-                    console.log(`${ICONS.error} #${i + 1}: ${msg}`);
-                }
+    for (const r of rows) {
+        const before = r.starsBefore ?? '-';
+        const left = r.starsLeft ?? '-';
+        const status = r.note ? `${t(`bulk.status.${r.status}`)} (${r.note})` : t(`bulk.status.${r.status}`);
+        lines.push(`${r.account.padEnd(nameWidth)}  ${String(before).padStart(5)}  ${String(r.purchased).padStart(7)}  ${String(left).padStart(8)}  ${status}`);
+    }
 
-                results.push({ ok: false, error: msg });
-                break;
-            }
-        }
+    const totalPurchased = rows.reduce((sum, r) => sum + r.purchased, 0);
+    lines.push('');
+    lines.push(t('bulk.total', { purchased: totalPurchased, spent: `${totalPurchased * item.price}${ICONS.star}` }));
+    lines.push('═════════════════════════════════════════════');
+    return lines;
+}
 
-        // Закрываем подключение после всех покупок
-        ArmoryManager.disconnectSession();
+async function bulkBuyFlow(rl, accounts, items) {
+    banner();
+    console.log(`═══════════════════ ${t('bulk.title')} ═══════════════════`);
+    console.log('');
 
-        console.log('═══════════════════ РЕЗУЛЬТАТ ═══════════════════');
-        console.log(`Аккаунт: ${username}`);
-        console.log(`Товар: ${item.name}`);
-        console.log(`Осталось звёзд: ${starsLeft}${ICONS.star}`);
-        console.log('');
+    if (!accounts.length || !items.length) {
+        console.log(`${ICONS.warning} ${t('bulk.nothing')}`);
+        await ask(rl, t('common.pressEnter'));
+        return;
+    }
 
-        const successResults = results.filter((x) => x.ok);
-        if (successResults.length > 0) {
-            const grouped = {};
-            const weapons = [];
+    accounts.forEach((a, i) => console.log(` [${i + 1}] ${a}`));
+    console.log('');
 
-            for (const r of successResults) {
-                const info = r.itemInfo;
-                if (info.type === 'weapon') weapons.push(info);
-                else {
-                    if (!grouped[info.name]) grouped[info.name] = { count: 0, rarity: info.rarity ?? 0 };
-                    grouped[info.name].count++;
+    const rawInput = (await ask(rl, t('bulk.selectAccounts'))).trim();
+    const accountsInput = rawInput.toLowerCase();
+    let selected;
+    if (accountsInput === 'all' || accountsInput === '*') {
+        selected = accounts;
+    } else if (/[^\d\s,]/.test(accountsInput)) {
+        // Имена, tag:… и group:… — среди показанных аккаунтов
+        selected = AccountRegistry.select(rawInput, accounts).accounts;
+    } else {
+        selected = [...new Set(accountsInput.split(/[\s,]+/).map(toInt).filter((n) => n !== null && n >= 1 && n <= accounts.length))].map(
+            (n) => accounts[n - 1]
+        );
+    }
+    if (!selected.length) return;
+
+    console.log('');
+    items.forEach((it, i) => console.log(` [${i + 1}] ${it.name} - ${it.price}${ICONS.star}`));
+    console.log('');
+
+    const item = items[(toInt(await ask(rl, t('common.selectItem'))) ?? 0) - 1];
+    if (!item) return;
+
+    const concurrency = toInt(await ask(rl, t('bulk.concurrency'))) || 2;
+
+    console.log('');
+    console.log(t('bulk.confirmInfo', { accounts: selected.length, name: item.name, concurrency }));
+    console.log(t('bulk.spendAll'));
+    const confirm = await ask(rl, t('common.confirmPurchase'));
+    if (!/^y(es)?$/i.test(confirm)) return;
+
+    console.log('');
+    const rows = await bulkRedeem(selected, item, { concurrency, log: (line) => console.log(line) });
+
+    console.log('');
+    for (const line of formatBulkSummary(rows, item)) console.log(line);
+    await ask(rl, t('common.pressEnter'));
+}
+
+function parseDateBound(input, endOfDay) {
+    const s = String(input || '').trim();
+    if (!s) return null;
+
+    const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(s) ? `${s}T00:00:00` : s);
+    if (Number.isNaN(d.getTime())) return undefined;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s)) d.setHours(23, 59, 59, 999);
+    return d;
+}
+
+function parseReportFormats(value) {
+    if (value === undefined || value === true || value === 'all') return REPORT_FORMATS;
+    const formats = String(value).split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+    if (!formats.length || formats.some((f) => !REPORT_FORMATS.includes(f))) {
+        throw new UsageError(t('report.formatUsage', { formats: REPORT_FORMATS.join(', ') }));
+    }
+    return [...new Set(formats)];
+}
+
+// Отчёт о заказе строится по истории: все его покупки, в том числе после возобновления
+function buildJobReport(jobId, items) {
+    const entries = PurchaseHistory.readAll().filter((e) => e.jobId === jobId);
+    return purchaseReport.build(entries, { offers: items, title: t('report.jobTitle', { id: jobId }) });
+}
+
+function lastJobId(account) {
+    const entries = PurchaseHistory.query({ account }).filter((e) => e.jobId);
+    return entries.length ? entries[entries.length - 1].jobId : null;
+}
+
+function writeReport(report, formats, name, dir = runtime.reportsDir) {
+    fs.mkdirSync(dir, { recursive: true });
+    return formats.map((format) => {
+        const file = path.join(dir, `${name}.${format}`);
+        fs.writeFileSync(file, purchaseReport.render(report, format), 'utf8');
+        return file;
+    });
+}
+
+function formatHistoryEntry(e) {
+    const when = new Date(e.timestamp).toLocaleString();
+    const stars = `${e.starsBefore}→${e.starsAfter}${ICONS.star}`;
+    if (!e.ok) return `${ICONS.error} ${when} [${e.account}] ${e.itemName} (${stars}): ${e.error}`;
+    let drop = e.drop ? formatDropLine(e.drop) : `defindex ${e.defIndex}`;
+    if (!e.drop && e.reconciled === 'balance') drop = t('history.confirmedByBalance');
+    return `${ICONS.success} ${when} [${e.account}] ${e.itemName} → ${drop} (${stars})`;
+}
+
+async function historyFlow(rl) {
+    const filters = { account: '', item: '', from: '', to: '' };
+
+    while (true) {
+        banner();
+        console.log(`═══════════════════ ${t('history.title')} ═══════════════════`);
+
+        const from = parseDateBound(filters.from, false);
+        const to = parseDateBound(filters.to, true);
+        const entries = PurchaseHistory.query({
+            account: filters.account || undefined,
+            item: filters.item || undefined,
+            from: from || undefined,
+            to: to || undefined,
+        });
+
+        console.log(
+            t('history.filters', { account: filters.account || t('history.all'), item: filters.item || t('history.all'), from: filters.from || '…', to: filters.to || '…' })
+        );
+        console.log('');
+
+        const shown = entries.slice(-30);
+        if (!shown.length) console.log(` ${t('history.empty')}`);
+        for (const e of shown) console.log(` ${formatHistoryEntry(e)}`);
+
+        const okCount = entries.filter((e) => e.ok).length;
+        const spent = entries.filter((e) => e.ok).reduce((sum, e) => sum + (e.price || 0), 0);
+        console.log('');
+        const more = entries.length > shown.length ? `, ${t('history.shownLast', { count: shown.length })}` : '';
+        console.log(`${t('history.found', { count: entries.length, ok: okCount, spent: `${spent}${ICONS.star}` })}${more}`);
+        console.log('');
+        console.log(` [A] ${t('history.filterAccount').padEnd(22)} [I] ${t('history.filterItem')}`);
+        console.log(` [D] ${t('history.filterPeriod').padEnd(22)} [C] ${t('history.resetFilters')}`);
+        console.log(` [B] ${t('common.back')}`);
+        console.log('════════════════════════════════════════════════════════');
+
+        const input = (await ask(rl, t('common.selectAction'))).toLowerCase();
+
+        if (input === 'b' || input === 'back') return;
+        if (input === 'a') filters.account = await ask(rl, t('history.askAccount'));
+        if (input === 'i') filters.item = await ask(rl, t('history.askItem'));
+        if (input === 'c') Object.assign(filters, { account: '', item: '', from: '', to: '' });
+        if (input === 'd') {
+            filters.from = await ask(rl, t('history.askFrom'));
+            filters.to = await ask(rl, t('history.askTo'));
+            if (parseDateBound(filters.from, false) === undefined || parseDateBound(filters.to, true) === undefined) {
+                console.log(`${ICONS.error} ${t('history.badDate')}`);
+                filters.from = '';
+                filters.to = '';
+                await ask(rl, t('common.pressEnter'));
+            }
+        }
+    }
+}
+
+function evaluateOffers(items) {
+    return items
+        .map((item) => ({ item, estimate: valueEstimator.estimateOffer(item) }))
+        .sort((a, b) => (b.estimate.valuePerStar ?? -1) - (a.estimate.valuePerStar ?? -1));
+}
+
+function formatEvReport(rows) {
+    const lines = [];
+    for (const { item, estimate } of rows) {
+        if (estimate.value === null) {
+            lines.push(` ${item.name} - ${item.price}${ICONS.star}: ${t('ev.noPrices')}`);
+            continue;
+        }
+
+        const partial = estimate.coverage < 0.999 ? ` (${t('ev.coverage', { percent: (estimate.coverage * 100).toFixed(0) })})` : '';
+        lines.push(` ${item.name} - ${item.price}${ICONS.star}: EV ${formatMoney(estimate.value)}, ${formatMoney(estimate.valuePerStar)}/${ICONS.star}${partial}`);
+
+        for (const tier of estimate.breakdown) {
+            const chance = `${(tier.chance * 100).toFixed(2)}%`.padStart(7);
+            lines.push(`     ${chance}  ${t('ev.tier', { rarity: tier.rarityName, items: tier.items, value: formatMoney(tier.avgValue) })}`);
+        }
+    }
+    return lines;
+}
+
+function goalLabel(goal) {
+    return t(`plan.goal.${goal}`);
+}
+
+function formatBasket(plan) {
+    const lines = [t('plan.goal', { goal: goalLabel(plan.goal) }), t('plan.budget', { budget: `${plan.budget}${ICONS.star}` }), ''];
+    if (!plan.lines.length) {
+        lines.push(`${ICONS.warning} ${t('plan.nothing')}`);
+        return lines;
+    }
+
+    for (const l of plan.lines) {
+        const value = l.value !== null ? ` ~ ${formatMoney(l.value)}` : '';
+        lines.push(` ${l.offer.name} × ${l.qty} = ${l.cost}${ICONS.star}${value}`);
+    }
+    lines.push('');
+    lines.push(t('plan.spent', { spent: `${plan.spent}${ICONS.star}`, left: `${plan.left}${ICONS.star}` }));
+    if (plan.value !== null) lines.push(t('plan.value', { value: formatMoney(plan.value) }));
+    if (plan.topTierChance > 0) lines.push(t('plan.topTierChance', { percent: (plan.topTierChance * 100).toFixed(2) }));
+    return lines;
+}
+
+function serializeBasket(plan) {
+    return {
+        ...plan,
+        lines: plan.lines.map((l) => ({ armoryId: l.offer.armoryId, name: l.offer.name, price: l.offer.price, qty: l.qty, cost: l.cost, value: l.value })),
+    };
+}
+
+// Возвращает строки корзины [{ item, qty }] для runBasket или null, если пользователь отказался
+async function planBasketFlow(rl, items, stars) {
+    console.log('');
+    GOALS.forEach((goal, i) => console.log(` [${i + 1}] ${goalLabel(goal)}`));
+    const goal = GOALS[(toInt(await ask(rl, t('plan.askGoal'))) ?? 1) - 1];
+    if (!goal) return null;
+
+    const reserveInput = await ask(rl, t('plan.askReserve'));
+    const reserve = reserveInput ? toInt(reserveInput) : 0;
+    if (reserve === null || reserve < 0) return null;
+
+    const plan = basketPlanner.plan(items, stars, { goal, reserve });
+    console.log('');
+    for (const line of formatBasket(plan)) console.log(line);
+    console.log('');
+
+    if (!plan.lines.length) {
+        await ask(rl, t('common.pressEnter'));
+        return null;
+    }
+
+    const confirm = await ask(rl, t('plan.confirm'));
+    if (!/^y(es)?$/i.test(confirm)) return null;
+
+    return plan.lines.map((l) => ({ item: l.offer, qty: l.qty }));
+}
+
+async function evFlow(rl, items) {
+    banner();
+    console.log(`═══════════════════ ${t('ev.title')} ═══════════════════`);
+    console.log('');
+    for (const line of formatEvReport(evaluateOffers(items))) console.log(line);
+    console.log('');
+    console.log(t('ev.method'));
+    console.log('════════════════════════════════════════════════════════════');
+    await ask(rl, t('common.pressEnter'));
+}
+
+async function selectAccountFlow(rl, items) {
+    // tag:… / group:… сужают список (и массовую покупку), * — снова все аккаунты
+    let filter = null;
+
+    while (true) {
+        banner();
+        AccountRegistry.sync();
+        const accounts = filter ? AccountRegistry.select(filter).accounts : SessionManager.listAccounts();
+        if (filter) console.log(t('menu.accounts.filter', { filter }));
+        printMenuAccounts(accounts);
+
+        const raw = await ask(rl, t('menu.accounts.select'));
+        const input = raw.toLowerCase();
+
+        if (input === 'q' || input === 'quit' || input === 'exit') return null;
+
+        if (/^(tag|group):/.test(input)) {
+            filter = raw.trim();
+            continue;
+        }
+
+        if (input === '*') {
+            filter = null;
+            continue;
+        }
+
+        if (input === 'n' || input === 'new') {
+            await addNewAccountFlow(rl);
+            continue;
+        }
+
+        if (input === 'i' || input === 'import') {
+            await importFlow(rl);
+            continue;
+        }
+
+        if (input === 'a' || input === 'all') {
+            await bulkBuyFlow(rl, accounts, items);
+            continue;
+        }
+
+        if (input === 'd' || input === 'dashboard') {
+            await dashboardFlow(rl, accounts, items);
+            continue;
+        }
+
+        if (input === 'h' || input === 'history') {
+            await historyFlow(rl);
+            continue;
+        }
+
+        if (input === 'v' || input === 'ev') {
+            await evFlow(rl, items);
+            continue;
+        }
+
+        if (input === 'j' || input === 'jobs') {
+            await jobsFlow(rl, items);
+            continue;
+        }
+
+        if (input === 'g' || input === 'guard') {
+            await guardFlow(rl);
+            continue;
+        }
+
+        if (input === 'r' || input === 'proxy') {
+            await proxyFlow(rl);
+            continue;
+        }
+
+        if (input === 'm') {
+            await registryFlow(rl, items);
+            continue;
+        }
+
+        if (input === 'p') {
+            await vaultFlow(rl);
+            continue;
+        }
+
+        const pick = toInt(input);
+        if (pick === null) continue;
+
+        const idx = pick - 1;
+        if (idx < 0 || idx >= accounts.length) continue;
+
+        return accounts[idx];
+    }
+}
+
+// Ошибки входа по токену (сообщение целиком — имя EResult), после которых Steam его уже не примет
+const INVALID_TOKEN_ERRORS = ['Invalid JWT', 'AccessDenied', 'InvalidPassword', 'Expired'];
+
+// Коды состояний (INVALID_TOKEN, INSUFFICIENT_STARS…) остаются в данных и JSON, пользователю показывается текст
+function statusNote(code) {
+    return hasMessage(`status.${code}`) ? t(`status.${code}`) : code;
+}
+
+function starsFailure(code) {
+    return { ok: false, stars: 0, code, note: statusNote(code) };
+}
+
+// Каждое чтение баланса (меню, покупки, демон, сводка) обновляет кэш балансов
+async function getStarsAutoDetailed(username) {
+    const info = await readStars(username);
+    cacheBalance(username, info);
+    return info;
+}
+
+function cacheBalance(username, { ok, stars, code }) {
+    try {
+        if (ok) BalanceCache.record(username, stars);
+        else BalanceCache.recordFailure(username, code);
+    } catch (e) {
+        console.error(`${ICONS.warning} ${t('dashboard.cacheFailed', { error: e?.message || e })}`);
+    }
+}
+
+// Файл сессии при ошибке токена не удаляется: токен помечается истёкшим, а заменяется только повторным входом
+async function readStars(username) {
+    const tokenInfo = SessionManager.getTokenInfo(username);
+    if (tokenInfo && (!tokenInfo.valid || tokenInfo.expired)) {
+        return starsFailure('INVALID_TOKEN');
+    }
+
+    try {
+        // Баланс берётся с подключения из пула: оно остаётся открытым для следующих покупок
+        const stars = await connectionPool.use(username, (manager) => manager.waitForStars(config.timeouts.starsWaitMs));
+        if (stars == null) throw new Error('Stars not received');
+        return { ok: true, stars, code: null, note: null };
+    } catch (e) {
+        const msg = e?.message || String(e);
+
+        if (INVALID_TOKEN_ERRORS.includes(msg) || msg.startsWith('Session file not found')) {
+            SessionManager.markExpired(username);
+            return starsFailure('INVALID_TOKEN');
+        }
+
+        if (msg.includes('GC connection timeout') || msg.includes('Stars not received')) {
+            return starsFailure('GC_UNAVAILABLE');
+        }
+
+        if (msg.includes('LogonSessionReplaced')) {
+            return starsFailure('SESSION_REPLACED');
+        }
+
+        return starsFailure('BALANCE_UNAVAILABLE');
+    }
+}
+
+function accountsNeedingRenewal(accounts, days = config.tokens.renewDays) {
+    return accounts.filter((a) => {
+        const info = SessionManager.getTokenInfo(a);
+        return info?.valid && !info.expired && info.daysLeft !== null && info.daysLeft <= days;
+    });
+}
+
+async function renewTokens(accounts, { log = () => {} } = {}) {
+    const results = [];
+
+    for (const username of accounts) {
+        const sc = createSteamClient(username);
+        try {
+            const token = await sc.renewRefreshToken({ timeoutMs: config.timeouts.steamLogonMs });
+            const info = SessionManager.getTokenInfo(username);
+            if (token) log(`${ICONS.success} [${username}] ${t('tokens.renewed', { status: formatTokenStatus(info) })}`);
+            else log(`${ICONS.warning} [${username}] ${t('tokens.notIssued')}`);
+            results.push({ account: username, renewed: Boolean(token), daysLeft: info?.daysLeft ?? null });
+        } catch (e) {
+            const msg = e?.message || String(e);
+            log(`${ICONS.error} [${username}] ${msg}`);
+            results.push({ account: username, renewed: false, error: msg });
+        } finally {
+            sc.disconnect();
+            await wait(config.timeouts.disconnectDelayMs);
+        }
+    }
+
+    return results;
+}
+
+async function renewExpiringTokensFlow() {
+    const due = accountsNeedingRenewal(SessionManager.listAccounts());
+    if (!due.length) return;
+
+    banner();
+    console.log(`${ICONS.loading} ${t('tokens.renewingExpiring', { accounts: due.join(', ') })}`);
+    await renewTokens(due, { log: (line) => console.log(line) });
+    await wait(1000);
+}
+
+async function reauthFlow(rl, username) {
+    console.log(`${ICONS.error} ${t('account.reauth.expired')}`);
+
+    const reauth = await ask(rl, t('account.reauth.confirm'));
+    if (!/^y(es)?$/i.test(reauth)) return false;
+
+    const password = await ask(rl, t('account.add.password'));
+    const sharedSecret = loadSharedSecret(username);
+    const twoFactorCode = sharedSecret ? undefined : await ask(rl, t('account.reauth.guardCode'));
+
+    if (!password || (!twoFactorCode && !sharedSecret)) {
+        console.log(`${ICONS.error} ${t('account.reauth.noInput')}`);
+        await ask(rl, t('common.pressEnter'));
+        return false;
+    }
+
+    console.log(`${ICONS.loading} ${t('account.add.loggingIn')}`);
+
+    const sc = createSteamClient(username);
+    try {
+        const refreshToken = await sc.loginWithCredentials({
+            username,
+            password,
+            twoFactorCode,
+            sharedSecret,
+            timeoutMs: 60000,
+        });
+
+        SessionManager.saveSession(username, refreshToken);
+        console.log(`${ICONS.success} ${t('account.add.loggedIn')}`);
+        await wait(600);
+        return true;
+    } catch (e) {
+        console.log(`${ICONS.error} ${t('common.loginError', { error: e?.message || e })}`);
+        await ask(rl, t('common.pressEnter'));
+        return false;
+    } finally {
+        sc.disconnect();
+        await wait(config.timeouts.disconnectDelayMs);
+    }
+}
+
+function typeLabel(type) {
+    return t(`inventory.type.${type}`);
+}
+
+function sortLabel(sortBy) {
+    return t(`inventory.sort.${sortBy}`);
+}
+
+const INVENTORY_PAGE = 30;
+
+// id предметов, полученных из армори (по истории покупок)
+function armoryItemIds(username) {
+    const ids = new Set();
+    for (const e of PurchaseHistory.query({ account: username })) {
+        if (e.ok && e.item?.id) ids.add(String(e.item.id));
+    }
+    return ids;
+}
+
+function formatInventoryEntry(e) {
+    let line = e.name;
+    if (e.float !== null && e.type === 'weapon') line += ` | Float: ${e.float.toFixed(9)}`;
+    if (e.rarityName) line += ` | ${e.rarityName}`;
+    if (e.value !== null) line += ` | ${formatMoney(e.value)}`;
+    if (e.fromArmory) line += ` ${ICONS.star}`;
+    return line;
+}
+
+function formatInventoryFilters(filters, sortBy) {
+    const parts = [];
+    if (filters.type) parts.push(t('inventory.filter.type', { type: typeLabel(filters.type) }));
+    if (filters.rarity) parts.push(t('inventory.filter.rarity', { rarity: filters.rarity }));
+    if (filters.collection) parts.push(t('inventory.filter.collection', { collection: filters.collection }));
+    if (filters.armory) parts.push(t('inventory.filter.armory'));
+    parts.push(t('inventory.filter.sort', { sort: sortLabel(sortBy) }));
+    return parts.join(', ');
+}
+
+function selectInventory(items, username, filters, sortBy) {
+    const entries = inventoryBrowser.resolveAll(items, armoryItemIds(username));
+    return inventoryBrowser.sort(inventoryBrowser.filter(entries, filters), sortBy);
+}
+
+// Подключение аккаунта из пула; сообщаем, только если придётся входить заново
+async function acquireConnection(username) {
+    if (!connectionPool.isConnected(username)) console.log(`${ICONS.loading} ${t('common.connecting')}`);
+    return connectionPool.acquire(username);
+}
+
+async function inventoryFlow(rl, username, manager) {
+    const filters = { type: null, rarity: null, collection: null, armory: false };
+    let sortBy = 'default';
+    let page = 0;
+
+    while (true) {
+        banner();
+        console.log(t('common.account', { username }));
+
+        if (!manager.activeConnection) {
+            console.log(`${ICONS.warning} ${t('common.connectionLost')}`);
+            await ask(rl, t('common.pressEnter'));
+            return;
+        }
+
+        const all = manager.getInventory();
+        const entries = selectInventory(all, username, filters, sortBy);
+        const pages = Math.max(1, Math.ceil(entries.length / INVENTORY_PAGE));
+        page = Math.min(page, pages - 1);
+
+        console.log('');
+        console.log(`═══════════════════ ${t('inventory.title', { shown: entries.length, total: all.length })} ═══════════════════`);
+        console.log(formatInventoryFilters(filters, sortBy));
+        console.log('');
+        if (!manager.inventoryReady) console.log(`${ICONS.warning} ${t('inventory.notReceived')}`);
+        else if (!entries.length) console.log(t('inventory.nothingFound'));
+        entries.slice(page * INVENTORY_PAGE, (page + 1) * INVENTORY_PAGE).forEach((e, i) => {
+            console.log(` ${page * INVENTORY_PAGE + i + 1}. ${formatInventoryEntry(e)}`);
+        });
+        if (pages > 1) console.log(`\n${t('inventory.page', { page: page + 1, pages })}`);
+
+        console.log('');
+        console.log(` ${ICONS.star} — ${t('inventory.fromArmory')}`);
+        console.log(` ${t('inventory.actions')}`);
+        console.log(` [B] ${t('common.back')}`);
+        console.log('════════════════════════════════════════════════════════════');
+
+        const input = (await ask(rl, t('common.selectAction'))).toLowerCase();
+        if (input === 'b' || input === 'back') return;
+
+        if (input === 'n') page = Math.min(page + 1, pages - 1);
+        else if (input === 'p') page = Math.max(page - 1, 0);
+        else if (input === 'a') filters.armory = !filters.armory;
+        else if (input === 'x') {
+            Object.assign(filters, { type: null, rarity: null, collection: null, armory: false });
+            sortBy = 'default';
+        } else if (input === 't') {
+            ITEM_TYPES.forEach((type, i) => console.log(` [${i + 1}] ${typeLabel(type)}`));
+            const pick = ITEM_TYPES[toInt(await ask(rl, t('inventory.askType'))) - 1];
+            filters.type = pick || null;
+        } else if (input === 'r') {
+            const rarity = await ask(rl, t('inventory.askRarity'));
+            if (rarity && inventoryBrowser.findRarity(rarity) === null) {
+                console.log(`${ICONS.warning} ${t('inventory.unknownRarity')}`);
+                await ask(rl, t('common.pressEnter'));
+                continue;
+            }
+            filters.rarity = rarity || null;
+        } else if (input === 'c') {
+            filters.collection = (await ask(rl, t('inventory.askCollection'))) || null;
+        } else if (input === 's') {
+            SORT_KEYS.forEach((k, i) => console.log(` [${i + 1}] ${sortLabel(k)}`));
+            sortBy = SORT_KEYS[toInt(await ask(rl, t('inventory.askSort'))) - 1] || sortBy;
+        } else {
+            continue;
+        }
+        if (input !== 'n' && input !== 'p') page = 0;
+    }
+}
+
+async function watchStarsFlow(rl, username) {
+    console.log('');
+
+    let last = null;
+    try {
+        const result = await watchStars(username, {
+            stop: ask(rl, t('watch.prompt')),
+            onChange: (change) => {
+                last = change.stars;
+                console.log(formatStarsChange(change));
+            },
+        });
+        if (result.lost) {
+            console.log(`${ICONS.warning} ${t('common.connectionLost')}`);
+            await ask(rl, t('common.pressEnter'));
+        }
+    } catch (e) {
+        console.log(`${ICONS.error} ${t('common.connectionError', { error: e?.message || e })}`);
+        await ask(rl, t('common.pressEnter'));
+    }
+    return last;
+}
+
+async function buyFlow(rl, username, items) {
+    banner();
+    console.log(t('common.account', { username }));
+    console.log(`${ICONS.loading} ${t('buy.gettingBalance')}`);
+
+    let starsInfo = await getStarsAutoDetailed(username);
+
+    if (!starsInfo.ok && starsInfo.code === 'INVALID_TOKEN') {
+        const ok = await reauthFlow(rl, username);
+        if (!ok) return;
+
+        banner();
+        console.log(t('common.account', { username }));
+        console.log(`${ICONS.loading} ${t('buy.gettingBalance')}`);
+        starsInfo = await getStarsAutoDetailed(username);
+    }
+
+    if (!starsInfo.ok) {
+        banner();
+        console.log(t('common.account', { username }));
+        console.log(`${ICONS.warning} ${starsInfo.note}`);
+        await ask(rl, t('common.pressEnterBack'));
+        return;
+    }
+
+    if (!items.length) {
+        console.log(`${ICONS.warning} ${t('buy.noItems')}`);
+        await ask(rl, t('common.pressEnter'));
+        return;
+    }
+
+    // Подключение после чтения баланса остаётся в пуле и закроется само, если аккаунтом не пользоваться
+    await accountMenu(rl, username, items, starsInfo.stars);
+}
+
+async function accountMenu(rl, username, items, stars) {
+    let currentStars = stars;
+
+    while (true) {
+        banner();
+        console.log(t('common.account', { username }));
+        printItems(items, currentStars);
+
+        const input = (await ask(rl, t('common.selectItem'))).toLowerCase();
+        if (input === 'b' || input === 'back') return;
+
+        if (input === 'w' || input === 'watch' || input === 'i' || input === 'inventory') {
+            let manager;
+            try {
+                manager = await acquireConnection(username);
+            } catch (e) {
+                console.log(`${ICONS.error} ${t('common.connectionError', { error: e?.message || e })}`);
+                await ask(rl, t('common.pressEnter'));
+                continue;
+            }
+            try {
+                if (input.startsWith('w')) currentStars = (await watchStarsFlow(rl, username)) ?? currentStars;
+                else await inventoryFlow(rl, username, manager);
+                if (manager.stars !== null) currentStars = manager.stars;
+            } finally {
+                connectionPool.release(username);
+            }
+            continue;
+        }
+
+        let lines;
+        if (input === 'p' || input === 'plan') {
+            lines = await planBasketFlow(rl, items, currentStars);
+            if (!lines) continue;
+        } else {
+            const pick = toInt(input);
+            if (pick === null) continue;
+
+            const item = items[pick - 1];
+            if (!item) continue;
+
+            const qty = toInt(await ask(rl, t('buy.askQty', { name: item.name, price: `${item.price}${ICONS.star}` })));
+            if (qty === null || qty <= 0) continue;
+
+            const totalCost = item.price * qty;
+
+            console.log('');
+            console.log(t('buy.total', { qty, price: `${item.price}${ICONS.star}`, total: `${totalCost}${ICONS.star}` }));
+
+            if (totalCost > currentStars) {
+                console.log(`${ICONS.warning} ${statusNote('INSUFFICIENT_STARS')}`);
+                await ask(rl, t('common.pressEnter'));
+                continue;
+            }
+
+            const confirm = await ask(rl, t('common.confirmPurchase'));
+            if (!/^y(es)?$/i.test(confirm)) continue;
+
+            lines = [{ item, qty }];
+        }
+
+        const total = lines.reduce((sum, l) => sum + l.qty, 0);
+
+        console.log('');
+
+        let purchase;
+        try {
+            if (!connectionPool.isConnected(username)) console.log(`${ICONS.loading} ${t('common.connecting')}`);
+            purchase = await runBasket(username, lines, currentStars, {
+                onConnected: () => console.log(`${ICONS.loading} ${t('buy.buying', { count: total })}`),
+                onResult: (r, i) => {
+                    if (r.ok) {
+                        console.log(`${r.alert ? ICONS.alert : ICONS.success} #${i + 1}: ${formatDropResult(r)}`);
+                    } else if (r.error.includes('LogonSessionReplaced')) {
+                        console.log(`${ICONS.error} ${statusNote('SESSION_REPLACED')}.`);
+                        console.log(`${ICONS.warning} ${t('buy.sessionReplacedHint')}`);
+                    } else {
+                        console.log(`${ICONS.error} #${i + 1}: ${r.error}`);
+                    }
+                },
+                onReconcile: (outcome) => console.log(formatReconcile(outcome)),
+            });
+        } catch (e) {
+            console.log(`${ICONS.error} ${t('common.connectionError', { error: e?.message || e })}`);
+            await ask(rl, t('common.pressEnter'));
+            continue;
+        }
+
+        const { results, starsLeft } = purchase;
+
+        console.log(`═══════════════════ ${t('buy.result')} ═══════════════════`);
+        console.log(t('common.account', { username }));
+        console.log(t('buy.offer', { name: lines.map((l) => (lines.length > 1 ? `${l.item.name} × ${l.qty}` : l.item.name)).join(', ') }));
+        console.log(t('buy.starsLeftTotal', { stars: `${starsLeft}${ICONS.star}` }));
+        console.log('');
+
+        const successResults = results.filter((x) => x.ok);
+        if (successResults.length > 0) {
+            const grouped = {};
+            const weapons = [];
+
+            for (const r of successResults) {
+                const info = r.itemInfo;
+                if (info.type === 'weapon') weapons.push(info);
+                else {
+                    if (!grouped[info.name]) grouped[info.name] = { count: 0, rarity: info.rarity ?? 0 };
+                    grouped[info.name].count++;
+                }
+            }
+
+            weapons.sort((a, b) => (b.rarity ?? 0) - (a.rarity ?? 0));
+
+            const groupedEntries = Object.entries(grouped).sort((a, b) => (b[1].rarity ?? 0) - (a[1].rarity ?? 0));
+            for (const [name, data] of groupedEntries) console.log(`${ICONS.success} ${name} × ${data.count}`);
+
+            for (const w of weapons) console.log(`${ICONS.success} ${formatDropLine(w)}`);
+        }
+
+        const failedCount = results.filter((x) => !x.ok).length;
+        if (failedCount > 0) console.log(`${ICONS.error} ${t('buy.errors', { count: failedCount })}`);
+        if (purchase.job.status !== 'done') {
+            console.log(`${ICONS.warning} ${t('buy.unfinishedMenu', { id: purchase.job.id })}`);
+        }
+
+        currentStars = starsLeft;
+
+        console.log('═════════════════════════════════════════════════');
+
+        const exportAnswer = await ask(rl, t('report.askExport', { formats: REPORT_FORMATS.join('/') }));
+        if (exportAnswer) {
+            try {
+                const files = writeReport(buildJobReport(purchase.job.id, items), parseReportFormats(exportAnswer.toLowerCase()), purchase.job.id);
+                for (const file of files) console.log(`${ICONS.success} ${t('report.saved', { file })}`);
+            } catch (e) {
+                console.log(`${ICONS.error} ${t('report.saveFailed', { error: e?.message || e })}`);
+            }
+        }
+
+        const again = await ask(rl, t('buy.again'));
+        if (!/^y(es)?$/i.test(again)) return;
+    }
+}
+
+const EXIT_CODES = {
+    ok: 0,
+    error: 1,
+    usage: 2,
+    invalidToken: 3,
+    insufficientStars: 4,
+    partial: 5,
+    locked: 6,
+};
+
+const BOOLEAN_FLAGS = new Set(['json', 'yes', 'help', 'offline', 'all', 'armory', 'once', 'force']);
+
+// Справка строится при выводе: язык известен только после чтения настроек
+function usage() {
+    return `${t('usage.title')}
+  node cs2-stars-cli.mjs                                   ${t('usage.interactive')}
+  node cs2-stars-cli.mjs accounts [list [<selector>]|show <user>|tags] [--json]
+  node cs2-stars-cli.mjs accounts set <user> [--nickname N] [--group G] [--tags a,b] [--item <armoryId|name>] [--notes T] [--json]
+  node cs2-stars-cli.mjs accounts tag|untag <selector> <tag1,tag2> [--json]
+  node cs2-stars-cli.mjs balance <user> [--json]
+  node cs2-stars-cli.mjs dashboard [<selector>] [--refresh stale|all|none] [--sort ${DASHBOARD_SORTS.join('|')}] [--item <armoryId|name>] [--concurrency N] [--json]
+  node cs2-stars-cli.mjs buy <user> [--item <armoryId|name>] --qty N --yes [--export csv,json,html|all] [--json]
+  node cs2-stars-cli.mjs bulk-buy <selector> --item <armoryId|name> [--concurrency N] --yes [--json]
+  node cs2-stars-cli.mjs ev [--json]
+  node cs2-stars-cli.mjs plan <user> [--goal ${GOALS.join('|')}] [--reserve N] [--yes] [--export ...] [--json]
+  node cs2-stars-cli.mjs plan --stars N [--goal ...] [--reserve N] [--json]
+  node cs2-stars-cli.mjs history [--account <user>] [--item <armoryId|name>] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--json]
+  node cs2-stars-cli.mjs report <jobId|last> [--format csv,json,html|all] [--out <dir>] [--json]
+  node cs2-stars-cli.mjs report --account <user> [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format ...] [--out <dir>] [--json]
+  node cs2-stars-cli.mjs serve [--host ${DEFAULT_CONFIG.api.host}] [--port ${DEFAULT_CONFIG.api.port}] [--token <token>]   ${t('usage.serve')}
+  node cs2-stars-cli.mjs add-account <user> --password <pass> [--code <guard> | --shared-secret <secret>] [--proxy <url>] [--bind <ip>] [--group G] [--tags a,b] [--json]
+  node cs2-stars-cli.mjs import-accounts <list.txt|maFiles> [--mafiles <dir>] [--passwords <list.txt>] [--password <pass>] [--concurrency N] [--retries N] [--force] [--group G] [--tags a,b] [--json]
+  node cs2-stars-cli.mjs guard list|code <user>|set <user> --secret <secret>|remove <user>|import <path> [--json]
+  node cs2-stars-cli.mjs proxy list|set <user> [--proxy <url>] [--bind <ip>]|remove <user>|check [<user>[,<user>...]|all] [--json]
+  node cs2-stars-cli.mjs inventory <user> [--type T] [--rarity R] [--collection C] [--armory] [--sort ${SORT_KEYS.join('|')}] [--json]
+  node cs2-stars-cli.mjs watch <user> [--duration S] [--json]          ${t('usage.watch')}
+  node cs2-stars-cli.mjs jobs [list [--all]|resume <id|all>|cancel <id|all>] [--json]
+  node cs2-stars-cli.mjs items import <items_game.txt> [--overrides <file>] [--yes] [--json]
+  node cs2-stars-cli.mjs vault status|enable|migrate [--json]
+  node cs2-stars-cli.mjs tokens [list|renew] [--days N] [--json]
+  node cs2-stars-cli.mjs config [show|init [<file>]] [--json]          ${t('usage.config')}
+  node cs2-stars-cli.mjs alerts [list|init [<file>]|test [--webhook <name>]|check [--account <user>] [--from ...] [--to ...]] [--json]
+  node cs2-stars-cli.mjs alerts receive [--host 127.0.0.1] [--port 8788] [--duration S]   ${t('usage.alertsReceive')}
+  node cs2-stars-cli.mjs daemon run [--once] [--duration S] [--json]   ${t('usage.daemon')}
+  node cs2-stars-cli.mjs daemon [status|log [--account <user>] [--limit N]|init [<file>]] [--json]
+
+${t('usage.notes')}
+
+${t('usage.settings', { file: CONFIG_FILE, env: CONFIG_ENV, example: envName('timeouts', 'purchaseMs'), languages: LANGUAGES.join('|') })}
+
+${t('usage.offline')}
+  --offline [--offline-stars N] [--offline-scenario ${OFFLINE_SCENARIOS.join('|')}]
+
+${t('usage.exitCodes')}`;
+}
+
+class UsageError extends Error {}
+
+class LockedError extends Error {}
+
+function parseArgv(argv) {
+    const positionals = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        if (eq !== -1) {
+            flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+            continue;
+        }
+
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (BOOLEAN_FLAGS.has(key) || next === undefined || next.startsWith('--')) {
+            flags[key] = true;
+        } else {
+            flags[key] = next;
+            i++;
+        }
+    }
+
+    return { positionals, flags };
+}
+
+function requireFlag(flags, name) {
+    const value = flags[name];
+    if (value === undefined || value === true || !String(value).trim()) {
+        throw new UsageError(t('errors.missingFlag', { name }));
+    }
+    return String(value).trim();
+}
+
+function output(flags, data, lines) {
+    if (flags.json) {
+        process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+        return;
+    }
+    for (const line of lines) console.log(line);
+}
+
+function findItem(items, query) {
+    const q = String(query).trim();
+    const asId = Number(q);
+    if (Number.isFinite(asId) && asId > 0) {
+        const byId = items.find((it) => it.armoryId === asId);
+        if (byId) return byId;
+    }
+
+    const lower = q.toLowerCase();
+    const exact = items.find((it) => it.name.toLowerCase() === lower);
+    if (exact) return exact;
+
+    const partial = items.filter((it) => it.name.toLowerCase().includes(lower));
+    if (partial.length === 1) return partial[0];
+    if (partial.length > 1) {
+        throw new UsageError(t('errors.ambiguousItem', { query: q, matches: partial.map((it) => it.name).join(', ') }));
+    }
+
+    throw new UsageError(t('errors.itemNotFound', { query: q }));
+}
+
+function requireAccount(positionals) {
+    const username = positionals[0];
+    if (!username) throw new UsageError(t('errors.missingAccount'));
+    if (!SessionManager.listAccounts().includes(username)) {
+        throw new UsageError(t('errors.accountNotFound', { username }));
+    }
+    return username;
+}
+
+// Селектор аккаунтов: имена через запятую, all, tag:<тег>, group:<группа>
+function selectAccounts(selector, known) {
+    const { accounts, missing } = AccountRegistry.select(selector, known);
+    if (missing.length) throw new UsageError(t('errors.accountsNotFound', { accounts: missing.join(', ') }));
+    if (!accounts.length) throw new UsageError(t('errors.noAccounts'));
+    return accounts;
+}
+
+// Ошибки проверки полей реестра (тег, SteamID…) — это ошибки аргументов
+function registryCall(fn) {
+    try {
+        return fn();
+    } catch (e) {
+        throw new UsageError(e?.message || String(e));
+    }
+}
+
+function formatLabels(entry) {
+    const labels = [entry.nickname && `«${entry.nickname}»`, entry.group && `@${entry.group}`, ...entry.tags.map((tag) => `#${tag}`)];
+    return labels.filter(Boolean).join(' ');
+}
+
+// Сведения об аккаунте: метаданные из реестра и то, что хранится в защищённых файлах (есть ли shared_secret, прокси)
+function accountDetails(username, items) {
+    const entry = AccountRegistry.get(username);
+    const hasNetwork = SessionManager.listNetworkSettings().includes(username);
+    // Прокси может быть зашифрован: без разблокировки известно только, что он задан
+    const networkLocked = hasNetwork && SessionManager.isEncryptionEnabled() && !SessionManager.isUnlocked();
+    const network = hasNetwork && !networkLocked ? SessionManager.loadNetworkSettings(username) : null;
+    const defaultOffer = entry.defaultItem ? items.find((it) => String(it.armoryId) === entry.defaultItem) : null;
+    return {
+        account: username,
+        ...entry,
+        defaultItemName: defaultOffer?.name ?? null,
+        guard: SessionManager.listSharedSecrets().includes(username),
+        proxy: network ? maskProxy(network.proxy) : null,
+        localAddress: network?.localAddress ?? null,
+        networkLocked,
+        session: SessionManager.listAccounts().includes(username),
+    };
+}
+
+function formatAccountDetails(d) {
+    const none = t('accounts.none');
+    return [
+        `${d.account}${d.session ? '' : ` (${t('accounts.noSession')})`}`,
+        `  SteamID: ${d.steamId ?? none}`,
+        `  ${t('accounts.field.nickname')}: ${d.nickname ?? none}`,
+        `  ${t('accounts.field.group')}: ${d.group ?? none}`,
+        `  ${t('accounts.field.tags')}: ${d.tags.length ? d.tags.join(', ') : none}`,
+        `  ${t('accounts.field.defaultItem')}: ${d.defaultItemName ?? d.defaultItem ?? none}`,
+        `  ${t('accounts.field.guard')}: ${d.guard ? t('accounts.guardSaved') : none}`,
+        `  ${t('accounts.field.proxy')}: ${d.networkLocked ? t('accounts.locked') : formatNetwork(d)}`,
+        `  ${t('accounts.field.notes')}: ${d.notes ?? none}`,
+    ];
+}
+
+// Значение поля из флага: --group= или --group без значения очищает поле
+function registryFlag(flags, name) {
+    const value = flags[name];
+    return value === true ? '' : String(value);
+}
+
+// --group / --tags у add-account и import-accounts: null, если не заданы
+function registryLabelFlags(flags) {
+    if (flags.group === undefined && flags.tags === undefined) return null;
+    const changes = {};
+    if (flags.group !== undefined) changes.group = registryFlag(flags, 'group');
+    if (flags.tags !== undefined) changes.tags = registryFlag(flags, 'tags');
+    return registryCall(() => AccountRegistry.normalize(changes));
+}
+
+async function cmdAccounts(positionals, flags, items) {
+    const [sub = 'list', target] = positionals;
+
+    if (sub === 'list') {
+        const accounts = target ? selectAccounts(target) : SessionManager.listAccounts();
+        const details = accounts.map((username) => accountDetails(username, items));
+        const lines = details.map((d) => {
+            const labels = formatLabels(d);
+            return labels ? `${d.account}  ${labels}` : d.account;
+        });
+        output(flags, { accounts, details }, lines);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'tags') {
+        const { tags, groups } = AccountRegistry.labels();
+        const format = (counts, prefix) => Object.entries(counts).sort(([a], [b]) => a.localeCompare(b)).map(([label, count]) => `  ${prefix}${label} (${count})`);
+        output(flags, { tags, groups }, [
+            `${t('accounts.field.tags')}:`,
+            ...(Object.keys(tags).length ? format(tags, 'tag:') : [`  ${t('accounts.none')}`]),
+            `${t('accounts.groups')}:`,
+            ...(Object.keys(groups).length ? format(groups, 'group:') : [`  ${t('accounts.none')}`]),
+        ]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'show') {
+        const username = requireAccount(positionals.slice(1));
+        const details = accountDetails(username, items);
+        output(flags, details, formatAccountDetails(details));
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'set') {
+        const username = requireAccount(positionals.slice(1));
+        const changes = {};
+        if (flags.nickname !== undefined) changes.nickname = registryFlag(flags, 'nickname');
+        if (flags.group !== undefined) changes.group = registryFlag(flags, 'group');
+        if (flags.tags !== undefined) changes.tags = registryFlag(flags, 'tags');
+        if (flags.notes !== undefined) changes.notes = registryFlag(flags, 'notes');
+        if (flags['steam-id'] !== undefined) changes.steamId = registryFlag(flags, 'steam-id');
+        if (flags.item !== undefined) {
+            const query = registryFlag(flags, 'item');
+            changes.defaultItem = query ? String(findItem(items, query).armoryId) : '';
+        }
+        if (!Object.keys(changes).length) throw new UsageError(t('accounts.missingFields'));
+
+        registryCall(() => AccountRegistry.update(username, changes));
+        const details = accountDetails(username, items);
+        output(flags, { ok: true, ...details }, [`${ICONS.success} ${t('accounts.saved', { username })}`, ...formatAccountDetails(details)]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'tag' || sub === 'untag') {
+        if (!target) throw new UsageError(t('errors.missingAccounts'));
+        const accounts = selectAccounts(target);
+        const tags = registryCall(() => parseTags(positionals[2] ?? ''));
+        if (!tags.length) throw new UsageError(t('accounts.missingTags'));
+
+        AccountRegistry.retag(accounts, sub === 'tag' ? { add: tags } : { remove: tags });
+        const key = sub === 'tag' ? 'accounts.tagged' : 'accounts.untagged';
+        output(flags, { ok: true, accounts, tags }, [`${ICONS.success} ${t(key, { tags: tags.join(', '), count: accounts.length })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `accounts ${sub}` }));
+}
+
+async function cmdBalance(positionals, flags) {
+    const username = requireAccount(positionals);
+    const info = await getStarsAutoDetailed(username);
+
+    if (!info.ok) {
+        output(flags, { ok: false, account: username, stars: null, code: info.code, note: info.note }, [`${ICONS.error} ${username}: ${info.note}`]);
+        return info.code === 'INVALID_TOKEN' ? EXIT_CODES.invalidToken : EXIT_CODES.error;
+    }
+
+    output(flags, { ok: true, account: username, stars: info.stars }, [`${username}: ${info.stars}${ICONS.star}`]);
+    return EXIT_CODES.ok;
+}
+
+const DASHBOARD_SORTS = ['balance', 'name', 'checked'];
+const DASHBOARD_REFRESH = ['stale', 'all', 'none'];
+
+/**
+ * Строки сводки по кэшу балансов, без подключения к Steam
+ * @param {string[]} accounts
+ * @param {Object} [options]
+ * @param {Object} [options.item] - Предложение для колонки «можно купить»
+ * @param {string} [options.sortBy='balance']
+ * @returns {Object[]}
+ */
+function dashboardRows(accounts, { item = null, sortBy = 'balance' } = {}) {
+    const cache = BalanceCache.readAll();
+    const registry = AccountRegistry.readAll();
+    const lastPurchases = new Map();
+    for (const e of PurchaseHistory.readAll()) if (e.ok) lastPurchases.set(e.account, e);
+    const staleMs = config.dashboard.staleMinutes * 60000;
+
+    const rows = accounts.map((username) => {
+        const cached = cache[username] ?? null;
+        const stars = cached?.stars ?? null;
+        const last = lastPurchases.get(username);
+        const token = SessionManager.getTokenInfo(username);
+        return {
+            account: username,
+            labels: registry[username] ? formatLabels(registry[username]) : '',
+            stars,
+            checkedAt: cached?.checkedAt ?? null,
+            code: cached?.code ?? null,
+            stale: BalanceCache.isStale(cached, staleMs),
+            token: token ? { valid: token.valid, expired: token.expired, daysLeft: token.daysLeft } : null,
+            lastPurchase: last ? { timestamp: last.timestamp, itemName: last.itemName, drop: last.drop?.name ?? null } : null,
+            canBuy: item && stars !== null ? Math.floor(stars / item.price) : null,
+        };
+    });
+
+    // Неизвестный баланс — в конце при сортировке по балансу и в начале при сортировке по давности проверки
+    const byName = (a, b) => a.account.localeCompare(b.account);
+    const sorters = {
+        balance: (a, b) => (b.stars ?? -1) - (a.stars ?? -1) || byName(a, b),
+        name: byName,
+        checked: (a, b) => (Date.parse(a.checkedAt ?? '') || 0) - (Date.parse(b.checkedAt ?? '') || 0) || byName(a, b),
+    };
+    return rows.sort(sorters[sortBy]);
+}
+
+async function refreshBalances(accounts, { concurrency = config.dashboard.concurrency, log = () => {} } = {}) {
+    return mapWithConcurrency(accounts, concurrency, async (username) => {
+        const info = await getStarsAutoDetailed(username);
+        // Аккаунтов может быть много: подключение не держим, как и демон
+        connectionPool.disconnect(username);
+        log(info.ok ? `${ICONS.success} ${username}: ${info.stars}${ICONS.star}` : `${ICONS.error} ${username}: ${info.note}`);
+        return { account: username, ...info };
+    });
+}
+
+function formatAge(timestamp) {
+    if (!timestamp) return t('dashboard.never');
+    const minutes = Math.max(0, Math.floor((Date.now() - Date.parse(timestamp)) / 60000));
+    if (minutes < 1) return t('dashboard.justNow');
+    if (minutes < 60) return t('dashboard.minutesAgo', { n: minutes });
+    if (minutes < 48 * 60) return t('dashboard.hoursAgo', { n: Math.floor(minutes / 60) });
+    return t('dashboard.daysAgo', { n: Math.floor(minutes / (24 * 60)) });
+}
+
+function formatDashboard(rows, { item = null, sortBy = 'balance' } = {}) {
+    const names = rows.map((r) => (r.labels ? `${r.account} ${r.labels}` : r.account));
+    const header = ['account', 'stars', 'checked', 'token', 'last'].map((c) => t(`dashboard.column.${c}`));
+    const canBuyHeader = t('dashboard.column.canBuy');
+    const checked = rows.map((r) => `${formatAge(r.checkedAt)}${r.stale ? '*' : ''}`);
+    const tokens = rows.map((r) => (r.token ? formatTokenStatus(r.token) : t('accounts.noSession')));
+
+    const nameWidth = Math.max(header[0].length, ...names.map((n) => n.length));
+    const checkedWidth = Math.max(header[2].length, ...checked.map((c) => c.length));
+    const tokenWidth = Math.max(header[3].length, ...tokens.map((c) => c.length));
+
+    const lines = [
+        `═══════════════════ ${t('dashboard.title')} ═══════════════════`,
+        t('dashboard.sorted', { sort: t(`dashboard.sort.${sortBy}`) }),
+    ];
+    if (item) lines.push(t('bulk.offer', { name: item.name, price: `${item.price}${ICONS.star}` }));
+    lines.push(
+        '',
+        [header[0].padEnd(nameWidth), header[1].padStart(6), ...(item ? [canBuyHeader] : []), header[2].padEnd(checkedWidth), header[3].padEnd(tokenWidth), header[4]].join('  ')
+    );
+
+    rows.forEach((r, i) => {
+        const stars = r.stars === null ? '-' : String(r.stars);
+        const last = r.lastPurchase ? `${r.lastPurchase.drop ?? r.lastPurchase.itemName}, ${formatAge(r.lastPurchase.timestamp)}` : '-';
+        const note = r.code ? `  ${ICONS.error} ${statusNote(r.code)}` : '';
+        lines.push(
+            [
+                names[i].padEnd(nameWidth),
+                stars.padStart(6),
+                ...(item ? [String(r.canBuy ?? '-').padStart(canBuyHeader.length)] : []),
+                checked[i].padEnd(checkedWidth),
+                tokens[i].padEnd(tokenWidth),
+                last,
+            ].join('  ') + note
+        );
+    });
+
+    const known = rows.filter((r) => r.stars !== null);
+    const total = known.reduce((sum, r) => sum + r.stars, 0);
+    lines.push('', t('dashboard.totals', { accounts: rows.length, known: known.length, stars: `${total}${ICONS.star}` }));
+    if (item) {
+        const buyers = known.filter((r) => r.canBuy > 0);
+        lines.push(t('dashboard.canBuyTotal', { name: item.name, qty: buyers.reduce((sum, r) => sum + r.canBuy, 0), accounts: buyers.length }));
+    }
+    if (rows.some((r) => r.stale)) lines.push(t('dashboard.staleNote', { minutes: config.dashboard.staleMinutes }));
+    return lines;
+}
+
+async function cmdDashboard(positionals, flags, items) {
+    const accounts = positionals[0] ? selectAccounts(positionals[0]) : SessionManager.listAccounts();
+    const sortBy = flags.sort === undefined ? 'balance' : requireFlag(flags, 'sort');
+    if (!DASHBOARD_SORTS.includes(sortBy)) throw new UsageError(t('errors.oneOf', { flag: '--sort', values: DASHBOARD_SORTS.join(', ') }));
+    const refresh = flags.refresh === undefined ? 'stale' : requireFlag(flags, 'refresh');
+    if (!DASHBOARD_REFRESH.includes(refresh)) throw new UsageError(t('errors.oneOf', { flag: '--refresh', values: DASHBOARD_REFRESH.join(', ') }));
+    const concurrency = toInt(flags.concurrency ?? config.dashboard.concurrency);
+    if (concurrency === null || concurrency <= 0) throw new UsageError(t('errors.positive', { flag: '--concurrency' }));
+    const item = flags.item === undefined ? null : findItem(items, requireFlag(flags, 'item'));
+
+    let refreshed = [];
+    if (refresh !== 'none') {
+        requireUnlocked();
+        const rows = dashboardRows(accounts);
+        const targets = refresh === 'all' ? accounts : rows.filter((r) => r.stale).map((r) => r.account);
+        if (targets.length && !flags.json) console.log(`${ICONS.loading} ${t('dashboard.refreshing', { count: targets.length, total: accounts.length })}`);
+        refreshed = await refreshBalances(targets, { concurrency, log: flags.json ? () => {} : (line) => console.log(line) });
+        if (targets.length && !flags.json) console.log('');
+    }
+
+    const rows = dashboardRows(accounts, { item, sortBy });
+    const known = rows.filter((r) => r.stars !== null);
+    output(
+        flags,
+        {
+            accounts: rows,
+            refreshed: refreshed.map((r) => ({ account: r.account, ok: r.ok, code: r.code })),
+            totals: { accounts: rows.length, known: known.length, stars: known.reduce((sum, r) => sum + r.stars, 0) },
+            item: item ? { name: item.name, armoryId: item.armoryId, price: item.price } : null,
+        },
+        accounts.length ? formatDashboard(rows, { item, sortBy }) : [t('errors.noAccounts')]
+    );
+
+    const failed = refreshed.filter((r) => !r.ok).length;
+    if (!failed) return EXIT_CODES.ok;
+    return failed === refreshed.length ? EXIT_CODES.error : EXIT_CODES.partial;
+}
+
+async function cmdBuy(positionals, flags, items) {
+    const username = requireAccount(positionals);
+    // Без --item берём предложение по умолчанию из реестра аккаунтов
+    const defaultItem = flags.item === undefined ? AccountRegistry.get(username).defaultItem : null;
+    const item = findItem(items, defaultItem ?? requireFlag(flags, 'item'));
+
+    const qty = toInt(flags.qty ?? 1);
+    if (qty === null || qty <= 0) throw new UsageError(t('errors.positive', { flag: '--qty' }));
+    if (!flags.yes) throw new UsageError(t('errors.yesRequired'));
+    const exportFormats = flags.export === undefined ? null : parseReportFormats(flags.export);
+
+    const starsInfo = await getStarsAutoDetailed(username);
+    if (!starsInfo.ok) {
+        output(flags, { ok: false, account: username, code: starsInfo.code, note: starsInfo.note }, [`${ICONS.error} ${username}: ${starsInfo.note}`]);
+        return starsInfo.code === 'INVALID_TOKEN' ? EXIT_CODES.invalidToken : EXIT_CODES.error;
+    }
+
+    const totalCost = item.price * qty;
+    if (totalCost > starsInfo.stars) {
+        output(
+            flags,
+            { ok: false, account: username, stars: starsInfo.stars, totalCost, code: 'INSUFFICIENT_STARS', note: statusNote('INSUFFICIENT_STARS') },
+            [`${ICONS.warning} ${t('buy.notEnough', { cost: `${totalCost}${ICONS.star}`, stars: `${starsInfo.stars}${ICONS.star}` })}`]
+        );
+        return EXIT_CODES.insufficientStars;
+    }
+
+    const log = flags.json ? () => {} : (line) => console.log(line);
+
+    let purchase;
+    try {
+        purchase = await runPurchase(username, item, qty, starsInfo.stars, {
+            onResult: (r, i) => {
+                if (r.ok) log(`${r.alert ? ICONS.alert : ICONS.success} #${i + 1}: ${formatDropResult(r)}`);
+                else log(`${ICONS.error} #${i + 1}: ${r.error}`);
+            },
+            onReconcile: (outcome) => log(formatReconcile(outcome)),
+        });
+    } catch (e) {
+        const msg = e?.message || String(e);
+        output(flags, { ok: false, account: username, note: msg }, [`${ICONS.error} ${t('common.connectionError', { error: msg })}`]);
+        return EXIT_CODES.error;
+    }
+
+    const drops = purchase.results.filter((r) => r.ok).map((r) => r.itemInfo);
+    const errors = purchase.results.filter((r) => !r.ok).map((r) => r.error);
+    const purchased = jobDone(purchase.job);
+    const reports = exportFormats ? writeReport(buildJobReport(purchase.job.id, items), exportFormats, purchase.job.id) : [];
+
+    output(
+        flags,
+        {
+            ok: purchased === qty,
+            account: username,
+            item: { name: item.name, armoryId: item.armoryId, price: item.price },
+            requested: qty,
+            purchased,
+            starsBefore: starsInfo.stars,
+            starsLeft: purchase.starsLeft,
+            jobId: purchase.job.id,
+            jobStatus: purchase.job.status,
+            reconciled: purchase.reconcile ? { happened: purchase.reconcile.happened, stars: purchase.reconcile.stars } : null,
+            drops,
+            alerts: purchase.alerts,
+            paused: purchase.paused,
+            errors,
+            reports,
+        },
+        [
+            t('buy.bought', { purchased, qty, name: item.name, stars: `${purchase.starsLeft}${ICONS.star}` }),
+            ...formatJobHint(purchase.job),
+            ...reports.map((file) => t('report.saved', { file })),
+        ]
+    );
+
+    if (purchased === qty) return EXIT_CODES.ok;
+    return purchased > 0 ? EXIT_CODES.partial : EXIT_CODES.error;
+}
+
+async function cmdPlan(positionals, flags, items) {
+    const goal = flags.goal === undefined ? 'value' : String(flags.goal);
+    if (!GOALS.includes(goal)) throw new UsageError(t('errors.oneOf', { flag: '--goal', values: GOALS.join(', ') }));
+
+    const reserve = toInt(flags.reserve ?? 0);
+    if (reserve === null || reserve < 0) throw new UsageError(t('errors.nonNegative', { flag: '--reserve' }));
+    const exportFormats = flags.export === undefined ? null : parseReportFormats(flags.export);
+
+    let username = null;
+    let stars;
+    if (flags.stars !== undefined) {
+        if (flags.yes) throw new UsageError(t('plan.yesWithStars'));
+        stars = toInt(flags.stars);
+        if (stars === null || stars < 0) throw new UsageError(t('errors.nonNegative', { flag: '--stars' }));
+    } else {
+        username = requireAccount(positionals);
+        requireUnlocked();
+
+        const starsInfo = await getStarsAutoDetailed(username);
+        if (!starsInfo.ok) {
+            output(flags, { ok: false, account: username, code: starsInfo.code, note: starsInfo.note }, [`${ICONS.error} ${username}: ${starsInfo.note}`]);
+            return starsInfo.code === 'INVALID_TOKEN' ? EXIT_CODES.invalidToken : EXIT_CODES.error;
+        }
+        stars = starsInfo.stars;
+    }
+
+    const plan = basketPlanner.plan(items, stars, { goal, reserve });
+    const basket = serializeBasket(plan);
+
+    if (!flags.yes || !plan.lines.length) {
+        output(flags, { ok: true, account: username, stars, plan: basket }, formatBasket(plan));
+        return EXIT_CODES.ok;
+    }
+
+    const log = flags.json ? () => {} : (line) => console.log(line);
+    for (const line of formatBasket(plan)) log(line);
+    log('');
+
+    let purchase;
+    try {
+        purchase = await runBasket(
+            username,
+            plan.lines.map((l) => ({ item: l.offer, qty: l.qty })),
+            stars,
+            {
+                onResult: (r, i) => {
+                    if (r.ok) log(`${r.alert ? ICONS.alert : ICONS.success} #${i + 1}: ${formatDropResult(r)}`);
+                    else log(`${ICONS.error} #${i + 1}: ${r.error}`);
+                },
+                onReconcile: (outcome) => log(formatReconcile(outcome)),
+            }
+        );
+    } catch (e) {
+        const msg = e?.message || String(e);
+        output(flags, { ok: false, account: username, note: msg }, [`${ICONS.error} ${t('common.connectionError', { error: msg })}`]);
+        return EXIT_CODES.error;
+    }
+
+    const requested = plan.lines.reduce((sum, l) => sum + l.qty, 0);
+    const drops = purchase.results.filter((r) => r.ok).map((r) => ({ armoryId: r.item.armoryId, ...r.itemInfo }));
+    const errors = purchase.results.filter((r) => !r.ok).map((r) => r.error);
+    const purchased = jobDone(purchase.job);
+    const reports = exportFormats ? writeReport(buildJobReport(purchase.job.id, items), exportFormats, purchase.job.id) : [];
+
+    output(
+        flags,
+        {
+            ok: purchased === requested,
+            account: username,
+            plan: basket,
+            requested,
+            purchased,
+            starsBefore: stars,
+            starsLeft: purchase.starsLeft,
+            jobId: purchase.job.id,
+            jobStatus: purchase.job.status,
+            drops,
+            alerts: purchase.alerts,
+            paused: purchase.paused,
+            errors,
+            reports,
+        },
+        [
+            t('plan.bought', { purchased, requested, stars: `${purchase.starsLeft}${ICONS.star}` }),
+            ...formatJobHint(purchase.job),
+            ...reports.map((file) => t('report.saved', { file })),
+        ]
+    );
+
+    if (purchased === requested) return EXIT_CODES.ok;
+    return purchased > 0 ? EXIT_CODES.partial : EXIT_CODES.error;
+}
+
+async function cmdBulkBuy(positionals, flags, items) {
+    const selector = positionals[0];
+    if (!selector) throw new UsageError(t('errors.missingAccounts'));
+
+    const accounts = selectAccounts(selector);
+    const item = findItem(items, requireFlag(flags, 'item'));
+    const concurrency = toInt(flags.concurrency ?? 1);
+    if (concurrency === null || concurrency <= 0) throw new UsageError(t('errors.positive', { flag: '--concurrency' }));
+    if (!flags.yes) throw new UsageError(t('errors.yesRequired'));
+
+    const rows = await bulkRedeem(accounts, item, {
+        concurrency,
+        log: flags.json ? () => {} : (line) => console.log(line),
+    });
+
+    const ok = rows.every((r) => r.status === 'ok' || r.status === 'skipped');
+    output(
+        flags,
+        { ok, item: { name: item.name, armoryId: item.armoryId, price: item.price }, accounts: rows },
+        ['', ...formatBulkSummary(rows, item)]
+    );
+
+    if (ok) return EXIT_CODES.ok;
+    return rows.some((r) => r.purchased > 0) ? EXIT_CODES.partial : EXIT_CODES.error;
+}
+
+async function cmdEv(positionals, flags, items) {
+    const rows = evaluateOffers(items);
+    output(
+        flags,
+        {
+            offers: rows.map(({ item, estimate }) => ({
+                name: item.name,
+                armoryId: item.armoryId,
+                price: item.price,
+                ...estimate,
+            })),
+        },
+        formatEvReport(rows)
+    );
+    return EXIT_CODES.ok;
+}
+
+async function cmdHistory(positionals, flags) {
+    const from = parseDateBound(flags.from === true ? '' : flags.from, false);
+    const to = parseDateBound(flags.to === true ? '' : flags.to, true);
+    if (from === undefined || to === undefined) throw new UsageError(t('errors.badDate'));
+
+    const entries = PurchaseHistory.query({
+        account: typeof flags.account === 'string' ? flags.account : undefined,
+        item: typeof flags.item === 'string' ? flags.item : undefined,
+        from: from || undefined,
+        to: to || undefined,
+    });
+
+    output(flags, { entries }, entries.length ? entries.map(formatHistoryEntry) : [t('history.empty')]);
+    return EXIT_CODES.ok;
+}
+
+// Ошибки аргументов из общих функций (findItem и т.п.) — это 400 для API
+function apiCall(fn) {
+    try {
+        return fn();
+    } catch (e) {
+        if (e instanceof UsageError) throw new ApiError(400, e.message);
+        throw e;
+    }
+}
+
+function apiDrop(r) {
+    const gcItem = r.itemInfo?.item;
+    const resolved = gcItem?.def_index ? inventoryBrowser.resolve(gcItem) : null;
+    return resolved ? { ...resolved, defIndex: gcItem.def_index } : { name: r.itemInfo?.name ?? null };
+}
+
+// HTTP API поверх тех же функций, что и меню: аккаунты, баланс, предложения, покупка.
+// Ход покупки и выпавшие предметы рассылаются подписчикам WebSocket /api/events.
+function createApiServer(items, token, { log = () => {} } = {}) {
+    const api = new ApiServer({ token });
+    const busy = new Set();
+
+    const knownAccount = (username) => {
+        if (!SessionManager.listAccounts().includes(username)) throw new ApiError(404, `Account not found: ${username}`);
+        return username;
+    };
+
+    api.route('GET', '/api/accounts', () => ({
+        accounts: SessionManager.listAccounts().map((username) => {
+            const info = SessionManager.getTokenInfo(username);
+            return {
+                username,
+                busy: busy.has(username),
+                connected: connectionPool.isConnected(username),
+                tokenExpiresAt: info?.expiresAt ?? null,
+                tokenValid: info ? info.valid && !info.expired : null,
+            };
+        }),
+    }));
+
+    api.route('GET', '/api/accounts/:username/balance', async ({ params }) => {
+        const username = knownAccount(params.username);
+        const info = await getStarsAutoDetailed(username);
+        if (!info.ok) throw new ApiError(502, info.note, { account: username, code: info.code, note: info.note });
+        return { ok: true, account: username, stars: info.stars };
+    });
+
+    api.route('GET', '/api/offers', () => ({
+        offers: items.map((item) => {
+            const { value, valuePerStar } = valueEstimator.estimateOffer(item);
+            return { name: item.name, armoryId: item.armoryId, price: item.price, value, valuePerStar };
+        }),
+    }));
+
+    api.route('GET', '/api/jobs/:id', ({ params }) => {
+        const job = PurchaseJobs.isValidId(params.id) ? PurchaseJobs.load(params.id) : null;
+        if (!job) throw new ApiError(404, `Job not found: ${params.id}`);
+        return job;
+    });
+
+    // Покупка запускается в фоне: ответ 202 с id заказа, дальше — события purchase.* по WebSocket
+    api.route('POST', '/api/purchases', async ({ body }) => {
+        if (!body.account || body.item === undefined) throw new ApiError(400, 'account and item are required');
+        const username = knownAccount(String(body.account));
+        if (busy.has(username)) throw new ApiError(409, `Purchase in progress for ${username}`);
+        const item = apiCall(() => findItem(items, body.item));
+        const qty = toInt(body.qty ?? 1);
+        if (qty === null || qty <= 0) throw new ApiError(400, 'qty must be a positive integer');
+
+        busy.add(username);
+        let job;
+        try {
+            const starsInfo = await getStarsAutoDetailed(username);
+            if (!starsInfo.ok) throw new ApiError(502, starsInfo.note, { account: username, code: starsInfo.code, note: starsInfo.note });
+            if (item.price * qty > starsInfo.stars) {
+                throw new ApiError(409, 'INSUFFICIENT_STARS', { account: username, code: 'INSUFFICIENT_STARS', stars: starsInfo.stars, totalCost: item.price * qty });
+            }
+            job = PurchaseJobs.create(username, jobLines([{ item, qty }]), starsInfo.stars);
+        } catch (e) {
+            busy.delete(username);
+            throw e;
+        }
+
+        const base = { jobId: job.id, account: username };
+        const offer = { name: item.name, armoryId: item.armoryId, price: item.price };
+        api.broadcast('purchase.started', { ...base, item: offer, qty, starsBefore: job.starsBefore });
+        log(`${ICONS.loading} [${username}] ${t('serve.purchase', { qty, name: item.name, id: job.id })}`);
+
+        runPurchase(username, item, qty, job.starsBefore, {
+            job,
+            onResult: (r, i) => {
+                if (r.ok) {
+                    api.broadcast('purchase.drop', { ...base, index: i, item: offer, drop: apiDrop(r), starsLeft: r.starsLeft, reconciled: r.reconciled });
+                    log(`${r.alert ? ICONS.alert : ICONS.success} [${username}] #${i + 1}: ${formatDropResult(r)}`);
+                } else {
+                    api.broadcast('purchase.error', { ...base, index: i, item: offer, error: r.error });
+                    log(`${ICONS.error} [${username}] #${i + 1}: ${r.error}`);
                 }
+            },
+            onAlert: (alert) => api.broadcast('purchase.alert', { ...base, ...alert }),
+            onReconcile: (outcome) => {
+                api.broadcast('purchase.reconcile', { ...base, happened: outcome.happened, stars: outcome.stars, code: outcome.code, note: outcome.note });
+                log(formatReconcile(outcome, username));
+            },
+        })
+            .then(({ starsLeft, paused }) => {
+                api.broadcast('purchase.finished', { ...base, status: job.status, requested: qty, purchased: jobDone(job), starsLeft, paused });
+            })
+            .catch((e) => {
+                api.broadcast('purchase.failed', { ...base, error: e?.message || String(e) });
+                log(`${ICONS.error} [${username}] ${t('common.connectionError', { error: e?.message || e })}`);
+            })
+            .finally(() => busy.delete(username));
+
+        return { status: 202, body: { ok: true, ...base, item: offer, qty, starsBefore: job.starsBefore } };
+    });
+
+    return api;
+}
+
+async function cmdServe(positionals, flags, items) {
+    const host = flags.host === undefined ? config.api.host : requireFlag(flags, 'host');
+    const port = toInt(flags.port ?? config.api.port);
+    if (port === null || port < 0 || port > 65535) throw new UsageError(t('serve.badPort'));
+
+    const given = flags.token !== undefined ? requireFlag(flags, 'token') : process.env.CS2_STARS_API_TOKEN;
+    const token = given || crypto.randomBytes(24).toString('hex');
+
+    const api = createApiServer(items, token, { log: (line) => console.log(line) });
+    const address = await api.listen(port, host);
+
+    console.log(`${ICONS.success} API: http://${address.host}:${address.port}/api (WebSocket: ws://${address.host}:${address.port}/api/events)`);
+    if (!given) console.log(t('serve.token', { token }));
+    console.log(t('serve.stopHint'));
+
+    await new Promise((resolve) => process.once('SIGINT', resolve));
+    await api.close();
+    console.log(t('serve.stopped'));
+    return EXIT_CODES.ok;
+}
+
+async function cmdReport(positionals, flags, items) {
+    const formats = parseReportFormats(flags.format);
+    const account = typeof flags.account === 'string' ? flags.account : undefined;
+    const dir = flags.out === undefined ? runtime.reportsDir : requireFlag(flags, 'out');
+
+    let report;
+    let name;
+    const target = positionals[0];
+    if (target) {
+        const jobId = target === 'last' ? lastJobId(account) : target;
+        if (!jobId) throw new UsageError(t('report.noJobs'));
+        report = buildJobReport(jobId, items);
+        if (!report.rows.length) throw new UsageError(t('report.jobNotFound', { id: jobId }));
+        name = jobId;
+    } else {
+        // Без заказа — все покупки за период (и/или по аккаунту)
+        if (!account && flags.from === undefined && flags.to === undefined) throw new UsageError(t('report.missingTarget'));
+        const from = parseDateBound(flags.from === true ? '' : flags.from, false);
+        const to = parseDateBound(flags.to === true ? '' : flags.to, true);
+        if (from === undefined || to === undefined) throw new UsageError(t('errors.badDate'));
+
+        const entries = PurchaseHistory.query({ account, from: from || undefined, to: to || undefined });
+        if (!entries.length) throw new UsageError(t('history.empty'));
+        report = purchaseReport.build(entries, { offers: items, title: account ? t('report.accountTitle', { account }) : t('report.title') });
+        name = `report-${[account, flags.from, flags.to].filter((x) => typeof x === 'string').join('-') || 'all'}`;
+    }
+
+    const files = writeReport(report, formats, name, dir);
+    const { totals } = report;
+    output(flags, { ok: true, files, totals }, [
+        t('report.totals', { purchased: totals.purchased, attempts: totals.attempts, spent: `${totals.starsSpent}${ICONS.star}`, value: formatMoney(totals.value) }),
+        ...files.map((file) => `${ICONS.success} ${t('report.saved', { file })}`),
+    ]);
+    return EXIT_CODES.ok;
+}
+
+async function cmdAddAccount(positionals, flags) {
+    const username = positionals[0];
+    if (!username) throw new UsageError(t('errors.missingLogin'));
+
+    const password = flags.password && flags.password !== true ? String(flags.password) : process.env.CS2_STARS_PASSWORD;
+    if (!password) throw new UsageError(t('errors.missingPassword'));
+
+    let sharedSecret = loadSharedSecret(username);
+    if (flags['shared-secret'] !== undefined) {
+        sharedSecret = normalizeSharedSecret(requireFlag(flags, 'shared-secret'));
+        if (!sharedSecret) throw new UsageError(t('guard.badSecret'));
+    }
+    const twoFactorCode = sharedSecret && flags.code === undefined ? undefined : requireFlag(flags, 'code');
+
+    // Группу и теги проверяем до входа, чтобы ошибка в них не оставила полдела
+    const registryChanges = registryLabelFlags(flags);
+
+    // Прокси нужен уже для первого входа, поэтому сохраняем его до авторизации и возвращаем прежний при ошибке
+    const network = parseNetworkFlags(flags);
+    const previousNetwork = network ? SessionManager.loadNetworkSettings(username) : null;
+    if (network) SessionManager.saveNetworkSettings(username, network);
+
+    const sc = createSteamClient(username);
+    try {
+        const refreshToken = await sc.loginWithCredentials({ username, password, twoFactorCode, sharedSecret, timeoutMs: 60000 });
+        SessionManager.saveSession(username, refreshToken);
+        if (sharedSecret) SessionManager.saveSharedSecret(username, sharedSecret);
+        AccountRegistry.sync();
+        if (registryChanges) AccountRegistry.update(username, registryChanges);
+        output(flags, { ok: true, account: username }, [`${ICONS.success} ${t('account.add.added', { username })}`]);
+        return EXIT_CODES.ok;
+    } catch (e) {
+        if (network) {
+            if (previousNetwork) SessionManager.saveNetworkSettings(username, previousNetwork);
+            else SessionManager.deleteNetworkSettings(username);
+        }
+        const msg = e?.message || String(e);
+        output(flags, { ok: false, account: username, note: msg }, [`${ICONS.error} ${t('common.loginError', { error: msg })}`]);
+        return EXIT_CODES.error;
+    } finally {
+        sc.disconnect();
+        await wait(config.timeouts.disconnectDelayMs);
+    }
+}
+
+function isMaFileSource(source) {
+    return fs.existsSync(source) && (fs.statSync(source).isDirectory() || source.toLowerCase().endsWith('.mafile'));
+}
+
+// Источник импорта: список login:password[:shared_secret] или .maFile / папка с ними.
+// Пароли к .maFile берутся из списка (passwords) или один на всех (password)
+function collectImport(source, { passwords = null, maFilesDir = null, password = null } = {}) {
+    if (!fs.existsSync(source)) throw new Error(t('errors.fileNotFound', { file: source }));
+    const fromMaFiles = isMaFileSource(source);
+    const listFile = fromMaFiles ? passwords : source;
+    const maFilesPath = fromMaFiles ? source : maFilesDir;
+
+    const errors = [];
+    let credentials = null;
+    if (listFile) {
+        if (!fs.existsSync(listFile)) throw new Error(t('errors.fileNotFound', { file: listFile }));
+        const parsed = parseCredentials(fs.readFileSync(listFile, 'utf8'));
+        credentials = parsed.entries;
+        errors.push(...parsed.errors.map((e) => ({ source: `${path.basename(listFile)}:${e.line}`, error: e.error })));
+    }
+
+    let maFiles = null;
+    if (maFilesPath) {
+        const parsed = readMaFiles(maFilesPath);
+        maFiles = parsed.accounts;
+        errors.push(...parsed.errors.map((e) => ({ source: path.basename(e.file), error: e.error })));
+    }
+
+    return { entries: planImport({ credentials, maFiles, password, fromMaFiles }), errors };
+}
+
+// Сессия, shared_secret и метки реестра сохраняются только после успешного входа
+async function loginImportedAccount({ username, password, sharedSecret }, registryChanges) {
+    const sc = createSteamClient(username);
+    try {
+        const refreshToken = await sc.loginWithCredentials({ username, password, sharedSecret: sharedSecret ?? loadSharedSecret(username), timeoutMs: 60000 });
+        SessionManager.saveSession(username, refreshToken);
+        if (sharedSecret) SessionManager.saveSharedSecret(username, sharedSecret);
+    } finally {
+        sc.disconnect();
+        await wait(config.timeouts.disconnectDelayMs);
+    }
+
+    AccountRegistry.sync();
+    if (registryChanges) AccountRegistry.update(username, registryChanges);
+}
+
+async function importAccounts(entries, { concurrency = config.pacing.importConcurrency, retries = config.pacing.loginRetries, registryChanges = null, force = false, log = () => {} } = {}) {
+    // Уже добавленные аккаунты пропускаем, чтобы повторный запуск того же списка доделал только упавшие
+    const existing = new Set(SessionManager.listAccounts());
+    const importer = new AccountImporter({
+        login: (entry) => loginImportedAccount(entry, registryChanges),
+        retries,
+        retryDelayMs: config.pacing.loginRetryDelayMs,
+        wait,
+    });
+
+    return mapWithConcurrency(entries, concurrency, async (entry, i) => {
+        const prefix = `[${i + 1}/${entries.length}] ${entry.username}`;
+        if (!force && existing.has(entry.username)) {
+            log(`${ICONS.success} ${prefix}: ${t('import.exists')}`);
+            return { account: entry.username, status: 'skipped', attempts: 0, rateLimited: false, error: null };
+        }
+        if (!entry.password) {
+            log(`${ICONS.error} ${prefix}: ${t('import.noPassword')}`);
+            return { account: entry.username, status: 'failed', attempts: 0, rateLimited: false, error: t('import.noPassword') };
+        }
+
+        log(`${ICONS.loading} ${prefix}: ${t('import.loggingIn')}`);
+        const r = await importer.import(entry, ({ attempt, delayMs }) => {
+            log(`${ICONS.warning} ${prefix}: ${t('import.rateLimited', { attempt, seconds: Math.ceil(delayMs / 1000) })}`);
+        });
+        log(r.ok ? `${ICONS.success} ${prefix}: ${t('import.added')}` : `${ICONS.error} ${prefix}: ${r.error}`);
+        return { account: r.account, status: r.ok ? 'imported' : 'failed', attempts: r.attempts, rateLimited: r.rateLimited, error: r.error };
+    });
+}
+
+function formatImportSummary(rows, errors) {
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    const failed = rows.filter((r) => r.status === 'failed');
+    const lines = [
+        `═══════════════════ ${t('import.summary')} ═══════════════════`,
+        t('import.totals', { imported: count('imported'), skipped: count('skipped'), failed: failed.length + errors.length, total: rows.length }),
+    ];
+    if (failed.length || errors.length) {
+        lines.push('', t('import.failures'));
+        for (const r of failed) {
+            lines.push(`  ${ICONS.error} ${r.account}: ${r.error}${r.rateLimited ? ` (${t('import.gaveUp', { attempts: r.attempts })})` : ''}`);
+        }
+        for (const e of errors) lines.push(`  ${ICONS.error} ${e.source}: ${e.error}`);
+    }
+    return lines;
+}
+
+async function cmdImportAccounts(positionals, flags) {
+    const source = positionals[0];
+    if (!source) throw new UsageError(t('import.missingSource'));
+
+    const concurrency = toInt(flags.concurrency ?? config.pacing.importConcurrency);
+    if (concurrency === null || concurrency <= 0) throw new UsageError(t('errors.positive', { flag: '--concurrency' }));
+    const retries = toInt(flags.retries ?? config.pacing.loginRetries);
+    if (retries === null || retries < 0) throw new UsageError(t('errors.nonNegative', { flag: '--retries' }));
+    const registryChanges = registryLabelFlags(flags);
+
+    let plan;
+    try {
+        plan = collectImport(source, {
+            passwords: flags.passwords === undefined ? null : requireFlag(flags, 'passwords'),
+            maFilesDir: flags.mafiles === undefined ? null : requireFlag(flags, 'mafiles'),
+            password: flags.password && flags.password !== true ? String(flags.password) : (process.env.CS2_STARS_PASSWORD ?? null),
+        });
+    } catch (e) {
+        throw new UsageError(e?.message || String(e));
+    }
+    if (!plan.entries.length && !plan.errors.length) throw new UsageError(t('import.empty', { source }));
+
+    const rows = await importAccounts(plan.entries, {
+        concurrency,
+        retries,
+        registryChanges,
+        force: Boolean(flags.force),
+        log: flags.json ? () => {} : (line) => console.log(line),
+    });
+
+    const imported = rows.filter((r) => r.status === 'imported').map((r) => r.account);
+    const skipped = rows.filter((r) => r.status === 'skipped').map((r) => r.account);
+    const failed = rows.filter((r) => r.status === 'failed').map(({ account, error, attempts, rateLimited }) => ({ account, error, attempts, rateLimited }));
+    output(flags, { ok: !failed.length && !plan.errors.length, imported, skipped, failed, errors: plan.errors }, ['', ...formatImportSummary(rows, plan.errors)]);
+
+    if (!failed.length && !plan.errors.length) return EXIT_CODES.ok;
+    return imported.length || skipped.length ? EXIT_CODES.partial : EXIT_CODES.error;
+}
+
+async function cmdInventory(positionals, flags) {
+    const username = requireAccount(positionals);
+
+    const type = flags.type === undefined ? null : requireFlag(flags, 'type');
+    if (type && !ITEM_TYPES.includes(type)) throw new UsageError(t('errors.oneOf', { flag: '--type', values: ITEM_TYPES.join(', ') }));
+    const rarity = flags.rarity === undefined ? null : requireFlag(flags, 'rarity');
+    if (rarity && inventoryBrowser.findRarity(rarity) === null) throw new UsageError(`${t('inventory.unknownRarity')}: ${rarity}`);
+    const collection = flags.collection === undefined ? null : requireFlag(flags, 'collection');
+    const sortBy = flags.sort === undefined ? 'default' : requireFlag(flags, 'sort');
+    if (!SORT_KEYS.includes(sortBy)) throw new UsageError(t('errors.oneOf', { flag: '--sort', values: SORT_KEYS.join(', ') }));
+
+    let manager;
+    try {
+        manager = await connectionPool.acquire(username);
+    } catch (e) {
+        const msg = e?.message || String(e);
+        output(flags, { ok: false, account: username, note: msg }, [`${ICONS.error} ${t('common.connectionError', { error: msg })}`]);
+        return EXIT_CODES.error;
+    }
+
+    try {
+        const all = manager.getInventory();
+        const entries = selectInventory(all, username, { type, rarity, collection, armory: Boolean(flags.armory) }, sortBy);
+        const lines = [t('inventory.summary', { username, shown: entries.length, total: all.length, filters: formatInventoryFilters({ type, rarity, collection, armory: flags.armory }, sortBy) })];
+        if (!manager.inventoryReady) lines.push(`${ICONS.warning} ${t('inventory.notReceived')}`);
+        lines.push(...entries.map((e) => `  ${formatInventoryEntry(e)}`));
+
+        output(flags, { ok: manager.inventoryReady, account: username, total: all.length, items: entries }, lines);
+        return manager.inventoryReady ? EXIT_CODES.ok : EXIT_CODES.error;
+    } finally {
+        connectionPool.release(username);
+    }
+}
+
+async function cmdWatch(positionals, flags) {
+    const username = requireAccount(positionals);
+
+    let stop;
+    if (flags.duration !== undefined) {
+        const seconds = toInt(flags.duration);
+        if (seconds === null || seconds <= 0) throw new UsageError(t('errors.positiveSeconds', { flag: '--duration' }));
+        stop = wait(seconds * 1000);
+    } else {
+        stop = new Promise((resolve) => process.once('SIGINT', resolve));
+    }
+
+    // В JSON-режиме — одна строка JSON на каждое изменение
+    const print = flags.json
+        ? ({ at, stars, previous }) => process.stdout.write(`${JSON.stringify({ account: username, at: at.toISOString(), stars, previous })}\n`)
+        : (change) => console.log(formatStarsChange(change));
+
+    try {
+        const { lost } = await watchStars(username, { stop, onChange: print });
+        if (lost) {
+            if (!flags.json) console.error(`${ICONS.warning} ${t('common.connectionLost')}`);
+            return EXIT_CODES.error;
+        }
+        return EXIT_CODES.ok;
+    } catch (e) {
+        const msg = e?.message || String(e);
+        if (flags.json) process.stdout.write(`${JSON.stringify({ ok: false, account: username, note: msg })}\n`);
+        else console.error(`${ICONS.error} ${t('common.connectionError', { error: msg })}`);
+        return EXIT_CODES.error;
+    }
+}
+
+async function cmdJobs(positionals, flags, items) {
+    const [sub = 'list', target] = positionals;
+
+    if (sub === 'list') {
+        const jobs = flags.all ? PurchaseJobs.list() : PurchaseJobs.listUnfinished();
+        output(flags, { jobs }, jobs.length ? jobs.map(formatJob) : [t('jobs.none')]);
+        return EXIT_CODES.ok;
+    }
+
+    if (!target) throw new UsageError(t('jobs.missingTarget'));
+
+    const unfinished = PurchaseJobs.listUnfinished();
+    const jobs = target === 'all' ? unfinished : unfinished.filter((job) => job.id === target);
+    if (target !== 'all' && !jobs.length) throw new UsageError(t('jobs.notFound', { id: target }));
+
+    if (sub === 'cancel') {
+        for (const job of jobs) {
+            job.status = 'cancelled';
+            PurchaseJobs.save(job);
+        }
+        output(flags, { ok: true, cancelled: jobs.map((j) => j.id) }, [`${ICONS.success} ${t('jobs.cancelled', { count: jobs.length })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'resume') {
+        requireUnlocked();
+        const log = flags.json ? () => {} : (line) => console.log(line);
+
+        const results = [];
+        for (const job of jobs) {
+            const r = await resumeJob(job, items, { log });
+            results.push({ id: job.id, account: job.account, ok: r.ok, purchased: r.purchased, status: job.status, code: r.code ?? null, note: r.note ?? null });
+        }
+
+        output(flags, { jobs: results }, jobs.length ? results.map((r) => `${r.ok ? ICONS.success : ICONS.warning} ${r.id} [${r.account}]: ${t('jobs.resumed', { status: t(`jobs.status.${r.status}`), purchased: r.purchased })}`) : [t('jobs.none')]);
+        if (results.every((r) => r.ok)) return EXIT_CODES.ok;
+        return results.some((r) => r.ok || r.purchased > 0) ? EXIT_CODES.partial : EXIT_CODES.error;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `jobs ${sub}` }));
+}
+
+async function cmdGuard(positionals, flags) {
+    const [sub = 'list', target] = positionals;
+
+    if (sub === 'list') {
+        const accounts = SessionManager.listSharedSecrets();
+        output(flags, { accounts }, accounts.length ? accounts.map((a) => `${ICONS.success} ${a}`) : [t('guard.none')]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'import') {
+        if (!target) throw new UsageError(t('guard.missingPath'));
+        requireUnlocked();
+
+        let parsed;
+        try {
+            parsed = readMaFiles(target);
+        } catch (e) {
+            throw new UsageError(e?.message || String(e));
+        }
+
+        for (const a of parsed.accounts) SessionManager.saveSharedSecret(a.username, a.sharedSecret);
+        const imported = parsed.accounts.map((a) => a.username);
+        output(flags, { imported, errors: parsed.errors }, [
+            `${ICONS.success} ${t('guard.imported', { count: imported.length })}${imported.length ? ` (${imported.join(', ')})` : ''}`,
+            ...parsed.errors.map((e) => `${ICONS.error} ${path.basename(e.file)}: ${e.error}`),
+        ]);
+        return parsed.errors.length ? EXIT_CODES.partial : EXIT_CODES.ok;
+    }
+
+    if (!target) throw new UsageError(t('errors.missingAccount'));
+    requireUnlocked();
+
+    if (sub === 'set') {
+        const sharedSecret = normalizeSharedSecret(requireFlag(flags, 'secret'));
+        if (!sharedSecret) throw new UsageError(t('guard.badSecret'));
+        SessionManager.saveSharedSecret(target, sharedSecret);
+        output(flags, { ok: true, account: target }, [`${ICONS.success} ${t('guard.saved', { username: target })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'code') {
+        const sharedSecret = SessionManager.loadSharedSecret(target);
+        if (!sharedSecret) throw new UsageError(t('guard.missing', { username: target }));
+        const code = generateCode(sharedSecret);
+        output(flags, { account: target, code }, [code]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'remove') {
+        SessionManager.deleteSharedSecret(target);
+        output(flags, { ok: true, account: target }, [`${ICONS.success} ${t('guard.removed', { username: target })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `guard ${sub}` }));
+}
+
+function formatNetwork(settings) {
+    const parts = [];
+    if (settings?.proxy) parts.push(t('proxy.via', { proxy: maskProxy(settings.proxy) }));
+    if (settings?.localAddress) parts.push(t('proxy.bind', { address: settings.localAddress }));
+    return parts.length ? parts.join(', ') : t('proxy.direct');
+}
+
+// --proxy / --bind из аргументов; null, если ни один не задан
+function parseNetworkFlags(flags) {
+    if (flags.proxy === undefined && flags.bind === undefined) return null;
+    try {
+        return normalizeNetworkSettings({
+            proxy: flags.proxy === undefined ? null : requireFlag(flags, 'proxy'),
+            localAddress: flags.bind === undefined ? null : requireFlag(flags, 'bind'),
+        });
+    } catch (e) {
+        throw new UsageError(e.message);
+    }
+}
+
+// Проверка по очереди: параллельные проверки одного прокси искажают задержку
+async function checkAccountsNetwork(accounts, { log = () => {} } = {}) {
+    const results = [];
+    for (const username of accounts) {
+        const settings = SessionManager.loadNetworkSettings(username);
+        const check = await checkNetwork(settings);
+        const result = { account: username, proxy: maskProxy(settings?.proxy ?? null), localAddress: settings?.localAddress ?? null, ...check };
+        results.push(result);
+        log(
+            check.ok
+                ? `${ICONS.success} ${username}: ${formatNetwork(settings)} — ${t('proxy.reachable', { ms: check.latencyMs })}`
+                : `${ICONS.error} ${username}: ${formatNetwork(settings)} — ${check.error}`,
+        );
+    }
+    return results;
+}
+
+async function cmdProxy(positionals, flags) {
+    const [sub = 'list', target] = positionals;
+
+    if (sub === 'list') {
+        requireUnlocked();
+        const accounts = SessionManager.listNetworkSettings().map((username) => {
+            const settings = SessionManager.loadNetworkSettings(username);
+            return { account: username, proxy: maskProxy(settings?.proxy ?? null), localAddress: settings?.localAddress ?? null };
+        });
+        output(
+            flags,
+            { accounts },
+            accounts.length ? accounts.map((a) => `${a.account}: ${formatNetwork({ proxy: a.proxy, localAddress: a.localAddress })}`) : [t('proxy.none')],
+        );
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'check') {
+        requireUnlocked();
+        // Прокси можно задать и аккаунту, который ещё не вошёл, поэтому выбираем и из них
+        const known = [...new Set([...SessionManager.listAccounts(), ...SessionManager.listNetworkSettings()])];
+        const accounts = !target ? SessionManager.listNetworkSettings() : selectAccounts(target, known);
+        if (!accounts.length) throw new UsageError(t('proxy.nothingToCheck'));
+
+        const results = await checkAccountsNetwork(accounts, { log: flags.json ? () => {} : (line) => console.log(line) });
+        output(flags, { accounts: results }, []);
+        const failed = results.filter((r) => !r.ok).length;
+        return !failed ? EXIT_CODES.ok : failed === results.length ? EXIT_CODES.error : EXIT_CODES.partial;
+    }
+
+    if (!target) throw new UsageError(t('errors.missingAccount'));
+    requireUnlocked();
+
+    if (sub === 'set') {
+        const settings = parseNetworkFlags(flags);
+        if (!settings) throw new UsageError(t('proxy.missingFlags'));
+        SessionManager.saveNetworkSettings(target, settings);
+        output(flags, { ok: true, account: target, proxy: maskProxy(settings.proxy), localAddress: settings.localAddress }, [
+            `${ICONS.success} ${target}: ${formatNetwork(settings)}`,
+        ]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'remove') {
+        SessionManager.deleteNetworkSettings(target);
+        output(flags, { ok: true, account: target }, [`${ICONS.success} ${t('proxy.removed', { username: target })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `proxy ${sub}` }));
+}
+
+function formatItemsDiff({ added, removed, changed }) {
+    const lines = [];
+    for (const o of added) lines.push(`+ ${o.name} (${o.armoryId}): ${o.price} ${ICONS.star}`);
+    for (const o of removed) lines.push(`- ${o.name} (${o.armoryId})`);
+    for (const c of changed) {
+        const fields = Object.entries(c.fields).map(([k, v]) => `${k}: ${JSON.stringify(v.from) ?? '—'} → ${JSON.stringify(v.to) ?? '—'}`);
+        lines.push(`~ ${c.name} (${c.armoryId}): ${fields.join(', ')}`);
+    }
+    return lines;
+}
+
+async function cmdItems(positionals, flags) {
+    const [sub, source] = positionals;
+    if (sub !== 'import') throw new UsageError(t('errors.unknownCommand', { command: `items ${sub ?? ''}`.trim() }));
+    if (!source) throw new UsageError(t('items.missingSource'));
+    if (!fs.existsSync(source)) throw new UsageError(t('errors.fileNotFound', { file: source }));
+
+    const overridesPath = flags.overrides && flags.overrides !== true ? String(flags.overrides) : config.paths.itemsOverrides;
+    const overrides = fs.existsSync(overridesPath) ? safeJsonParse(fs.readFileSync(overridesPath, 'utf8'), null) : {};
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new UsageError(t('items.badOverrides', { file: overridesPath }));
+    }
+
+    const importer = new ItemsImporter(schemaResolver.schema);
+    const { offers, skipped } = importer.extractOffers(readItemsGame(source));
+    if (!offers.length) {
+        output(flags, { ok: false, error: 'no offers found', skipped }, [`${ICONS.error} ${t('items.noOffers')}`]);
+        return EXIT_CODES.error;
+    }
+
+    const { items: current } = loadItemsDb();
+    const next = importer.applyOverrides(importer.keepLocalFields(offers, current), overrides);
+    const diff = importer.diff(current, next);
+    const unchanged = !diff.added.length && !diff.removed.length && !diff.changed.length;
+
+    if (flags.yes && !unchanged) fs.writeFileSync(config.paths.itemsDb, importer.format(next), 'utf8');
+
+    const summary = unchanged
+        ? t('items.upToDate')
+        : flags.yes
+          ? `${ICONS.success} ${t('items.updated', { count: next.length })}`
+          : t('items.dryRun');
+    output(flags, { ok: true, written: Boolean(flags.yes && !unchanged), offers: next.length, skipped, ...diff }, [
+        ...formatItemsDiff(diff),
+        ...skipped.map((x) => `${ICONS.warning} ${t('items.skipped', { key: x.key, reason: x.reason })}`),
+        '',
+        summary,
+    ]);
+    return EXIT_CODES.ok;
+}
+
+function requireUnlocked() {
+    if (SessionManager.isEncryptionEnabled() && !SessionManager.isUnlocked()) {
+        throw new LockedError(t('vault.locked'));
+    }
+}
+
+async function cmdTokens(positionals, flags) {
+    const sub = positionals[0] || 'list';
+
+    if (sub === 'list') {
+        const rows = SessionManager.listAccounts().map((account) => {
+            const info = SessionManager.getTokenInfo(account);
+            return {
+                account,
+                valid: info?.valid ?? null,
+                expired: info?.expired ?? null,
+                expiresAt: info?.expiresAt ? info.expiresAt.toISOString() : null,
+                daysLeft: info?.daysLeft ?? null,
+            };
+        });
+        output(
+            flags,
+            { accounts: rows },
+            rows.map((r) => `${r.account}: ${formatTokenStatus(SessionManager.getTokenInfo(r.account)) || t('tokens.noData')}`)
+        );
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'renew') {
+        requireUnlocked();
+        const days = toInt(flags.days ?? config.tokens.renewDays);
+        if (days === null || days < 0) throw new UsageError(t('errors.nonNegative', { flag: '--days' }));
+
+        const due = accountsNeedingRenewal(SessionManager.listAccounts(), days);
+        const results = await renewTokens(due, { log: flags.json ? () => {} : (line) => console.log(line) });
+        output(flags, { accounts: results }, due.length ? [] : [t('tokens.nothingToRenew')]);
+        return results.every((r) => r.renewed) ? EXIT_CODES.ok : EXIT_CODES.partial;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `tokens ${sub}` }));
+}
+
+async function cmdVault(positionals, flags) {
+    const sub = positionals[0] || 'status';
+
+    if (sub === 'status') {
+        const enabled = SessionManager.isEncryptionEnabled();
+        const plaintext = SessionManager.listPlaintextSessions();
+        output(flags, { enabled, unlocked: SessionManager.isUnlocked(), plaintext }, [
+            t(enabled ? 'vault.statusOn' : 'vault.statusOff'),
+            `${t('vault.plaintext', { count: plaintext.length })}${plaintext.length ? ` (${plaintext.join(', ')})` : ''}`,
+        ]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'enable') {
+        if (SessionManager.isEncryptionEnabled()) throw new UsageError(t('vault.alreadyEnabled'));
+        const password = process.env.CS2_STARS_MASTER_PASSWORD;
+        if (!password) throw new UsageError(t('vault.missingPassword'));
+
+        SessionManager.enableEncryption(password);
+        const migrated = SessionManager.migratePlaintextSessions();
+        output(flags, { ok: true, migrated }, [`${ICONS.success} ${t('vault.enabled', { count: migrated.length })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'migrate') {
+        if (!SessionManager.isEncryptionEnabled()) throw new UsageError(t('vault.notEnabled'));
+        requireUnlocked();
+        const migrated = SessionManager.migratePlaintextSessions();
+        output(flags, { ok: true, migrated }, [`${ICONS.success} ${t('vault.migrated', { count: migrated.length })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `vault ${sub}` }));
+}
+
+async function cmdConfig(positionals, flags) {
+    const sub = positionals[0] || 'show';
+
+    if (sub === 'show') {
+        const defaults = defaultConfig(__dirname);
+        const lines = [configFile ? t('config.file', { file: configFile }) : t('config.noFile', { file: path.join(__dirname, CONFIG_FILE) })];
+        for (const [section, values] of Object.entries(config)) {
+            for (const [key, value] of Object.entries(values)) {
+                const changed = value !== defaults[section][key];
+                lines.push(`  ${section}.${key} = ${value}${changed ? ' *' : ''}    ${envName(section, key)}`);
+            }
+        }
+        lines.push(t('config.changedMark'));
+        output(flags, { file: configFile, config }, lines);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'init') {
+        const target = path.resolve(positionals[1] || path.join(__dirname, CONFIG_FILE));
+        if (fs.existsSync(target)) throw new UsageError(t('config.exists', { file: target }));
+        fs.writeFileSync(target, `${JSON.stringify(DEFAULT_CONFIG, null, 2)}\n`, 'utf8');
+        output(flags, { ok: true, file: target }, [`${ICONS.success} ${t('config.created', { file: target })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `config ${sub}` }));
+}
+
+function formatRule(rule) {
+    const parts = [];
+    if (rule.type) parts.push(`type ${rule.type.join('|')}`);
+    if (rule.item) parts.push(`item ~ ${rule.item.join('|')}`);
+    if (rule.offer) parts.push(`offer ${rule.offer.join('|')}`);
+    if (rule.minRarity !== null) parts.push(`rarity ≥ ${valueEstimator.rarityName(rule.minRarity)}`);
+    if (rule.maxRarity !== null) parts.push(`rarity ≤ ${valueEstimator.rarityName(rule.maxRarity)}`);
+    if (rule.minFloat !== null) parts.push(`float ≥ ${rule.minFloat}`);
+    if (rule.maxFloat !== null) parts.push(`float ≤ ${rule.maxFloat}`);
+    if (rule.seeds) parts.push(`seed ${rule.seeds.join(',')}`);
+    if (rule.charmPatterns) parts.push(`pattern ${rule.charmPatterns.join(',')}`);
+    const options = [rule.pause && t('alerts.rule.pause'), !rule.notify && t('alerts.rule.silent')].filter(Boolean);
+    return `${rule.name}: ${parts.join(', ')}${options.length ? ` (${options.join(', ')})` : ''}`;
+}
+
+// Пробное оповещение для alerts test: выглядит как настоящее, но помечено test
+function sampleAlert(items) {
+    const offer = items[0] || { armoryId: null, name: 'Test offer' };
+    return {
+        rules: ['test'],
+        pause: false,
+        notify: true,
+        account: 'test',
+        offer: { armoryId: offer.armoryId, name: offer.name },
+        drop: { name: 'AK-47 | Redline (Field-Tested)', type: 'weapon', float: 0.153846154, seed: 321, rarity: 5, rarityName: valueEstimator.rarityName(5) },
+        jobId: null,
+        at: new Date().toISOString(),
+        test: true,
+    };
+}
+
+// Что пришло на тестовый приёмник: текст чата (Telegram, Discord) или краткое содержание JSON-оповещения
+function formatReceived({ path: urlPath, body }) {
+    const text = body?.text ?? body?.content ?? (body?.event === 'drop.alert' ? `${body.rules.join(', ')}: [${body.account}] ${body.drop.name}` : JSON.stringify(body));
+    return `[${new Date().toLocaleTimeString()}] POST ${urlPath}\n${text}\n`;
+}
+
+async function cmdAlerts(positionals, flags, items) {
+    const sub = positionals[0] || 'list';
+
+    if (sub === 'list') {
+        const lines = [
+            dropAlerts.file ? t('alerts.file', { file: dropAlerts.file }) : t('alerts.noFile', { file: config.paths.alerts }),
+            t('alerts.rules', { count: dropAlerts.rules.length }),
+            ...dropAlerts.rules.map((rule) => `  ${formatRule(rule)}`),
+            t('alerts.webhooks', { count: dropAlerts.webhooks.length }),
+            ...dropAlerts.webhooks.map((webhook) => `  ${webhook.name}: ${describeWebhook(webhook)}`),
+        ];
+        const webhooks = dropAlerts.webhooks.map((webhook) => ({ name: webhook.name, format: webhook.format, target: describeWebhook(webhook) }));
+        output(flags, { file: dropAlerts.file, rules: dropAlerts.rules, webhooks }, lines);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'init') {
+        const target = path.resolve(positionals[1] || config.paths.alerts);
+        if (fs.existsSync(target)) throw new UsageError(t('config.exists', { file: target }));
+        fs.writeFileSync(target, `${JSON.stringify(EXAMPLE_ALERTS, null, 2)}\n`, 'utf8');
+        output(flags, { ok: true, file: target }, [`${ICONS.success} ${t('alerts.created', { file: target })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'test') {
+        const name = flags.webhook === undefined ? null : requireFlag(flags, 'webhook');
+        const webhooks = name ? dropAlerts.webhooks.filter((w) => w.name === name) : dropAlerts.webhooks;
+        if (!webhooks.length) throw new UsageError(name ? t('alerts.webhookNotFound', { name }) : t('alerts.noWebhooks'));
+
+        const deliveries = await dropAlerts.notify(sampleAlert(items), webhooks);
+        output(
+            flags,
+            { deliveries },
+            deliveries.map((d) => (d.ok ? `${ICONS.success} ${d.webhook}: ${t('alerts.delivered')}` : `${ICONS.error} ${d.webhook}: ${d.error}`))
+        );
+        const failed = deliveries.filter((d) => !d.ok).length;
+        return !failed ? EXIT_CODES.ok : failed === deliveries.length ? EXIT_CODES.error : EXIT_CODES.partial;
+    }
+
+    // Правила на уже полученных предметах из истории — чтобы проверить их до покупки
+    if (sub === 'check') {
+        if (!dropAlerts.rules.length) throw new UsageError(t('alerts.noRules'));
+        const from = parseDateBound(flags.from === true ? '' : flags.from, false);
+        const to = parseDateBound(flags.to === true ? '' : flags.to, true);
+        if (from === undefined || to === undefined) throw new UsageError(t('errors.badDate'));
+
+        const entries = PurchaseHistory.query({
+            account: typeof flags.account === 'string' ? flags.account : undefined,
+            from: from || undefined,
+            to: to || undefined,
+        }).filter((e) => e.ok && e.drop);
+        const matches = entries
+            .map((e) => ({ entry: e, alert: dropAlerts.check(e.drop, { account: e.account, offer: { armoryId: e.armoryId, name: e.itemName }, jobId: e.jobId }) }))
+            .filter((m) => m.alert);
+
+        output(
+            flags,
+            { checked: entries.length, matches: matches.map((m) => ({ ...m.alert, at: m.entry.timestamp })) },
+            [
+                ...matches.map((m) => `${formatHistoryEntry(m.entry)} ${ICONS.alert} ${m.alert.rules.join(', ')}`),
+                t('alerts.checked', { matched: matches.length, checked: entries.length }),
+            ]
+        );
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'receive') {
+        const host = flags.host === undefined ? '127.0.0.1' : requireFlag(flags, 'host');
+        const port = toInt(flags.port ?? 8788);
+        if (port === null || port < 0 || port > 65535) throw new UsageError(t('serve.badPort'));
+
+        let stop;
+        if (flags.duration !== undefined) {
+            const seconds = toInt(flags.duration);
+            if (seconds === null || seconds <= 0) throw new UsageError(t('errors.positiveSeconds', { flag: '--duration' }));
+            stop = wait(seconds * 1000);
+        } else {
+            stop = new Promise((resolve) => process.once('SIGINT', resolve));
+        }
+
+        const onMessage = flags.json
+            ? (message) => process.stdout.write(`${JSON.stringify({ at: new Date().toISOString(), ...message })}\n`)
+            : (message) => console.log(formatReceived(message));
+        const receiver = await startWebhookReceiver({ port, host, onMessage });
+        if (!flags.json) {
+            console.log(`${ICONS.success} ${t('alerts.receiving', { url: `http://${receiver.host}:${receiver.port}/` })}`);
+            console.log(t('serve.stopHint'));
+        }
+
+        await stop;
+        await new Promise((resolve) => receiver.server.close(() => resolve()));
+        return EXIT_CODES.ok;
+    }
+
+    throw new UsageError(t('errors.unknownCommand', { command: `alerts ${sub}` }));
+}
+
+// Случайный разброс вокруг интервала, чтобы проверки не шли строго по часам: не больше половины интервала
+// и не чаще раза в минуту
+function jitteredDelay(intervalMs, jitterMs) {
+    const jitter = Math.min(jitterMs, intervalMs / 2);
+    return Math.max(60000, Math.round(intervalMs + (Math.random() * 2 - 1) * jitter));
+}
+
+// Пауза, которую прерывает stop; таймер снимаем, чтобы он не держал процесс после остановки
+function pause(ms, stop) {
+    let timer;
+    return Promise.race([new Promise((resolve) => (timer = setTimeout(resolve, ms))), stop]).finally(() => clearTimeout(timer));
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+function loadPolicies(items) {
+    try {
+        redeemPolicies.load(config.paths.policies);
+        redeemPolicies.resolveOffers((query) => findItem(items, query));
+    } catch (e) {
+        throw new UsageError(t('daemon.policiesError', { error: e?.message || e }));
+    }
+    return redeemPolicies;
+}
+
+function formatPolicy(policy) {
+    if (!policy) return t('daemon.policy.none');
+    const parts = [policy.offer ? `${policy.offer.name} (${policy.offer.price}${ICONS.star})` : goalLabel(policy.goal)];
+    if (policy.reserve) parts.push(t('daemon.policy.reserve', { stars: `${policy.reserve}${ICONS.star}` }));
+    if (policy.threshold) parts.push(t('daemon.policy.threshold', { stars: `${policy.threshold}${ICONS.star}` }));
+    return parts.join(', ');
+}
+
+function formatCheckResult(e) {
+    const stars = e.stars === null || e.stars === undefined ? '' : ` ${e.stars}${ICONS.star}`;
+    if (e.action === 'redeemed') {
+        const bought = t('daemon.bought', { purchased: e.purchased, requested: e.requested, stars: `${e.starsLeft}${ICONS.star}` });
+        const note = e.code || e.error ? ` (${e.code ? statusNote(e.code) : e.error})` : '';
+        return `[${e.account}]${stars} → ${bought}${note}`;
+    }
+    if (e.action === 'skipped') return `[${e.account}] ${statusNote(e.code)} (${e.jobId})`;
+    return `[${e.account}]${stars}: ${e.code ? statusNote(e.code) : e.error}`;
+}
+
+function formatDaemonEntry(e) {
+    const when = new Date(e.timestamp).toLocaleString();
+    if (e.event === 'started') {
+        return `${ICONS.loading} ${when} ${t('daemon.started', { pid: e.pid, accounts: e.accounts, interval: e.intervalMinutes, jitter: e.jitterMinutes })}`;
+    }
+    if (e.event === 'stopped') return `${ICONS.success} ${when} ${t('daemon.stopped', { pid: e.pid, checks: e.checks })}`;
+
+    const icon = { redeemed: e.purchased === e.requested ? ICONS.success : ICONS.warning, checked: ICONS.success, skipped: ICONS.warning }[e.action] ?? ICONS.error;
+    const next = e.nextAt ? `, ${t('daemon.next', { time: new Date(e.nextAt).toLocaleString() })}` : '';
+    return `${icon} ${when} ${formatCheckResult(e)}${next}`;
+}
+
+// Одна плановая проверка аккаунта: баланс, и если политика велит — покупка. Результат пишется в журнал демона
+async function daemonCheck(username, items, { log = () => {} } = {}) {
+    const pending = PurchaseJobs.listUnfinished().find((job) => job.account === username);
+    if (pending) return { account: username, action: 'skipped', stars: null, code: 'PENDING_JOB', jobId: pending.id };
+
+    const starsInfo = await getStarsAutoDetailed(username);
+    if (!starsInfo.ok) return { account: username, action: 'error', stars: null, code: starsInfo.code };
+
+    const stars = starsInfo.stars;
+    const policy = redeemPolicies.policyFor(username);
+    if (!policy) return { account: username, action: 'checked', stars, code: 'NO_POLICY' };
+
+    const lines = redeemPolicies.basket(policy, stars, items);
+    if (lines === null) return { account: username, action: 'checked', stars, code: 'BELOW_THRESHOLD' };
+    if (!lines.length) return { account: username, action: 'checked', stars, code: 'INSUFFICIENT_STARS' };
+
+    const basket = lines.map((l) => `${l.item.name} × ${l.qty}`).join(', ');
+    log(`${ICONS.loading} [${username}] ${t('daemon.redeeming', { stars: `${stars}${ICONS.star}`, basket })}`);
+
+    try {
+        const { results, starsLeft, job, paused } = await runBasket(username, lines, stars, {
+            onResult: (r, i) => {
+                if (r.ok) log(`${r.alert ? ICONS.alert : ICONS.success} [${username}] #${i + 1}: ${formatDropResult(r)}`);
+                else log(`${ICONS.error} [${username}] #${i + 1}: ${r.error}`);
+            },
+            onReconcile: (outcome) => log(formatReconcile(outcome, username)),
+        });
+
+        return {
+            account: username,
+            action: 'redeemed',
+            stars,
+            requested: lines.reduce((sum, l) => sum + l.qty, 0),
+            purchased: jobDone(job),
+            starsLeft,
+            jobId: job.id,
+            jobStatus: job.status,
+            code: paused ? 'DROP_ALERT' : null,
+            error: results.find((r) => !r.ok)?.error ?? null,
+        };
+    } catch (e) {
+        return { account: username, action: 'error', stars, code: null, error: e?.message || String(e) };
+    }
+}
+
+async function cmdDaemon(positionals, flags, items) {
+    const sub = positionals[0] || 'status';
+
+    if (sub === 'init') {
+        const target = path.resolve(positionals[1] || config.paths.policies);
+        if (fs.existsSync(target)) throw new UsageError(t('config.exists', { file: target }));
+        fs.writeFileSync(target, `${JSON.stringify(EXAMPLE_POLICIES, null, 2)}\n`, 'utf8');
+        output(flags, { ok: true, file: target }, [`${ICONS.success} ${t('daemon.created', { file: target })}`]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'log') {
+        const limit = toInt(flags.limit ?? 20);
+        if (limit === null || limit <= 0) throw new UsageError(t('errors.positive', { flag: '--limit' }));
+
+        const entries = DaemonLog.query({ account: typeof flags.account === 'string' ? flags.account : undefined, limit });
+        output(flags, { entries }, entries.length ? entries.map(formatDaemonEntry) : [t('daemon.logEmpty')]);
+        return EXIT_CODES.ok;
+    }
+
+    if (sub === 'status') {
+        loadPolicies(items);
+        const { run, accounts: checks } = DaemonLog.summarize();
+        const running = Boolean(run && !run.stoppedAt && isProcessAlive(run.pid));
+
+        const accounts = SessionManager.listAccounts().map((username) => {
+            const last = checks.find((c) => c.account === username) ?? null;
+            return {
+                account: username,
+                policy: redeemPolicies.policyFor(username),
+                lastCheck: last,
+                nextAt: running ? (last?.nextAt ?? null) : null,
+            };
+        });
+
+        // У работающего демона расписание то, с которым он запущен
+        const schedule = running ? { intervalMinutes: run.intervalMinutes, jitterMinutes: run.jitterMinutes } : config.daemon;
+        let state = t('daemon.neverRun');
+        if (running) state = t('daemon.running', { pid: run.pid, since: new Date(run.startedAt).toLocaleString() });
+        else if (run) state = t('daemon.notRunning', { time: new Date(run.stoppedAt ?? run.startedAt).toLocaleString() });
+
+        const lines = [
+            state,
+            t('daemon.schedule', { interval: schedule.intervalMinutes, jitter: schedule.jitterMinutes }),
+            redeemPolicies.file ? t('daemon.policiesFile', { file: redeemPolicies.file }) : t('daemon.noPoliciesFile', { file: config.paths.policies }),
+            '',
+        ];
+        for (const a of accounts) {
+            lines.push(`${a.account}: ${formatPolicy(a.policy)}`);
+            if (a.lastCheck) lines.push(`  ${t('daemon.lastCheck', { time: new Date(a.lastCheck.timestamp).toLocaleString() })} ${formatCheckResult(a.lastCheck)}`);
+            else lines.push(`  ${t('daemon.notChecked')}`);
+            if (a.lastCheck?.lastRedeem && a.lastCheck.action !== 'redeemed') {
+                lines.push(`  ${t('daemon.lastRedeem', { time: new Date(a.lastCheck.lastRedeem.timestamp).toLocaleString() })} ${formatCheckResult(a.lastCheck.lastRedeem)}`);
             }
+            if (a.nextAt) lines.push(`  ${t('daemon.next', { time: new Date(a.nextAt).toLocaleString() })}`);
+        }
 
-            weapons.sort((a, b) => (b.rarity ?? 0) - (a.rarity ?? 0));
+        output(flags, { running, run, schedule, policies: redeemPolicies.file, accounts }, lines);
+        return EXIT_CODES.ok;
+    }
 
-            const groupedEntries = Object.entries(grouped).sort((a, b) => (b[1].rarity ?? 0) - (a[1].rarity ?? 0));
-            for (const [name, data] of groupedEntries) console.log(`${ICONS.success} ${name} × ${data.count}`);
+    if (sub === 'run') {
+        requireUnlocked();
+        loadPolicies(items);
+
+        const intervalMs = config.daemon.intervalMinutes * 60000;
+        const jitterMs = config.daemon.jitterMinutes * 60000;
+        if (intervalMs <= 0) throw new UsageError(t('daemon.badInterval'));
+
+        const { run } = DaemonLog.summarize();
+        if (run && !run.stoppedAt && run.pid !== process.pid && isProcessAlive(run.pid)) throw new UsageError(t('daemon.alreadyRunning', { pid: run.pid }));
+
+        let stopped = false;
+        let stop;
+        if (flags.once) {
+            stop = new Promise(() => {});
+        } else if (flags.duration !== undefined) {
+            const seconds = toInt(flags.duration);
+            if (seconds === null || seconds <= 0) throw new UsageError(t('errors.positiveSeconds', { flag: '--duration' }));
+            stop = wait(seconds * 1000);
+        } else {
+            stop = new Promise((resolve) => {
+                process.once('SIGINT', resolve);
+                process.once('SIGTERM', resolve);
+            });
+        }
+        stop = stop.then(() => {
+            stopped = true;
+        });
+
+        // В JSON-режиме — одна строка JSON на каждую запись журнала
+        const log = flags.json ? () => {} : (line) => console.log(line);
+        const emit = (entry) => {
+            const stored = DaemonLog.record(entry);
+            if (flags.json) process.stdout.write(`${JSON.stringify(stored)}\n`);
+            else console.log(formatDaemonEntry(stored));
+        };
+
+        emit({
+            event: 'started',
+            pid: process.pid,
+            accounts: SessionManager.listAccounts().length,
+            intervalMinutes: config.daemon.intervalMinutes,
+            jitterMinutes: config.daemon.jitterMinutes,
+            once: Boolean(flags.once),
+        });
+        if (!flags.json && !flags.once) console.log(t('daemon.stopHint'));
+
+        // Первая проверка каждого аккаунта — сразу, дальше у каждого свой срок со случайным разбросом
+        const schedule = new Map();
+        let checks = 0;
+        let failures = 0;
+        try {
+            while (!stopped) {
+                const accounts = SessionManager.listAccounts();
+                for (const username of accounts) if (!schedule.has(username)) schedule.set(username, Date.now());
+                for (const username of [...schedule.keys()]) if (!accounts.includes(username)) schedule.delete(username);
+
+                const due = [...schedule].sort((a, b) => a[1] - b[1])[0];
+                if (!due || due[1] > Date.now()) {
+                    if (flags.once) break;
+                    // Спим не дольше минуты, чтобы подхватывать добавленные аккаунты
+                    await pause(Math.min(due ? due[1] - Date.now() : 60000, 60000), stop);
+                    continue;
+                }
 
-            for (const w of weapons) {
-                let line = w.name;
-                if (w.floatValue !== null) line += ` | Float: ${w.floatValue.toFixed(9)}`;
-                if (w.paintSeed !== null) line += ` | Seed: ${w.paintSeed}`;
-                console.log(`${ICONS.success} ${line}`);
+                const [username] = due;
+                const result = await daemonCheck(username, items, { log });
+                // Между проверками часы, держать подключение открытым незачем
+                connectionPool.disconnect(username);
+
+                const nextAt = flags.once ? null : Date.now() + jitteredDelay(intervalMs, jitterMs);
+                schedule.set(username, nextAt ?? Infinity);
+                checks++;
+                if (result.action === 'error') failures++;
+                emit({ event: 'check', ...result, nextAt: nextAt && new Date(nextAt).toISOString() });
+
+                await pause(config.pacing.redeemDelayMs, stop);
             }
+        } finally {
+            emit({ event: 'stopped', pid: process.pid, checks });
         }
 
-        const failedCount = results.filter((x) => !x.ok).length;
-        if (failedCount > 0) console.log(`${ICONS.error} Ошибок: ${failedCount}`);
+        if (!failures) return EXIT_CODES.ok;
+        return failures === checks ? EXIT_CODES.error : EXIT_CODES.partial;
+    }
 
-        currentStars = starsLeft;
+    throw new UsageError(t('errors.unknownCommand', { command: `daemon ${sub}` }));
+}
 
-        console.log('═════════════════════════════════════════════════');
-        const again = await ask(rl, '\nКупить ещё? (y/n): ');
-        if (!/^y(es)?$/i.test(again)) return;
+async function runCommand(positionals, flags) {
+    const [command, ...rest] = positionals;
+
+    try {
+        // Настройки читаются до справки: от них зависит язык
+        applyConfig(flags);
+
+        if (flags.help || command === 'help') {
+            console.log(usage());
+            return EXIT_CODES.ok;
+        }
+
+        if (flags.json) runtime.armoryLogger = { log: () => {} };
+
+        const items = bootstrap(flags);
+
+        switch (command) {
+            case 'accounts':
+                return await cmdAccounts(rest, flags, items);
+            case 'balance':
+                requireUnlocked();
+                return await cmdBalance(rest, flags);
+            case 'dashboard':
+                return await cmdDashboard(rest, flags, items);
+            case 'buy':
+                requireUnlocked();
+                return await cmdBuy(rest, flags, items);
+            case 'bulk-buy':
+                requireUnlocked();
+                return await cmdBulkBuy(rest, flags, items);
+            case 'ev':
+                return await cmdEv(rest, flags, items);
+            case 'plan':
+                return await cmdPlan(rest, flags, items);
+            case 'history':
+                return await cmdHistory(rest, flags);
+            case 'add-account':
+                requireUnlocked();
+                return await cmdAddAccount(rest, flags);
+            case 'import-accounts':
+                requireUnlocked();
+                return await cmdImportAccounts(rest, flags);
+            case 'guard':
+                return await cmdGuard(rest, flags);
+            case 'proxy':
+                return await cmdProxy(rest, flags);
+            case 'jobs':
+                return await cmdJobs(rest, flags, items);
+            case 'watch':
+                requireUnlocked();
+                return await cmdWatch(rest, flags);
+            case 'inventory':
+                requireUnlocked();
+                return await cmdInventory(rest, flags);
+            case 'report':
+                return await cmdReport(rest, flags, items);
+            case 'serve':
+                requireUnlocked();
+                return await cmdServe(rest, flags, items);
+            case 'items':
+                return await cmdItems(rest, flags);
+            case 'vault':
+                return await cmdVault(rest, flags);
+            case 'tokens':
+                return await cmdTokens(rest, flags);
+            case 'config':
+                return await cmdConfig(rest, flags);
+            case 'alerts':
+                return await cmdAlerts(rest, flags, items);
+            case 'daemon':
+                return await cmdDaemon(rest, flags, items);
+            default:
+                throw new UsageError(t('errors.unknownCommand', { command }));
+        }
+    } catch (e) {
+        if (e instanceof LockedError) {
+            output(flags, { ok: false, error: e.message }, []);
+            if (!flags.json) console.error(`${ICONS.error} ${e.message}`);
+            return EXIT_CODES.locked;
+        }
+        if (!(e instanceof UsageError)) throw e;
+        if (flags.json) output(flags, { ok: false, error: e.message }, []);
+        else console.error(`${ICONS.error} ${e.message}\n\n${usage()}`);
+        return EXIT_CODES.usage;
     }
 }
 
-async function main() {
-    ensureSessionsDir();
-    SessionManager.configureBaseDir(SESSIONS_DIR);
+function offlineDropFor(offer) {
+    const schema = schemaResolver.schema;
+    const randomOf = (list) => list[Math.floor(Math.random() * list.length)];
+
+    const paints = offer?.collection ? valueEstimator.collectionIndex().get(offer.collection) : null;
+    if (paints?.length) {
+        const pick = randomOf(paints);
+        const min = pick.paint.min ?? 0;
+        const max = pick.paint.max ?? 1;
+        return {
+            def_index: pick.defindex,
+            rarity: pick.paint.rarity,
+            attributes: [
+                FakeSteamNetwork.floatAttribute(6, pick.paintindex),
+                FakeSteamNetwork.floatAttribute(7, Math.floor(Math.random() * 1000)),
+                FakeSteamNetwork.floatAttribute(8, min + Math.random() * (max - min)),
+            ],
+        };
+    }
+
+    const containerId = Object.keys(schema?.containers || {}).find((id) => schema.containers[id].market_hash_name === offer?.name);
+    if (containerId) return { def_index: Number(containerId) };
+
+    if (/charm/i.test(offer?.name || '')) {
+        const keychainId = Number(randomOf(Object.keys(schema?.keychains || { 1: null })));
+        return {
+            def_index: 1355,
+            attributes: [FakeSteamNetwork.uint32Attribute(299, keychainId), FakeSteamNetwork.uint32Attribute(306, Math.floor(Math.random() * 100000))],
+        };
+    }
+
+    if (/sticker/i.test(offer?.name || '')) {
+        const stickerId = Number(randomOf(Object.keys(schema?.stickers || { 1: null })));
+        return { def_index: 1209, attributes: [FakeSteamNetwork.uint32Attribute(113, stickerId)] };
+    }
+
+    return { def_index: 7007 };
+}
+
+function setupOffline(flags, items) {
+    const scenario = flags['offline-scenario'] === undefined ? 'ok' : String(flags['offline-scenario']);
+    if (!OFFLINE_SCENARIOS.includes(scenario)) throw new UsageError(t('offline.unknownScenario', { scenario }));
+
+    const stars = toInt(flags['offline-stars'] ?? 100);
+    if (stars === null || stars < 0) throw new UsageError(t('errors.nonNegative', { flag: '--offline-stars' }));
+
+    const drop = (request) => offlineDropFor(items.find((it) => it.armoryId === request.armoryId));
+
+    const network = new FakeSteamNetwork({
+        stars,
+        logonError: scenario === 'invalid-token' ? 'AccessDenied' : null,
+        rateLimitedLogons: scenario === 'rate-limit' ? 2 : 0,
+        gcAvailable: scenario !== 'gc-down',
+        welcomeStars: scenario !== 'no-stars',
+        tokenLifetimeDays: scenario === 'expiring-token' ? 10 : 200,
+        // Стартовый инвентарь: по одному предмету с каждого из первых предложений
+        inventory: () => items.slice(0, 8).map((offer) => drop({ armoryId: offer.armoryId })),
+        redeem: (request, account) => {
+            if (scenario === 'malformed') return 'malformed';
+            if (scenario === 'redeem-timeout' && account.redeemed > 0) return 'timeout';
+            if (scenario === 'lost-drop' && account.redeemed === 1) return 'lost';
+            if (scenario === 'late-drop' && account.redeemed === 1) return { ...drop(request), delayMs: config.timeouts.offlinePurchaseMs + 500 };
+            if (scenario === 'price-change') return { ...drop(request), charge: request.price + 1 };
+            return drop(request);
+        },
+    });
+
+    const transport = network.transport();
+    runtime.offline = { network, scenario };
+    const offlineDir = config.paths.offlineDir;
+    runtime.sessionsDir = path.join(offlineDir, 'sessions');
+    runtime.historyPath = path.join(offlineDir, 'history', 'purchases.jsonl');
+    runtime.jobsDir = path.join(offlineDir, 'jobs');
+    runtime.reportsDir = path.join(offlineDir, 'reports');
+    runtime.daemonLogPath = path.join(offlineDir, 'history', 'daemon.jsonl');
+    runtime.balanceCachePath = path.join(offlineDir, 'history', 'balances.json');
+    runtime.lateDropMs = config.timeouts.offlinePurchaseMs;
+    runtime.steamTransport = transport;
+    runtime.armoryOptions = { ...runtime.armoryOptions, ...transport, purchaseTimeoutMs: config.timeouts.offlinePurchaseMs };
+}
+
+/**
+ * Прочитать настройки (файл, окружение, --config/--set) и применить их к путям, таймаутам и языку
+ * @param {Object} flags
+ */
+function applyConfig(flags = {}) {
+    let loaded;
+    try {
+        // Пока не прочитаны --lang и ui.language, сообщения (в том числе об ошибках в них) — на языке системы
+        setLanguage(resolveLanguage('auto'));
+        if (flags.lang !== undefined) setLanguage(resolveLanguage(requireFlag(flags, 'lang')));
+
+        const assignments = flags.set === undefined ? [] : requireFlag(flags, 'set').split(',');
+        loaded = loadConfig({
+            appDir: __dirname,
+            file: flags.config === undefined ? undefined : requireFlag(flags, 'config'),
+            overrides: parseOverrides(assignments),
+        });
+        if (flags.lang === undefined) setLanguage(resolveLanguage(loaded.config.ui.language));
+    } catch (e) {
+        if (e instanceof UsageError) throw e;
+        throw new UsageError(t('config.error', { error: e?.message || e }));
+    }
+
+    config = loaded.config;
+    configFile = loaded.file;
+
+    schemaResolver.schemaPath = config.paths.schema;
+    runtime.sessionsDir = config.paths.sessionsDir;
+    runtime.historyPath = config.paths.history;
+    runtime.jobsDir = config.paths.jobsDir;
+    runtime.reportsDir = config.paths.reportsDir;
+    runtime.daemonLogPath = config.paths.daemonLog;
+    runtime.balanceCachePath = config.paths.balanceCache;
+    runtime.lateDropMs = config.timeouts.lateDropMs;
+    runtime.armoryOptions = {
+        purchaseTimeoutMs: config.timeouts.purchaseMs,
+        gcConnectTimeoutMs: config.timeouts.gcConnectMs,
+        starsUpdateWaitMs: config.timeouts.starsUpdateMs,
+    };
+    connectionPool.idleTimeoutMs = config.timeouts.connectionIdleMs;
+    dropAlerts.timeoutMs = config.timeouts.webhookMs;
+}
 
+function bootstrap(flags = {}) {
     try {
         schemaResolver.init();
     } catch (e) {
-        console.log(`${ICONS.error} Не удалось загрузить схему: ${e?.message || e}`);
-        process.exit(1);
+        console.error(`${ICONS.error} ${t('errors.schema', { error: e?.message || e })}`);
+        process.exit(EXIT_CODES.error);
+    }
+
+    try {
+        dropAlerts.load(config.paths.alerts);
+    } catch (e) {
+        throw new UsageError(t('alerts.fileError', { error: e?.message || e }));
     }
 
     const { items } = loadItemsDb();
     const normalizedItems = items.map(normalizeItem).filter((x) => x.armoryId && x.price > 0);
 
+    if (flags.offline) setupOffline(flags, normalizedItems);
+
+    ensureSessionsDir();
+    SessionManager.configureBaseDir(runtime.sessionsDir);
+    PurchaseHistory.configureFile(runtime.historyPath);
+    PurchaseJobs.configureDir(runtime.jobsDir);
+    DaemonLog.configureFile(runtime.daemonLogPath);
+    BalanceCache.configureFile(runtime.balanceCachePath);
+
+    const masterPassword = process.env.CS2_STARS_MASTER_PASSWORD;
+    if (masterPassword && SessionManager.isEncryptionEnabled() && !SessionManager.unlock(masterPassword)) {
+        throw new LockedError(t('vault.wrongEnvPassword'));
+    }
+    // Уже сохранённые сессии попадают в реестр сами; SteamID зашифрованных дочитываются после разблокировки
+    AccountRegistry.sync();
+
+    return normalizedItems;
+}
+
+async function unlockFlow(rl) {
+    if (!SessionManager.isEncryptionEnabled() || SessionManager.isUnlocked()) return true;
+
+    banner();
+    console.log(t('vault.encryptedHint'));
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const password = await askHidden(rl, t('vault.askPassword'));
+        if (password && SessionManager.unlock(password)) return true;
+        console.log(`${ICONS.error} ${t('vault.wrongPassword')}`);
+    }
+    return false;
+}
+
+async function vaultFlow(rl) {
+    banner();
+    console.log(`═══════════════════ ${t('vault.title')} ═══════════════════`);
+    console.log('');
+
+    if (!SessionManager.isEncryptionEnabled()) {
+        console.log(t('vault.plaintextHint'));
+        console.log(t('vault.enableWarning'));
+        console.log('');
+
+        const password = await askHidden(rl, t('vault.askNewPassword'));
+        if (!password) return;
+        const repeat = await askHidden(rl, t('vault.askRepeat'));
+        if (password !== repeat) {
+            console.log(`${ICONS.error} ${t('vault.mismatch')}`);
+            await ask(rl, t('common.pressEnter'));
+            return;
+        }
+
+        SessionManager.enableEncryption(password);
+        const migrated = SessionManager.migratePlaintextSessions();
+        console.log(`${ICONS.success} ${t('vault.enabled', { count: migrated.length })}`);
+        await ask(rl, t('common.pressEnter'));
+        return;
+    }
+
+    const plaintext = SessionManager.listPlaintextSessions();
+    console.log(`${ICONS.success} ${t('vault.isOn')}`);
+    console.log(t('vault.plaintext', { count: plaintext.length }));
+
+    if (plaintext.length) {
+        const confirm = await ask(rl, t('vault.askMigrate'));
+        if (/^y(es)?$/i.test(confirm)) {
+            const migrated = SessionManager.migratePlaintextSessions();
+            console.log(`${ICONS.success} ${t('vault.migrated', { count: migrated.length })}`);
+        }
+    }
+
+    await ask(rl, t('common.pressEnter'));
+}
+
+async function jobsFlow(rl, items) {
+    while (true) {
+        banner();
+        console.log(`═══════════════════ ${t('jobs.title')} ═══════════════════`);
+        console.log('');
+
+        const jobs = PurchaseJobs.listUnfinished();
+        if (!jobs.length) {
+            console.log(t('jobs.none'));
+            await ask(rl, t('common.pressEnter'));
+            return;
+        }
+
+        jobs.forEach((job, i) => console.log(` [${i + 1}] ${formatJob(job)}`));
+        console.log('');
+        console.log(` [B] ${t('common.back')}`);
+        console.log('');
+
+        const input = (await ask(rl, t('jobs.select'))).toLowerCase();
+        if (input === 'b' || input === 'back' || input === '') return;
+
+        const job = jobs[(toInt(input) ?? 0) - 1];
+        if (!job) continue;
+
+        const action = (await ask(rl, t('jobs.actions'))).toLowerCase();
+        if (action === 'c') {
+            job.status = 'cancelled';
+            PurchaseJobs.save(job);
+            continue;
+        }
+        if (action !== 'r') continue;
+
+        console.log('');
+        const result = await resumeJob(job, items, { log: (line) => console.log(line) });
+        console.log('');
+        console.log(result.ok ? `${ICONS.success} ${t('jobs.finished')}` : `${ICONS.warning} ${t('jobs.notFinished', { note: result.note ?? t('jobs.seeAbove') })}`);
+        await ask(rl, t('common.pressEnter'));
+    }
+}
+
+async function guardFlow(rl) {
+    while (true) {
+        banner();
+        console.log('═══════════════════ STEAM GUARD ═══════════════════');
+        console.log('');
+
+        const withSecret = SessionManager.listSharedSecrets();
+        console.log(t('guard.accounts', { accounts: withSecret.length ? withSecret.join(', ') : t('guard.noAccounts') }));
+        console.log('');
+        console.log(` [1] ${t('guard.menu.import')}`);
+        console.log(` [2] ${t('guard.menu.set')}`);
+        console.log(` [3] ${t('guard.menu.code')}`);
+        console.log(` [4] ${t('guard.menu.remove')}`);
+        console.log(` [Q] ${t('common.back')}`);
+        console.log('');
+
+        const input = (await ask(rl, t('common.chooseAction'))).toLowerCase();
+        if (input === 'q' || input === '') return;
+
+        try {
+            if (input === '1') {
+                const target = await ask(rl, t('guard.askPath'));
+                if (!target) continue;
+
+                const { accounts, errors } = readMaFiles(target);
+                for (const a of accounts) SessionManager.saveSharedSecret(a.username, a.sharedSecret);
+                console.log(`${ICONS.success} ${t('guard.imported', { count: accounts.length })}`);
+                for (const a of accounts) console.log(`   ${a.username}`);
+                for (const e of errors) console.log(`${ICONS.error} ${path.basename(e.file)}: ${e.error}`);
+            } else if (input === '2') {
+                const username = await ask(rl, t('account.add.login'));
+                if (!username) continue;
+                const sharedSecret = normalizeSharedSecret(await askHidden(rl, 'shared_secret: '));
+                if (!sharedSecret) {
+                    console.log(`${ICONS.error} ${t('guard.badSecret')}`);
+                } else {
+                    SessionManager.saveSharedSecret(username, sharedSecret);
+                    console.log(`${ICONS.success} ${t('guard.saved', { username })}`);
+                }
+            } else if (input === '3' || input === '4') {
+                const username = await ask(rl, t('account.add.login'));
+                if (!withSecret.includes(username)) {
+                    console.log(`${ICONS.error} ${t('guard.missing', { username })}`);
+                } else if (input === '3') {
+                    console.log(`${ICONS.success} ${t('guard.code', { code: generateCode(SessionManager.loadSharedSecret(username)) })}`);
+                } else {
+                    SessionManager.deleteSharedSecret(username);
+                    console.log(`${ICONS.success} ${t('guard.removed', { username })}`);
+                }
+            } else {
+                continue;
+            }
+        } catch (e) {
+            console.log(`${ICONS.error} ${e?.message || e}`);
+        }
+
+        await ask(rl, t('common.pressEnter'));
+    }
+}
+
+async function proxyFlow(rl) {
+    while (true) {
+        banner();
+        console.log(`═══════════════════ ${t('proxy.title')} ═══════════════════`);
+        console.log('');
+
+        const configured = SessionManager.listNetworkSettings();
+        if (!configured.length) console.log(t('proxy.allDirect'));
+        for (const username of configured) console.log(`   ${username}: ${formatNetwork(SessionManager.loadNetworkSettings(username))}`);
+        console.log('');
+        console.log(` [1] ${t('proxy.menu.set')}`);
+        console.log(` [2] ${t('proxy.menu.remove')}`);
+        console.log(` [3] ${t('proxy.menu.check')}`);
+        console.log(` [Q] ${t('common.back')}`);
+        console.log('');
+
+        const input = (await ask(rl, t('common.chooseAction'))).toLowerCase();
+        if (input === 'q' || input === '') return;
+
+        try {
+            if (input === '1') {
+                const username = await ask(rl, t('account.add.login'));
+                if (!username) continue;
+                const proxy = await ask(rl, t('proxy.askProxy'));
+                const localAddress = await ask(rl, t('proxy.askBind'));
+                const settings = normalizeNetworkSettings({ proxy: proxy || null, localAddress: localAddress || null });
+                if (!settings.proxy && !settings.localAddress) {
+                    SessionManager.deleteNetworkSettings(username);
+                    console.log(`${ICONS.success} ${username}: ${t('proxy.direct')}`);
+                } else {
+                    SessionManager.saveNetworkSettings(username, settings);
+                    console.log(`${ICONS.success} ${username}: ${formatNetwork(settings)}`);
+                }
+            } else if (input === '2') {
+                const username = await ask(rl, t('account.add.login'));
+                if (!configured.includes(username)) {
+                    console.log(`${ICONS.error} ${t('proxy.notSet', { username })}`);
+                } else {
+                    SessionManager.deleteNetworkSettings(username);
+                    console.log(`${ICONS.success} ${t('proxy.removed', { username })}`);
+                }
+            } else if (input === '3') {
+                if (!configured.length) {
+                    console.log(t('proxy.nothing'));
+                } else {
+                    console.log(`\n${ICONS.loading} ${t('proxy.checking')}`);
+                    await checkAccountsNetwork(configured, { log: (line) => console.log(line) });
+                }
+            } else {
+                continue;
+            }
+        } catch (e) {
+            console.log(`${ICONS.error} ${e?.message || e}`);
+        }
+
+        await ask(rl, t('common.pressEnter'));
+    }
+}
+
+// Поле реестра в меню: Enter — оставить как есть, "-" — очистить
+async function askRegistryField(rl, label, current) {
+    const answer = (await ask(rl, t('accounts.ask', { field: label, current: current || t('accounts.none') }))).trim();
+    if (!answer) return undefined;
+    return answer === '-' ? '' : answer;
+}
+
+async function editAccountFlow(rl, username, items) {
+    banner();
+    for (const line of formatAccountDetails(accountDetails(username, items))) console.log(line);
+    console.log('');
+
+    const entry = AccountRegistry.get(username);
+    const changes = {};
+    const nickname = await askRegistryField(rl, t('accounts.field.nickname'), entry.nickname);
+    if (nickname !== undefined) changes.nickname = nickname;
+    const group = await askRegistryField(rl, t('accounts.field.group'), entry.group);
+    if (group !== undefined) changes.group = group;
+    const tags = await askRegistryField(rl, t('accounts.field.tags'), entry.tags.join(', '));
+    if (tags !== undefined) changes.tags = tags;
+    const item = await askRegistryField(rl, t('accounts.field.defaultItem'), accountDetails(username, items).defaultItemName);
+    if (item !== undefined) changes.defaultItem = item ? String(findItem(items, item).armoryId) : '';
+    const notes = await askRegistryField(rl, t('accounts.field.notes'), entry.notes);
+    if (notes !== undefined) changes.notes = notes;
+
+    if (!Object.keys(changes).length) return;
+    AccountRegistry.update(username, changes);
+    console.log(`${ICONS.success} ${t('accounts.saved', { username })}`);
+}
+
+async function registryFlow(rl, items) {
+    while (true) {
+        banner();
+        console.log(`═══════════════════ ${t('accounts.title')} ═══════════════════`);
+        console.log('');
+
+        const accounts = SessionManager.listAccounts();
+        accounts.forEach((a, i) => {
+            const entry = AccountRegistry.get(a);
+            const labels = formatLabels(entry);
+            console.log(` [${i + 1}] ${a}${entry.steamId ? ` (${entry.steamId})` : ''}${labels ? ` ${labels}` : ''}`);
+        });
+        console.log('');
+        console.log(` [T] ${t('accounts.menu.tag')}`);
+        console.log(` [U] ${t('accounts.menu.untag')}`);
+        console.log(` [Q] ${t('common.back')}`);
+        console.log('');
+
+        const input = (await ask(rl, t('accounts.menu.select'))).toLowerCase();
+        if (input === 'q' || input === '') return;
+
+        try {
+            if (input === 't' || input === 'u') {
+                const selected = selectAccounts(await ask(rl, t('accounts.askSelector')));
+                const tags = parseTags(await ask(rl, t('accounts.askTags')));
+                if (!tags.length) continue;
+                AccountRegistry.retag(selected, input === 't' ? { add: tags } : { remove: tags });
+                const key = input === 't' ? 'accounts.tagged' : 'accounts.untagged';
+                console.log(`${ICONS.success} ${t(key, { tags: tags.join(', '), count: selected.length })}`);
+            } else {
+                const username = accounts[(toInt(input) ?? 0) - 1];
+                if (!username) continue;
+                await editAccountFlow(rl, username, items);
+            }
+        } catch (e) {
+            console.log(`${ICONS.error} ${e?.message || e}`);
+        }
+
+        await ask(rl, t('common.pressEnter'));
+    }
+}
+
+async function main(flags) {
+    applyConfig(flags);
+    const normalizedItems = bootstrap(flags);
+
     const rl = rlCreate();
 
     try {
+        if (!(await unlockFlow(rl))) {
+            console.log(`${ICONS.error} ${t('vault.stillLocked')}`);
+            rl.close();
+            process.exit(EXIT_CODES.locked);
+        }
+
+        await renewExpiringTokensFlow();
+
         while (true) {
-            const username = await selectAccountFlow(rl);
+            const username = await selectAccountFlow(rl, normalizedItems);
             if (username === null) {
                 banner();
-                console.log('До свидания!');
-                rl.close();
-                process.exit(0);
+                console.log(t('common.bye'));
+                return;
             }
 
             await buyFlow(rl, username, normalizedItems);
         }
     } finally {
         rl.close();
+        await closeConnections();
         process.exit(0);
     }
 }
 
-main().catch((e) => {
+async function runAndExit(positionals, flags) {
+    const code = await runCommand(positionals, flags);
+    await closeConnections();
+    process.exit(code);
+}
+
+const cli = parseArgv(process.argv.slice(2));
+const entry = cli.positionals.length || cli.flags.help ? runAndExit(cli.positionals, cli.flags) : main(cli.flags);
+
+entry.catch((e) => {
     console.error('FATAL:', e?.message || e);
-    process.exit(1);
+    process.exit(EXIT_CODES.error);
 });
@@ -0,0 +1,145 @@
+/**
+ * AccountImport.js
+ * Bulk account import: "login:password[:shared_secret]" lists and .maFile folders, logins with a shared rate-limit cooldown
+ * @module AccountImport
+ */
+
+import { isValidLogin, normalizeSharedSecret } from './SteamGuard.js';
+
+// steam-user errors carry the EResult number; the offline fake uses the name
+const RATE_LIMIT_RESULTS = new Map([
+    [84, 'RateLimitExceeded'],
+    [87, 'AccountLoginDeniedThrottle'],
+]);
+
+/**
+ * Whether a login failed because Steam throttles logins (worth retrying later)
+ * @param {Error} e
+ * @returns {boolean}
+ */
+export function isRateLimitError(e) {
+    const names = [...RATE_LIMIT_RESULTS.values()];
+    return RATE_LIMIT_RESULTS.has(e?.eresult) || names.includes(e?.eresult) || names.some((name) => String(e?.message ?? '').includes(name));
+}
+
+/**
+ * Parse a credentials list: one "login:password[:shared_secret]" per line, "#" starts a comment.
+ * Passwords may contain ":"; the last part is taken as shared_secret only if it is a valid one.
+ * Logins outside Steam's character set are rejected: they become session file names.
+ * @param {string} raw - File contents
+ * @returns {{entries: {username: string, password: string, sharedSecret: string|null, line: number}[], errors: {line: number, error: string}[]}}
+ */
+export function parseCredentials(raw) {
+    const entries = [];
+    const errors = [];
+    const seen = new Set();
+
+    String(raw ?? '')
+        .split(/\r?\n/)
+        .forEach((text, i) => {
+            const line = i + 1;
+            const value = text.trim();
+            if (!value || value.startsWith('#')) return;
+
+            const parts = value.split(':');
+            const username = parts[0].trim();
+            let sharedSecret = null;
+            if (parts.length >= 3) {
+                sharedSecret = normalizeSharedSecret(parts[parts.length - 1]);
+                if (sharedSecret) parts.pop();
+            }
+            const password = parts.slice(1).join(':');
+
+            if (!username || !password) {
+                errors.push({ line, error: 'Expected login:password[:shared_secret]' });
+            } else if (!isValidLogin(username)) {
+                errors.push({ line, error: `"${username}" is not a valid Steam login (latin letters, digits and _)` });
+            } else if (seen.has(username)) {
+                errors.push({ line, error: `Duplicate login "${username}"` });
+            } else {
+                seen.add(username);
+                entries.push({ username, password, sharedSecret, line });
+            }
+        });
+
+    return { entries, errors };
+}
+
+/**
+ * Accounts to import from a credentials list and/or .maFile files.
+ * Normally the list holds the accounts and .maFiles only add missing shared secrets; with fromMaFiles every .maFile
+ * is an account and its password comes from the list or, failing that, from the common password.
+ * @param {Object} sources
+ * @param {Object[]|null} [sources.credentials] - Entries from parseCredentials
+ * @param {{username: string, sharedSecret: string}[]|null} [sources.maFiles] - Accounts from readMaFiles
+ * @param {string|null} [sources.password] - Common password of .maFile accounts that are not in the list
+ * @param {boolean} [sources.fromMaFiles=false] - Take the accounts from the .maFiles and only passwords from the list
+ * @returns {{username: string, password: string|null, sharedSecret: string|null}[]}
+ */
+export function planImport({ credentials = null, maFiles = null, password = null, fromMaFiles = false }) {
+    const secrets = new Map((maFiles ?? []).map((a) => [a.username.toLowerCase(), a.sharedSecret]));
+    const passwords = new Map((credentials ?? []).map((e) => [e.username.toLowerCase(), e]));
+
+    if (fromMaFiles) {
+        return (maFiles ?? []).map((a) => ({
+            username: a.username,
+            password: passwords.get(a.username.toLowerCase())?.password ?? password,
+            sharedSecret: a.sharedSecret,
+        }));
+    }
+
+    return (credentials ?? []).map((e) => ({
+        username: e.username,
+        password: e.password,
+        sharedSecret: e.sharedSecret ?? secrets.get(e.username.toLowerCase()) ?? null,
+    }));
+}
+
+export default class AccountImporter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.login - async entry => void; logs the account in and saves its session
+     * @param {number} [options.retries=3] - Extra attempts after a rate-limited login
+     * @param {number} [options.retryDelayMs=60000] - Cooldown after the first rate limit, doubled after each next one
+     * @param {Function} [options.wait] - ms => Promise, for the cooldowns
+     */
+    constructor({ login, retries = 3, retryDelayMs = 60000, wait = (ms) => new Promise((r) => setTimeout(r, ms)) }) {
+        this.login = login;
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+        this.wait = wait;
+        // A rate limit applies to the whole IP, so every worker waits out the same cooldown
+        this.cooldownUntil = 0;
+        this.strikes = 0;
+    }
+
+    /**
+     * Log one account in, retrying rate-limited attempts after a cooldown
+     * @param {{username: string, password: string, sharedSecret: string|null}} entry
+     * @param {Function} [onRetry] - ({username, attempt, delayMs, error}) before each cooldown
+     * @returns {Promise<{account: string, ok: boolean, attempts: number, rateLimited: boolean, error: string|null}>}
+     */
+    async import(entry, onRetry = () => {}) {
+        for (let attempt = 1; ; attempt++) {
+            const delayMs = this.cooldownUntil - Date.now();
+            if (delayMs > 0) await this.wait(delayMs);
+
+            try {
+                await this.login(entry);
+                this.strikes = 0;
+                return { account: entry.username, ok: true, attempts: attempt, rateLimited: false, error: null };
+            } catch (e) {
+                const error = e?.message || String(e);
+                if (!isRateLimitError(e)) return { account: entry.username, ok: false, attempts: attempt, rateLimited: false, error };
+                if (attempt > this.retries) return { account: entry.username, ok: false, attempts: attempt, rateLimited: true, error };
+
+                // Workers hitting the same cooldown extend it only once
+                if (this.cooldownUntil <= Date.now()) {
+                    this.cooldownUntil = Date.now() + this.retryDelayMs * 2 ** this.strikes;
+                    this.strikes++;
+                }
+                onRetry({ username: entry.username, attempt, delayMs: this.cooldownUntil - Date.now(), error });
+            }
+        }
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * AccountRegistry.js
+ * Account metadata (SteamID, nickname, group, tags, default item, notes) kept next to the session files,
+ * and account selectors such as "tag:farm-eu" or "group:eu"
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import SessionManager from './SessionManager.js';
+
+const REGISTRY_FILE = 'accounts.json';
+
+// Secrets (token, shared_secret, proxy credentials) stay in their protected files; the registry only holds these
+export const REGISTRY_FIELDS = ['steamId', 'nickname', 'group', 'tags', 'defaultItem', 'notes'];
+
+const TAG_PATTERN = /^[\p{L}\p{N}_.-]+$/u;
+
+function emptyEntry() {
+    return { steamId: null, nickname: null, group: null, tags: [], defaultItem: null, notes: null, addedAt: new Date().toISOString() };
+}
+
+/**
+ * Tags from a list or a comma-separated string, lowercased and without duplicates
+ * @param {string|string[]} value
+ * @returns {string[]}
+ * @throws {Error} On tags with spaces or punctuation other than _ . -
+ */
+export function parseTags(value) {
+    const tags = (Array.isArray(value) ? value : String(value ?? '').split(','))
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter(Boolean);
+    const bad = tags.find((tag) => !TAG_PATTERN.test(tag));
+    if (bad) throw new Error(`Invalid tag "${bad}": letters, digits, "_", "." and "-" only`);
+    return [...new Set(tags)];
+}
+
+class AccountRegistry {
+    /**
+     * Registry file in the sessions directory
+     * @returns {string}
+     */
+    static filePath() {
+        return path.join(SessionManager.baseDir, REGISTRY_FILE);
+    }
+
+    /**
+     * All entries by username, including accounts whose session was removed (their metadata is kept for a re-login)
+     * @returns {Object<string, Object>}
+     */
+    static readAll() {
+        const data = SessionManager.readJsonFile(this.filePath());
+        const accounts = data?.accounts && typeof data.accounts === 'object' ? data.accounts : {};
+        return Object.fromEntries(Object.entries(accounts).map(([username, entry]) => [username, { ...emptyEntry(), ...entry }]));
+    }
+
+    /**
+     * Persist the registry atomically (temp file + rename)
+     * @param {Object<string, Object>} accounts
+     */
+    static writeAll(accounts) {
+        const filepath = this.filePath();
+        const tmp = `${filepath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ version: 1, accounts }, null, 2), 'utf8');
+        fs.renameSync(tmp, filepath);
+    }
+
+    /**
+     * Import session files that have no entry yet and fill in missing SteamIDs from their tokens.
+     * Tokens of a locked vault cannot be read; their SteamIDs are filled in on a later sync.
+     * @returns {string[]} Accounts added to the registry
+     */
+    static sync() {
+        const accounts = this.readAll();
+        const added = [];
+        let changed = false;
+
+        for (const username of SessionManager.listAccounts()) {
+            if (!accounts[username]) {
+                accounts[username] = emptyEntry();
+                added.push(username);
+                changed = true;
+            }
+            if (!accounts[username].steamId) {
+                const steamId = SessionManager.getTokenInfo(username)?.steamId ?? null;
+                if (steamId) {
+                    accounts[username].steamId = String(steamId);
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) this.writeAll(accounts);
+        return added;
+    }
+
+    /**
+     * Entry of an account (defaults if it has none)
+     * @param {string} username
+     * @returns {Object}
+     */
+    static get(username) {
+        return this.readAll()[username] ?? emptyEntry();
+    }
+
+    /**
+     * Validate field changes; null or an empty string clears a field
+     * @param {Object} changes - Subset of REGISTRY_FIELDS
+     * @returns {Object} Normalized changes
+     * @throws {Error} On unknown fields or invalid values
+     */
+    static normalize(changes) {
+        const normalized = {};
+        for (const [field, value] of Object.entries(changes)) {
+            if (!REGISTRY_FIELDS.includes(field)) throw new Error(`Unknown field "${field}" (${REGISTRY_FIELDS.join(', ')})`);
+            if (field === 'tags') {
+                normalized.tags = parseTags(value);
+                continue;
+            }
+
+            const text = value === null || value === undefined ? '' : String(value).trim();
+            if (field === 'steamId' && text && !/^\d{17}$/.test(text)) throw new Error(`Invalid SteamID "${text}": expected 17 digits`);
+            if (field === 'group' && text && !TAG_PATTERN.test(text)) throw new Error(`Invalid group "${text}": letters, digits, "_", "." and "-" only`);
+            normalized[field] = text || null;
+        }
+        return normalized;
+    }
+
+    /**
+     * Change fields of an account
+     * @param {string} username
+     * @param {Object} changes - See normalize
+     * @returns {Object} Updated entry
+     * @throws {Error} On unknown fields or invalid values
+     */
+    static update(username, changes) {
+        const normalized = this.normalize(changes);
+        const accounts = this.readAll();
+        const entry = { ...(accounts[username] ?? emptyEntry()), ...normalized, updatedAt: new Date().toISOString() };
+        accounts[username] = entry;
+        this.writeAll(accounts);
+        return entry;
+    }
+
+    /**
+     * Add and remove tags of several accounts
+     * @param {string[]} usernames
+     * @param {{add?: string[], remove?: string[]}} tags - Already parsed with parseTags
+     */
+    static retag(usernames, { add = [], remove = [] }) {
+        const accounts = this.readAll();
+        for (const username of usernames) {
+            const entry = accounts[username] ?? emptyEntry();
+            entry.tags = [...new Set([...entry.tags, ...add])].filter((tag) => !remove.includes(tag));
+            entry.updatedAt = new Date().toISOString();
+            accounts[username] = entry;
+        }
+        this.writeAll(accounts);
+    }
+
+    /**
+     * Accounts matching a selector: comma-separated usernames, "all", "tag:<tag>" and "group:<group>"
+     * @param {string} selector
+     * @param {string[]} [known] - Accounts to select from (default: all saved sessions)
+     * @returns {{accounts: string[], missing: string[]}} Matches in selector order, and usernames that are not known
+     */
+    static select(selector, known = SessionManager.listAccounts()) {
+        const registry = this.readAll();
+        const accounts = [];
+        const missing = [];
+
+        for (const term of String(selector).split(',').map((s) => s.trim()).filter(Boolean)) {
+            const lower = term.toLowerCase();
+            if (lower === 'all' || lower === '*') {
+                accounts.push(...known);
+            } else if (lower.startsWith('tag:')) {
+                const tag = lower.slice('tag:'.length);
+                accounts.push(...known.filter((username) => registry[username]?.tags.includes(tag)));
+            } else if (lower.startsWith('group:')) {
+                const group = lower.slice('group:'.length);
+                accounts.push(...known.filter((username) => registry[username]?.group?.toLowerCase() === group));
+            } else if (known.includes(term)) {
+                accounts.push(term);
+            } else {
+                missing.push(term);
+            }
+        }
+
+        return { accounts: [...new Set(accounts)], missing };
+    }
+
+    /**
+     * Tags and groups in use, with account counts
+     * @returns {{tags: Object<string, number>, groups: Object<string, number>}}
+     */
+    static labels() {
+        const tags = {};
+        const groups = {};
+        for (const entry of Object.values(this.readAll())) {
+            for (const tag of entry.tags) tags[tag] = (tags[tag] ?? 0) + 1;
+            if (entry.group) groups[entry.group] = (groups[entry.group] ?? 0) + 1;
+        }
+        return { tags, groups };
+    }
+}
+
+export default AccountRegistry;
@@ -0,0 +1,292 @@
+/**
+ * ApiServer.js
+ * Minimal local HTTP JSON API with a WebSocket event stream and bearer-token auth
+ * @module ApiServer
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_BODY_BYTES = 1024 * 1024;
+// The event stream is server-to-client only: clients send nothing bigger than a ping or a close
+const MAX_FRAME_BYTES = 64 * 1024;
+const CLOSE_TOO_BIG = 1009;
+
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/**
+ * Error with an HTTP status, thrown by route handlers
+ */
+export class ApiError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message
+     * @param {Object} [details] - Extra fields for the JSON error body
+     */
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split complete client frames off the front of a buffer (client frames are always masked)
+ * @param {Buffer} buffer
+ * @returns {{frames: {opcode: number, payload: Buffer}[], rest: Buffer, tooBig: boolean}} tooBig — a frame declares more than MAX_FRAME_BYTES
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let cursor = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length - cursor < 2) break;
+            length = buffer.readUInt16BE(cursor);
+            cursor += 2;
+        } else if (length === 127) {
+            if (buffer.length - cursor < 8) break;
+            const declared = buffer.readBigUInt64BE(cursor);
+            length = declared > BigInt(MAX_FRAME_BYTES) ? Infinity : Number(declared);
+            cursor += 8;
+        }
+        if (length > MAX_FRAME_BYTES) return { frames, rest: buffer.subarray(offset), tooBig: true };
+
+        const maskBytes = masked ? 4 : 0;
+        if (buffer.length - cursor < maskBytes + length) break;
+
+        const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+        cursor += maskBytes;
+        const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+        if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+
+        frames.push({ opcode, payload });
+        offset = cursor + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset), tooBig: false };
+}
+
+function compilePath(pattern) {
+    const names = [];
+    const source = pattern.replace(/:(\w+)/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+export default class ApiServer {
+    /**
+     * @param {Object} options
+     * @param {string} options.token - Required in "Authorization: Bearer <token>" (or ?token= for WebSocket clients)
+     * @param {string} [options.eventsPath='/api/events'] - WebSocket endpoint
+     * @param {Object} [options.logger=console]
+     */
+    constructor({ token, eventsPath = '/api/events', logger = console }) {
+        if (!token) throw new Error('API token is required');
+        this.token = Buffer.from(String(token));
+        this.eventsPath = eventsPath;
+        this.logger = logger;
+        this.routes = [];
+        this.clients = new Set();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+    }
+
+    /**
+     * Register a JSON route. The handler gets { params, query, body, req } and returns the response body
+     * (or { status, body }); thrown ApiError sets the status, other errors become 500.
+     * @param {string} method
+     * @param {string} pattern - e.g. "/api/accounts/:username/balance"
+     * @param {Function} handler
+     * @returns {ApiServer}
+     */
+    route(method, pattern, handler) {
+        this.routes.push({ method: method.toUpperCase(), ...compilePath(pattern), handler });
+        return this;
+    }
+
+    /**
+     * Whether a request carries the API token
+     * @param {http.IncomingMessage} req
+     * @param {URL} url
+     * @returns {boolean}
+     */
+    isAuthorized(req, url) {
+        const header = req.headers.authorization || '';
+        const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token') || '');
+        return given.length === this.token.length && crypto.timingSafeEqual(given, this.token);
+    }
+
+    async readBody(req) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) throw new ApiError(413, 'Request body too large');
+            chunks.push(chunk);
+        }
+        if (!size) return {};
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch {
+            throw new ApiError(400, 'Request body must be JSON');
+        }
+    }
+
+    send(res, status, body) {
+        const json = JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(json) });
+        res.end(json);
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (!this.isAuthorized(req, url)) throw new ApiError(401, 'Unauthorized');
+
+            const candidates = this.routes.filter((r) => r.regex.test(url.pathname));
+            if (!candidates.length) throw new ApiError(404, 'Not found');
+
+            const route = candidates.find((r) => r.method === req.method);
+            if (!route) throw new ApiError(405, 'Method not allowed');
+
+            const match = route.regex.exec(url.pathname);
+            let params;
+            try {
+                params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+            } catch (e) {
+                if (e instanceof URIError) throw new ApiError(400, 'Malformed URL escape');
+                throw e;
+            }
+            const body = req.method === 'GET' || req.method === 'HEAD' ? {} : await this.readBody(req);
+
+            const result = await route.handler({ params, query: Object.fromEntries(url.searchParams), body, req });
+            if (result && typeof result === 'object' && 'status' in result && 'body' in result) this.send(res, result.status, result.body);
+            else this.send(res, 200, result ?? { ok: true });
+        } catch (e) {
+            const status = e instanceof ApiError ? e.status : 500;
+            if (status === 500) this.logger.log(`[ApiServer] ${req.method} ${url.pathname}: ${e?.stack || e}`);
+            this.send(res, status, { ok: false, error: e?.message || String(e), ...(e?.details || {}) });
+        }
+    }
+
+    handleUpgrade(req, socket) {
+        const url = new URL(req.url, 'http://localhost');
+        const reject = (status, text) => {
+            socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\n\r\n`);
+        };
+
+        if (url.pathname !== this.eventsPath) return reject(404, 'Not Found');
+        if (!this.isAuthorized(req, url)) return reject(401, 'Unauthorized');
+
+        const key = req.headers['sec-websocket-key'];
+        if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') return reject(400, 'Bad Request');
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+
+        this.clients.add(socket);
+        let pending = Buffer.alloc(0);
+        let closing = false;
+
+        socket.on('data', (chunk) => {
+            if (closing) return;
+            // pending never holds more than one unfinished frame, so it stays under the cap as well
+            const { frames, rest, tooBig } = decodeFrames(pending.length ? Buffer.concat([pending, chunk]) : chunk);
+            pending = rest;
+            if (tooBig) {
+                closing = true;
+                pending = Buffer.alloc(0);
+                const code = Buffer.alloc(2);
+                code.writeUInt16BE(CLOSE_TOO_BIG);
+                this.clients.delete(socket);
+                socket.end(encodeFrame(OP_CLOSE, code), () => socket.destroy());
+                // The client may keep sending: do not wait for it
+                setTimeout(() => socket.destroy(), 1000).unref();
+                return;
+            }
+            for (const frame of frames) {
+                if (frame.opcode === OP_PING) socket.write(encodeFrame(OP_PONG, frame.payload));
+                else if (frame.opcode === OP_CLOSE) {
+                    this.clients.delete(socket);
+                    socket.end(encodeFrame(OP_CLOSE));
+                }
+                // The stream is server-to-client only; other client frames are ignored
+            }
+        });
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('error', () => this.clients.delete(socket));
+    }
+
+    /**
+     * Push an event to every connected WebSocket client as {"event", "data", "at"}
+     * @param {string} event
+     * @param {Object} data
+     */
+    broadcast(event, data) {
+        const frame = encodeFrame(OP_TEXT, Buffer.from(JSON.stringify({ event, data, at: new Date().toISOString() })));
+        for (const socket of this.clients) {
+            if (!socket.destroyed) socket.write(frame);
+        }
+    }
+
+    /**
+     * @param {number} port
+     * @param {string} host
+     * @returns {Promise<{host: string, port: number}>}
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                const address = this.server.address();
+                resolve({ host: address.address, port: address.port });
+            });
+        });
+    }
+
+    /**
+     * Close WebSocket clients and stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        for (const socket of this.clients) socket.end(encodeFrame(OP_CLOSE));
+        this.clients.clear();
+        return new Promise((resolve) => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+    }
+}
@@ -1,19 +1,168 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import SteamUser from 'steam-user';
 import GlobalOffensive from 'globaloffensive';
+import SessionManager from './SessionManager.js';
+import { steamUserOptions } from './NetworkSettings.js';
+import { DEFAULT_CONFIG } from './Config.js';
+import { t } from './I18n.js';
+import { parseClientWelcomeManual, decodeSOStars, MSG_ESO_UPDATE, MSG_ESO_UPDATE_MULTIPLE } from './GCBalance.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 const APP_ID = 730;
 const MSG_GC_REDEEM = 9209;
 const MSG_ESO_CREATE = 21;
-const PURCHASE_TIMEOUT_MS = 30000;
+const MSG_ESO_DESTROY = 23;
+const SO_TYPE_ECON_ITEM = 1;
+const MSG_CLIENT_WELCOME = 4004;
+const MAX_PAINT_SEED = 1000;
 
 class ArmoryManager {
-    constructor() {
+    // Таймауты по умолчанию — из Config.js; CLI передаёт значения из файла настроек
+    constructor({
+        SteamUser: SteamUserImpl = SteamUser,
+        GlobalOffensive: GlobalOffensiveImpl = GlobalOffensive,
+        purchaseTimeoutMs = DEFAULT_CONFIG.timeouts.purchaseMs,
+        gcConnectTimeoutMs = DEFAULT_CONFIG.timeouts.gcConnectMs,
+        // Сколько ждать обновления баланса от GC после получения предмета
+        starsUpdateWaitMs = DEFAULT_CONFIG.timeouts.starsUpdateMs,
+    } = {}) {
         this.activeConnection = null;
+        this.logger = console;
+        this.SteamUser = SteamUserImpl;
+        this.GlobalOffensive = GlobalOffensiveImpl;
+        this.purchaseTimeoutMs = purchaseTimeoutMs;
+        this.gcConnectTimeoutMs = gcConnectTimeoutMs;
+        this.starsUpdateWaitMs = starsUpdateWaitMs;
+
+        this.stars = null;
+        this.starsUpdates = 0;
+        this.soStarsMissing = false;
+        this.starsListeners = new Set();
+
+        this.inventory = new Map();
+        this.inventoryReady = false;
+    }
+
+    // Подмена steam-user/globaloffensive (например, FakeSteamNetwork для офлайн-режима)
+    setTransport({ SteamUser: SteamUserImpl = SteamUser, GlobalOffensive: GlobalOffensiveImpl = GlobalOffensive } = {}) {
+        this.SteamUser = SteamUserImpl;
+        this.GlobalOffensive = GlobalOffensiveImpl;
+    }
+
+    setPurchaseTimeout(ms) {
+        this.purchaseTimeoutMs = ms;
+    }
+
+    // Обновлённый Steam'ом refresh token сохраняем в файл сессии
+    watchRefreshToken(client, username) {
+        client.on('refreshToken', (refreshToken) => {
+            try {
+                SessionManager.saveSession(username, refreshToken);
+            } catch (e) {
+                this.logger.log(`[ArmoryManager] ⚠️ ${t('armory.tokenSaveFailed', { error: e?.message || e })}`);
+            }
+        });
+    }
+
+    // Баланс по данным GC: ClientWelcome при подключении, затем SO-обновления объекта аккаунта (type 6)
+    trackStars(client) {
+        client.on('receivedFromGC', (appid, msgType, payload) => {
+            if (appid !== APP_ID) return;
+
+            let stars = null;
+            if (msgType === MSG_CLIENT_WELCOME) stars = parseClientWelcomeManual(payload);
+            else if (msgType === MSG_ESO_CREATE || msgType === MSG_ESO_UPDATE || msgType === MSG_ESO_UPDATE_MULTIPLE) {
+                stars = decodeSOStars(msgType, payload);
+                if (stars !== null) this.starsUpdates++;
+            }
+            if (stars === null) return;
+
+            const previous = this.stars;
+            this.stars = stars;
+            for (const listener of this.starsListeners) listener(stars, previous);
+        });
+    }
+
+    // Инвентарь из SO-кэша: предметы приходят в ClientWelcome, дальше — создание/изменение/удаление через SO-сообщения
+    trackInventory(client) {
+        client.on('receivedFromGC', (appid, msgType, payload) => {
+            if (appid !== APP_ID) return;
+
+            try {
+                if (msgType === MSG_CLIENT_WELCOME) {
+                    for (const item of this.decodeWelcomeItems(payload)) this.inventory.set(item.id, item);
+                    this.inventoryReady = true;
+                } else if (msgType === MSG_ESO_CREATE || msgType === MSG_ESO_UPDATE) {
+                    const so = this.decodeSOSingleObject(payload);
+                    if (so?.typeId !== SO_TYPE_ECON_ITEM) return;
+                    const item = this.parseCSOEconItem(so.objectData);
+                    if (item?.id) this.inventory.set(item.id, item);
+                } else if (msgType === MSG_ESO_DESTROY) {
+                    const so = this.decodeSOSingleObject(payload);
+                    if (so?.typeId !== SO_TYPE_ECON_ITEM) return;
+                    const id = this.readItemId(so.objectData);
+                    if (id) this.inventory.delete(id);
+                } else if (msgType === MSG_ESO_UPDATE_MULTIPLE) {
+                    // CMsgSOMultipleObjects: objects_modified = 2, objects_added = 4, объект = { type_id = 1, object_data = 2 }
+                    for (const f of this.readFields(payload)) {
+                        if ((f.fieldNumber !== 2 && f.fieldNumber !== 4) || f.wireType !== 2) continue;
+                        const object = this.readFields(f.value);
+                        const typeId = object.find((x) => x.fieldNumber === 1 && x.wireType === 0)?.value;
+                        const data = object.find((x) => x.fieldNumber === 2 && x.wireType === 2)?.value;
+                        if (Number(typeId) !== SO_TYPE_ECON_ITEM || !data) continue;
+                        const item = this.parseCSOEconItem(data);
+                        if (item?.id) this.inventory.set(item.id, item);
+                    }
+                }
+            } catch {}
+        });
+    }
+
+    // Предметы текущего подключения (пусто, пока не пришёл ClientWelcome)
+    getInventory() {
+        return [...this.inventory.values()];
+    }
+
+    // Подписка на изменения баланса; возвращает функцию отписки
+    onStarsChange(listener) {
+        this.starsListeners.add(listener);
+        return () => this.starsListeners.delete(listener);
+    }
+
+    // Текущий баланс подключения; если ClientWelcome ещё не принёс его — ждём не дольше timeoutMs (null — не пришёл)
+    waitForStars(timeoutMs) {
+        if (this.stars !== null) return Promise.resolve(this.stars);
+
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                unsubscribe();
+                resolve(this.stars);
+            }, timeoutMs);
+            const unsubscribe = this.onStarsChange((stars) => {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(stars);
+            });
+        });
+    }
+
+    // Ждём SO-обновление баланса после отправки редима (не дольше timeoutMs)
+    waitForStarsUpdate(sinceUpdates, timeoutMs) {
+        if (this.starsUpdates > sinceUpdates) return Promise.resolve(this.stars);
+
+        return new Promise((resolve) => {
+            const finish = (stars) => {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(stars);
+            };
+            const timer = setTimeout(() => finish(null), timeoutMs);
+            const unsubscribe = this.onStarsChange(() => {
+                if (this.starsUpdates > sinceUpdates) finish(this.stars);
+            });
+        });
+    }
+
+    setLogger(logger) {
+        this.logger = logger || console;
     }
 
     readVarint(buffer, offset) {
@@ -91,6 +240,44 @@ class ArmoryManager {
         return null;
     }
 
+    readFields(buffer) {
+        const fields = [];
+        let offset = 0;
+        while (offset < buffer.length) {
+            const f = this.readField(buffer, offset);
+            if (!f) break;
+            offset = f.nextOffset;
+            fields.push(f);
+        }
+        return fields;
+    }
+
+    // id предмета (поле 1) — в SO_Destroy объект содержит только его
+    readItemId(buffer) {
+        const f = this.readFields(buffer).find((x) => x.fieldNumber === 1 && x.wireType === 0);
+        return f ? f.value.toString() : null;
+    }
+
+    // CMsgClientWelcome: outofdate_subscribed_caches = 3 → objects = 2 → { type_id = 1, object_data = 2 (repeated) }
+    decodeWelcomeItems(payload) {
+        const items = [];
+        for (const cache of this.readFields(payload)) {
+            if (cache.fieldNumber !== 3 || cache.wireType !== 2) continue;
+            for (const objects of this.readFields(cache.value)) {
+                if (objects.fieldNumber !== 2 || objects.wireType !== 2) continue;
+                const fields = this.readFields(objects.value);
+                const typeId = fields.find((x) => x.fieldNumber === 1 && x.wireType === 0)?.value;
+                if (Number(typeId) !== SO_TYPE_ECON_ITEM) continue;
+                for (const data of fields) {
+                    if (data.fieldNumber !== 2 || data.wireType !== 2) continue;
+                    const item = this.parseCSOEconItem(data.value);
+                    if (item?.id) items.push(item);
+                }
+            }
+        }
+        return items;
+    }
+
     findVarint(buffer, wantedField) {
         let offset = 0;
         while (offset < buffer.length) {
@@ -105,7 +292,7 @@ class ArmoryManager {
     }
 
     parseAttribute(buffer) {
-        const attr = { def_index: null, value_bytes: null };
+        const attr = { def_index: null, value: null, value_bytes: null };
         let offset = 0;
         while (offset < buffer.length) {
             const f = this.readField(buffer, offset);
@@ -114,6 +301,9 @@ class ArmoryManager {
             if (f.fieldNumber === 1 && f.wireType === 0) {
                 attr.def_index = Number(f.value);
             }
+            if (f.fieldNumber === 2 && f.wireType === 0) {
+                attr.value = Number(f.value);
+            }
             if (f.fieldNumber === 3 && f.wireType === 2 && Buffer.isBuffer(f.value)) {
                 attr.value_bytes = f.value.toString('hex');
             }
@@ -121,22 +311,182 @@ class ArmoryManager {
         return attr.def_index !== null ? attr : null;
     }
 
+    parseEquippedState(buffer) {
+        const state = { new_class: null, new_slot: null };
+        let offset = 0;
+        while (offset < buffer.length) {
+            const f = this.readField(buffer, offset);
+            if (!f) break;
+            offset = f.nextOffset;
+            if (f.fieldNumber === 1 && f.wireType === 0) state.new_class = Number(f.value);
+            if (f.fieldNumber === 2 && f.wireType === 0) state.new_slot = Number(f.value);
+        }
+        return state;
+    }
+
+    // CSOEconItem: все поля протобафа + расшифровка известных атрибутов
     parseCSOEconItem(buffer) {
-        const item = { def_index: null, attribute: [] };
+        const item = {
+            id: null,
+            account_id: null,
+            inventory: null,
+            def_index: null,
+            quantity: null,
+            level: null,
+            quality: null,
+            flags: 0,
+            origin: null,
+            custom_name: null,
+            custom_desc: null,
+            attribute: [],
+            interior_item: null,
+            in_use: false,
+            style: 0,
+            original_id: null,
+            equipped_state: [],
+            rarity: null,
+        };
+        const varintFields = {
+            2: 'account_id',
+            3: 'inventory',
+            4: 'def_index',
+            5: 'quantity',
+            6: 'level',
+            7: 'quality',
+            8: 'flags',
+            9: 'origin',
+            15: 'style',
+            19: 'rarity',
+        };
+
         let offset = 0;
         while (offset < buffer.length) {
             const f = this.readField(buffer, offset);
             if (!f) break;
             offset = f.nextOffset;
-            if (f.fieldNumber === 4 && f.wireType === 0) {
-                item.def_index = Number(f.value);
+
+            if (f.wireType === 0) {
+                if (f.fieldNumber === 1) item.id = f.value.toString();
+                else if (f.fieldNumber === 14) item.in_use = f.value !== 0n;
+                else if (f.fieldNumber === 16) item.original_id = f.value.toString();
+                else if (varintFields[f.fieldNumber]) item[varintFields[f.fieldNumber]] = Number(f.value);
+                continue;
             }
-            if (f.fieldNumber === 12 && f.wireType === 2 && Buffer.isBuffer(f.value)) {
+
+            if (f.wireType !== 2 || !Buffer.isBuffer(f.value)) continue;
+
+            if (f.fieldNumber === 10) item.custom_name = f.value.toString('utf8');
+            if (f.fieldNumber === 11) item.custom_desc = f.value.toString('utf8');
+            if (f.fieldNumber === 12) {
                 const attr = this.parseAttribute(f.value);
                 if (attr) item.attribute.push(attr);
             }
+            if (f.fieldNumber === 13) item.interior_item = this.parseCSOEconItem(f.value);
+            if (f.fieldNumber === 18) item.equipped_state.push(this.parseEquippedState(f.value));
+        }
+
+        if (!item.def_index) return null;
+        return this.decodeItemAttributes(item);
+    }
+
+    // Расшифровка атрибутов (те же id, что использует globaloffensive)
+    decodeItemAttributes(item) {
+        const bytesOf = (defIndex) => {
+            const attr = item.attribute.find((a) => a.def_index === defIndex);
+            return attr?.value_bytes ? Buffer.from(attr.value_bytes, 'hex') : null;
+        };
+        const uint32 = (defIndex) => {
+            const b = bytesOf(defIndex);
+            return b && b.length >= 4 ? b.readUInt32LE(0) : null;
+        };
+        const float = (defIndex) => {
+            const b = bytesOf(defIndex);
+            return b && b.length >= 4 ? b.readFloatLE(0) : null;
+        };
+
+        const inventory = item.inventory ?? 0;
+        const isNew = ((inventory >>> 30) & 1) === 1;
+        item.is_new = isNew;
+        item.position = isNew ? 0 : inventory & 0xffff;
+
+        const paintIndex = float(6);
+        item.paint_index = paintIndex !== null ? Math.floor(paintIndex) : null;
+        // Сид GC кодирует float'ом (так его читает и globaloffensive); целое uint32 из того же диапазона тоже принимаем.
+        // Если ни то, ни другое не похоже на сид 0–1000, paint_seed остаётся пустым
+        const isSeed = (x) => Number.isInteger(x) && x >= 0 && x <= MAX_PAINT_SEED;
+        const seedFloat = float(7);
+        const seedUint = uint32(7);
+        item.paint_seed = isSeed(seedFloat) ? seedFloat : isSeed(seedUint) ? seedUint : null;
+        item.paint_wear = float(8);
+
+        const tradableAfter = uint32(75);
+        item.tradable_after = tradableAfter ? new Date(tradableAfter * 1000).toISOString() : null;
+
+        item.kill_eater_value = uint32(80);
+        item.kill_eater_score_type = uint32(81);
+
+        const customNameBytes = bytesOf(111);
+        if (customNameBytes && !item.custom_name) item.custom_name = customNameBytes.subarray(2).toString('utf8');
+
+        item.stickers = [];
+        for (let i = 0; i <= 5; i++) {
+            const stickerId = uint32(113 + i * 4);
+            if (stickerId === null) continue;
+            const schemaSlot = uint32(290 + i);
+            item.stickers.push({
+                slot: schemaSlot ?? i,
+                sticker_id: stickerId,
+                wear: float(114 + i * 4),
+                scale: float(115 + i * 4),
+                rotation: float(116 + i * 4),
+                offset_x: float(278 + i * 2),
+                offset_y: float(279 + i * 2),
+            });
+        }
+
+        item.keychains = [];
+        const keychainId = uint32(299);
+        if (keychainId !== null) {
+            item.keychains.push({
+                slot: 0,
+                keychain_id: keychainId,
+                offset_x: float(300),
+                offset_y: float(301),
+                offset_z: float(302),
+                pattern: uint32(306),
+            });
         }
-        return item.def_index ? item : null;
+
+        const casketLow = uint32(272);
+        const casketHigh = uint32(273);
+        item.casket_id = casketLow !== null && casketHigh !== null ? ((BigInt(casketHigh) << 32n) | BigInt(casketLow)).toString() : null;
+
+        return item;
+    }
+
+    // CMsgSOSingleObject: type_id = 2, object_data = 3
+    decodeSOSingleObject(buffer) {
+        let typeId = null;
+        let objectData = null;
+        let offset = 0;
+        while (offset < buffer.length) {
+            const f = this.readField(buffer, offset);
+            if (!f) return null;
+            offset = f.nextOffset;
+            if (f.fieldNumber === 2 && f.wireType === 0) typeId = Number(f.value);
+            if (f.fieldNumber === 3 && f.wireType === 2) objectData = f.value;
+        }
+        return typeId !== null && objectData ? { typeId, objectData } : null;
+    }
+
+    /**
+     * Предмет из SO_Create. Возвращает null для объектов другого типа
+     * (не CSOEconItem) и undefined, если payload не удалось разобрать.
+     */
+    decodeSOCreateItem(payload) {
+        const so = this.decodeSOSingleObject(payload);
+        if (so) return so.typeId === SO_TYPE_ECON_ITEM ? this.parseCSOEconItem(so.objectData) ?? undefined : null;
+        return this.findCSOEconItem(payload) ?? undefined;
     }
 
     findDefIndexDeep(buffer) {
@@ -177,14 +527,27 @@ class ArmoryManager {
         }
 
         return new Promise((resolve, reject) => {
-            const sessionFile = path.join(__dirname, '../../sessions', `${username}.steamsession`);
-            if (!fs.existsSync(sessionFile)) {
-                return reject(new Error('Session file not found'));
+            let refreshToken;
+            let network;
+            try {
+                refreshToken = SessionManager.loadSession(username);
+                network = SessionManager.loadNetworkSettings(username);
+            } catch (e) {
+                return reject(e);
             }
 
-            const sessionData = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
-            const client = new SteamUser();
-            const csgo = new GlobalOffensive(client);
+            const client = new this.SteamUser({ renewRefreshTokens: true, ...steamUserOptions(network) });
+            const csgo = new this.GlobalOffensive(client);
+            this.watchRefreshToken(client, username);
+
+            this.stars = null;
+            this.starsUpdates = 0;
+            this.soStarsMissing = false;
+            this.trackStars(client);
+
+            this.inventory = new Map();
+            this.inventoryReady = false;
+            this.trackInventory(client);
 
             let gcReady = false;
             const connectionTimeout = setTimeout(() => {
@@ -192,10 +555,12 @@ class ArmoryManager {
                     try { client.logOff(); } catch {}
                     reject(new Error('GC connection timeout'));
                 }
-            }, 15000);
+            }, this.gcConnectTimeoutMs);
 
             client.on('error', (e) => {
                 clearTimeout(connectionTimeout);
+                // После error steam-user не присылает disconnected — подключение больше не живое
+                if (this.activeConnection?.client === client) this.activeConnection = null;
                 try { client.logOff(); } catch {}
                 reject(e);
             });
@@ -206,7 +571,7 @@ class ArmoryManager {
 
             client.on('loggedOn', () => {
                 try {
-                    client.setPersona(SteamUser.EPersonaState.Online);
+                    client.setPersona(this.SteamUser.EPersonaState.Online);
                     client.gamesPlayed([APP_ID]);
                 } catch {}
             });
@@ -221,11 +586,11 @@ class ArmoryManager {
                     username
                 };
 
-                console.log('[ArmoryManager] ✅ Постоянное подключение установлено');
+                this.logger.log(`[ArmoryManager] ✅ ${t('armory.connected')}`);
                 resolve(this.activeConnection);
             });
 
-            client.logOn({ refreshToken: sessionData.DesktopRefreshToken });
+            client.logOn({ refreshToken });
         });
     }
 
@@ -246,7 +611,10 @@ class ArmoryManager {
         } catch {}
 
         this.activeConnection = null;
-        console.log('[ArmoryManager] 🔌 Подключение закрыто');
+        this.stars = null;
+        this.inventory = new Map();
+        this.inventoryReady = false;
+        this.logger.log(`[ArmoryManager] 🔌 ${t('armory.disconnected')}`);
     }
 
     // МОДИФИЦИРОВАННАЯ ФУНКЦИЯ: Покупка через существующее подключение
@@ -255,8 +623,10 @@ class ArmoryManager {
             throw new Error('No active connection. Call createConnection() first.');
         }
 
-        return new Promise((resolve, reject) => {
-            const { client, csgo } = this.activeConnection;
+        const starsUpdatesBefore = this.starsUpdates;
+
+        const item = await new Promise((resolve, reject) => {
+            const { client } = this.activeConnection;
             let settled = false;
 
             const settle = (err, ok, data) => {
@@ -269,24 +639,22 @@ class ArmoryManager {
             };
 
             const timeout = setTimeout(() => {
-                settle(new Error('Purchase timeout'), false);
-            }, PURCHASE_TIMEOUT_MS);
+                const err = new Error('Purchase timeout');
+                err.code = 'PURCHASE_TIMEOUT';
+                settle(err, false);
+            }, this.purchaseTimeoutMs);
 
             const gcHandler = (appid, msgType, payload) => {
                 if (appid !== APP_ID) return;
                 if (msgType !== MSG_ESO_CREATE) return;
 
-                const item = this.findCSOEconItem(payload);
+                const item = this.decodeSOCreateItem(payload);
+                if (item === null) return;
                 if (!item || !item.def_index) {
                     return settle(new Error('Could not parse CSOEconItem'), false);
                 }
 
-                settle(null, true, {
-                    success: true,
-                    defIndex: item.def_index,
-                    newStars: currentStars - itemPrice,
-                    item,
-                });
+                settle(null, true, item);
             };
 
             client.on('receivedFromGC', gcHandler);
@@ -294,16 +662,68 @@ class ArmoryManager {
             const body = this.encodeRedeemBody(armoryId, currentStars, itemPrice);
             client.sendToGC(APP_ID, MSG_GC_REDEEM, {}, body);
         });
+
+        // Если GC на этом подключении не присылает обновления баланса — не ждём их каждый раз
+        const expectedStars = currentStars - itemPrice;
+        const reportedStars = this.soStarsMissing ? null : await this.waitForStarsUpdate(starsUpdatesBefore, this.starsUpdateWaitMs);
+        if (reportedStars === null && this.starsUpdates === 0) this.soStarsMissing = true;
+
+        const starsMismatch = reportedStars !== null && reportedStars !== expectedStars;
+        if (starsMismatch) {
+            this.logger.log(`[ArmoryManager] ⚠️ ${t('armory.balanceMismatch', { reported: `${reportedStars}⭐`, expected: `${expectedStars}⭐` })}`);
+        }
+
+        return {
+            success: true,
+            defIndex: item.def_index,
+            newStars: reportedStars ?? expectedStars,
+            expectedStars,
+            reportedStars,
+            starsMismatch,
+            item,
+        };
+    }
+
+    // Ждём предмет, пришедший после таймаута покупки: если он появился — редим прошёл
+    async awaitItem(timeoutMs) {
+        if (!this.activeConnection) return null;
+
+        return new Promise((resolve) => {
+            const { client } = this.activeConnection;
+
+            const finish = (item) => {
+                clearTimeout(timer);
+                client.removeListener('receivedFromGC', gcHandler);
+                resolve(item);
+            };
+
+            const timer = setTimeout(() => finish(null), timeoutMs);
+
+            const gcHandler = (appid, msgType, payload) => {
+                if (appid !== APP_ID || msgType !== MSG_ESO_CREATE) return;
+                const item = this.decodeSOCreateItem(payload);
+                if (item?.def_index) finish(item);
+            };
+
+            client.on('receivedFromGC', gcHandler);
+        });
     }
 
     // СТАРАЯ ФУНКЦИЯ: Разовая покупка (для обратной совместимости)
     async purchaseItemLegacy(username, armoryId, currentStars, itemPrice) {
         return new Promise((resolve, reject) => {
-            const sessionFile = path.join(__dirname, '../../sessions', `${username}.steamsession`);
-            if (!fs.existsSync(sessionFile)) return reject(new Error('Session file not found'));
-            const sessionData = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
-            const client = new SteamUser();
-            const csgo = new GlobalOffensive(client);
+            let refreshToken;
+            let network;
+            try {
+                refreshToken = SessionManager.loadSession(username);
+                network = SessionManager.loadNetworkSettings(username);
+            } catch (e) {
+                return reject(e);
+            }
+
+            const client = new this.SteamUser({ renewRefreshTokens: true, ...steamUserOptions(network) });
+            const csgo = new this.GlobalOffensive(client);
+            this.watchRefreshToken(client, username);
             let settled = false;
 
             const settle = (err, ok, data) => {
@@ -328,14 +748,14 @@ class ArmoryManager {
 
             const timeout = setTimeout(() => {
                 settle(new Error('Purchase timeout'), false);
-            }, PURCHASE_TIMEOUT_MS);
+            }, this.purchaseTimeoutMs);
 
             client.on('error', (e) => settle(e, false));
             client.on('disconnected', () => settle(new Error('Disconnected'), false));
 
             client.on('loggedOn', () => {
                 try {
-                    client.setPersona(SteamUser.EPersonaState.Online);
+                    client.setPersona(this.SteamUser.EPersonaState.Online);
                     client.gamesPlayed([APP_ID]);
                 } catch {}
             });
@@ -349,7 +769,8 @@ class ArmoryManager {
                 if (appid !== APP_ID) return;
                 if (msgType !== MSG_ESO_CREATE) return;
 
-                const item = this.findCSOEconItem(payload);
+                const item = this.decodeSOCreateItem(payload);
+                if (item === null) return;
                 if (!item || !item.def_index) return settle(new Error('Could not parse CSOEconItem'), false);
 
                 settle(null, true, {
@@ -360,9 +781,10 @@ class ArmoryManager {
                 });
             });
 
-            client.logOn({ refreshToken: sessionData.DesktopRefreshToken });
+            client.logOn({ refreshToken });
         });
     }
 }
 
+export { ArmoryManager };
 export default new ArmoryManager();
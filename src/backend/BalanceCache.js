@@ -0,0 +1,84 @@
+/**
+ * BalanceCache.js
+ * Last known stars balance of every account, so overviews open without logging each account in
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { DEFAULT_CONFIG } from './Config.js';
+
+class BalanceCache {
+    static filePath = DEFAULT_CONFIG.paths.balanceCache;
+
+    /**
+     * Configure the cache file location
+     * @param {string} filePath
+     */
+    static configureFile(filePath) {
+        this.filePath = filePath;
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * All cached balances by username
+     * @returns {Object<string, {stars: number|null, checkedAt: string|null, code: string|null, failedAt: string|null}>}
+     */
+    static readAll() {
+        if (!fs.existsSync(this.filePath)) return {};
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return data?.accounts && typeof data.accounts === 'object' ? data.accounts : {};
+        } catch {
+            return {};
+        }
+    }
+
+    static writeAll(accounts) {
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ version: 1, accounts }, null, 2), 'utf8');
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    /**
+     * Store a balance that was just read
+     * @param {string} username
+     * @param {number} stars
+     * @returns {Object} Stored entry
+     */
+    static record(username, stars) {
+        const accounts = this.readAll();
+        accounts[username] = { stars, checkedAt: new Date().toISOString(), code: null, failedAt: null };
+        this.writeAll(accounts);
+        return accounts[username];
+    }
+
+    /**
+     * Note a failed balance read; the last known balance is kept
+     * @param {string} username
+     * @param {string} code - Status code (INVALID_TOKEN, GC_UNAVAILABLE...)
+     * @returns {Object} Stored entry
+     */
+    static recordFailure(username, code) {
+        const accounts = this.readAll();
+        accounts[username] = { stars: null, checkedAt: null, ...accounts[username], code, failedAt: new Date().toISOString() };
+        this.writeAll(accounts);
+        return accounts[username];
+    }
+
+    /**
+     * Whether an entry should be read again: never read, or the last attempt (successful or not) is too old
+     * @param {Object|null} entry
+     * @param {number} maxAgeMs
+     * @returns {boolean}
+     */
+    static isStale(entry, maxAgeMs) {
+        const last = Math.max(Date.parse(entry?.checkedAt ?? '') || 0, Date.parse(entry?.failedAt ?? '') || 0);
+        return !last || Date.now() - last > maxAgeMs;
+    }
+}
+
+export default BalanceCache;
@@ -0,0 +1,111 @@
+/**
+ * BasketPlanner.js
+ * Picks offer quantities that best use a stars budget for a chosen goal
+ * @module BasketPlanner
+ */
+
+export const GOALS = ['value', 'cases', 'rarity'];
+
+const EPS = 1e-9;
+
+export default class BasketPlanner {
+    /**
+     * @param {import('./ValueEstimator.js').default} valueEstimator
+     */
+    constructor(valueEstimator) {
+        this.valueEstimator = valueEstimator;
+    }
+
+    /**
+     * Chance that one redeem of a collection offer lands in its highest rarity tier
+     * @param {Object} estimate - Result of ValueEstimator.estimateOffer
+     * @returns {number}
+     */
+    topTierChance(estimate) {
+        if (estimate.kind !== 'collection' || !estimate.breakdown.length) return 0;
+        return estimate.breakdown[0].chance;
+    }
+
+    /**
+     * Score of one redeem of an offer for the goal; null excludes the offer
+     * @param {Object} offer
+     * @param {Object} estimate
+     * @param {string} goal
+     * @returns {number|null}
+     */
+    score(offer, estimate, goal) {
+        if (goal === 'value') return estimate.value;
+        if (goal === 'cases') return offer.container != null ? 1 : null;
+        if (goal === 'rarity') return this.topTierChance(estimate) || null;
+        throw new Error(`Unknown goal: ${goal}`);
+    }
+
+    /**
+     * Best basket within the budget (unbounded knapsack over star prices).
+     * Ties on the goal are broken by expected value, then by fewer stars spent.
+     * @param {Object[]} offers - Normalized offers with price and armoryId
+     * @param {number} stars - Current balance
+     * @param {Object} [options]
+     * @param {string} [options.goal='value'] - One of GOALS
+     * @param {number} [options.reserve=0] - Stars to keep unspent
+     * @returns {{goal: string, budget: number, spent: number, left: number, score: number, value: number|null,
+     *            topTierChance: number, lines: {offer: Object, qty: number, cost: number, value: number|null}[]}}
+     */
+    plan(offers, stars, { goal = 'value', reserve = 0 } = {}) {
+        if (!GOALS.includes(goal)) throw new Error(`Unknown goal: ${goal}`);
+
+        const budget = Math.max(0, Math.floor(stars - reserve));
+        const candidates = offers
+            .filter((offer) => offer.price > 0)
+            .map((offer) => {
+                const estimate = this.valueEstimator.estimateOffer(offer);
+                return { offer, estimate, score: this.score(offer, estimate, goal), value: estimate.value ?? 0 };
+            })
+            .filter((c) => c.score !== null && c.score > 0);
+
+        // best[b]: best basket costing at most b stars; pick/from let us walk the choices back
+        const best = [{ score: 0, value: 0, pick: -1 }];
+        for (let b = 1; b <= budget; b++) {
+            let cur = best[b - 1];
+            candidates.forEach((c, i) => {
+                if (c.offer.price > b) return;
+                const prev = best[b - c.offer.price];
+                const score = prev.score + c.score;
+                const value = prev.value + c.value;
+                if (score > cur.score + EPS || (Math.abs(score - cur.score) <= EPS && value > cur.value + EPS)) {
+                    cur = { score, value, pick: i, from: b - c.offer.price };
+                }
+            });
+            best.push(cur === best[b - 1] ? { ...cur, pick: -1, from: b - 1 } : cur);
+        }
+
+        const qty = new Map();
+        for (let b = budget; b > 0; ) {
+            const step = best[b];
+            if (step.pick !== -1) qty.set(step.pick, (qty.get(step.pick) || 0) + 1);
+            b = step.from ?? 0;
+        }
+
+        const lines = [...qty.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([i, n]) => {
+                const c = candidates[i];
+                return { offer: c.offer, qty: n, cost: c.offer.price * n, value: c.estimate.value !== null ? c.estimate.value * n : null };
+            });
+
+        const spent = lines.reduce((sum, l) => sum + l.cost, 0);
+        const priced = lines.filter((l) => l.value !== null);
+        const missTop = lines.reduce((p, l) => p * (1 - this.topTierChance(this.valueEstimator.estimateOffer(l.offer))) ** l.qty, 1);
+
+        return {
+            goal,
+            budget,
+            spent,
+            left: stars - spent,
+            score: best[budget].score,
+            value: priced.length ? priced.reduce((sum, l) => sum + l.value, 0) : null,
+            topTierChance: 1 - missTop,
+            lines,
+        };
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * Config.js
+ * Central settings (paths, timeouts, pacing, daemon schedule, balance overview, interface language) from defaults, a JSON config file, environment and CLI overrides
+ * @module Config
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const CONFIG_FILE = 'cs2-stars.config.json';
+export const CONFIG_ENV = 'CS2_STARS_CONFIG';
+const ENV_PREFIX = 'CS2_STARS_';
+
+/**
+ * Built-in settings. Relative paths are resolved against the application directory
+ * (or, when set in a config file, against the file's directory)
+ */
+export const DEFAULT_CONFIG = {
+    paths: {
+        sessionsDir: 'sessions',
+        offlineDir: 'offline',
+        schema: 'schema.json',
+        itemsDb: 'src/backend/items_database.json',
+        itemsOverrides: 'src/backend/items_overrides.json',
+        history: 'history/purchases.jsonl',
+        jobsDir: 'jobs',
+        reportsDir: 'reports',
+        alerts: 'alerts.json',
+        policies: 'policies.json',
+        daemonLog: 'history/daemon.jsonl',
+        balanceCache: 'history/balances.json',
+    },
+    timeouts: {
+        steamLogonMs: 30000,
+        gcConnectMs: 15000,
+        starsWaitMs: 2500,
+        purchaseMs: 30000,
+        // How long to wait for a balance update from the GC after a drop
+        starsUpdateMs: 2000,
+        // How long to keep waiting for a drop after a purchase timeout
+        lateDropMs: 10000,
+        disconnectDelayMs: 500,
+        connectionIdleMs: 300000,
+        offlinePurchaseMs: 3000,
+        webhookMs: 10000,
+    },
+    pacing: {
+        redeemDelayMs: 1000,
+        // import-accounts: parallel logins, retries after a login rate limit and the first cooldown (doubled each time)
+        importConcurrency: 2,
+        loginRetries: 3,
+        loginRetryDelayMs: 60000,
+    },
+    api: {
+        host: '127.0.0.1',
+        port: 8787,
+    },
+    tokens: {
+        warnDays: 14,
+        renewDays: 30,
+    },
+    daemon: {
+        // Balance checks of each account: every intervalMinutes ± a random jitterMinutes
+        intervalMinutes: 360,
+        jitterMinutes: 30,
+    },
+    dashboard: {
+        // Cached balances older than this are read again when the overview opens
+        staleMinutes: 60,
+        concurrency: 3,
+    },
+    ui: {
+        // "auto" follows the system locale (LC_ALL / LC_MESSAGES / LANG)
+        language: 'auto',
+    },
+};
+
+/**
+ * Environment variable for a setting, e.g. timeouts.purchaseMs -> CS2_STARS_TIMEOUTS_PURCHASE_MS
+ * @param {string} section
+ * @param {string} key
+ * @returns {string}
+ */
+export function envName(section, key) {
+    return `${ENV_PREFIX}${section}_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2')}`.toUpperCase();
+}
+
+function coerce(section, key, value, source) {
+    const name = `${section}.${key}`;
+    const fallback = DEFAULT_CONFIG[section][key];
+
+    if (typeof fallback === 'number') {
+        const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof n !== 'number' || !Number.isInteger(n) || n < 0) throw new Error(`${source}: ${name} must be a non-negative integer, got ${JSON.stringify(value)}`);
+        return n;
+    }
+
+    if (typeof value !== 'string' || !value.trim()) throw new Error(`${source}: ${name} must be a non-empty string`);
+    return value.trim();
+}
+
+// Merge one layer of settings; relative paths are taken relative to baseDir
+function applyLayer(config, layer, source, baseDir) {
+    for (const [section, values] of Object.entries(layer)) {
+        if (!DEFAULT_CONFIG[section]) throw new Error(`${source}: unknown section "${section}" (${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+        if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error(`${source}: "${section}" must be an object`);
+
+        for (const [key, value] of Object.entries(values)) {
+            if (!(key in DEFAULT_CONFIG[section])) throw new Error(`${source}: unknown setting ${section}.${key}`);
+            const coerced = coerce(section, key, value, source);
+            config[section][key] = section === 'paths' ? path.resolve(baseDir, coerced) : coerced;
+        }
+    }
+}
+
+/**
+ * Parse "section.key=value" overrides
+ * @param {string[]} assignments
+ * @returns {Object} Layer for loadConfig({ overrides })
+ * @throws {Error} If an assignment is malformed
+ */
+export function parseOverrides(assignments) {
+    const layer = {};
+    for (const assignment of assignments) {
+        const match = /^\s*(\w+)\.(\w+)\s*=(.*)$/.exec(assignment);
+        if (!match) throw new Error(`Expected section.key=value, got "${assignment}"`);
+        const [, section, key, value] = match;
+        layer[section] = { ...layer[section], [key]: value.trim() };
+    }
+    return layer;
+}
+
+/**
+ * Defaults with paths resolved against the application directory
+ * @param {string} appDir
+ * @returns {Object}
+ */
+export function defaultConfig(appDir) {
+    const config = structuredClone(DEFAULT_CONFIG);
+    for (const [key, value] of Object.entries(config.paths)) config.paths[key] = path.resolve(appDir, value);
+    return config;
+}
+
+/**
+ * Effective settings: defaults < config file < environment < overrides
+ * @param {Object} options
+ * @param {string} options.appDir - Application directory, base for default paths and the default config file
+ * @param {string} [options.file] - Config file; a missing explicit file is an error, a missing default one is not
+ * @param {Object} [options.env=process.env] - CS2_STARS_CONFIG and per-setting CS2_STARS_<SECTION>_<KEY> variables
+ * @param {Object} [options.overrides] - Layer from parseOverrides (paths relative to the working directory)
+ * @returns {{config: Object, file: string|null}} Settings and the config file that was read
+ * @throws {Error} On unreadable files, unknown settings or invalid values
+ */
+export function loadConfig({ appDir, file, env = process.env, overrides = {} }) {
+    const config = defaultConfig(appDir);
+
+    const explicit = file || env[CONFIG_ENV] || null;
+    const filePath = path.resolve(explicit || path.join(appDir, CONFIG_FILE));
+    let loadedFile = null;
+
+    if (fs.existsSync(filePath)) {
+        let layer;
+        try {
+            layer = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`${filePath}: ${e?.message || e}`);
+        }
+        if (!layer || typeof layer !== 'object' || Array.isArray(layer)) throw new Error(`${filePath}: expected a JSON object`);
+        applyLayer(config, layer, filePath, path.dirname(filePath));
+        loadedFile = filePath;
+    } else if (explicit) {
+        throw new Error(`Config file not found: ${filePath}`);
+    }
+
+    const envLayer = {};
+    for (const [section, values] of Object.entries(DEFAULT_CONFIG)) {
+        for (const key of Object.keys(values)) {
+            const value = env[envName(section, key)];
+            if (value !== undefined && value !== '') envLayer[section] = { ...envLayer[section], [key]: value };
+        }
+    }
+    applyLayer(config, envLayer, 'environment', process.cwd());
+    applyLayer(config, overrides, '--set', process.cwd());
+
+    return { config, file: loadedFile };
+}
@@ -0,0 +1,135 @@
+/**
+ * ConnectionPool.js
+ * Keeps one warm Steam + GC session per account, shared by balance reads and redeems, closed after idling
+ * @module ConnectionPool
+ */
+
+import { DEFAULT_CONFIG } from './Config.js';
+
+export default class ConnectionPool {
+    /**
+     * @param {Object} options
+     * @param {Function} options.createManager - username => new ArmoryManager (not connected)
+     * @param {number} [options.idleTimeoutMs=300000] - Close a session this long after its last user released it (0 — at once)
+     */
+    constructor({ createManager, idleTimeoutMs = DEFAULT_CONFIG.timeouts.connectionIdleMs }) {
+        this.createManager = createManager;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.entries = new Map();
+    }
+
+    /**
+     * Whether the account has a live session in the pool
+     * @param {string} username
+     * @returns {boolean}
+     */
+    isConnected(username) {
+        return Boolean(this.entries.get(username)?.manager.activeConnection);
+    }
+
+    /**
+     * Connected manager of an account, logging in if there is no live session.
+     * Concurrent callers for the same account share one login. Every acquire needs a release.
+     * @param {string} username
+     * @returns {Promise<import('./ArmoryManager.js').ArmoryManager>}
+     */
+    async acquire(username) {
+        let entry = this.entries.get(username);
+        if (!entry) {
+            entry = { manager: this.createManager(username), users: 0, idleTimer: null, connecting: null };
+            this.entries.set(username, entry);
+        }
+
+        entry.users++;
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = null;
+
+        try {
+            if (!entry.manager.activeConnection) {
+                if (!entry.connecting) {
+                    entry.connecting = entry.manager.createConnection(username).finally(() => {
+                        entry.connecting = null;
+                    });
+                }
+                await entry.connecting;
+            }
+        } catch (e) {
+            this.release(username);
+            throw e;
+        }
+
+        return entry.manager;
+    }
+
+    /**
+     * Give a session back; the last release starts the idle timer
+     * @param {string} username
+     */
+    release(username) {
+        const entry = this.entries.get(username);
+        if (!entry) return;
+
+        entry.users = Math.max(0, entry.users - 1);
+        if (entry.users > 0) return;
+
+        if (this.idleTimeoutMs <= 0) {
+            this.disconnect(username);
+            return;
+        }
+        entry.idleTimer = setTimeout(() => this.disconnect(username), this.idleTimeoutMs);
+        entry.idleTimer.unref?.();
+    }
+
+    /**
+     * Acquire a session for the duration of fn
+     * @param {string} username
+     * @param {Function} fn - manager => result
+     * @returns {Promise<*>}
+     */
+    async use(username, fn) {
+        const manager = await this.acquire(username);
+        try {
+            return await fn(manager);
+        } finally {
+            this.release(username);
+        }
+    }
+
+    /**
+     * Close an account's session now; if it is still in use, the next acquire logs in again
+     * @param {string} username
+     */
+    disconnect(username) {
+        const entry = this.entries.get(username);
+        if (!entry) return;
+
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = null;
+        entry.manager.disconnectSession();
+        if (entry.users === 0) this.entries.delete(username);
+    }
+
+    /**
+     * Close every session
+     * @returns {number} How many were connected
+     */
+    closeAll() {
+        let closed = 0;
+        for (const username of [...this.entries.keys()]) {
+            if (this.isConnected(username)) closed++;
+            this.disconnect(username);
+            this.entries.delete(username);
+        }
+        return closed;
+    }
+
+    /**
+     * Accounts with a live session
+     * @returns {{username: string, users: number}[]}
+     */
+    list() {
+        return [...this.entries.entries()]
+            .filter(([, entry]) => entry.manager.activeConnection)
+            .map(([username, entry]) => ({ username, users: entry.users }));
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * DaemonLog.js
+ * Run log of the daemon (JSON Lines): starts, stops and every scheduled account check
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { DEFAULT_CONFIG } from './Config.js';
+
+class DaemonLog {
+    static filePath = DEFAULT_CONFIG.paths.daemonLog;
+
+    /**
+     * Configure the log file location
+     * @param {string} filePath
+     */
+    static configureFile(filePath) {
+        this.filePath = filePath;
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Append an event
+     * @param {Object} entry - { event: 'started'|'check'|'stopped', ... }
+     * @returns {Object} Stored entry
+     */
+    static record(entry) {
+        const stored = { timestamp: new Date().toISOString(), ...entry };
+        fs.appendFileSync(this.filePath, `${JSON.stringify(stored)}\n`, 'utf8');
+        return stored;
+    }
+
+    /**
+     * Read all events, skipping damaged lines
+     * @returns {Object[]}
+     */
+    static readAll() {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        const entries = [];
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {}
+        }
+        return entries;
+    }
+
+    /**
+     * Latest events
+     * @param {Object} [filters]
+     * @param {string} [filters.account] - Only checks of this account
+     * @param {number} [filters.limit] - At most this many, the newest ones
+     * @returns {Object[]} Oldest first
+     */
+    static query({ account, limit } = {}) {
+        const entries = this.readAll().filter((e) => !account || e.account === account);
+        return limit ? entries.slice(-limit) : entries;
+    }
+
+    /**
+     * State from the log: the last daemon run and the last check of each account
+     * @returns {{run: {pid: number, startedAt: string, stoppedAt: string|null, intervalMinutes: number, jitterMinutes: number}|null,
+     *            accounts: Object[]}}
+     */
+    static summarize() {
+        let run = null;
+        const accounts = new Map();
+
+        for (const e of this.readAll()) {
+            if (e.event === 'started') {
+                run = { pid: e.pid, startedAt: e.timestamp, stoppedAt: null, intervalMinutes: e.intervalMinutes, jitterMinutes: e.jitterMinutes };
+            } else if (e.event === 'stopped' && run && e.pid === run.pid) {
+                run.stoppedAt = e.timestamp;
+            } else if (e.event === 'check') {
+                const last = accounts.get(e.account);
+                accounts.set(e.account, { ...e, lastRedeem: e.action === 'redeemed' ? e : (last?.lastRedeem ?? null) });
+            }
+        }
+
+        return { run, accounts: [...accounts.values()].sort((a, b) => a.account.localeCompare(b.account)) };
+    }
+}
+
+export default DaemonLog;
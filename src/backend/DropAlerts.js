@@ -0,0 +1,342 @@
+/**
+ * DropAlerts.js
+ * User-defined rules checked against armory drops, with webhook notifications (plain JSON, Telegram, Discord)
+ * @module DropAlerts
+ */
+
+import fs from 'fs';
+import http from 'http';
+import { DEFAULT_CONFIG } from './Config.js';
+import { t } from './I18n.js';
+
+export const WEBHOOK_FORMATS = ['json', 'telegram', 'discord'];
+
+const TELEGRAM_API = 'https://api.telegram.org';
+
+const CONDITIONS = ['type', 'item', 'offer', 'minRarity', 'maxRarity', 'minFloat', 'maxFloat', 'seeds', 'charmPatterns'];
+const RULE_KEYS = ['name', ...CONDITIONS, 'pause', 'notify'];
+const WEBHOOK_KEYS = ['name', 'format', 'url', 'botToken', 'chatId', 'apiUrl'];
+
+/**
+ * Example file for "alerts init"
+ */
+export const EXAMPLE_ALERTS = {
+    rules: [
+        { name: 'covert', minRarity: 'Covert', pause: true },
+        { name: 'low float', maxFloat: 0.01 },
+        { name: 'seed watch', item: 'Case Hardened', seeds: [661, 670, 955] },
+        { name: 'charm pattern', type: 'charm', charmPatterns: [1, 2, 3] },
+    ],
+    webhooks: [
+        { name: 'local', format: 'json', url: 'http://127.0.0.1:8788/' },
+        { name: 'telegram', format: 'telegram', botToken: '<bot token>', chatId: '<chat id>' },
+        { name: 'discord', format: 'discord', url: 'https://discord.com/api/webhooks/<id>/<token>' },
+    ],
+};
+
+function list(value, where, check, what) {
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.length || !values.every(check)) throw new Error(`${where}: expected ${what}`);
+    return values;
+}
+
+function isSeed(v) {
+    return Number.isInteger(v) && v >= 0;
+}
+
+function isFloat(v) {
+    return typeof v === 'number' && v >= 0 && v <= 1;
+}
+
+/**
+ * Webhook target with secrets hidden, for output
+ * @param {Object} webhook
+ * @returns {string}
+ */
+export function describeWebhook(webhook) {
+    if (webhook.format === 'telegram') return `telegram → ${webhook.chatId}`;
+    try {
+        const url = new URL(webhook.url);
+        const hidden = url.pathname.length > 16 ? `${url.pathname.slice(0, 16)}…` : url.pathname;
+        return `${webhook.format} → ${url.origin}${hidden}`;
+    } catch {
+        return webhook.format;
+    }
+}
+
+export default class DropAlerts {
+    /**
+     * @param {import('./InventoryBrowser.js').default} inventoryBrowser - Resolves rarity names
+     * @param {import('./ValueEstimator.js').default} valueEstimator - Rarity display names
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=10000] - Per-webhook request timeout
+     * @param {Function} [options.fetch=globalThis.fetch]
+     */
+    constructor(inventoryBrowser, valueEstimator, { timeoutMs = DEFAULT_CONFIG.timeouts.webhookMs, fetch: fetchImpl = globalThis.fetch } = {}) {
+        this.inventoryBrowser = inventoryBrowser;
+        this.valueEstimator = valueEstimator;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetchImpl;
+        this.rules = [];
+        this.webhooks = [];
+        this.file = null;
+    }
+
+    /**
+     * Read rules and webhooks from a JSON file; a missing file means no rules
+     * @param {string} filePath
+     * @returns {DropAlerts}
+     * @throws {Error} On unreadable JSON, unknown keys or invalid values
+     */
+    load(filePath) {
+        this.rules = [];
+        this.webhooks = [];
+        this.file = null;
+        if (!fs.existsSync(filePath)) return this;
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`${filePath}: ${e?.message || e}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${filePath}: expected a JSON object`);
+
+        this.configure(data, filePath);
+        this.file = filePath;
+        return this;
+    }
+
+    /**
+     * Set rules and webhooks from a parsed alerts file
+     * @param {{rules?: Object[], webhooks?: Object[]}} data
+     * @param {string} [source='alerts'] - Prefix for error messages
+     * @returns {DropAlerts}
+     * @throws {Error} On unknown keys or invalid values
+     */
+    configure({ rules = [], webhooks = [] }, source = 'alerts') {
+        if (!Array.isArray(rules)) throw new Error(`${source}: "rules" must be an array`);
+        if (!Array.isArray(webhooks)) throw new Error(`${source}: "webhooks" must be an array`);
+        this.rules = rules.map((rule, i) => this.normalizeRule(rule, `${source}: rules[${i}]`));
+        this.webhooks = webhooks.map((webhook, i) => this.normalizeWebhook(webhook, `${source}: webhooks[${i}]`));
+        return this;
+    }
+
+    normalizeRule(rule, where) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw new Error(`${where}: expected an object`);
+        const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+        if (unknown.length) throw new Error(`${where}: unknown key "${unknown[0]}" (${RULE_KEYS.join(', ')})`);
+        if (!CONDITIONS.some((key) => rule[key] !== undefined)) throw new Error(`${where}: no conditions (${CONDITIONS.join(', ')})`);
+
+        const rarity = (key) => {
+            if (rule[key] === undefined) return null;
+            const value = this.inventoryBrowser.findRarity(rule[key]);
+            if (value === null) throw new Error(`${where}: unknown rarity "${rule[key]}" in ${key}`);
+            return value;
+        };
+        const float = (key) => {
+            if (rule[key] === undefined) return null;
+            if (!isFloat(rule[key])) throw new Error(`${where}: ${key} must be a number from 0 to 1`);
+            return rule[key];
+        };
+        const text = (key) => (rule[key] === undefined ? null : list(rule[key], `${where}: ${key}`, (v) => typeof v === 'string' && v.trim(), 'a string or a list of strings'));
+
+        let offer = null;
+        if (rule.offer !== undefined) {
+            const isOffer = (v) => (typeof v === 'string' && v.trim()) || Number.isInteger(v);
+            offer = list(rule.offer, `${where}: offer`, isOffer, 'an armory id, a name or a list of them').map((v) => String(v).toLowerCase());
+        }
+
+        return {
+            name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : where.split(': ').pop(),
+            type: text('type'),
+            item: text('item')?.map((v) => v.toLowerCase()) ?? null,
+            offer,
+            minRarity: rarity('minRarity'),
+            maxRarity: rarity('maxRarity'),
+            minFloat: float('minFloat'),
+            maxFloat: float('maxFloat'),
+            seeds: rule.seeds === undefined ? null : list(rule.seeds, `${where}: seeds`, isSeed, 'a list of paint seeds'),
+            charmPatterns: rule.charmPatterns === undefined ? null : list(rule.charmPatterns, `${where}: charmPatterns`, isSeed, 'a list of charm patterns'),
+            pause: rule.pause === undefined ? false : Boolean(rule.pause),
+            notify: rule.notify === undefined ? true : Boolean(rule.notify),
+        };
+    }
+
+    normalizeWebhook(webhook, where) {
+        if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) throw new Error(`${where}: expected an object`);
+        const unknown = Object.keys(webhook).filter((key) => !WEBHOOK_KEYS.includes(key));
+        if (unknown.length) throw new Error(`${where}: unknown key "${unknown[0]}" (${WEBHOOK_KEYS.join(', ')})`);
+
+        const format = webhook.format ?? 'json';
+        if (!WEBHOOK_FORMATS.includes(format)) throw new Error(`${where}: format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+
+        let url;
+        if (format === 'telegram') {
+            if (!webhook.botToken || webhook.chatId === undefined || webhook.chatId === '') throw new Error(`${where}: telegram needs botToken and chatId`);
+            url = `${String(webhook.apiUrl || TELEGRAM_API).replace(/\/$/, '')}/bot${webhook.botToken}/sendMessage`;
+        } else {
+            url = webhook.url;
+        }
+
+        try {
+            const protocol = new URL(url).protocol;
+            if (protocol !== 'http:' && protocol !== 'https:') throw new Error();
+        } catch {
+            throw new Error(`${where}: invalid URL${format === 'telegram' ? ' in apiUrl' : ''}`);
+        }
+
+        return {
+            name: typeof webhook.name === 'string' && webhook.name.trim() ? webhook.name.trim() : where.split(': ').pop(),
+            format,
+            url,
+            chatId: format === 'telegram' ? String(webhook.chatId) : null,
+        };
+    }
+
+    /**
+     * Whether a drop satisfies every condition of a rule
+     * @param {Object} rule - Normalized rule
+     * @param {Object} drop - Parsed GC item ({ type, name, floatValue, paintSeed, rarity })
+     * @param {{armoryId?: number, name?: string}} [offer]
+     * @returns {boolean}
+     */
+    matches(rule, drop, offer = {}) {
+        if (rule.type && !rule.type.includes(drop.type)) return false;
+        if (rule.item && !rule.item.some((q) => String(drop.name || '').toLowerCase().includes(q))) return false;
+        if (rule.offer) {
+            const id = String(offer.armoryId ?? '');
+            const name = String(offer.name || '').toLowerCase();
+            if (!rule.offer.some((q) => q === id || name.includes(q))) return false;
+        }
+        if (rule.minRarity !== null && !((drop.rarity ?? 0) >= rule.minRarity)) return false;
+        if (rule.maxRarity !== null && !((drop.rarity ?? 0) <= rule.maxRarity)) return false;
+        if (rule.minFloat !== null && !(typeof drop.floatValue === 'number' && drop.floatValue >= rule.minFloat)) return false;
+        if (rule.maxFloat !== null && !(typeof drop.floatValue === 'number' && drop.floatValue <= rule.maxFloat)) return false;
+        if (rule.seeds && (drop.type === 'charm' || !rule.seeds.includes(drop.paintSeed))) return false;
+        if (rule.charmPatterns && (drop.type !== 'charm' || !rule.charmPatterns.includes(drop.paintSeed))) return false;
+        return true;
+    }
+
+    /**
+     * Check a drop against all rules
+     * @param {Object} drop - Parsed GC item
+     * @param {Object} context
+     * @param {string} context.account
+     * @param {{armoryId: number, name: string}} context.offer
+     * @param {string} [context.jobId]
+     * @returns {Object|null} Alert ({ rules, pause, notify, account, offer, drop, jobId, at }) or null if no rule matched
+     */
+    check(drop, { account, offer, jobId = null }) {
+        if (!drop || !this.rules.length) return null;
+        const matched = this.rules.filter((rule) => this.matches(rule, drop, offer));
+        if (!matched.length) return null;
+
+        return {
+            rules: matched.map((rule) => rule.name),
+            pause: matched.some((rule) => rule.pause),
+            notify: matched.some((rule) => rule.notify),
+            account,
+            offer: { armoryId: offer?.armoryId ?? null, name: offer?.name ?? null },
+            drop: {
+                name: drop.name,
+                type: drop.type,
+                float: drop.floatValue ?? null,
+                seed: drop.paintSeed ?? null,
+                rarity: drop.rarity ?? null,
+                rarityName: drop.rarity ? this.valueEstimator.rarityName(drop.rarity) : null,
+            },
+            jobId,
+            at: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Message text for chat webhooks, in the interface language
+     * @param {Object} alert
+     * @returns {string}
+     */
+    formatText(alert) {
+        const details = [];
+        if (alert.drop.float !== null) details.push(`Float ${alert.drop.float.toFixed(9)}`);
+        if (alert.drop.seed !== null) details.push(`${alert.drop.type === 'charm' ? 'Pattern' : 'Seed'} ${alert.drop.seed}`);
+        if (alert.drop.rarityName) details.push(alert.drop.rarityName);
+
+        return [
+            t('alerts.text.title', { rules: alert.rules.join(', '), account: alert.account }),
+            alert.drop.name,
+            ...(details.length ? [details.join(' · ')] : []),
+            t('alerts.text.offer', { name: alert.offer.name }),
+            ...(alert.pause ? [t('alerts.text.paused')] : []),
+        ].join('\n');
+    }
+
+    payload(webhook, alert) {
+        if (webhook.format === 'telegram') return { chat_id: webhook.chatId, text: this.formatText(alert), disable_web_page_preview: true };
+        if (webhook.format === 'discord') return { content: this.formatText(alert) };
+        return { event: 'drop.alert', ...alert };
+    }
+
+    /**
+     * POST an alert to every webhook; never throws
+     * @param {Object} alert
+     * @param {Object[]} [webhooks=this.webhooks]
+     * @returns {Promise<{webhook: string, ok: boolean, error: string|null}[]>}
+     */
+    async notify(alert, webhooks = this.webhooks) {
+        return Promise.all(
+            webhooks.map(async (webhook) => {
+                try {
+                    const res = await this.fetch(webhook.url, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(this.payload(webhook, alert)),
+                        signal: AbortSignal.timeout(this.timeoutMs),
+                    });
+                    if (!res.ok) return { webhook: webhook.name, ok: false, error: `HTTP ${res.status}` };
+                    return { webhook: webhook.name, ok: true, error: null };
+                } catch (e) {
+                    const error = e?.name === 'TimeoutError' ? `Timeout after ${this.timeoutMs} ms` : e?.cause?.message || e?.message || String(e);
+                    return { webhook: webhook.name, ok: false, error };
+                }
+            })
+        );
+    }
+}
+
+/**
+ * Local stand-in for webhook endpoints: accepts any POST, answers like Telegram/Discord would ({"ok": true})
+ * and hands the parsed body to onMessage
+ * @param {Object} options
+ * @param {number} options.port
+ * @param {string} options.host
+ * @param {Function} options.onMessage - ({ path, body }) => void
+ * @returns {Promise<{server: http.Server, host: string, port: number}>}
+ */
+export function startWebhookReceiver({ port, host, onMessage }) {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            let body;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch {
+                body = raw;
+            }
+            if (req.method === 'POST') onMessage({ path: req.url, body });
+            res.writeHead(req.method === 'POST' ? 200 : 405, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: req.method === 'POST' }));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            const address = server.address();
+            resolve({ server, host: address.address, port: address.port });
+        });
+    });
+}
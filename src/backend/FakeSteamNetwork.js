@@ -0,0 +1,402 @@
+/**
+ * FakeSteamNetwork.js
+ * Offline stand-in for the steam-user / globaloffensive surface used by SteamClient and ArmoryManager
+ * @module FakeSteamNetwork
+ */
+
+import { EventEmitter } from 'events';
+
+const APP_ID = 730;
+const MSG_CLIENT_WELCOME = 4004;
+const MSG_GC_REDEEM = 9209;
+const MSG_ESO_CREATE = 21;
+const MSG_ESO_UPDATE = 22;
+const SO_TYPE_ECON_ITEM = 1;
+const SO_TYPE_ACCOUNT = 6;
+
+function encodeVarint(n) {
+    let x = BigInt(n);
+    const out = [];
+    while (x >= 0x80n) {
+        out.push(Number((x & 0x7fn) | 0x80n));
+        x >>= 7n;
+    }
+    out.push(Number(x));
+    return Buffer.from(out);
+}
+
+function varintField(fieldNumber, value) {
+    return Buffer.concat([encodeVarint((fieldNumber << 3) | 0), encodeVarint(value)]);
+}
+
+function bytesField(fieldNumber, buf) {
+    return Buffer.concat([encodeVarint((fieldNumber << 3) | 2), encodeVarint(buf.length), buf]);
+}
+
+function decodeVarints(buffer) {
+    const fields = {};
+    let offset = 0;
+    while (offset < buffer.length) {
+        const values = [];
+        for (let k = 0; k < 2; k++) {
+            let result = 0n;
+            let shift = 0n;
+            while (true) {
+                if (offset >= buffer.length) return fields;
+                const b = BigInt(buffer[offset++]);
+                result |= (b & 0x7fn) << shift;
+                shift += 7n;
+                if ((b & 0x80n) === 0n) break;
+            }
+            values.push(result);
+        }
+        fields[Number(values[0] >> 3n)] = Number(values[1]);
+    }
+    return fields;
+}
+
+function base64url(obj) {
+    return Buffer.from(JSON.stringify(obj)).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeTokenPayload(token) {
+    try {
+        const part = String(token).split('.')[1];
+        return JSON.parse(Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function steamErrorFor(name) {
+    const err = new Error(name);
+    err.eresult = name;
+    return err;
+}
+
+export default class FakeSteamNetwork {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.stars=100] - Starting balance for every account
+     * @param {Object<string, {stars: number}>} [options.accounts] - Per-account overrides
+     * @param {number} [options.latencyMs=20] - Delay before every simulated reply
+     * @param {string|null} [options.logonError] - Error name emitted instead of loggedOn (e.g. "InvalidPassword")
+     * @param {number} [options.rateLimitedLogons=0] - How many password logons fail with RateLimitExceeded before they succeed
+     * @param {boolean} [options.gcAvailable=true] - Whether connectedToGC / ClientWelcome are ever sent
+     * @param {boolean} [options.welcomeStars=true] - Whether ClientWelcome carries the stars object
+     * @param {Function} [options.redeem] - (request, account) => item spec | 'timeout' | 'malformed' | 'lost';
+     *        'lost' charges the stars but never sends the item, a spec with delayMs sends it late,
+     *        a spec with charge takes that many stars instead of the requested price
+     * @param {Function} [options.inventory] - username => item specs the account already owns (sent in ClientWelcome)
+     * @param {number} [options.tokenLifetimeDays=200] - Lifetime of issued refresh tokens
+     * @param {number} [options.renewWithinDays=30] - renewRefreshTokens only renews tokens this close to expiry
+     */
+    constructor(options = {}) {
+        this.options = {
+            stars: 100,
+            accounts: {},
+            latencyMs: 20,
+            logonError: null,
+            rateLimitedLogons: 0,
+            gcAvailable: true,
+            welcomeStars: true,
+            redeem: null,
+            inventory: null,
+            tokenLifetimeDays: 200,
+            renewWithinDays: 30,
+            ...options,
+        };
+
+        this.accounts = new Map();
+        this.clients = new Set();
+        this.redeemLog = [];
+        // id не повторяются между запусками, чтобы не совпасть с предметами из истории покупок
+        this._nextItemId = BigInt(Date.now()) * 1000n;
+
+        const network = this;
+
+        class SteamUser extends EventEmitter {
+            static EPersonaState = { Offline: 0, Online: 1 };
+
+            constructor(options = {}) {
+                super();
+                this.options = options;
+                this.steamID = null;
+                this.account = null;
+                this._gcClients = [];
+                this._gcConnected = false;
+                this._loggedOn = false;
+                network.clients.add(this);
+            }
+
+            logOn(details = {}) {
+                network._later(() => network._handleLogOn(this, details));
+            }
+
+            setPersona() {}
+
+            gamesPlayed(apps) {
+                const playing = Array.isArray(apps) && apps.some((a) => Number(a?.game_id ?? a) === APP_ID);
+                if (!playing) {
+                    this._gcConnected = false;
+                    return;
+                }
+                if (!this._loggedOn || this._gcConnected || !network.options.gcAvailable) return;
+                network._later(() => network._connectGC(this));
+            }
+
+            sendToGC(appid, msgType, protoHeader, body) {
+                if (appid !== APP_ID || !this._gcConnected) return;
+                if (msgType === MSG_GC_REDEEM) network._handleRedeem(this, body);
+            }
+
+            logOff() {
+                const wasOnline = this._loggedOn;
+                this._loggedOn = false;
+                this._gcConnected = false;
+                if (wasOnline) network._later(() => this.emit('disconnected', 0, 'Logged off'));
+            }
+        }
+
+        class GlobalOffensive extends EventEmitter {
+            constructor(client) {
+                super();
+                this.haveGCSession = false;
+                client._gcClients.push(this);
+            }
+        }
+
+        this.SteamUser = SteamUser;
+        this.GlobalOffensive = GlobalOffensive;
+    }
+
+    /**
+     * Constructors to inject into SteamClient / ArmoryManager
+     * @returns {{SteamUser: Function, GlobalOffensive: Function}}
+     */
+    transport() {
+        return { SteamUser: this.SteamUser, GlobalOffensive: this.GlobalOffensive };
+    }
+
+    /**
+     * Unsigned JWT-shaped refresh token understood by this fake
+     * @param {string} username
+     * @param {Object} [claims] - Extra/overridden claims (e.g. exp)
+     * @returns {string}
+     */
+    issueRefreshToken(username, claims = {}) {
+        const account = this.account(username);
+        const now = Math.floor(Date.now() / 1000);
+        const payload = {
+            iss: 'steam',
+            sub: account.steamId,
+            aud: ['client', 'web'],
+            exp: now + this.options.tokenLifetimeDays * 24 * 3600,
+            iat: now,
+            account_name: username,
+            ...claims,
+        };
+        return `${base64url({ typ: 'JWT', alg: 'none' })}.${base64url(payload)}.offline`;
+    }
+
+    /**
+     * Simulated account state (created on first use)
+     * @param {string} username
+     * @returns {{username: string, steamId: string, stars: number, redeemed: number, items: Buffer[]}}
+     */
+    account(username) {
+        if (!this.accounts.has(username)) {
+            const override = this.options.accounts?.[username] || {};
+            const account = {
+                username,
+                steamId: String(76561197960265728n + BigInt(this.accounts.size + 1)),
+                stars: override.stars ?? this.options.stars,
+                redeemed: 0,
+                items: [],
+            };
+            const owned = this.options.inventory ? this.options.inventory(username) || [] : [];
+            account.items = owned.map((spec, i) => this._buildEconItem(account, { inventory: i + 1, ...spec }));
+            this.accounts.set(username, account);
+        }
+        return this.accounts.get(username);
+    }
+
+    /**
+     * Build a CSOEconItem attribute with a float value
+     * @param {number} defIndex
+     * @param {number} value
+     * @returns {{def_index: number, value_bytes: Buffer}}
+     */
+    static floatAttribute(defIndex, value) {
+        const buf = Buffer.alloc(4);
+        buf.writeFloatLE(value, 0);
+        return { def_index: defIndex, value_bytes: buf };
+    }
+
+    /**
+     * Build a CSOEconItem attribute with an uint32 value
+     * @param {number} defIndex
+     * @param {number} value
+     * @returns {{def_index: number, value_bytes: Buffer}}
+     */
+    static uint32Attribute(defIndex, value) {
+        const buf = Buffer.alloc(4);
+        buf.writeUInt32LE(value >>> 0, 0);
+        return { def_index: defIndex, value_bytes: buf };
+    }
+
+    /**
+     * Change an account balance from outside (e.g. a pass purchase) and notify connected clients
+     * @param {string} username
+     * @param {number} stars
+     */
+    setStars(username, stars) {
+        const account = this.account(username);
+        account.stars = stars;
+        for (const client of this.clients) {
+            if (client.account === account) this._sendStarsUpdate(client);
+        }
+    }
+
+    _sendStarsUpdate(client) {
+        if (!client._gcConnected) return;
+        const payload = Buffer.concat([varintField(2, SO_TYPE_ACCOUNT), bytesField(3, this._buildAccountObject(client.account))]);
+        this._later(() => {
+            if (client._gcConnected) client.emit('receivedFromGC', APP_ID, MSG_ESO_UPDATE, payload);
+        });
+    }
+
+    _later(fn) {
+        setTimeout(fn, this.options.latencyMs);
+    }
+
+    _handleLogOn(client, details) {
+        if (this.options.logonError) {
+            client.emit('error', steamErrorFor(this.options.logonError));
+            return;
+        }
+
+        let username;
+        let payload = null;
+        if (details.refreshToken) {
+            payload = decodeTokenPayload(details.refreshToken);
+            if (!payload?.account_name) {
+                client.emit('error', new Error('Invalid JWT'));
+                return;
+            }
+            if (payload.exp && payload.exp * 1000 < Date.now()) {
+                client.emit('error', steamErrorFor('AccessDenied'));
+                return;
+            }
+            username = payload.account_name;
+        } else if (details.accountName) {
+            if (this.options.rateLimitedLogons > 0) {
+                this.options.rateLimitedLogons--;
+                client.emit('error', steamErrorFor('RateLimitExceeded'));
+                return;
+            }
+            username = details.accountName;
+            // Как и Steam, без кода спрашиваем его через событие steamGuard (мобильный аутентификатор)
+            if (!details.twoFactorCode && client.listenerCount('steamGuard') > 0) {
+                client.emit('steamGuard', null, (code) => {
+                    this._later(() => this._handleLogOn(client, { ...details, twoFactorCode: code }));
+                }, false);
+                return;
+            }
+        } else {
+            client.emit('error', steamErrorFor('InvalidPassword'));
+            return;
+        }
+
+        client.account = this.account(username);
+        client.steamID = client.account.steamId;
+        client._loggedOn = true;
+        client.emit('loggedOn', { eresult: 1 });
+
+        const renewBefore = Date.now() / 1000 + this.options.renewWithinDays * 24 * 3600;
+        const shouldRenew = client.options?.renewRefreshTokens && payload?.exp && payload.exp < renewBefore;
+        if (!details.refreshToken || shouldRenew) {
+            this._later(() => client.emit('refreshToken', this.issueRefreshToken(username)));
+        }
+    }
+
+    _connectGC(client) {
+        if (!client._loggedOn || client._gcConnected) return;
+        client._gcConnected = true;
+
+        client.emit('receivedFromGC', APP_ID, MSG_CLIENT_WELCOME, this._buildClientWelcome(client.account));
+        for (const gc of client._gcClients) {
+            gc.haveGCSession = true;
+            gc.emit('connectedToGC');
+        }
+    }
+
+    _buildAccountObject(account) {
+        return varintField(2, account.stars);
+    }
+
+    _buildClientWelcome(account) {
+        if (!this.options.welcomeStars) return varintField(1, 2000);
+
+        const subscribedType = Buffer.concat([varintField(1, SO_TYPE_ACCOUNT), bytesField(2, this._buildAccountObject(account))]);
+        const items = Buffer.concat([varintField(1, SO_TYPE_ECON_ITEM), ...account.items.map((item) => bytesField(2, item))]);
+        const cache = Buffer.concat([bytesField(2, subscribedType), account.items.length ? bytesField(2, items) : Buffer.alloc(0)]);
+        return Buffer.concat([varintField(1, 2000), bytesField(3, cache)]);
+    }
+
+    _buildEconItem(account, spec) {
+        const id = this._nextItemId++;
+        const chunks = [
+            varintField(1, id),
+            varintField(2, Number(BigInt(account.steamId) & 0xffffffffn)),
+            varintField(3, spec.inventory ?? 1 << 30),
+            varintField(4, spec.def_index),
+            varintField(5, 1),
+            varintField(7, spec.quality ?? 4),
+            varintField(9, spec.origin ?? 24),
+        ];
+        if (spec.rarity != null) chunks.push(varintField(19, spec.rarity));
+        for (const attr of spec.attributes || []) {
+            const valueBytes = Buffer.isBuffer(attr.value_bytes) ? attr.value_bytes : Buffer.from(attr.value_bytes, 'hex');
+            chunks.push(bytesField(12, Buffer.concat([varintField(1, attr.def_index), bytesField(3, valueBytes)])));
+        }
+        return Buffer.concat(chunks);
+    }
+
+    _handleRedeem(client, body) {
+        const fields = decodeVarints(body);
+        const request = { armoryId: fields[2], stars: fields[3], price: fields[4] };
+        const account = client.account;
+
+        let outcome;
+        if (request.price > account.stars) outcome = 'timeout';
+        else outcome = this.options.redeem ? this.options.redeem(request, account) : { def_index: 7007 };
+
+        this.redeemLog.push({ account: account.username, ...request, outcome: typeof outcome === 'string' ? outcome : 'drop' });
+
+        if (outcome === 'timeout' || outcome == null) return;
+
+        if (outcome === 'lost') {
+            account.stars -= request.price;
+            account.redeemed++;
+            this._sendStarsUpdate(client);
+            return;
+        }
+
+        if (outcome === 'malformed') {
+            this._later(() => client.emit('receivedFromGC', APP_ID, MSG_ESO_CREATE, Buffer.from([0x10, 0x01, 0x1a, 0x00])));
+            return;
+        }
+
+        account.stars -= outcome.charge ?? request.price;
+        account.redeemed++;
+        this._sendStarsUpdate(client);
+
+        const item = this._buildEconItem(account, outcome);
+        account.items.push(item);
+        const payload = Buffer.concat([varintField(2, SO_TYPE_ECON_ITEM), bytesField(3, item)]);
+        setTimeout(() => {
+            if (client._gcConnected) client.emit('receivedFromGC', APP_ID, MSG_ESO_CREATE, payload);
+        }, outcome.delayMs ?? this.options.latencyMs);
+    }
+}
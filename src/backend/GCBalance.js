@@ -0,0 +1,238 @@
+/**
+ * GCBalance.js
+ * Reads the stars balance (field 2 of the type-6 account object) from GC messages
+ * @module GCBalance
+ */
+
+const SO_TYPE_ACCOUNT = 6;
+
+// Shared object cache messages that may carry the account object
+export const MSG_ESO_CREATE = 21;
+export const MSG_ESO_UPDATE = 22;
+export const MSG_ESO_UPDATE_MULTIPLE = 26;
+
+function readVarint(buffer, offset) {
+    let result = 0;
+    let shift = 0;
+    let bytesRead = 0;
+
+    while (true) {
+        if (offset + bytesRead >= buffer.length) return null;
+        const b = buffer[offset + bytesRead];
+        result |= (b & 0x7f) << shift;
+        shift += 7;
+        bytesRead++;
+        if ((b & 0x80) === 0) break;
+    }
+
+    return { value: result, bytesRead };
+}
+
+function skipByWireType(buf, offset, wireType) {
+    if (wireType === 0) {
+        const v = readVarint(buf, offset);
+        if (!v) return null;
+        return offset + v.bytesRead;
+    }
+    if (wireType === 2) {
+        const len = readVarint(buf, offset);
+        if (!len) return null;
+        return offset + len.bytesRead + len.value;
+    }
+    if (wireType === 5) return offset + 4;
+    if (wireType === 1) return offset + 8;
+    return null;
+}
+
+function parseType6ObjectDataForStars(objectData) {
+    if (!objectData || objectData.length === 0) return null;
+
+    let offset = 0;
+    let stars = null;
+
+    while (offset < objectData.length) {
+        const tagData = readVarint(objectData, offset);
+        if (!tagData) break;
+
+        offset += tagData.bytesRead;
+        const tag = tagData.value;
+
+        const fieldNumber = tag >> 3;
+        const wireType = tag & 0x07;
+
+        if (wireType === 0) {
+            const v = readVarint(objectData, offset);
+            if (!v) break;
+
+            offset += v.bytesRead;
+
+            if (fieldNumber === 2) {
+                const n = v.value;
+                if (Number.isFinite(n) && n >= 0 && n <= 5000) stars = n;
+            }
+        } else {
+            const next = skipByWireType(objectData, offset, wireType);
+            if (next == null) break;
+            offset = next;
+        }
+    }
+
+    return stars;
+}
+
+function findStarsInCache(buffer) {
+    let offset = 0;
+    let foundTypeId = null;
+    let objectData = null;
+
+    while (offset < buffer.length) {
+        const tagData = readVarint(buffer, offset);
+        if (!tagData) break;
+
+        offset += tagData.bytesRead;
+        const tag = tagData.value;
+
+        const fieldNumber = tag >> 3;
+        const wireType = tag & 0x07;
+
+        if (wireType === 0) {
+            const v = readVarint(buffer, offset);
+            if (!v) break;
+            offset += v.bytesRead;
+
+            if (fieldNumber === 1) foundTypeId = v.value;
+        } else if (wireType === 2) {
+            const len = readVarint(buffer, offset);
+            if (!len) break;
+            offset += len.bytesRead;
+
+            const l = len.value;
+            const fieldData = buffer.subarray(offset, offset + l);
+            offset += l;
+
+            if (fieldNumber === 2 || fieldNumber === 3) objectData = fieldData;
+
+            const inner = findStarsInCache(fieldData);
+            if (inner !== null) return inner;
+        } else {
+            const next = skipByWireType(buffer, offset, wireType);
+            if (next == null) break;
+            offset = next;
+        }
+    }
+
+    if (foundTypeId === SO_TYPE_ACCOUNT && objectData) {
+        const stars = parseType6ObjectDataForStars(objectData);
+        if (stars !== null) return stars;
+    }
+
+    return null;
+}
+
+/**
+ * Stars from a ClientWelcome payload (the SO cache is nested inside)
+ * @param {Buffer} payload
+ * @returns {number|null}
+ */
+export function parseClientWelcomeManual(payload) {
+    if (!payload || payload.length === 0) return null;
+
+    let offset = 0;
+
+    while (offset < payload.length) {
+        const tagData = readVarint(payload, offset);
+        if (!tagData) break;
+
+        offset += tagData.bytesRead;
+        const tag = tagData.value;
+        const wireType = tag & 0x07;
+
+        if (wireType === 2) {
+            const len = readVarint(payload, offset);
+            if (!len) break;
+
+            offset += len.bytesRead;
+            const l = len.value;
+
+            const fieldData = payload.subarray(offset, offset + l);
+            offset += l;
+
+            const stars = findStarsInCache(fieldData);
+            if (stars !== null) return stars;
+        } else {
+            const next = skipByWireType(payload, offset, wireType);
+            if (next == null) break;
+            offset = next;
+        }
+    }
+
+    return null;
+}
+
+function readFields(buffer) {
+    const fields = [];
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        const tagData = readVarint(buffer, offset);
+        if (!tagData) break;
+        offset += tagData.bytesRead;
+
+        const fieldNumber = tagData.value >> 3;
+        const wireType = tagData.value & 0x07;
+
+        if (wireType === 0) {
+            const v = readVarint(buffer, offset);
+            if (!v) break;
+            offset += v.bytesRead;
+            fields.push({ fieldNumber, value: v.value });
+        } else if (wireType === 2) {
+            const len = readVarint(buffer, offset);
+            if (!len) break;
+            offset += len.bytesRead;
+            fields.push({ fieldNumber, data: buffer.subarray(offset, offset + len.value) });
+            offset += len.value;
+        } else {
+            const next = skipByWireType(buffer, offset, wireType);
+            if (next == null) break;
+            offset = next;
+        }
+    }
+
+    return fields;
+}
+
+function starsFromObject(fields, typeField, dataField) {
+    const typeId = fields.find((f) => f.fieldNumber === typeField)?.value;
+    const data = fields.find((f) => f.fieldNumber === dataField)?.data;
+    if (typeId !== SO_TYPE_ACCOUNT || !data) return null;
+    return parseType6ObjectDataForStars(data);
+}
+
+/**
+ * Stars from an SO create/update message, if it touches the account object
+ * @param {number} msgType - MSG_ESO_CREATE, MSG_ESO_UPDATE or MSG_ESO_UPDATE_MULTIPLE
+ * @param {Buffer} payload
+ * @returns {number|null}
+ */
+export function decodeSOStars(msgType, payload) {
+    if (!payload || payload.length === 0) return null;
+
+    try {
+        const fields = readFields(payload);
+
+        // CMsgSOSingleObject: type_id = 2, object_data = 3
+        if (msgType === MSG_ESO_CREATE || msgType === MSG_ESO_UPDATE) return starsFromObject(fields, 2, 3);
+
+        // CMsgSOMultipleObjects: objects_modified = 2, objects_added = 4; each is { type_id = 1, object_data = 2 }
+        if (msgType === MSG_ESO_UPDATE_MULTIPLE) {
+            for (const f of fields) {
+                if ((f.fieldNumber !== 2 && f.fieldNumber !== 4) || !f.data) continue;
+                const stars = starsFromObject(readFields(f.data), 1, 2);
+                if (stars !== null) return stars;
+            }
+        }
+    } catch {}
+
+    return null;
+}
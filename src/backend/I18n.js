@@ -0,0 +1,84 @@
+/**
+ * I18n.js
+ * Message catalogues and the current interface language
+ * @module I18n
+ */
+
+import ru from './locales/ru.js';
+import en from './locales/en.js';
+
+const CATALOGUES = { ru, en };
+
+export const LANGUAGES = Object.keys(CATALOGUES);
+
+// Language of the original interface; also the fallback for keys missing in other catalogues
+const FALLBACK = 'ru';
+
+// Locales of the system that get the Russian interface
+const RUSSIAN_LOCALES = ['ru', 'be', 'uk', 'kk'];
+
+let current = FALLBACK;
+
+/**
+ * Language from the system locale (LC_ALL, LC_MESSAGES, LANG, then the ICU default)
+ * @param {Object} [env=process.env]
+ * @returns {string}
+ */
+export function detectLanguage(env = process.env) {
+    const candidates = [env.LC_ALL, env.LC_MESSAGES, env.LANG].filter((v) => v && !/^(C|POSIX)([.@]|$)/i.test(v));
+    const locale = candidates[0] || Intl.DateTimeFormat().resolvedOptions().locale || '';
+    const code = locale.toLowerCase().split(/[-_.@]/)[0];
+    if (LANGUAGES.includes(code)) return code;
+    return RUSSIAN_LOCALES.includes(code) ? 'ru' : 'en';
+}
+
+/**
+ * Language for a setting value: "auto" (or empty) follows the system locale, otherwise ru/en or a locale like en_US
+ * @param {string} [value]
+ * @param {Object} [env=process.env]
+ * @returns {string}
+ * @throws {Error} If the language is not supported
+ */
+export function resolveLanguage(value, env = process.env) {
+    if (!value || value === 'auto') return detectLanguage(env);
+    const code = String(value).toLowerCase().split(/[-_.@]/)[0];
+    if (!LANGUAGES.includes(code)) throw new Error(`Unsupported language: ${value} (${['auto', ...LANGUAGES].join(', ')})`);
+    return code;
+}
+
+/**
+ * @param {string} language - One of LANGUAGES
+ */
+export function setLanguage(language) {
+    if (!LANGUAGES.includes(language)) throw new Error(`Unsupported language: ${language}`);
+    current = language;
+}
+
+/**
+ * @returns {string}
+ */
+export function getLanguage() {
+    return current;
+}
+
+/**
+ * Whether a message exists (in the current language or the fallback)
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return CATALOGUES[current][key] !== undefined || CATALOGUES[FALLBACK][key] !== undefined;
+}
+
+/**
+ * Message in the current language; {name} placeholders are filled from params.
+ * Unknown keys are returned as is, so a missing message is visible rather than empty.
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+    const template = CATALOGUES[current][key] ?? CATALOGUES[FALLBACK][key];
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name] ?? '') : match));
+}
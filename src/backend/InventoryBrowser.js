@@ -0,0 +1,208 @@
+/**
+ * InventoryBrowser.js
+ * Resolves GC inventory items through schema.json and filters/sorts them for display
+ * @module InventoryBrowser
+ */
+
+export const ITEM_TYPES = ['weapon', 'sticker', 'charm', 'container', 'agent', 'collectible', 'music_kit', 'other'];
+export const SORT_KEYS = ['default', 'float', 'value', 'rarity', 'name'];
+
+// Order of exteriors in normal_prices / stattrak_prices arrays of schema.json
+const EXTERIORS = ['Factory New', 'Minimal Wear', 'Field-Tested', 'Well-Worn', 'Battle-Scarred'];
+
+const QUALITY_PREFIX = {
+    9: 'StatTrak™ ',
+    12: 'Souvenir ',
+};
+
+const DEF_STICKER = 1209;
+const DEF_PATCH = 4609;
+const DEF_MUSIC_KIT = 1314;
+const ATTR_MUSIC_ID = 166;
+
+function positivePrice(x) {
+    return typeof x === 'number' && x > 0 ? x : null;
+}
+
+function attributeUint32(item, defIndex) {
+    const attr = (item.attribute || []).find((a) => a.def_index === defIndex);
+    if (!attr?.value_bytes) return attr?.value ?? null;
+    const buf = Buffer.from(attr.value_bytes, 'hex');
+    return buf.length >= 4 ? buf.readUInt32LE(0) : null;
+}
+
+export default class InventoryBrowser {
+    /**
+     * @param {import('./SchemaResolver.js').default} schemaResolver - Initialized resolver
+     * @param {import('./ValueEstimator.js').default} valueEstimator - Used for rarity and collection names
+     */
+    constructor(schemaResolver, valueEstimator) {
+        this.schemaResolver = schemaResolver;
+        this.valueEstimator = valueEstimator;
+    }
+
+    get schema() {
+        return this.schemaResolver.schema;
+    }
+
+    /**
+     * Display entry for one item from the SO cache (ArmoryManager.parseCSOEconItem)
+     * @param {Object} item
+     * @param {Set<string>} [armoryIds] - Item ids received from armory redeems (purchase history)
+     * @returns {{id: string, defIndex: number, type: string, name: string, exterior: string|null, float: number|null,
+     *            seed: number|null, rarity: number|null, rarityName: string|null, collection: string|null,
+     *            collectionName: string|null, value: number|null, imageUrl: string|null, fromArmory: boolean, isNew: boolean}}
+     */
+    resolve(item, armoryIds = new Set()) {
+        const defindex = item.def_index;
+        const paintindex = item.paint_index ?? 0;
+        const schema = this.schema || {};
+
+        const entry = {
+            id: item.id,
+            defIndex: defindex,
+            type: 'other',
+            name: null,
+            exterior: null,
+            float: item.paint_wear ?? null,
+            seed: item.paint_seed ?? null,
+            rarity: item.rarity ?? null,
+            collection: null,
+            value: null,
+            imageUrl: null,
+            fromArmory: armoryIds.has(String(item.id)),
+            isNew: Boolean(item.is_new),
+        };
+
+        const weapon = schema.weapons?.[String(defindex)];
+        const paint = weapon?.paints?.[String(paintindex)];
+        const sticker = item.stickers?.[0];
+        const keychain = item.keychains?.[0];
+
+        if (weapon) {
+            const exterior = paintindex > 0 ? this.schemaResolver.resolveExterior({ defindex, paintindex, paintwear: item.paint_wear }) : '';
+            const prices = item.quality === 9 ? paint?.stattrak_prices : paint?.normal_prices;
+            Object.assign(entry, {
+                type: 'weapon',
+                name: `${QUALITY_PREFIX[item.quality] || ''}${this.schemaResolver.buildDisplayName({ defindex, paintindex, exterior })}`,
+                exterior: exterior || null,
+                rarity: paint?.rarity ?? entry.rarity,
+                collection: paint?.collections?.[0] || paint?.collection || null,
+                value: Array.isArray(prices) ? positivePrice(prices[EXTERIORS.indexOf(exterior)]) : null,
+                imageUrl: this.schemaResolver.resolveImageUrl({ defindex, paintindex }),
+            });
+        } else if (keychain) {
+            const data = schema.keychains?.[String(keychain.keychain_id)];
+            Object.assign(entry, {
+                type: 'charm',
+                name: data?.market_hash_name || `Charm #${keychain.keychain_id}`,
+                seed: keychain.pattern ?? null,
+                imageUrl: data?.image || null,
+            });
+        } else if (sticker && (defindex === DEF_STICKER || defindex === DEF_PATCH)) {
+            const { marketHashName, imageUrl } = this.schemaResolver.resolveSticker(sticker.sticker_id);
+            Object.assign(entry, { type: 'sticker', name: marketHashName || `Sticker #${sticker.sticker_id}`, imageUrl });
+        } else if (schema.containers?.[String(defindex)]) {
+            const data = schema.containers[String(defindex)];
+            Object.assign(entry, { type: 'container', name: data.market_hash_name, imageUrl: data.image || null });
+        } else if (schema.agents?.[String(defindex)]) {
+            const data = schema.agents[String(defindex)];
+            Object.assign(entry, { type: 'agent', name: data.market_hash_name, rarity: data.rarity ?? entry.rarity, value: positivePrice(data.price), imageUrl: data.image || null });
+        } else if (schema.collectibles?.[String(defindex)]) {
+            const data = schema.collectibles[String(defindex)];
+            Object.assign(entry, { type: 'collectible', name: data.market_hash_name, rarity: data.rarity ?? entry.rarity, value: positivePrice(data.price), imageUrl: data.image || null });
+        } else if (defindex === DEF_MUSIC_KIT) {
+            const kitId = attributeUint32(item, ATTR_MUSIC_ID);
+            const data = schema.music_kits?.[String(kitId)];
+            const price = item.quality === 9 ? data?.stattrak_price : data?.normal_price;
+            Object.assign(entry, {
+                type: 'music_kit',
+                name: data?.market_hash_name || `Music Kit #${kitId}`,
+                rarity: data?.rarity ?? entry.rarity,
+                value: positivePrice(price),
+                imageUrl: data?.image || null,
+            });
+        }
+
+        if (!entry.name) entry.name = this.schemaResolver.buildDisplayName({ defindex, paintindex });
+        if (!entry.imageUrl && entry.type === 'other') entry.imageUrl = this.schemaResolver.resolveImageUrl({ defindex, paintindex });
+        if (item.custom_name) entry.name += ` "${item.custom_name}"`;
+
+        return {
+            ...entry,
+            rarityName: entry.rarity ? this.valueEstimator.rarityName(entry.rarity) : null,
+            collectionName: entry.collection ? this.valueEstimator.collectionName(entry.collection) || entry.collection : null,
+        };
+    }
+
+    /**
+     * Resolve a whole inventory, keeping the SO cache order
+     * @param {Object[]} items
+     * @param {Set<string>} [armoryIds]
+     * @returns {Object[]}
+     */
+    resolveAll(items, armoryIds) {
+        return items.map((item) => this.resolve(item, armoryIds));
+    }
+
+    /**
+     * Rarity value from a number or a (part of a) rarity name / key, e.g. "covert", "6"
+     * @param {string|number} query
+     * @returns {number|null}
+     */
+    findRarity(query) {
+        const n = Number(query);
+        if (Number.isInteger(n)) return n;
+        const q = String(query).toLowerCase();
+        const r = (this.schema?.rarities || []).find((x) => x.key === q || x.name.toLowerCase().includes(q));
+        return r ? r.value : null;
+    }
+
+    /**
+     * Filter resolved entries
+     * @param {Object[]} entries
+     * @param {Object} [filters]
+     * @param {string} [filters.type] - One of ITEM_TYPES
+     * @param {string|number} [filters.rarity] - Rarity value or name
+     * @param {string} [filters.collection] - Collection key or part of its name
+     * @param {boolean} [filters.armory] - Only items received from armory redeems
+     * @returns {Object[]}
+     */
+    filter(entries, { type, rarity, collection, armory } = {}) {
+        const rarityValue = rarity !== undefined && rarity !== null && rarity !== '' ? this.findRarity(rarity) : null;
+        const collectionQuery = collection ? String(collection).toLowerCase() : null;
+
+        return entries.filter((e) => {
+            if (type && e.type !== type) return false;
+            if (rarityValue !== null && e.rarity !== rarityValue) return false;
+            if (collectionQuery) {
+                const haystack = [e.collection, e.collectionName].filter(Boolean).join(' ').toLowerCase();
+                if (!haystack.includes(collectionQuery)) return false;
+            }
+            if (armory && !e.fromArmory) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Sort resolved entries; items without the sort key go last
+     * @param {Object[]} entries
+     * @param {string} [by='default'] - One of SORT_KEYS
+     * @param {boolean} [desc] - Defaults to descending for value/rarity and ascending otherwise
+     * @returns {Object[]}
+     */
+    sort(entries, by = 'default', desc = by === 'value' || by === 'rarity') {
+        if (by === 'default') return [...entries];
+        if (!SORT_KEYS.includes(by)) throw new Error(`Unknown sort key: ${by}`);
+
+        const dir = desc ? -1 : 1;
+        return [...entries].sort((a, b) => {
+            if (by === 'name') return dir * a.name.localeCompare(b.name);
+            const x = a[by];
+            const y = b[by];
+            if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+            if (y === null || y === undefined) return -1;
+            return dir * (x - y);
+        });
+    }
+}
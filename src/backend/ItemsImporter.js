@@ -0,0 +1,308 @@
+/**
+ * ItemsImporter.js
+ * Regenerates items_database.json from a local items_game.txt (KeyValues) dump
+ * @module ItemsImporter
+ */
+
+import fs from 'fs';
+
+// Armory offers are the point redeemables of seasonal operation 11, the campaign_id sent with every redeem
+// (see ArmoryManager.encodeRedeemBody): each entry is keyed by its redeem_id and names the granted item
+const ARMORY_CAMPAIGN = '11';
+const REDEEMABLES = 'operational_point_redeemable';
+const COST_FIELD = 'points';
+const GRANT_FIELD = 'item_name';
+
+// Hand-added fields the dump never provides (collection and container too, when the granted item does not resolve);
+// kept from the current database on re-import
+const LOCAL_FIELDS = ['collection', 'container', 'paint', 'agent', 'collectible', 'musicKit', 'value'];
+
+// Earlier operations keyed their redeemables by list index; armory ids are 32-bit hashes
+const MIN_KEY_ID = 65536;
+
+// Order of keys in the written database (the rest follow alphabetically)
+const KEY_ORDER = ['name', 'price', 'armoryId', 'collection', 'container', 'paint', 'agent', 'collectible', 'musicKit', 'value'];
+
+/**
+ * Parse Valve KeyValues text into nested objects.
+ * Duplicate keys are merged (objects) or overwritten (strings); [$PLATFORM] conditionals are ignored.
+ * @param {string} text
+ * @returns {Object}
+ */
+export function parseKeyValues(text) {
+    let pos = 0;
+
+    const skipSpace = () => {
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '/' && text[pos + 1] === '/') {
+                while (pos < text.length && text[pos] !== '\n') pos++;
+            } else if (/\s/.test(ch)) {
+                pos++;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const readToken = () => {
+        skipSpace();
+        if (pos >= text.length) return null;
+
+        const ch = text[pos];
+        if (ch === '{' || ch === '}') {
+            pos++;
+            return { brace: ch };
+        }
+
+        if (ch === '"') {
+            let out = '';
+            pos++;
+            while (pos < text.length && text[pos] !== '"') {
+                if (text[pos] === '\\' && pos + 1 < text.length) {
+                    const next = text[pos + 1];
+                    out += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+                    pos += 2;
+                } else {
+                    out += text[pos++];
+                }
+            }
+            pos++;
+            return { value: out };
+        }
+
+        const start = pos;
+        while (pos < text.length && !/[\s{}"]/.test(text[pos])) pos++;
+        return { value: text.slice(start, pos) };
+    };
+
+    const skipConditional = () => {
+        skipSpace();
+        if (text[pos] === '[') {
+            while (pos < text.length && text[pos] !== ']') pos++;
+            pos++;
+        }
+    };
+
+    const assign = (obj, key, value) => {
+        const prev = obj[key];
+        if (prev && typeof prev === 'object' && value && typeof value === 'object') Object.assign(prev, value);
+        else obj[key] = value;
+    };
+
+    const readObject = (nested) => {
+        const obj = {};
+        while (true) {
+            const key = readToken();
+            if (key === null) {
+                if (nested) throw new Error('Unexpected end of KeyValues text');
+                return obj;
+            }
+            if (key.brace === '}') {
+                if (!nested) throw new Error(`Unexpected "}" at offset ${pos}`);
+                return obj;
+            }
+            if (key.brace) throw new Error(`Unexpected "{" at offset ${pos}`);
+
+            const value = readToken();
+            if (value === null) throw new Error(`Missing value for "${key.value}"`);
+            if (value.brace === '}') throw new Error(`Unexpected "}" after "${key.value}"`);
+
+            assign(obj, key.value, value.brace === '{' ? readObject(true) : value.value);
+            skipConditional();
+        }
+    };
+
+    return readObject(false);
+}
+
+/**
+ * Read a dump file: KeyValues text or its JSON conversion
+ * @param {string} filePath
+ * @returns {Object} Root object (the "items_game" block if present)
+ */
+export function readItemsGame(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const root = raw.trimStart().startsWith('{') ? JSON.parse(raw) : parseKeyValues(raw);
+    return root.items_game || root;
+}
+
+function toPositiveInt(x) {
+    const n = Number(x);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+function humanize(name) {
+    return String(name)
+        .replace(/^#/, '')
+        .replace(/_/g, ' ')
+        .replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+export default class ItemsImporter {
+    /**
+     * @param {Object} [schema] - Parsed schema.json, used for display names
+     */
+    constructor(schema = null) {
+        this.schema = schema;
+    }
+
+    /**
+     * Item definition by its codename in items_game "items"
+     * @param {Object} itemsGame
+     * @param {string} name
+     * @returns {{defindex: number, def: Object}|null}
+     */
+    findItemDef(itemsGame, name) {
+        for (const [defindex, def] of Object.entries(itemsGame.items || {})) {
+            if (def?.name === name || defindex === String(name)) return { defindex: Number(defindex), def };
+        }
+        return null;
+    }
+
+    /**
+     * Collection display name without the " Collection" suffix, as used in items_database.json
+     * @param {string} key
+     * @returns {string|null}
+     */
+    collectionLabel(key) {
+        const c = (this.schema?.collections || []).find((x) => x.key === key);
+        return c ? c.name.replace(/ Collection$/, '') : null;
+    }
+
+    /**
+     * Describe what an offer grants
+     * @param {Object} itemsGame
+     * @param {Object} entry - Redeemable entry
+     * @returns {{name: string|null, collection?: string, container?: number}}
+     */
+    resolveGrant(itemsGame, entry) {
+        const grant = entry[GRANT_FIELD];
+        if (!grant) return { name: null };
+
+        const found = this.findItemDef(itemsGame, grant);
+        if (!found) return { name: humanize(grant) };
+
+        const { defindex, def } = found;
+        const itemSet = def.tags?.ItemSet?.tag_value;
+        if (itemSet && !def.prefab?.includes('crate')) {
+            return { name: this.collectionLabel(itemSet) || humanize(itemSet), collection: itemSet };
+        }
+
+        const container = this.schema?.containers?.[String(defindex)];
+        if (container || /crate|case/i.test(`${def.prefab || ''} ${def.name || ''}`)) {
+            return { name: container?.market_hash_name || humanize(def.name || grant), container: defindex };
+        }
+
+        return { name: humanize(def.name || grant) };
+    }
+
+    /**
+     * Extract armory offers from a parsed items_game tree
+     * @param {Object} itemsGame
+     * @returns {{offers: Object[], skipped: {key: string, reason: string}[]}}
+     */
+    extractOffers(itemsGame) {
+        const offers = [];
+        const skipped = [];
+
+        const redeemables = itemsGame.seasonaloperations?.[ARMORY_CAMPAIGN]?.[REDEEMABLES] || {};
+        for (const [key, entry] of Object.entries(redeemables)) {
+            if (!entry || typeof entry !== 'object') continue;
+
+            const keyId = toPositiveInt(key);
+            const armoryId = keyId >= MIN_KEY_ID ? keyId : null;
+            const price = toPositiveInt(entry[COST_FIELD]);
+            if (!armoryId || !price) {
+                skipped.push({ key, reason: !armoryId ? 'no id' : 'no cost' });
+                continue;
+            }
+
+            const { name, ...grants } = this.resolveGrant(itemsGame, entry);
+            offers.push({ name: name || `Offer ${armoryId}`, price, armoryId, ...grants });
+        }
+
+        return { offers, skipped };
+    }
+
+    /**
+     * Copy hand-added fields (paint, value, ...) from the current database onto freshly imported offers
+     * @param {Object[]} offers
+     * @param {Object[]} current
+     * @returns {Object[]}
+     */
+    keepLocalFields(offers, current) {
+        const before = new Map(current.map((o) => [Number(o.armoryId), o]));
+        return offers.map((o) => {
+            const prev = before.get(o.armoryId);
+            if (!prev) return o;
+            const kept = {};
+            for (const f of LOCAL_FIELDS) {
+                if (prev[f] !== undefined && o[f] === undefined) kept[f] = prev[f];
+            }
+            return { ...o, ...kept };
+        });
+    }
+
+    /**
+     * Apply local overrides: fields are merged by armoryId, { hidden: true } drops the offer,
+     * and complete entries for ids missing from the dump are kept as manual offers
+     * @param {Object[]} offers
+     * @param {Object<string, Object>} overrides - Keyed by armoryId
+     * @returns {Object[]}
+     */
+    applyOverrides(offers, overrides = {}) {
+        const byId = new Map(offers.map((o) => [o.armoryId, { ...o }]));
+
+        for (const [id, patch] of Object.entries(overrides)) {
+            const armoryId = Number(id);
+            const base = byId.get(armoryId);
+            if (base) byId.set(armoryId, { ...base, ...patch, armoryId });
+            else if (patch?.name && patch?.price) byId.set(armoryId, { ...patch, armoryId });
+        }
+
+        return [...byId.values()].filter((o) => !o.hidden).map(({ hidden, ...o }) => o);
+    }
+
+    /**
+     * Difference between two databases keyed by armoryId
+     * @param {Object[]} current
+     * @param {Object[]} next
+     * @returns {{added: Object[], removed: Object[], changed: {armoryId: number, name: string, fields: Object}[]}}
+     */
+    diff(current, next) {
+        const before = new Map(current.map((o) => [Number(o.armoryId), o]));
+        const after = new Map(next.map((o) => [Number(o.armoryId), o]));
+
+        const added = next.filter((o) => !before.has(Number(o.armoryId)));
+        const removed = current.filter((o) => !after.has(Number(o.armoryId)));
+        const changed = [];
+
+        for (const [armoryId, o] of after) {
+            const prev = before.get(armoryId);
+            if (!prev) continue;
+
+            const fields = {};
+            for (const key of new Set([...Object.keys(prev), ...Object.keys(o)])) {
+                if (JSON.stringify(prev[key]) !== JSON.stringify(o[key])) fields[key] = { from: prev[key], to: o[key] };
+            }
+            if (Object.keys(fields).length) changed.push({ armoryId, name: o.name, fields });
+        }
+
+        return { added, removed, changed };
+    }
+
+    /**
+     * Serialize offers in the one-offer-per-line layout of items_database.json
+     * @param {Object[]} offers
+     * @returns {string}
+     */
+    format(offers) {
+        const rank = (k) => (KEY_ORDER.includes(k) ? KEY_ORDER.indexOf(k) : KEY_ORDER.length);
+        const lines = offers.map((o) => {
+            const keys = Object.keys(o).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+            return `  { ${keys.map((k) => `${JSON.stringify(k)}: ${JSON.stringify(o[k])}`).join(', ')} }`;
+        });
+        return `[\n${lines.join(',\n')}\n]\n`;
+    }
+}
@@ -0,0 +1,210 @@
+/**
+ * NetworkSettings.js
+ * Per-account proxy / bind address: validation, steam-user options and a reachability check
+ * @module NetworkSettings
+ */
+
+import dns from 'dns/promises';
+import net from 'net';
+
+export const PROXY_PROTOCOLS = ['http', 'socks', 'socks4', 'socks4a', 'socks5', 'socks5h'];
+
+// The check tunnels to the Steam web API, which steam-user also uses to find CM servers
+const CHECK_HOST = 'api.steampowered.com';
+const CHECK_PORT = 443;
+const CHECK_TIMEOUT_MS = 10000;
+
+/**
+ * Validate network settings
+ * @param {Object} settings
+ * @param {string} [settings.proxy] - http://[user:pass@]host:port or socks[4|4a|5|5h]://[user:pass@]host:port
+ * @param {string} [settings.localAddress] - Local IP to bind outgoing connections to
+ * @returns {{proxy: string|null, localAddress: string|null}}
+ * @throws {Error} If the proxy URL or the address is invalid
+ */
+export function normalizeNetworkSettings({ proxy, localAddress } = {}) {
+    let proxyUrl = null;
+    if (proxy) {
+        let url;
+        try {
+            url = new URL(String(proxy).trim());
+        } catch {
+            throw new Error(`Invalid proxy URL: ${proxy}`);
+        }
+        const protocol = url.protocol.slice(0, -1);
+        if (!PROXY_PROTOCOLS.includes(protocol)) throw new Error(`Unsupported proxy protocol: ${protocol} (${PROXY_PROTOCOLS.join(', ')})`);
+        // URL drops the default port 80 of http://; SOCKS has no default port
+        if (!url.hostname || (!url.port && protocol !== 'http')) throw new Error(`Proxy URL must include host and port: ${proxy}`);
+        proxyUrl = url.toString().replace(/\/$/, '');
+    }
+
+    const address = localAddress ? String(localAddress).trim() : null;
+    if (address && !net.isIP(address)) throw new Error(`Invalid bind address: ${localAddress}`);
+
+    return { proxy: proxyUrl, localAddress: address };
+}
+
+/**
+ * steam-user constructor options for the settings
+ * @param {{proxy: string|null, localAddress: string|null}|null} settings
+ * @returns {{httpProxy?: string, socksProxy?: string, localAddress?: string}}
+ */
+export function steamUserOptions(settings) {
+    const options = {};
+    if (settings?.proxy) {
+        if (settings.proxy.startsWith('socks')) options.socksProxy = settings.proxy;
+        else options.httpProxy = settings.proxy;
+    }
+    if (settings?.localAddress) options.localAddress = settings.localAddress;
+    return options;
+}
+
+/**
+ * Proxy URL with the password hidden, for output
+ * @param {string|null} proxy
+ * @returns {string|null}
+ */
+export function maskProxy(proxy) {
+    if (!proxy) return null;
+    try {
+        const url = new URL(proxy);
+        if (url.password) url.password = '***';
+        return url.toString().replace(/\/$/, '');
+    } catch {
+        return proxy;
+    }
+}
+
+// Collect proxy reply bytes until parse returns a result (null means it needs more data)
+function readReply(socket, parse) {
+    return new Promise((resolve, reject) => {
+        let buffer = Buffer.alloc(0);
+        const onData = (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let result;
+            try {
+                result = parse(buffer);
+            } catch (e) {
+                finish();
+                return reject(e);
+            }
+            if (result === null) return;
+            finish();
+            resolve(result);
+        };
+        const onEnd = () => {
+            finish();
+            reject(new Error('Proxy closed the connection'));
+        };
+        const finish = () => {
+            socket.off('data', onData);
+            socket.off('end', onEnd);
+        };
+        socket.on('data', onData);
+        socket.on('end', onEnd);
+    });
+}
+
+async function httpConnect(socket, url, host, port) {
+    const headers = [`CONNECT ${host}:${port} HTTP/1.1`, `Host: ${host}:${port}`];
+    if (url.username) {
+        const credentials = `${decodeURIComponent(url.username)}:${decodeURIComponent(url.password)}`;
+        headers.push(`Proxy-Authorization: Basic ${Buffer.from(credentials).toString('base64')}`);
+    }
+    socket.write(`${headers.join('\r\n')}\r\n\r\n`);
+
+    const status = await readReply(socket, (buffer) => {
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end === -1) return null;
+        return Number(buffer.subarray(0, end).toString('latin1').split(' ')[1]);
+    });
+    if (status === 407) throw new Error('Proxy authentication failed');
+    if (status !== 200) throw new Error(`Proxy refused CONNECT (HTTP ${status})`);
+}
+
+async function socks4Connect(socket, url, host, port, remoteDns) {
+    const userId = Buffer.from(decodeURIComponent(url.username));
+    const portBytes = Buffer.from([port >> 8, port & 0xff]);
+    // SOCKS4a: address 0.0.0.1 and the host name after the user id, resolved by the proxy
+    const ip = remoteDns ? [0, 0, 0, 1] : (await dns.lookup(host, { family: 4 })).address.split('.').map(Number);
+    const parts = [Buffer.from([4, 1]), portBytes, Buffer.from(ip), userId, Buffer.from([0])];
+    if (remoteDns) parts.push(Buffer.from(host), Buffer.from([0]));
+    socket.write(Buffer.concat(parts));
+
+    const code = await readReply(socket, (buffer) => (buffer.length >= 8 ? buffer[1] : null));
+    if (code !== 0x5a) throw new Error(`SOCKS4 request rejected (code ${code})`);
+}
+
+async function socks5Connect(socket, url, host, port) {
+    const username = decodeURIComponent(url.username);
+    const password = decodeURIComponent(url.password);
+    socket.write(Buffer.from(username ? [5, 2, 0, 2] : [5, 1, 0]));
+
+    const method = await readReply(socket, (buffer) => (buffer.length >= 2 ? buffer[1] : null));
+    if (method === 2) {
+        const user = Buffer.from(username);
+        const pass = Buffer.from(password);
+        socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+        const status = await readReply(socket, (buffer) => (buffer.length >= 2 ? buffer[1] : null));
+        if (status !== 0) throw new Error('Proxy authentication failed');
+    } else if (method !== 0) {
+        throw new Error('SOCKS5 proxy accepts none of the offered auth methods');
+    }
+
+    const name = Buffer.from(host);
+    socket.write(Buffer.concat([Buffer.from([5, 1, 0, 3, name.length]), name, Buffer.from([port >> 8, port & 0xff])]));
+
+    const code = await readReply(socket, (buffer) => {
+        if (buffer.length < 5) return null;
+        const addressLength = { 1: 4, 3: 1 + buffer[4], 4: 16 }[buffer[3]] ?? 0;
+        return buffer.length >= 4 + addressLength + 2 ? buffer[1] : null;
+    });
+    if (code !== 0) throw new Error(`SOCKS5 request rejected (code ${code})`);
+}
+
+/**
+ * Check that Steam is reachable with the settings: open a TCP connection (from the bind address)
+ * and, with a proxy, tunnel through it to the Steam web API
+ * @param {{proxy: string|null, localAddress: string|null}|null} settings
+ * @param {Object} [options]
+ * @param {string} [options.host='api.steampowered.com']
+ * @param {number} [options.port=443]
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Promise<{ok: boolean, latencyMs: number|null, error: string|null}>}
+ */
+export async function checkNetwork(settings, { host = CHECK_HOST, port = CHECK_PORT, timeoutMs = CHECK_TIMEOUT_MS } = {}) {
+    const started = Date.now();
+    const proxy = settings?.proxy ? new URL(settings.proxy) : null;
+    const protocol = proxy?.protocol.slice(0, -1);
+
+    const socket = net.connect({
+        host: proxy ? proxy.hostname.replace(/^\[|\]$/g, '') : host,
+        port: proxy ? Number(proxy.port) || 80 : port,
+        localAddress: settings?.localAddress || undefined,
+    });
+    socket.setNoDelay(true);
+
+    let timer;
+    const failed = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timeout after ${timeoutMs} ms`)), timeoutMs);
+        socket.once('error', reject);
+    });
+    failed.catch(() => {});
+
+    try {
+        await Promise.race([new Promise((resolve) => socket.once('connect', resolve)), failed]);
+
+        let tunnel = null;
+        if (protocol === 'http') tunnel = httpConnect(socket, proxy, host, port);
+        else if (protocol === 'socks4' || protocol === 'socks4a') tunnel = socks4Connect(socket, proxy, host, port, protocol === 'socks4a');
+        else if (protocol) tunnel = socks5Connect(socket, proxy, host, port);
+        if (tunnel) await Promise.race([tunnel, failed]);
+
+        return { ok: true, latencyMs: Date.now() - started, error: null };
+    } catch (e) {
+        return { ok: false, latencyMs: null, error: e?.message || String(e) };
+    } finally {
+        clearTimeout(timer);
+        socket.destroy();
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * PurchaseHistory.js
+ * Append-only ledger of armory redeem attempts (JSON Lines)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { DEFAULT_CONFIG } from './Config.js';
+
+class PurchaseHistory {
+    static filePath = DEFAULT_CONFIG.paths.history;
+
+    /**
+     * Configure the ledger file location
+     * @param {string} filePath
+     */
+    static configureFile(filePath) {
+        this.filePath = filePath;
+        const dir = path.dirname(this.filePath);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Append a single redeem attempt to the ledger
+     * @param {Object} entry
+     * @returns {Object} Stored entry
+     */
+    static record(entry) {
+        const stored = { timestamp: new Date().toISOString(), ...entry };
+        fs.appendFileSync(this.filePath, `${JSON.stringify(stored)}\n`, 'utf8');
+        return stored;
+    }
+
+    /**
+     * Read all ledger entries, skipping damaged lines
+     * @returns {Object[]}
+     */
+    static readAll() {
+        if (!fs.existsSync(this.filePath)) return [];
+
+        const entries = [];
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {}
+        }
+        return entries;
+    }
+
+    /**
+     * Query the ledger
+     * @param {Object} [filters]
+     * @param {string} [filters.account] - Exact account name
+     * @param {string} [filters.item] - Armory id or case-insensitive part of the offer/drop name
+     * @param {Date|string} [filters.from] - Inclusive lower bound
+     * @param {Date|string} [filters.to] - Inclusive upper bound
+     * @returns {Object[]} Matching entries, oldest first
+     */
+    static query({ account, item, from, to } = {}) {
+        const fromTs = from ? new Date(from).getTime() : null;
+        const toTs = to ? new Date(to).getTime() : null;
+        const itemQuery = item ? String(item).toLowerCase() : null;
+
+        return this.readAll().filter((e) => {
+            if (account && e.account !== account) return false;
+
+            if (itemQuery) {
+                const haystack = [e.itemName, e.drop?.name].filter(Boolean).join(' ').toLowerCase();
+                if (String(e.armoryId) !== itemQuery && !haystack.includes(itemQuery)) return false;
+            }
+
+            const ts = new Date(e.timestamp).getTime();
+            if (fromTs !== null && ts < fromTs) return false;
+            if (toTs !== null && ts > toTs) return false;
+            return true;
+        });
+    }
+}
+
+export default PurchaseHistory;
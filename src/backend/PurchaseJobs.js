@@ -0,0 +1,135 @@
+/**
+ * PurchaseJobs.js
+ * Crash-safe progress files for multi-item purchase orders
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { DEFAULT_CONFIG } from './Config.js';
+
+const FINISHED = new Set(['done', 'cancelled']);
+// Creation time (UTC, to the second) and 6 random hex digits, see create()
+const JOB_ID_PATTERN = /^\d{14}-[0-9a-f]{6}$/;
+
+class PurchaseJobs {
+    static dir = DEFAULT_CONFIG.paths.jobsDir;
+
+    /**
+     * Configure the jobs directory
+     * @param {string} dir
+     */
+    static configureDir(dir) {
+        this.dir = dir;
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+    }
+
+    /**
+     * Whether a string has the job id format (ids from outside must not point outside the jobs directory)
+     * @param {string} id
+     * @returns {boolean}
+     */
+    static isValidId(id) {
+        return JOB_ID_PATTERN.test(String(id));
+    }
+
+    /**
+     * Path of a job file
+     * @param {string} id
+     * @returns {string}
+     */
+    static jobPath(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    /**
+     * Create and persist a new job
+     * @param {string} account
+     * @param {{armoryId: number, name: string, price: number, qty: number}[]} lines
+     * @param {number} starsBefore
+     * @returns {Object} Job
+     */
+    static create(account, lines, starsBefore) {
+        const now = new Date().toISOString();
+        const job = {
+            id: `${now.replace(/[-:.TZ]/g, '').slice(0, 14)}-${crypto.randomBytes(3).toString('hex')}`,
+            account,
+            status: 'running',
+            createdAt: now,
+            updatedAt: now,
+            starsBefore,
+            starsLast: starsBefore,
+            lines: lines.map(({ armoryId, name, price, qty }) => ({ armoryId, name, price, qty, done: 0 })),
+            pending: null,
+            error: null,
+        };
+        this.save(job);
+        return job;
+    }
+
+    /**
+     * Persist a job atomically (temp file + rename), so a crash never leaves a half-written file
+     * @param {Object} job
+     */
+    static save(job) {
+        job.updatedAt = new Date().toISOString();
+        const filepath = this.jobPath(job.id);
+        const tmp = `${filepath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(job, null, 2), 'utf8');
+        fs.renameSync(tmp, filepath);
+    }
+
+    /**
+     * Load a job by id
+     * @param {string} id
+     * @returns {Object|null} Null also for malformed ids
+     */
+    static load(id) {
+        if (!this.isValidId(id)) return null;
+        const filepath = this.jobPath(id);
+        if (!fs.existsSync(filepath)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * All readable jobs, oldest first
+     * @returns {Object[]}
+     */
+    static list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs
+            .readdirSync(this.dir)
+            .filter((f) => f.endsWith('.json'))
+            .map((f) => this.load(f.slice(0, -'.json'.length)))
+            .filter(Boolean)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Jobs that still have something to buy or an unresolved redeem
+     * @returns {Object[]}
+     */
+    static listUnfinished() {
+        return this.list().filter((job) => !FINISHED.has(job.status));
+    }
+
+    /**
+     * Quantity still to buy per line
+     * @param {Object} job
+     * @returns {{armoryId: number, name: string, price: number, qty: number}[]}
+     */
+    static remaining(job) {
+        return job.lines
+            .map(({ armoryId, name, price, qty, done }) => ({ armoryId, name, price, qty: qty - done }))
+            .filter((l) => l.qty > 0);
+    }
+}
+
+export default PurchaseJobs;
@@ -0,0 +1,234 @@
+/**
+ * PurchaseReport.js
+ * Purchase session reports (CSV, JSON, standalone HTML) built from purchase history entries
+ * @module PurchaseReport
+ */
+
+import { getLanguage, t } from './I18n.js';
+
+export const REPORT_FORMATS = ['csv', 'json', 'html'];
+
+// In-game rarity colours, by schema.rarities value
+const RARITY_COLORS = {
+    1: '#b0c3d9',
+    2: '#5e98d9',
+    3: '#4b69ff',
+    4: '#8847ff',
+    5: '#d32ce6',
+    6: '#eb4b4b',
+    7: '#e4ae39',
+};
+
+const CSV_COLUMNS = [
+    ['timestamp', (r) => r.timestamp],
+    ['account', (r) => r.account],
+    ['job', (r) => r.jobId],
+    ['offer', (r) => r.offer],
+    ['armory_id', (r) => r.armoryId],
+    ['price_stars', (r) => r.price],
+    ['ok', (r) => (r.ok ? 'yes' : 'no')],
+    ['item', (r) => r.name],
+    ['type', (r) => r.type],
+    ['float', (r) => r.float],
+    ['seed', (r) => r.seed],
+    ['rarity', (r) => r.rarityName],
+    ['value_usd', (r) => dollars(r.value)],
+    ['stars_spent', (r) => r.starsSpent],
+    ['stars_after', (r) => r.starsAfter],
+    ['item_id', (r) => r.itemId],
+    ['image_url', (r) => r.imageUrl],
+    ['error', (r) => r.error],
+];
+
+function dollars(cents) {
+    return typeof cents === 'number' ? (cents / 100).toFixed(2) : '';
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const s = String(value);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+export default class PurchaseReport {
+    /**
+     * @param {import('./InventoryBrowser.js').default} inventoryBrowser - Resolves received items (name, float, rarity, image, value)
+     * @param {import('./ValueEstimator.js').default} valueEstimator - Expected value of the bought offers
+     */
+    constructor(inventoryBrowser, valueEstimator) {
+        this.inventoryBrowser = inventoryBrowser;
+        this.valueEstimator = valueEstimator;
+    }
+
+    /**
+     * Build a report from purchase history entries (usually all entries of one job)
+     * @param {Object[]} entries - PurchaseHistory entries
+     * @param {Object} [options]
+     * @param {Object[]} [options.offers] - items_database.json, for the expected value of each offer
+     * @param {string} [options.title] - Defaults to the localized "Purchase report"
+     * @returns {{title: string, generatedAt: string, accounts: string[], jobIds: string[], from: string|null, to: string|null,
+     *            rows: Object[], totals: {attempts: number, purchased: number, failed: number, starsSpent: number,
+     *            value: number|null, expectedValue: number|null}}}
+     */
+    build(entries, { offers = [], title = t('report.title') } = {}) {
+        const offersById = new Map(offers.map((o) => [Number(o.armoryId), o]));
+
+        const rows = entries.map((e) => {
+            const resolved = e.ok && e.item?.def_index ? this.inventoryBrowser.resolve(e.item) : null;
+            const offer = offersById.get(Number(e.armoryId));
+            const starsSpent = e.ok ? (typeof e.starsBefore === 'number' && typeof e.starsAfter === 'number' ? e.starsBefore - e.starsAfter : e.price) : 0;
+
+            return {
+                timestamp: e.timestamp,
+                account: e.account,
+                jobId: e.jobId ?? null,
+                offer: e.itemName,
+                armoryId: e.armoryId,
+                price: e.price,
+                ok: Boolean(e.ok),
+                reconciled: e.reconciled ?? null,
+                itemId: e.item?.id ?? null,
+                name: resolved?.name ?? e.drop?.name ?? null,
+                type: resolved?.type ?? null,
+                float: resolved?.float ?? null,
+                seed: resolved?.seed ?? null,
+                rarity: resolved?.rarity ?? null,
+                rarityName: resolved?.rarityName ?? null,
+                value: resolved?.value ?? null,
+                expectedValue: e.ok && offer ? this.valueEstimator.estimateOffer(offer).value : null,
+                imageUrl: resolved?.imageUrl ?? null,
+                starsSpent,
+                starsAfter: e.starsAfter ?? null,
+                error: e.error ?? null,
+            };
+        });
+
+        const sumOf = (key) => {
+            const known = rows.filter((r) => typeof r[key] === 'number');
+            return known.length ? known.reduce((sum, r) => sum + r[key], 0) : null;
+        };
+        const timestamps = rows.map((r) => r.timestamp).filter(Boolean).sort();
+
+        return {
+            title,
+            generatedAt: new Date().toISOString(),
+            accounts: [...new Set(rows.map((r) => r.account))],
+            jobIds: [...new Set(rows.map((r) => r.jobId).filter(Boolean))],
+            from: timestamps[0] ?? null,
+            to: timestamps[timestamps.length - 1] ?? null,
+            rows,
+            totals: {
+                attempts: rows.length,
+                purchased: rows.filter((r) => r.ok).length,
+                failed: rows.filter((r) => !r.ok).length,
+                starsSpent: rows.reduce((sum, r) => sum + r.starsSpent, 0),
+                value: sumOf('value'),
+                expectedValue: sumOf('expectedValue'),
+            },
+        };
+    }
+
+    /**
+     * One line per redeem attempt
+     * @param {Object} report
+     * @returns {string}
+     */
+    toCSV(report) {
+        const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+        for (const row of report.rows) lines.push(CSV_COLUMNS.map(([, get]) => csvCell(get(row))).join(','));
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * @param {Object} report
+     * @returns {string}
+     */
+    toJSON(report) {
+        return `${JSON.stringify(report, null, 2)}\n`;
+    }
+
+    /**
+     * Standalone HTML page (inline styles, images loaded from the Steam CDN)
+     * @param {Object} report
+     * @returns {string}
+     */
+    toHTML(report) {
+        const { totals } = report;
+        const money = (cents) => (typeof cents === 'number' ? `$${dollars(cents)}` : '—');
+
+        const rows = report.rows
+            .map((r) => {
+                const color = RARITY_COLORS[r.rarity] || '#888';
+                const image = r.imageUrl ? `<img src="${escapeHtml(r.imageUrl)}" alt="" loading="lazy">` : '';
+                const name = r.ok ? escapeHtml(r.name || '—') : `<span class="error">${escapeHtml(r.error || t('report.html.error'))}</span>`;
+                return `      <tr>
+        <td class="image" style="border-left-color: ${color}">${image}</td>
+        <td>${name}<div class="muted">${escapeHtml(r.offer)} · ${escapeHtml(r.account)} · ${escapeHtml(new Date(r.timestamp).toLocaleString())}</div></td>
+        <td>${r.float !== null ? r.float.toFixed(9) : '—'}</td>
+        <td>${r.seed ?? '—'}</td>
+        <td style="color: ${color}">${escapeHtml(r.rarityName || '—')}</td>
+        <td class="num">${r.starsSpent}</td>
+        <td class="num">${money(r.value)}</td>
+      </tr>`;
+            })
+            .join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #1b1d22; color: #e4e4e4; margin: 2rem; }
+    h1 { margin: 0 0 .25rem; font-size: 1.4rem; }
+    .muted { color: #8a8f98; font-size: .85rem; }
+    .totals { display: flex; gap: 2rem; margin: 1.5rem 0; }
+    .totals b { display: block; font-size: 1.3rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { padding: .5rem .75rem; border-bottom: 1px solid #2c2f36; text-align: left; vertical-align: middle; }
+    th { color: #8a8f98; font-weight: normal; }
+    td.image { width: 96px; border-left: 4px solid; }
+    td.image img { width: 96px; height: 72px; object-fit: contain; }
+    .num { text-align: right; white-space: nowrap; }
+    .error { color: #eb4b4b; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <div class="muted">${escapeHtml(report.accounts.join(', '))}${report.jobIds.length ? ` · ${escapeHtml(report.jobIds.join(', '))}` : ''} · ${escapeHtml(t('report.html.generated', { date: new Date(report.generatedAt).toLocaleString() }))}</div>
+  <div class="totals">
+    <div><b>${totals.purchased} / ${totals.attempts}</b><span class="muted">${t('report.html.purchased')}</span></div>
+    <div><b>${totals.starsSpent} ★</b><span class="muted">${t('report.html.starsSpent')}</span></div>
+    <div><b>${money(totals.value)}</b><span class="muted">${t('report.html.value')}</span></div>
+    <div><b>${money(totals.expectedValue)}</b><span class="muted">${t('report.html.expectedValue')}</span></div>
+  </div>
+  <table>
+    <thead>
+      <tr><th></th><th>${t('report.html.item')}</th><th>${t('report.html.float')}</th><th>${t('report.html.seed')}</th><th>${t('report.html.rarity')}</th><th class="num">${t('report.html.stars')}</th><th class="num">${t('report.html.price')}</th></tr>
+    </thead>
+    <tbody>
+${rows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Serialize a report in one of REPORT_FORMATS
+     * @param {Object} report
+     * @param {string} format
+     * @returns {string}
+     */
+    render(report, format) {
+        if (format === 'csv') return this.toCSV(report);
+        if (format === 'json') return this.toJSON(report);
+        if (format === 'html') return this.toHTML(report);
+        throw new Error(`Unknown report format: ${format}`);
+    }
+}
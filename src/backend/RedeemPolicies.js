@@ -0,0 +1,150 @@
+/**
+ * RedeemPolicies.js
+ * Per-account redeem policies for the daemon: when a balance is worth spending and on what
+ * @module RedeemPolicies
+ */
+
+import fs from 'fs';
+import { GOALS } from './BasketPlanner.js';
+
+const POLICY_KEYS = ['enabled', 'item', 'goal', 'reserve', 'threshold'];
+
+/**
+ * Example file for "daemon init"
+ */
+export const EXAMPLE_POLICIES = {
+    default: { item: 'Fever Case', threshold: 50, reserve: 0 },
+    accounts: {
+        main: { goal: 'value', reserve: 10 },
+        alt: { enabled: false },
+    },
+};
+
+function isCount(v) {
+    return Number.isInteger(v) && v >= 0;
+}
+
+export default class RedeemPolicies {
+    /**
+     * @param {import('./BasketPlanner.js').default} basketPlanner - Baskets for goal policies
+     */
+    constructor(basketPlanner) {
+        this.basketPlanner = basketPlanner;
+        this.defaultPolicy = null;
+        this.accounts = new Map();
+        this.file = null;
+    }
+
+    /**
+     * Read policies from a JSON file; a missing file means no policies (the daemon only checks balances)
+     * @param {string} filePath
+     * @returns {RedeemPolicies}
+     * @throws {Error} On unreadable JSON, unknown keys or invalid values
+     */
+    load(filePath) {
+        this.defaultPolicy = null;
+        this.accounts = new Map();
+        this.file = null;
+        if (!fs.existsSync(filePath)) return this;
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (e) {
+            throw new Error(`${filePath}: ${e?.message || e}`);
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${filePath}: expected a JSON object`);
+
+        this.configure(data, filePath);
+        this.file = filePath;
+        return this;
+    }
+
+    /**
+     * Set policies from a parsed policies file
+     * @param {{default?: Object, accounts?: Object}} data
+     * @param {string} [source='policies'] - Prefix for error messages
+     * @returns {RedeemPolicies}
+     * @throws {Error} On unknown keys or invalid values
+     */
+    configure({ default: defaultPolicy = null, accounts = {} }, source = 'policies') {
+        if (!accounts || typeof accounts !== 'object' || Array.isArray(accounts)) throw new Error(`${source}: "accounts" must be an object`);
+        this.defaultPolicy = defaultPolicy === null ? null : this.normalizePolicy(defaultPolicy, `${source}: default`);
+        this.accounts = new Map(Object.entries(accounts).map(([username, policy]) => [username, this.normalizePolicy(policy, `${source}: accounts.${username}`)]));
+        return this;
+    }
+
+    normalizePolicy(policy, where) {
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) throw new Error(`${where}: expected an object`);
+        const unknown = Object.keys(policy).filter((key) => !POLICY_KEYS.includes(key));
+        if (unknown.length) throw new Error(`${where}: unknown key "${unknown[0]}" (${POLICY_KEYS.join(', ')})`);
+
+        const enabled = policy.enabled ?? true;
+        if (typeof enabled !== 'boolean') throw new Error(`${where}: enabled must be true or false`);
+        for (const key of ['reserve', 'threshold']) {
+            if (policy[key] !== undefined && !isCount(policy[key])) throw new Error(`${where}: ${key} must be a non-negative integer`);
+        }
+
+        const item = policy.item ?? null;
+        const goal = policy.goal ?? null;
+        if (item !== null && !((typeof item === 'string' && item.trim()) || Number.isInteger(item))) throw new Error(`${where}: item must be an armory id or a name`);
+        if (goal !== null && !GOALS.includes(goal)) throw new Error(`${where}: goal must be one of ${GOALS.join(', ')}`);
+        if (item !== null && goal !== null) throw new Error(`${where}: set either item or goal, not both`);
+        if (enabled && item === null && goal === null) throw new Error(`${where}: expected item or goal`);
+
+        return {
+            enabled,
+            item: item === null ? null : String(item).trim(),
+            goal,
+            reserve: policy.reserve ?? 0,
+            threshold: policy.threshold ?? 0,
+            offer: null,
+        };
+    }
+
+    /**
+     * Resolve the offers of item policies once, before the daemon starts
+     * @param {Function} resolve - query => offer; throws if the offer is unknown or ambiguous
+     * @throws {Error} With the policy that failed
+     */
+    resolveOffers(resolve) {
+        const entries = [['default', this.defaultPolicy], ...[...this.accounts].map(([username, policy]) => [`accounts.${username}`, policy])];
+        for (const [where, policy] of entries) {
+            if (!policy?.item) continue;
+            try {
+                policy.offer = resolve(policy.item);
+            } catch (e) {
+                throw new Error(`${this.file || 'policies'}: ${where}: ${e?.message || e}`);
+            }
+        }
+    }
+
+    /**
+     * Policy of an account: its own one, else the default one; null if none or disabled
+     * @param {string} username
+     * @returns {Object|null}
+     */
+    policyFor(username) {
+        const policy = this.accounts.has(username) ? this.accounts.get(username) : this.defaultPolicy;
+        return policy?.enabled ? policy : null;
+    }
+
+    /**
+     * What a policy buys with a balance
+     * @param {Object} policy
+     * @param {number} stars
+     * @param {Object[]} offers - Normalized offers, for goal policies
+     * @returns {{item: Object, qty: number}[]|null} Basket lines (possibly empty), or null below the threshold
+     */
+    basket(policy, stars, offers) {
+        if (stars < policy.threshold) return null;
+
+        if (policy.offer) {
+            const qty = Math.floor((stars - policy.reserve) / policy.offer.price);
+            return qty > 0 ? [{ item: policy.offer, qty }] : [];
+        }
+
+        const plan = this.basketPlanner.plan(offers, stars, { goal: policy.goal, reserve: policy.reserve });
+        return plan.lines.map((line) => ({ item: line.offer, qty: line.qty }));
+    }
+}
@@ -3,11 +3,36 @@
  * Manages Steam session tokens for user accounts
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 
+import { DEFAULT_CONFIG } from './Config.js';
+
+const VAULT_FILE = '.vault.json';
+const VAULT_CHECK = 'cs2-stars-vault';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+    };
+}
+
+function decrypt(key, box) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
 class SessionManager {
-    static baseDir = './sessions';
+    static baseDir = DEFAULT_CONFIG.paths.sessionsDir;
+    static key = null;
 
     /**
      * Configure the base directory for session storage
@@ -15,11 +40,223 @@ class SessionManager {
      */
     static configureBaseDir(dir) {
         this.baseDir = dir;
+        this.key = null;
         if (!fs.existsSync(this.baseDir)) {
             fs.mkdirSync(this.baseDir, { recursive: true });
         }
     }
 
+    /**
+     * Path of the master-password vault in the base directory
+     * @returns {string}
+     */
+    static vaultPath() {
+        return path.join(this.baseDir, VAULT_FILE);
+    }
+
+    /**
+     * Read vault parameters (salt, KDF settings, password check)
+     * @returns {Object|null}
+     */
+    static readVault() {
+        const filepath = this.vaultPath();
+        if (!fs.existsSync(filepath)) return null;
+        return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+    }
+
+    /**
+     * Derive the AES key from the master password
+     * @param {string} password
+     * @param {Object} vault
+     * @returns {Buffer}
+     */
+    static deriveKey(password, vault) {
+        const { N, r, p } = vault;
+        return crypto.scryptSync(String(password), Buffer.from(vault.salt, 'base64'), 32, { N, r, p });
+    }
+
+    /**
+     * Whether tokens in the base directory are protected by a master password
+     * @returns {boolean}
+     */
+    static isEncryptionEnabled() {
+        return fs.existsSync(this.vaultPath());
+    }
+
+    /**
+     * Whether the master password has been entered for this process
+     * @returns {boolean}
+     */
+    static isUnlocked() {
+        return this.key !== null;
+    }
+
+    /**
+     * Enable encryption with a new master password and unlock the storage
+     * @param {string} password
+     */
+    static enableEncryption(password) {
+        if (this.isEncryptionEnabled()) {
+            throw new Error('Session encryption is already enabled');
+        }
+        if (!password) {
+            throw new Error('Master password is required');
+        }
+
+        const vault = { version: 1, kdf: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+        const key = this.deriveKey(password, vault);
+        vault.check = encrypt(key, VAULT_CHECK);
+
+        fs.writeFileSync(this.vaultPath(), JSON.stringify(vault, null, 2), 'utf8');
+        this.key = key;
+    }
+
+    /**
+     * Unlock encrypted storage with the master password
+     * @param {string} password
+     * @returns {boolean} false if the password is wrong
+     */
+    static unlock(password) {
+        const vault = this.readVault();
+        if (!vault) return true;
+
+        const key = this.deriveKey(password, vault);
+        try {
+            if (decrypt(key, vault.check) !== VAULT_CHECK) return false;
+        } catch {
+            return false;
+        }
+
+        this.key = key;
+        return true;
+    }
+
+    /**
+     * Accounts whose session, Steam Guard or network files still hold plaintext secrets
+     * @returns {string[]}
+     */
+    static listPlaintextSessions() {
+        const accounts = new Set([...this.listAccounts(), ...this.listSharedSecrets(), ...this.listNetworkSettings()]);
+        return [...accounts].filter((username) => {
+            const session = this.readSessionFile(username);
+            const guard = this.readJsonFile(this.guardPath(username));
+            const network = this.readJsonFile(this.networkPath(username));
+            return (session && !session.EncryptedRefreshToken) || (guard && !guard.EncryptedSharedSecret) || (network && !network.EncryptedNetwork);
+        });
+    }
+
+    /**
+     * Re-write plaintext session, Steam Guard and network files in encrypted form
+     * @returns {string[]} Migrated accounts
+     */
+    static migratePlaintextSessions() {
+        if (!this.isUnlocked()) {
+            throw new Error('Session storage is locked');
+        }
+
+        const migrated = [];
+        for (const username of this.listPlaintextSessions()) {
+            if (this.readSessionFile(username)) this.saveSession(username, this.loadSession(username));
+            const secret = this.loadSharedSecret(username);
+            if (secret) this.saveSharedSecret(username, secret);
+            const network = this.loadNetworkSettings(username);
+            if (network) this.saveNetworkSettings(username, network);
+            migrated.push(username);
+        }
+        return migrated;
+    }
+
+    /**
+     * Read a JSON file, returning null if it does not exist or is not an object
+     * @param {string} filepath
+     * @returns {Object|null}
+     */
+    static readJsonFile(filepath) {
+        if (!fs.existsSync(filepath)) return null;
+        try {
+            const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+            return data && typeof data === 'object' ? data : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Store a secret value as { [plainField]: value } or, when encryption is enabled, { [encryptedField]: box }
+     * @param {string} filepath
+     * @param {string} plainField
+     * @param {string} encryptedField
+     * @param {string} value
+     */
+    static writeProtected(filepath, plainField, encryptedField, value) {
+        let data;
+        if (this.isEncryptionEnabled()) {
+            if (!this.isUnlocked()) {
+                throw new Error('Session storage is locked');
+            }
+            data = { [encryptedField]: encrypt(this.key, value) };
+        } else {
+            data = { [plainField]: value };
+        }
+
+        fs.writeFileSync(filepath, JSON.stringify(data, null, 2), 'utf8');
+    }
+
+    /**
+     * Read a value written by writeProtected
+     * @param {Object} data
+     * @param {string} plainField
+     * @param {string} encryptedField
+     * @param {string} username - For error messages
+     * @returns {string|null}
+     */
+    static readProtected(data, plainField, encryptedField, username) {
+        if (data[encryptedField]) {
+            if (!this.isUnlocked()) {
+                throw new Error('Session storage is locked');
+            }
+            try {
+                return decrypt(this.key, data[encryptedField]);
+            } catch {
+                throw new Error(`Session decryption failed for ${username}`);
+            }
+        }
+        return data[plainField] ?? null;
+    }
+
+    /**
+     * Read raw session file contents
+     * @param {string} username
+     * @returns {Object|null} Parsed data, or null if there is no file
+     */
+    static readSessionFile(username) {
+        const filepath = path.join(this.baseDir, `${username}.steamsession`);
+        if (!fs.existsSync(filepath)) return null;
+
+        const raw = fs.readFileSync(filepath, 'utf8').trim();
+        try {
+            const data = JSON.parse(raw);
+            return data && typeof data === 'object' ? data : { DesktopRefreshToken: raw };
+        } catch {
+            return { DesktopRefreshToken: raw };
+        }
+    }
+
+    /**
+     * Mark a stored token as rejected by Steam. The file is kept; getTokenInfo reports it as expired
+     * until a new token is saved over it.
+     * @param {string} username
+     * @returns {boolean} false if there is no session file
+     */
+    static markExpired(username) {
+        const data = this.readSessionFile(username);
+        if (!data) return false;
+
+        data.RejectedAt = new Date().toISOString();
+        fs.writeFileSync(path.join(this.baseDir, `${username}.steamsession`), JSON.stringify(data, null, 2), 'utf8');
+        return true;
+    }
+
     /**
      * Save a session token for a user
      * @param {string} username
@@ -27,8 +264,7 @@ class SessionManager {
      */
     static saveSession(username, refreshToken) {
         const filepath = path.join(this.baseDir, `${username}.steamsession`);
-        const data = { DesktopRefreshToken: refreshToken };
-        fs.writeFileSync(filepath, JSON.stringify(data, null, 2), 'utf8');
+        this.writeProtected(filepath, 'DesktopRefreshToken', 'EncryptedRefreshToken', refreshToken);
     }
 
     /**
@@ -37,21 +273,171 @@ class SessionManager {
      * @returns {string}
      */
     static loadSession(username) {
-        const filepath = path.join(this.baseDir, `${username}.steamsession`);
-        if (!fs.existsSync(filepath)) {
+        const data = this.readSessionFile(username);
+        if (!data) {
             throw new Error(`Session file not found for ${username}`);
         }
 
-        const raw = fs.readFileSync(filepath, 'utf8').trim();
+        if (data.EncryptedRefreshToken) {
+            return this.readProtected(data, 'DesktopRefreshToken', 'EncryptedRefreshToken', username);
+        }
+
+        return data.DesktopRefreshToken || data.refreshToken || '';
+    }
+
+    /**
+     * Path of the Steam Guard file for a user
+     * @param {string} username
+     * @returns {string}
+     */
+    static guardPath(username) {
+        return path.join(this.baseDir, `${username}.steamguard`);
+    }
+
+    /**
+     * Attach a Steam Guard shared_secret to an account (kept apart from the session so re-auth does not lose it)
+     * @param {string} username
+     * @param {string} sharedSecret - base64 (as in .maFile) or hex
+     */
+    static saveSharedSecret(username, sharedSecret) {
+        this.writeProtected(this.guardPath(username), 'SharedSecret', 'EncryptedSharedSecret', sharedSecret);
+    }
+
+    /**
+     * Load the shared_secret of an account
+     * @param {string} username
+     * @returns {string|null} null if none is stored
+     */
+    static loadSharedSecret(username) {
+        const data = this.readJsonFile(this.guardPath(username));
+        if (!data) return null;
+        return this.readProtected(data, 'SharedSecret', 'EncryptedSharedSecret', username);
+    }
+
+    /**
+     * Remove the shared_secret of an account
+     * @param {string} username
+     */
+    static deleteSharedSecret(username) {
+        const filepath = this.guardPath(username);
+        if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+    }
+
+    /**
+     * Accounts that have a shared_secret stored
+     * @returns {string[]}
+     */
+    static listSharedSecrets() {
+        if (!fs.existsSync(this.baseDir)) return [];
+        return fs
+            .readdirSync(this.baseDir)
+            .filter((f) => f.endsWith('.steamguard'))
+            .map((f) => f.replace('.steamguard', ''));
+    }
+
+    /**
+     * Path of the network settings file for a user
+     * @param {string} username
+     * @returns {string}
+     */
+    static networkPath(username) {
+        return path.join(this.baseDir, `${username}.steamnet`);
+    }
+
+    /**
+     * Attach a proxy and/or local bind address to an account (proxy URLs may carry credentials, so the file is protected)
+     * @param {string} username
+     * @param {{proxy: string|null, localAddress: string|null}} settings
+     */
+    static saveNetworkSettings(username, settings) {
+        this.writeProtected(this.networkPath(username), 'Network', 'EncryptedNetwork', JSON.stringify(settings));
+    }
 
+    /**
+     * Load the network settings of an account
+     * @param {string} username
+     * @returns {{proxy: string|null, localAddress: string|null}|null} null if none are stored
+     */
+    static loadNetworkSettings(username) {
+        const data = this.readJsonFile(this.networkPath(username));
+        if (!data) return null;
+        const json = this.readProtected(data, 'Network', 'EncryptedNetwork', username);
         try {
-            const data = JSON.parse(raw);
-            return data.DesktopRefreshToken || data.refreshToken || raw;
+            return json ? JSON.parse(json) : null;
         } catch {
-            return raw;
+            return null;
         }
     }
 
+    /**
+     * Remove the network settings of an account
+     * @param {string} username
+     */
+    static deleteNetworkSettings(username) {
+        const filepath = this.networkPath(username);
+        if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+    }
+
+    /**
+     * Accounts that have network settings stored
+     * @returns {string[]}
+     */
+    static listNetworkSettings() {
+        if (!fs.existsSync(this.baseDir)) return [];
+        return fs
+            .readdirSync(this.baseDir)
+            .filter((f) => f.endsWith('.steamnet'))
+            .map((f) => f.replace('.steamnet', ''));
+    }
+
+    /**
+     * Decode the payload of a Steam refresh token (JWT)
+     * @param {string} token
+     * @returns {Object|null} Claims, or null if the token is not a JWT
+     */
+    static decodeToken(token) {
+        try {
+            const part = String(token).split('.')[1];
+            if (!part) return null;
+            const json = Buffer.from(part.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+            const payload = JSON.parse(json);
+            return payload && typeof payload === 'object' ? payload : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Expiry information for a stored token
+     * @param {string} username
+     * @returns {{steamId: string|null, expiresAt: Date|null, daysLeft: number|null, expired: boolean, valid: boolean}|null}
+     *          null if the session cannot be read (missing file, locked storage)
+     */
+    static getTokenInfo(username) {
+        let token;
+        try {
+            token = this.loadSession(username);
+        } catch {
+            return null;
+        }
+
+        const payload = this.decodeToken(token);
+        if (!payload) return { steamId: null, expiresAt: null, daysLeft: null, expired: false, valid: false };
+
+        const expiresAt = typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+        const msLeft = expiresAt ? expiresAt.getTime() - Date.now() : null;
+        // Steam already refused the token (markExpired), whatever its exp claim says
+        const rejected = Boolean(this.readSessionFile(username)?.RejectedAt);
+
+        return {
+            steamId: payload.sub || null,
+            expiresAt,
+            daysLeft: msLeft !== null ? Math.floor(msLeft / 86400000) : null,
+            expired: rejected || (msLeft !== null && msLeft <= 0),
+            valid: true,
+        };
+    }
+
     /**
      * List all saved accounts
      * @returns {string[]}
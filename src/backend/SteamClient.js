@@ -1,9 +1,14 @@
 import SteamUser from 'steam-user';
 import GlobalOffensive from 'globaloffensive';
 import SessionManager from './SessionManager.js';
+import { generateCode, msUntilNextCode } from './SteamGuard.js';
+import { steamUserOptions } from './NetworkSettings.js';
+import { DEFAULT_CONFIG } from './Config.js';
+import { parseClientWelcomeManual, decodeSOStars } from './GCBalance.js';
 
 const APP_ID = 730;
 const MSG_CLIENT_WELCOME = 4004;
+const GUARD_CODE_ATTEMPTS = 3;
 
 function wait(ms) {
     return new Promise((r) => setTimeout(r, ms));
@@ -13,177 +18,48 @@ function once(emitter, event) {
     return new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
 }
 
-function readVarint(buffer, offset) {
-    let result = 0;
-    let shift = 0;
-    let bytesRead = 0;
-
-    while (true) {
-        if (offset + bytesRead >= buffer.length) return null;
-        const b = buffer[offset + bytesRead];
-        result |= (b & 0x7f) << shift;
-        shift += 7;
-        bytesRead++;
-        if ((b & 0x80) === 0) break;
-    }
-
-    return { value: result, bytesRead };
-}
-
-function skipByWireType(buf, offset, wireType) {
-    if (wireType === 0) {
-        const v = readVarint(buf, offset);
-        if (!v) return null;
-        return offset + v.bytesRead;
-    }
-    if (wireType === 2) {
-        const len = readVarint(buf, offset);
-        if (!len) return null;
-        return offset + len.bytesRead + len.value;
-    }
-    if (wireType === 5) return offset + 4;
-    if (wireType === 1) return offset + 8;
-    return null;
-}
-
-function parseType6ObjectDataForStars(objectData) {
-    if (!objectData || objectData.length === 0) return null;
-
-    let offset = 0;
-    let stars = null;
-
-    while (offset < objectData.length) {
-        const tagData = readVarint(objectData, offset);
-        if (!tagData) break;
-
-        offset += tagData.bytesRead;
-        const tag = tagData.value;
-
-        const fieldNumber = tag >> 3;
-        const wireType = tag & 0x07;
-
-        if (wireType === 0) {
-            const v = readVarint(objectData, offset);
-            if (!v) break;
-
-            offset += v.bytesRead;
-
-            if (fieldNumber === 2) {
-                const n = v.value;
-                if (Number.isFinite(n) && n >= 0 && n <= 5000) stars = n;
-            }
-        } else {
-            const next = skipByWireType(objectData, offset, wireType);
-            if (next == null) break;
-            offset = next;
-        }
-    }
-
-    return stars;
-}
-
-function findStarsInCache(buffer) {
-    let offset = 0;
-    let foundTypeId = null;
-    let objectData = null;
-
-    while (offset < buffer.length) {
-        const tagData = readVarint(buffer, offset);
-        if (!tagData) break;
-
-        offset += tagData.bytesRead;
-        const tag = tagData.value;
-
-        const fieldNumber = tag >> 3;
-        const wireType = tag & 0x07;
-
-        if (wireType === 0) {
-            const v = readVarint(buffer, offset);
-            if (!v) break;
-            offset += v.bytesRead;
-
-            if (fieldNumber === 1) foundTypeId = v.value;
-        } else if (wireType === 2) {
-            const len = readVarint(buffer, offset);
-            if (!len) break;
-            offset += len.bytesRead;
-
-            const l = len.value;
-            const fieldData = buffer.subarray(offset, offset + l);
-            offset += l;
-
-            if (fieldNumber === 2 || fieldNumber === 3) objectData = fieldData;
-
-            const inner = findStarsInCache(fieldData);
-            if (inner !== null) return inner;
-        } else {
-            const next = skipByWireType(buffer, offset, wireType);
-            if (next == null) break;
-            offset = next;
-        }
-    }
-
-    if (foundTypeId === 6 && objectData) {
-        const stars = parseType6ObjectDataForStars(objectData);
-        if (stars !== null) return stars;
-    }
-
-    return null;
-}
-
-function parseClientWelcomeManual(payload) {
-    if (!payload || payload.length === 0) return null;
-
-    let offset = 0;
-
-    while (offset < payload.length) {
-        const tagData = readVarint(payload, offset);
-        if (!tagData) break;
-
-        offset += tagData.bytesRead;
-        const tag = tagData.value;
-        const wireType = tag & 0x07;
-
-        if (wireType === 2) {
-            const len = readVarint(payload, offset);
-            if (!len) break;
-
-            offset += len.bytesRead;
-            const l = len.value;
-
-            const fieldData = payload.subarray(offset, offset + l);
-            offset += l;
-
-            const stars = findStarsInCache(fieldData);
-            if (stars !== null) return stars;
-        } else {
-            const next = skipByWireType(payload, offset, wireType);
-            if (next == null) break;
-            offset = next;
-        }
-    }
-
-    return null;
-}
-
 export default class SteamClient {
-    constructor(username) {
+    constructor(username, { SteamUser: SteamUserImpl = SteamUser, GlobalOffensive: GlobalOffensiveImpl = GlobalOffensive } = {}) {
         this.username = username;
-        this.client = new SteamUser();
-        this.csgo = new GlobalOffensive(this.client);
+        this.SteamUser = SteamUserImpl;
+        // Прокси / адрес привязки аккаунта действуют на все входы этого клиента
+        this.client = new SteamUserImpl({ renewRefreshTokens: true, ...steamUserOptions(SessionManager.loadNetworkSettings(username)) });
+        this.csgo = new GlobalOffensiveImpl(this.client);
 
         this.connected = false;
         this.stars = null;
+        this.renewedToken = null;
 
         this._gcHandlerBound = null;
         this._steamErrorHandlerBound = null;
+        this._refreshTokenHandlerBound = null;
+    }
+
+    // Steam может выдать новый refresh token при входе по старому — сохраняем его
+    _watchRefreshToken() {
+        if (this._refreshTokenHandlerBound) return;
+
+        this._refreshTokenHandlerBound = (refreshToken) => {
+            this.renewedToken = refreshToken;
+            try {
+                SessionManager.saveSession(this.username, refreshToken);
+            } catch (e) {
+                console.error('[SteamClient] Failed to save renewed token:', e?.message || e);
+            }
+        };
+
+        this.client.on('refreshToken', this._refreshTokenHandlerBound);
     }
 
-    async loginWithCredentials({ username, password, twoFactorCode, timeoutMs = 60000 }) {
+    async loginWithCredentials({ username, password, twoFactorCode, sharedSecret, timeoutMs = 60000 }) {
         return new Promise((resolve, reject) => {
             let done = false;
+            let guardAttempts = 0;
+            let guardTimer = null;
 
             const cleanup = () => {
+                clearTimeout(guardTimer);
+                this.client.removeListener('steamGuard', onSteamGuard);
                 this.client.removeListener('error', onError);
                 this.client.removeListener('refreshToken', onRefreshToken);
                 this.client.removeListener('disconnected', onDisconnected);
@@ -219,6 +95,26 @@ export default class SteamClient {
             const onLoggedOn = () => {
             };
 
+            // Без слушателя steam-user спрашивает код в stdin — отвечаем сами или завершаем вход
+            const onSteamGuard = (domain, callback, lastCodeWrong) => {
+                if (domain) {
+                    finishReject(new Error(`Steam Guard email code required (${domain})`));
+                    return;
+                }
+                if (!sharedSecret) {
+                    finishReject(new Error(lastCodeWrong ? 'Steam Guard code is wrong' : 'Steam Guard code required'));
+                    return;
+                }
+                if (++guardAttempts > GUARD_CODE_ATTEMPTS) {
+                    finishReject(new Error('Steam Guard code rejected (check shared_secret and system clock)'));
+                    return;
+                }
+
+                // Код уже использован или не принят — ждём следующего 30-секундного окна
+                const delay = lastCodeWrong ? msUntilNextCode() + 1000 : 0;
+                guardTimer = setTimeout(() => callback(generateCode(sharedSecret)), delay);
+            };
+
             const onDisconnected = () => {
                 if (!waitingDisconnect) return;
                 waitingDisconnect = false;
@@ -246,12 +142,14 @@ export default class SteamClient {
             this.client.on('loggedOn', onLoggedOn);
             this.client.on('disconnected', onDisconnected);
             this.client.on('refreshToken', onRefreshToken);
+            this.client.on('steamGuard', onSteamGuard);
 
-            this.client.logOn({ accountName: username, password, twoFactorCode });
+            const code = twoFactorCode || (sharedSecret ? generateCode(sharedSecret) : undefined);
+            this.client.logOn({ accountName: username, password, twoFactorCode: code });
         });
     }
 
-    async connectSteamOnly({ timeoutMs = 30000 } = {}) {
+    async connectSteamOnly({ timeoutMs = DEFAULT_CONFIG.timeouts.steamLogonMs } = {}) {
         const refreshToken = SessionManager.loadSession(this.username);
 
         this._steamErrorHandlerBound = (e) => {
@@ -259,27 +157,40 @@ export default class SteamClient {
         };
 
         this.client.on('error', this._steamErrorHandlerBound);
+        this._watchRefreshToken();
         this.client.logOn({ refreshToken });
 
-        await Promise.race([
-            once(this.client, 'loggedOn'),
-            wait(timeoutMs).then(() => {
-                throw new Error('Steam loggedOn timeout');
-            }),
-        ]);
+        let timer = null;
+        try {
+            await Promise.race([
+                once(this.client, 'loggedOn'),
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Steam loggedOn timeout')), timeoutMs);
+                }),
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
 
-        this.client.setPersona(SteamUser.EPersonaState.Online);
+        this.client.setPersona(this.SteamUser.EPersonaState.Online);
         return true;
     }
 
-    async connect({ timeoutMs, steamTimeoutMs = 30000, gcTimeoutMs = 8000 } = {}) {
+    async connect({ timeoutMs, steamTimeoutMs = DEFAULT_CONFIG.timeouts.steamLogonMs, gcTimeoutMs = DEFAULT_CONFIG.timeouts.gcConnectMs } = {}) {
         const steamT = Number.isFinite(timeoutMs) ? timeoutMs : steamTimeoutMs;
         const gcT = Number.isFinite(timeoutMs) ? timeoutMs : gcTimeoutMs;
 
         const refreshToken = SessionManager.loadSession(this.username);
 
+        let failConnect = () => {};
+        const steamErrorPromise = new Promise((_, reject) => {
+            failConnect = reject;
+        });
+        steamErrorPromise.catch(() => {});
+
         this._steamErrorHandlerBound = (e) => {
             console.error('[SteamClient] Steam error:', e?.message || e);
+            failConnect(e);
         };
 
         this.client.on('error', this._steamErrorHandlerBound);
@@ -293,11 +204,12 @@ export default class SteamClient {
                 resolve();
             });
         });
+        gcConnectedPromise.catch(() => {});
 
         this._gcHandlerBound = (appid, msgType, payload) => {
             try {
-                if (appid !== APP_ID || msgType !== MSG_CLIENT_WELCOME) return;
-                const stars = parseClientWelcomeManual(payload);
+                if (appid !== APP_ID) return;
+                const stars = msgType === MSG_CLIENT_WELCOME ? parseClientWelcomeManual(payload) : decodeSOStars(msgType, payload);
                 if (stars !== null) this.stars = stars;
             } catch (e) {
                 console.error('[SteamClient] ClientWelcome parse error:', e?.message || e);
@@ -305,20 +217,22 @@ export default class SteamClient {
         };
 
         this.client.on('receivedFromGC', this._gcHandlerBound);
+        this._watchRefreshToken();
         this.client.logOn({ refreshToken });
 
         await Promise.race([
             steamLoggedOnPromise,
+            steamErrorPromise,
             (async () => {
                 await wait(steamT);
                 throw new Error('Steam loggedOn timeout');
             })(),
         ]);
 
-        this.client.setPersona(SteamUser.EPersonaState.Online);
+        this.client.setPersona(this.SteamUser.EPersonaState.Online);
         this.client.gamesPlayed([APP_ID]);
 
-        await gcConnectedPromise;
+        await Promise.race([gcConnectedPromise, steamErrorPromise]);
 
         this.connected = true;
         return true;
@@ -333,8 +247,41 @@ export default class SteamClient {
         return this.stars;
     }
 
+    /**
+     * Log in with the stored token and wait for Steam to issue a renewed one
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=15000]
+     * @returns {Promise<string|null>} New token (already saved), or null if Steam did not renew it
+     */
+    async renewRefreshToken({ timeoutMs = 15000 } = {}) {
+        let onRenewed;
+        let timer = null;
+        const renewed = new Promise((resolve) => {
+            onRenewed = resolve;
+            this.client.once('refreshToken', onRenewed);
+        });
+
+        // Ни таймер, ни слушатель не должны пережить вызов: иначе процесс ждёт таймаут, а слушатели копятся
+        try {
+            await this.connectSteamOnly({ timeoutMs });
+            return await Promise.race([
+                renewed,
+                new Promise((resolve) => {
+                    timer = setTimeout(() => resolve(null), timeoutMs);
+                }),
+            ]);
+        } finally {
+            clearTimeout(timer);
+            this.client.removeListener('refreshToken', onRenewed);
+        }
+    }
+
     disconnect() {
         try {
+            if (this._refreshTokenHandlerBound) {
+                this.client.removeListener('refreshToken', this._refreshTokenHandlerBound);
+                this._refreshTokenHandlerBound = null;
+            }
             if (this._gcHandlerBound) {
                 this.client.removeListener('receivedFromGC', this._gcHandlerBound);
                 this._gcHandlerBound = null;
@@ -0,0 +1,112 @@
+/**
+ * SteamGuard.js
+ * Steam Guard mobile codes from shared_secret and import of SDA .maFile files
+ * @module SteamGuard
+ */
+
+import fs from 'fs';
+import path from 'path';
+import SteamTotp from 'steam-totp';
+
+const SECRET_BYTES = 20;
+const CODE_PERIOD_S = 30;
+// Steam account names: latin letters, digits and "_"
+const LOGIN_PATTERN = /^[A-Za-z0-9_]{3,64}$/;
+
+/**
+ * Whether a string is a valid Steam login. Logins become file names in sessions/, so imported names are checked with it
+ * @param {string} username
+ * @returns {boolean}
+ */
+export function isValidLogin(username) {
+    return LOGIN_PATTERN.test(String(username ?? ''));
+}
+
+/**
+ * Validate a shared_secret and bring it to base64 form
+ * @param {string} secret - base64 (as in .maFile) or 40 hex characters
+ * @returns {string|null} base64 secret, or null if it is not a 20-byte key
+ */
+export function normalizeSharedSecret(secret) {
+    const value = String(secret ?? '').trim();
+    if (!value) return null;
+
+    if (/^[0-9a-f]{40}$/i.test(value)) {
+        return Buffer.from(value, 'hex').toString('base64');
+    }
+
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value)) return null;
+    const buf = Buffer.from(value, 'base64');
+    return buf.length === SECRET_BYTES ? buf.toString('base64') : null;
+}
+
+/**
+ * Current 5-character Steam Guard code
+ * @param {string} secret
+ * @param {number} [timeOffset=0] - Seconds to add to the local clock
+ * @returns {string}
+ */
+export function generateCode(secret, timeOffset = 0) {
+    return SteamTotp.generateAuthCode(secret, timeOffset);
+}
+
+/**
+ * Milliseconds until the current code is replaced by the next one
+ * @returns {number}
+ */
+export function msUntilNextCode() {
+    const periodMs = CODE_PERIOD_S * 1000;
+    return periodMs - (Date.now() % periodMs);
+}
+
+/**
+ * Parse the contents of one Steam Desktop Authenticator .maFile
+ * @param {string} raw - File contents
+ * @returns {{username: string, sharedSecret: string}}
+ * @throws {Error} If the file is encrypted by SDA, lacks account_name / shared_secret or account_name is not a valid login
+ */
+export function parseMaFile(raw) {
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch {
+        throw new Error('Not a JSON file (encrypted by SDA?)');
+    }
+
+    const username = data?.account_name;
+    if (!username) throw new Error('account_name is missing');
+    if (!isValidLogin(username)) throw new Error(`account_name "${username}" is not a valid Steam login`);
+
+    const sharedSecret = normalizeSharedSecret(data.shared_secret);
+    if (!sharedSecret) throw new Error('shared_secret is missing or invalid');
+
+    return { username: String(username), sharedSecret };
+}
+
+/**
+ * Read .maFile files from a file or a folder (e.g. SDA "maFiles")
+ * @param {string} target - Path to a .maFile or a directory
+ * @returns {{accounts: {username: string, sharedSecret: string, file: string}[], errors: {file: string, error: string}[]}}
+ */
+export function readMaFiles(target) {
+    if (!fs.existsSync(target)) throw new Error(`Path not found: ${target}`);
+
+    const files = fs.statSync(target).isDirectory()
+        ? fs
+              .readdirSync(target)
+              .filter((f) => f.toLowerCase().endsWith('.mafile'))
+              .map((f) => path.join(target, f))
+        : [target];
+
+    const accounts = [];
+    const errors = [];
+    for (const file of files) {
+        try {
+            accounts.push({ ...parseMaFile(fs.readFileSync(file, 'utf8')), file });
+        } catch (e) {
+            errors.push({ file, error: e?.message || String(e) });
+        }
+    }
+
+    return { accounts, errors };
+}
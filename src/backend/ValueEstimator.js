@@ -0,0 +1,204 @@
+/**
+ * ValueEstimator.js
+ * Expected market value of armory offers based on schema.json prices
+ * @module ValueEstimator
+ */
+
+// Exterior order used by normal_prices / stattrak_prices arrays in schema.json
+const EXTERIORS = [
+    { name: 'Factory New', min: 0, max: 0.07 },
+    { name: 'Minimal Wear', min: 0.07, max: 0.15 },
+    { name: 'Field-Tested', min: 0.15, max: 0.38 },
+    { name: 'Well-Worn', min: 0.38, max: 0.45 },
+    { name: 'Battle-Scarred', min: 0.45, max: 1.0 }
+];
+
+// Each rarity tier drops ~5x less often than the one below it (same ratio as case odds)
+const RARITY_STEP = 5;
+
+function positivePrice(x) {
+    return typeof x === 'number' && x > 0 ? x : null;
+}
+
+export default class ValueEstimator {
+    /**
+     * @param {import('./SchemaResolver.js').default} schemaResolver - Initialized resolver
+     */
+    constructor(schemaResolver) {
+        this.schemaResolver = schemaResolver;
+        this._collectionIndex = null;
+    }
+
+    get schema() {
+        return this.schemaResolver.schema;
+    }
+
+    /**
+     * Name of a rarity value from schema.rarities
+     * @param {number} value
+     * @returns {string}
+     */
+    rarityName(value) {
+        const r = (this.schema?.rarities || []).find((x) => x.value === value);
+        return r?.name || `Rarity ${value}`;
+    }
+
+    /**
+     * Collection display name from schema.collections
+     * @param {string} key
+     * @returns {string|null}
+     */
+    collectionName(key) {
+        const c = (this.schema?.collections || []).find((x) => x.key === key);
+        return c?.name || null;
+    }
+
+    /**
+     * Paints grouped by collection key (built lazily)
+     * @returns {Map<string, Object[]>}
+     */
+    collectionIndex() {
+        if (this._collectionIndex) return this._collectionIndex;
+
+        const index = new Map();
+        for (const [defindex, weapon] of Object.entries(this.schema?.weapons || {})) {
+            for (const [paintindex, paint] of Object.entries(weapon.paints || {})) {
+                const keys = paint.collections || (paint.collection ? [paint.collection] : []);
+                for (const key of keys) {
+                    if (!index.has(key)) index.set(key, []);
+                    index.get(key).push({ defindex: Number(defindex), paintindex: Number(paintindex), weaponName: weapon.name, paint });
+                }
+            }
+        }
+
+        this._collectionIndex = index;
+        return index;
+    }
+
+    /**
+     * Expected price of one paint, assuming a uniformly distributed float within its wear range
+     * @param {Object} paint - Paint entry from schema.weapons[*].paints
+     * @returns {{ value: number|null, coverage: number }} Value in price units and share of the float range that has a price
+     */
+    estimatePaint(paint) {
+        const prices = paint?.normal_prices;
+        if (!Array.isArray(prices)) return { value: null, coverage: 0 };
+
+        const min = typeof paint.min === 'number' ? paint.min : 0;
+        const max = typeof paint.max === 'number' ? paint.max : 1;
+        const span = max - min;
+
+        let value = 0;
+        let coverage = 0;
+
+        EXTERIORS.forEach((ext, i) => {
+            let share;
+            if (span > 0) share = Math.max(0, Math.min(max, ext.max) - Math.max(min, ext.min)) / span;
+            else share = min >= ext.min && min <= ext.max ? 1 : 0;
+            if (share <= 0) return;
+
+            const price = positivePrice(prices[i]);
+            if (price === null) return;
+
+            value += share * price;
+            coverage += share;
+        });
+
+        if (coverage === 0) return { value: null, coverage: 0 };
+        return { value: value / coverage, coverage };
+    }
+
+    /**
+     * Expected value of a random drop from a collection
+     * @param {string} key - Collection key, e.g. "set_train_2025"
+     * @returns {Object|null} Estimate with per-rarity breakdown
+     */
+    estimateCollection(key) {
+        const paints = this.collectionIndex().get(key);
+        if (!paints || !paints.length) return null;
+
+        const byRarity = new Map();
+        for (const entry of paints) {
+            const rarity = entry.paint.rarity ?? 0;
+            if (!byRarity.has(rarity)) byRarity.set(rarity, []);
+            byRarity.get(rarity).push(entry);
+        }
+
+        const rarities = [...byRarity.keys()].sort((a, b) => a - b);
+        const top = rarities[rarities.length - 1];
+        const weights = rarities.map((r) => RARITY_STEP ** (top - r));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+        let value = 0;
+        let coverage = 0;
+        const breakdown = [];
+
+        rarities.forEach((rarity, i) => {
+            const chance = weights[i] / totalWeight;
+            const entries = byRarity.get(rarity);
+
+            let tierValue = 0;
+            let tierCoverage = 0;
+            for (const entry of entries) {
+                const est = this.estimatePaint(entry.paint);
+                if (est.value === null) continue;
+                tierValue += est.value;
+                tierCoverage += 1;
+            }
+
+            const avg = tierCoverage ? tierValue / tierCoverage : null;
+            if (avg !== null) {
+                value += chance * avg;
+                coverage += chance * (tierCoverage / entries.length);
+            }
+
+            breakdown.push({ rarity, rarityName: this.rarityName(rarity), chance, items: entries.length, avgValue: avg });
+        });
+
+        return {
+            kind: 'collection',
+            label: this.collectionName(key) || key,
+            value: coverage > 0 ? value / coverage : null,
+            coverage,
+            breakdown: breakdown.reverse()
+        };
+    }
+
+    /**
+     * Estimate the value of one redeem of an offer from items_database.json
+     * @param {Object} offer - Offer with optional collection / paint / agent / collectible / musicKit / value fields
+     * @returns {Object} Estimate; value is null when the schema has no price data
+     */
+    estimateOffer(offer) {
+        let estimate = null;
+
+        if (typeof offer.value === 'number') {
+            estimate = { kind: 'manual', label: offer.name, value: offer.value, coverage: 1, breakdown: [] };
+        } else if (offer.collection) {
+            estimate = this.estimateCollection(offer.collection);
+        } else if (offer.paint) {
+            const paint = this.schema?.weapons?.[String(offer.paint.defindex)]?.paints?.[String(offer.paint.paintindex)];
+            const est = this.estimatePaint(paint);
+            estimate = paint ? { kind: 'paint', label: paint.name, value: est.value, coverage: est.coverage, breakdown: [] } : null;
+        } else if (offer.agent != null) {
+            const agent = this.schema?.agents?.[String(offer.agent)];
+            estimate = agent ? { kind: 'agent', label: agent.market_hash_name, value: positivePrice(agent.price), coverage: 1, breakdown: [] } : null;
+        } else if (offer.collectible != null) {
+            const pin = this.schema?.collectibles?.[String(offer.collectible)];
+            estimate = pin ? { kind: 'collectible', label: pin.market_hash_name, value: positivePrice(pin.price), coverage: 1, breakdown: [] } : null;
+        } else if (offer.musicKit != null) {
+            const kit = this.schema?.music_kits?.[String(offer.musicKit)];
+            estimate = kit ? { kind: 'music_kit', label: kit.market_hash_name, value: positivePrice(kit.normal_price), coverage: 1, breakdown: [] } : null;
+        }
+
+        const value = estimate?.value ?? null;
+        return {
+            kind: estimate?.kind || 'unknown',
+            label: estimate?.label || offer.name,
+            value,
+            valuePerStar: value !== null && offer.price > 0 ? value / offer.price : null,
+            coverage: estimate?.coverage ?? 0,
+            breakdown: estimate?.breakdown || []
+        };
+    }
+}
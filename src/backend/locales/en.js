@@ -0,0 +1,502 @@
+/**
+ * en.js
+ * English messages
+ * @module locales/en
+ */
+
+export default {
+    // Common
+    'common.back': 'Back',
+    'common.pressEnter': '\nPress Enter to continue...',
+    'common.selectAction': '\nChoose an action: ',
+    'common.selectItem': 'Choose an offer: ',
+    'common.confirmPurchase': 'Confirm the purchase? (y/n): ',
+    'common.connectionError': 'Connection error: {error}',
+    'common.loginError': 'Login error: {error}',
+    'common.account': 'Account: {username}',
+    'common.connecting': 'Connecting to Steam...',
+    'common.connectionLost': 'Connection lost',
+    'common.pressEnterBack': '\nPress Enter to go back...',
+    'common.chooseAction': 'Choose an action: ',
+    'common.bye': 'Goodbye!',
+
+    // Offline mode
+    'offline.banner': 'OFFLINE MODE: Steam is not used, purchases are not real',
+    'offline.unknownScenario': 'Unknown scenario: {scenario}',
+
+    // Token status
+    'token.corrupted': 'token corrupted',
+    'token.expired': 'token expired',
+    'token.daysLeft': 'token: {days} d.',
+
+    // Menus
+    'menu.accounts.title': 'ACCOUNTS',
+    'menu.accounts.expiring': 'Need to log in again soon: {accounts}',
+    'menu.accounts.add': 'Add a new account',
+    'menu.accounts.import': 'Import accounts from a list or maFiles',
+    'menu.accounts.dashboard': 'Balances of all accounts',
+    'menu.accounts.bulk': 'Bulk purchase',
+    'menu.accounts.history': 'Purchase history',
+    'menu.accounts.ev': 'Offer value',
+    'menu.accounts.jobs': 'Unfinished orders ({count})',
+    'menu.accounts.guard': 'Steam Guard (shared_secret, .maFile)',
+    'menu.accounts.proxy': 'Proxy and bind address',
+    'menu.accounts.registry': 'Account details (tags, groups, notes)',
+    'menu.accounts.filter': 'Filter: {filter} (* for all accounts)',
+    'menu.accounts.vault': 'Session encryption',
+    'menu.accounts.quit': 'Quit',
+    'menu.items.title': 'OFFERS (Balance: {balance})',
+    'menu.items.notEnough': 'not enough stars',
+    'menu.items.plan': 'Plan a basket for the balance',
+    'menu.items.watch': 'Watch the balance',
+    'menu.items.inventory': 'Inventory',
+    'menu.accounts.select': 'Choose an account: ',
+
+    // Status codes
+    'status.INVALID_TOKEN': 'The session is invalid, add the account again',
+    'status.GC_UNAVAILABLE': 'GC is unavailable, balance unknown',
+    'status.SESSION_REPLACED': 'The session was replaced by another login (LogonSessionReplaced)',
+    'status.BALANCE_UNAVAILABLE': 'Could not get the balance',
+    'status.INSUFFICIENT_STARS': 'Not enough stars',
+    'status.DROP_ALERT': 'Purchase paused by an alert rule',
+    'status.PENDING_JOB': 'There is an unfinished order, run jobs resume or jobs cancel first',
+    'status.NO_POLICY': 'No redeem policy, balance check only',
+    'status.BELOW_THRESHOLD': 'Balance is below the policy threshold',
+
+    // Adding an account and logging in again
+    'account.add.title': 'ADD ACCOUNT',
+    'account.add.login': 'Steam login: ',
+    'account.add.loginRequired': 'Login is required',
+    'account.add.password': 'Password: ',
+    'account.add.passwordRequired': 'Password is required',
+    'account.add.guardFromSecret': 'The Steam Guard code will be generated from the saved shared_secret',
+    'account.add.guardPrompt': 'Steam Guard code or shared_secret: ',
+    'account.add.guardRequired': 'Steam Guard code is required',
+    'account.add.loggingIn': 'Logging in...',
+    'account.add.loggedIn': 'Logged in',
+    'account.add.added': 'Account "{username}" added',
+    'account.reauth.expired': 'The session has expired. Please log in again.',
+    'account.reauth.confirm': '\nLog in again? (y/n): ',
+    'account.reauth.guardCode': 'Steam Guard code: ',
+    'account.reauth.noInput': 'Nothing entered',
+
+    // Account registry
+    'accounts.title': 'ACCOUNT DETAILS',
+    'accounts.none': 'none',
+    'accounts.noSession': 'no session',
+    'accounts.locked': 'set (storage is locked)',
+    'accounts.guardSaved': 'saved',
+    'accounts.groups': 'Groups',
+    'accounts.field.nickname': 'Nickname',
+    'accounts.field.group': 'Group',
+    'accounts.field.tags': 'Tags',
+    'accounts.field.defaultItem': 'Default offer',
+    'accounts.field.guard': 'shared_secret',
+    'accounts.field.proxy': 'Network',
+    'accounts.field.notes': 'Notes',
+    'accounts.missingFields': 'Nothing to change: use --nickname, --group, --tags, --item, --notes or --steam-id',
+    'accounts.missingTags': 'No tags given',
+    'accounts.saved': 'Details of account "{username}" saved',
+    'accounts.tagged': 'Tags {tags} added to {count} accounts',
+    'accounts.untagged': 'Tags {tags} removed from {count} accounts',
+    'accounts.ask': '{field} [{current}] (Enter to keep, "-" to clear): ',
+    'accounts.menu.tag': 'Add tags',
+    'accounts.menu.untag': 'Remove tags',
+    'accounts.menu.select': 'Account number to edit, or an action: ',
+    'accounts.askSelector': 'Accounts (comma-separated names, all, tag:…, group:…): ',
+    'accounts.askTags': 'Comma-separated tags: ',
+
+    // Balance and purchase
+    'buy.starsLeft': '{stars} left',
+    'buy.gettingBalance': 'Getting the stars balance...',
+    'buy.noItems': 'Offers are not loaded',
+    'buy.askQty': 'Quantity of "{name}" (price {price}): ',
+    'buy.total': 'Total: {qty} × {price} = {total}',
+    'buy.buying': 'Buying {count} items...',
+    'buy.sessionReplacedHint': 'Close the Steam client or other bots on this account and try again.',
+    'buy.result': 'RESULT',
+    'buy.offer': 'Offer: {name}',
+    'buy.starsLeftTotal': 'Stars left: {stars}',
+    'buy.errors': 'Errors: {count}',
+    'buy.unfinishedMenu': 'Order {id} is not finished — continue it from menu [J] or with jobs resume',
+    'buy.again': '\nBuy more? (y/n): ',
+    'buy.notEnough': 'Not enough stars: {cost} needed, the balance is {stars}',
+    'buy.bought': 'Bought {purchased}/{qty} "{name}", {stars} left',
+
+    // Bulk purchase
+    'bulk.notEnough': 'Not enough stars ({stars})',
+    'bulk.buying': 'Balance {stars}, buying {qty}',
+    'bulk.summary': 'SUMMARY',
+    'bulk.offer': 'Offer: {name} ({price})',
+    'bulk.column.account': 'Account',
+    'bulk.column.before': 'Before',
+    'bulk.column.purchased': 'Bought',
+    'bulk.column.left': 'Left',
+    'bulk.column.status': 'Status',
+    'bulk.status.ok': 'ok',
+    'bulk.status.partial': 'partial',
+    'bulk.status.error': 'error',
+    'bulk.status.skipped': 'skipped',
+    'bulk.total': 'Bought in total: {purchased}, spent {spent}',
+    'bulk.title': 'BULK PURCHASE',
+    'bulk.nothing': 'No accounts or offers',
+    'bulk.selectAccounts': 'Accounts (comma-separated numbers or names, "all", tag:…, group:…): ',
+    'bulk.concurrency': 'Accounts at a time (default 2): ',
+    'bulk.confirmInfo': 'Accounts: {accounts}, offer: {name}, at a time: {concurrency}',
+    'bulk.spendAll': 'The whole available balance of every account will be spent.',
+
+    // Orders
+    'jobs.unfinishedHint': 'Order {id} is not finished, to continue: jobs resume {id}',
+    'jobs.checkingPending': 'Checking the last purchase of "{name}"...',
+    'jobs.remainingCost': 'The rest needs {cost}, the balance is {stars}',
+    'jobs.buyingRest': 'Buying the rest: {lines}',
+    'jobs.pendingUnconfirmed': 'purchase of "{name}" unconfirmed',
+    'jobs.status.running': 'running',
+    'jobs.status.interrupted': 'interrupted',
+    'jobs.status.done': 'done',
+    'jobs.status.cancelled': 'cancelled',
+    'jobs.none': 'No unfinished orders',
+    'jobs.missingTarget': 'No order given (id or all)',
+    'jobs.notFound': 'Unfinished order "{id}" not found',
+    'jobs.cancelled': 'Orders cancelled: {count}',
+    'jobs.resumed': '{status}, {purchased} more bought',
+    'jobs.title': 'UNFINISHED ORDERS',
+    'jobs.select': 'Choose an order: ',
+    'jobs.actions': '[R] Resume  [C] Cancel  [B] Back: ',
+    'jobs.finished': 'Order finished',
+    'jobs.notFinished': 'Order not finished: {note}',
+    'jobs.seeAbove': 'see above',
+
+    // Checking unconfirmed purchases
+    'reconcile.unknown': 'Could not check whether the purchase of "{name}" went through: {note}. It will be checked again when the order is resumed.',
+    'reconcile.happened': 'The purchase of "{name}" went through (stars charged, balance {stars}), the item will appear in the inventory',
+    'reconcile.notHappened': 'The purchase of "{name}" did not go through, no stars charged (balance {stars})',
+
+    // History
+    'history.writeFailed': 'Could not write the purchase history: {error}',
+    'history.confirmedByBalance': 'item not received, the charge was confirmed by the balance',
+    'history.title': 'PURCHASE HISTORY',
+    'history.all': 'all',
+    'history.filters': 'Account: {account} | Offer: {item} | Period: {from} — {to}',
+    'history.empty': 'No entries',
+    'history.found': 'Found: {count} ({ok} successful, {spent} spent)',
+    'history.shownLast': 'showing the last {count}',
+    'history.filterAccount': 'Filter by account',
+    'history.filterItem': 'Filter by offer',
+    'history.filterPeriod': 'Period',
+    'history.resetFilters': 'Reset filters',
+    'history.askAccount': 'Account (empty — all): ',
+    'history.askItem': 'Offer or armoryId (empty — all): ',
+    'history.askFrom': 'From date (YYYY-MM-DD, empty — no limit): ',
+    'history.askTo': 'To date (YYYY-MM-DD, empty — no limit): ',
+    'history.badDate': 'Invalid date format',
+
+    // Reports
+    'report.formatUsage': 'Report format: {formats} (comma-separated) or all',
+    'report.jobTitle': 'Purchase report, order {id}',
+    'report.askExport': '\nSave a report? ({formats}/all, Enter — no): ',
+    'report.saved': 'Report: {file}',
+    'report.saveFailed': 'Could not save the report: {error}',
+    'report.noJobs': 'There are no orders in the history',
+    'report.jobNotFound': 'Order {id} not found in the history',
+    'report.missingTarget': 'Give an order (<id> or last) or --account / --from / --to',
+    'report.title': 'Purchase report',
+    'report.accountTitle': 'Purchase report: {account}',
+    'report.totals': 'Purchases: {purchased}/{attempts}, {spent} spent, items worth {value}',
+    'report.html.error': 'error',
+    'report.html.generated': 'generated {date}',
+    'report.html.purchased': 'items received',
+    'report.html.starsSpent': 'stars spent',
+    'report.html.value': 'items value',
+    'report.html.expectedValue': 'expected value of the offers',
+    'report.html.item': 'Item',
+    'report.html.float': 'Float',
+    'report.html.seed': 'Seed',
+    'report.html.rarity': 'Rarity',
+    'report.html.stars': 'Stars',
+    'report.html.price': 'Value',
+
+    // Offer value
+    'ev.noPrices': 'no price data',
+    'ev.coverage': 'prices known for {percent}%',
+    'ev.tier': '{rarity} ({items} items), {value} on average',
+    'ev.title': 'OFFER VALUE',
+    'ev.method': 'Estimated from schema.json prices, rarity odds as in cases (each next rarity is 5 times rarer).',
+
+    // Basket planning
+    'plan.goal.value': 'highest expected value',
+    'plan.goal.cases': 'most cases',
+    'plan.goal.rarity': 'best chance of the top rarity',
+    'plan.goal': 'Goal: {goal}',
+    'plan.budget': 'Budget: {budget}',
+    'plan.nothing': 'Nothing fits this goal and budget',
+    'plan.spent': 'Spent: {spent}, left: {left}',
+    'plan.value': 'Expected value: {value}',
+    'plan.topTierChance': 'Chance of at least one top-rarity item: {percent}%',
+    'plan.askGoal': 'Goal (Enter — 1): ',
+    'plan.askReserve': 'Stars to keep (Enter — 0): ',
+    'plan.confirm': 'Buy this basket? (y/n): ',
+    'plan.yesWithStars': '--yes cannot be combined with --stars: buying needs the real balance',
+    'plan.bought': 'Bought {purchased}/{requested}, {stars} left',
+
+    // Inventory
+    'inventory.type.weapon': 'Weapons',
+    'inventory.type.sticker': 'Stickers',
+    'inventory.type.charm': 'Charms',
+    'inventory.type.container': 'Cases',
+    'inventory.type.agent': 'Agents',
+    'inventory.type.collectible': 'Collectibles',
+    'inventory.type.music_kit': 'Music kits',
+    'inventory.type.other': 'Other',
+    'inventory.sort.default': 'as in game',
+    'inventory.sort.float': 'by float',
+    'inventory.sort.value': 'by value',
+    'inventory.sort.rarity': 'by rarity',
+    'inventory.sort.name': 'by name',
+    'inventory.filter.type': 'type: {type}',
+    'inventory.filter.rarity': 'rarity: {rarity}',
+    'inventory.filter.collection': 'collection: {collection}',
+    'inventory.filter.armory': 'armory only',
+    'inventory.filter.sort': 'sort: {sort}',
+    'inventory.title': 'INVENTORY ({shown} of {total})',
+    'inventory.notReceived': 'GC did not send the inventory contents',
+    'inventory.nothingFound': 'Nothing found',
+    'inventory.page': 'Page {page} of {pages} ([N] next, [P] previous)',
+    'inventory.fromArmory': 'received from the armory',
+    'inventory.actions': '[T] Type  [R] Rarity  [C] Collection  [A] Armory only  [S] Sort  [X] Reset',
+    'inventory.askType': 'Type (Enter — all): ',
+    'inventory.askRarity': 'Rarity (e.g. Covert, Classified; Enter — all): ',
+    'inventory.unknownRarity': 'Unknown rarity',
+    'inventory.askCollection': 'Collection (part of the name; Enter — all): ',
+    'inventory.askSort': 'Sort: ',
+    'inventory.summary': 'Inventory of {username}: {shown} of {total} ({filters})',
+
+    // Balance watch
+    'watch.balance': 'Balance: {stars}',
+    'watch.prompt': 'Balance changes are shown below. Press Enter to stop.\n',
+
+    // Token renewal
+    'tokens.renewed': 'token renewed ({status})',
+    'tokens.notIssued': 'Steam did not issue a new token',
+    'tokens.renewingExpiring': 'Renewing tokens that expire soon: {accounts}',
+    'tokens.noData': 'no data',
+    'tokens.nothingToRenew': 'No tokens need renewing',
+
+    // Local API
+    'serve.purchase': 'Buying {qty} × "{name}" (order {id})',
+    'serve.badPort': '--port must be a number from 0 to 65535',
+    'serve.token': 'Token (pass it in the Authorization: Bearer <token> header): {token}',
+    'serve.stopHint': 'Ctrl+C to stop',
+    'serve.stopped': 'Server stopped',
+
+    // Steam Guard
+    'guard.badSecret': 'Invalid shared_secret (base64 from a .maFile or 40 hex characters)',
+    'guard.none': 'No saved shared_secret',
+    'guard.missingPath': 'No path to a .maFile or a maFiles folder given',
+    'guard.imported': 'Imported: {count}',
+    'guard.saved': 'shared_secret for "{username}" saved',
+    'guard.missing': 'No shared_secret for "{username}"',
+    'guard.removed': 'shared_secret for "{username}" removed',
+    'guard.accounts': 'Accounts with shared_secret: {accounts}',
+    'guard.noAccounts': 'none',
+    'guard.menu.import': 'Import a .maFile (a file or an SDA maFiles folder)',
+    'guard.menu.set': 'Enter shared_secret manually',
+    'guard.menu.code': 'Show the current code',
+    'guard.menu.remove': 'Remove shared_secret',
+    'guard.askPath': 'Path to a .maFile or folder: ',
+    'guard.code': 'Code: {code}',
+
+    // Network
+    'proxy.via': 'proxy {proxy}',
+    'proxy.bind': 'address {address}',
+    'proxy.direct': 'direct',
+    'proxy.reachable': 'reachable ({ms} ms)',
+    'proxy.none': 'No proxies or bind addresses set',
+    'proxy.nothingToCheck': 'No accounts with a proxy or bind address (proxy set)',
+    'proxy.missingFlags': 'Give --proxy <url> and/or --bind <ip>',
+    'proxy.removed': 'Proxy and bind address for "{username}" removed',
+    'proxy.title': 'PROXY AND BIND ADDRESS',
+    'proxy.allDirect': 'All accounts connect directly',
+    'proxy.menu.set': 'Set a proxy / bind address',
+    'proxy.menu.remove': 'Remove',
+    'proxy.menu.check': 'Check reachability',
+    'proxy.askProxy': 'Proxy (http://… or socks5://…, Enter for none): ',
+    'proxy.askBind': 'Local IP (Enter for any): ',
+    'proxy.notSet': 'No proxy set for "{username}"',
+    'proxy.nothing': 'Nothing to check',
+    'proxy.checking': 'Checking...',
+
+    // Offer database
+    'items.missingSource': 'No path to items_game.txt given',
+    'items.badOverrides': 'Invalid overrides file: {file}',
+    'items.noOffers': 'No armory offers found in the dump',
+    'items.upToDate': 'The offer database is up to date',
+    'items.updated': 'items_database.json updated: {count} offers',
+    'items.dryRun': 'Changes not written, run again with --yes',
+    'items.skipped': 'Skipped "{key}": {reason}',
+
+    // Session encryption
+    'vault.locked': 'Sessions are encrypted: set the master password in CS2_STARS_MASTER_PASSWORD',
+    'vault.statusOn': 'Encryption: on',
+    'vault.statusOff': 'Encryption: off',
+    'vault.plaintext': 'Unencrypted sessions: {count}',
+    'vault.alreadyEnabled': 'Encryption is already on',
+    'vault.missingPassword': 'Set the master password in CS2_STARS_MASTER_PASSWORD',
+    'vault.enabled': 'Encryption on, sessions encrypted: {count}',
+    'vault.notEnabled': 'Encryption is off (vault enable)',
+    'vault.migrated': 'Sessions encrypted: {count}',
+    'vault.wrongEnvPassword': 'Wrong master password in CS2_STARS_MASTER_PASSWORD',
+    'vault.encryptedHint': 'Sessions are encrypted with a master password.',
+    'vault.askPassword': 'Master password: ',
+    'vault.wrongPassword': 'Wrong master password',
+    'vault.stillLocked': 'Sessions are still locked',
+    'vault.title': 'SESSION ENCRYPTION',
+    'vault.plaintextHint': 'Tokens are currently stored in plain text.',
+    'vault.enableWarning': 'Once enabled, starting requires the master password; it cannot be recovered.',
+    'vault.askNewPassword': 'New master password (empty to cancel): ',
+    'vault.askRepeat': 'Repeat the master password: ',
+    'vault.mismatch': 'Passwords do not match',
+    'vault.isOn': 'Encryption is on',
+    'vault.askMigrate': '\nEncrypt them now? (y/n): ',
+
+    // Settings
+    'config.file': 'Config file: {file}',
+    'config.noFile': 'Config file: none ({file})',
+    'config.changedMark': '* differs from the default',
+    'config.exists': 'File already exists: {file}',
+    'config.created': 'Config file created: {file}',
+    'config.error': 'Settings error: {error}',
+
+    // Drop alerts
+    'alerts.pausedRest': 'the remaining purchases are paused',
+    'alerts.deliveryFailed': 'Alert not delivered ({webhook}): {error}',
+    'alerts.text.title': '🚨 {rules} — {account}',
+    'alerts.text.offer': 'Offer: {name}',
+    'alerts.text.paused': 'The remaining purchases are paused, continue with: jobs resume',
+    'alerts.fileError': 'Alerts file error: {error}',
+    'alerts.file': 'Alerts file: {file}',
+    'alerts.noFile': 'Alerts file: none ({file})',
+    'alerts.rules': 'Rules: {count}',
+    'alerts.webhooks': 'Webhooks: {count}',
+    'alerts.rule.pause': 'pause',
+    'alerts.rule.silent': 'no notification',
+    'alerts.created': 'Alerts file created: {file}',
+    'alerts.noWebhooks': 'No webhooks configured',
+    'alerts.webhookNotFound': 'Webhook "{name}" not found',
+    'alerts.delivered': 'delivered',
+    'alerts.noRules': 'No alert rules configured',
+    'alerts.checked': 'Matches: {matched} of {checked}',
+    'alerts.receiving': 'Webhook receiver: {url}',
+
+    // Daemon
+    'daemon.policiesError': 'Policies file error: {error}',
+    'daemon.policy.none': 'no policy (balance only)',
+    'daemon.policy.reserve': 'reserve {stars}',
+    'daemon.policy.threshold': 'threshold {stars}',
+    'daemon.bought': 'bought {purchased}/{requested}, {stars} left',
+    'daemon.started': 'Daemon started (pid {pid}): {accounts} accounts, every {interval} min ± {jitter}',
+    'daemon.stopped': 'Daemon stopped (pid {pid}), checks: {checks}',
+    'daemon.next': 'next check {time}',
+    'daemon.redeeming': 'Balance {stars}, buying: {basket}',
+    'daemon.created': 'Policies file created: {file}',
+    'daemon.logEmpty': 'The daemon log is empty',
+    'daemon.neverRun': 'The daemon has not run yet',
+    'daemon.running': 'Daemon is running (pid {pid}) since {since}',
+    'daemon.notRunning': 'Daemon is not running (last run: {time})',
+    'daemon.schedule': 'Schedule: every {interval} min ± {jitter}',
+    'daemon.policiesFile': 'Policies file: {file}',
+    'daemon.noPoliciesFile': 'Policies file: none ({file})',
+    'daemon.lastCheck': 'Checked {time}:',
+    'daemon.lastRedeem': 'Bought {time}:',
+    'daemon.notChecked': 'Not checked yet',
+    'daemon.badInterval': 'daemon.intervalMinutes must be greater than zero',
+    'daemon.alreadyRunning': 'The daemon is already running (pid {pid})',
+    'daemon.stopHint': 'Ctrl+C stops after the current check',
+
+    // Balance overview
+    'dashboard.title': 'BALANCES',
+    'dashboard.sorted': 'Sorted by: {sort}',
+    'dashboard.sort.balance': 'balance',
+    'dashboard.sort.name': 'name',
+    'dashboard.sort.checked': 'last check',
+    'dashboard.column.account': 'Account',
+    'dashboard.column.stars': 'Stars',
+    'dashboard.column.canBuy': 'Can buy',
+    'dashboard.column.checked': 'Checked',
+    'dashboard.column.token': 'Token',
+    'dashboard.column.last': 'Last purchase',
+    'dashboard.never': 'never',
+    'dashboard.justNow': 'just now',
+    'dashboard.minutesAgo': '{n} min ago',
+    'dashboard.hoursAgo': '{n} h ago',
+    'dashboard.daysAgo': '{n} d ago',
+    'dashboard.totals': 'Accounts: {accounts}, balance known: {known}, total: {stars}',
+    'dashboard.canBuyTotal': '{name}: {qty} can be bought on {accounts} accounts',
+    'dashboard.staleNote': '* checked more than {minutes} min ago (dashboard.staleMinutes)',
+    'dashboard.refreshing': 'Reading balances of {count} of {total} accounts...',
+    'dashboard.menu.refresh': 'Refresh all balances',
+    'dashboard.menu.sort': 'Change sorting',
+    'dashboard.menu.item': 'Show how many of an offer each account can buy',
+    'dashboard.askItem': 'Offer (armoryId or name, empty — hide the column): ',
+    'dashboard.cacheFailed': 'Could not update the balance cache: {error}',
+
+    // Account import
+    'import.title': 'ACCOUNT IMPORT',
+    'import.intro': 'A text file with login:password[:shared_secret] lines, or a .maFile / folder of .maFiles (SDA).\nAccounts that already have a session are skipped.',
+    'import.askSource': 'Path to the list or the maFiles folder (empty — back): ',
+    'import.askPasswords': 'File with login:password lines for the .maFiles (empty — one password for all): ',
+    'import.askPassword': 'Password of all accounts: ',
+    'import.found': 'Accounts to import: {count}',
+    'import.concurrency': 'Logins at a time (default {count}): ',
+    'import.exists': 'already added, skipped',
+    'import.noPassword': 'No password for this account',
+    'import.loggingIn': 'logging in...',
+    'import.rateLimited': 'Steam limits logins, attempt {attempt}; waiting {seconds} s',
+    'import.added': 'added',
+    'import.summary': 'IMPORT RESULT',
+    'import.totals': 'Added: {imported}, skipped: {skipped}, failed: {failed} (accounts: {total})',
+    'import.failures': 'Not imported:',
+    'import.gaveUp': 'gave up after {attempts} attempts',
+    'import.missingSource': 'Specify a credentials file or a maFiles folder',
+    'import.empty': 'No accounts found in {source}',
+
+    // ArmoryManager
+    'armory.tokenSaveFailed': 'Could not save the new token: {error}',
+    'armory.connected': 'Persistent connection established',
+    'armory.disconnected': 'Connection closed',
+    'armory.balanceMismatch': 'Balance reported by the GC: {reported}, expected {expected}',
+
+    // Usage
+    'usage.title': 'Usage:',
+    'usage.interactive': 'interactive menu',
+    'usage.serve': 'local HTTP/WebSocket API',
+    'usage.watch': 'live balance (Ctrl+C to quit)',
+    'usage.config': 'effective settings / create a settings file',
+    'usage.alertsReceive': 'test receiver for alert webhooks',
+    'usage.daemon': 'scheduled balance checks and redeems',
+    'usage.notes': 'The password can be passed in the CS2_STARS_PASSWORD environment variable.\nplan without --yes only shows the basket, with --yes it buys it.\nPurchase reports (--export, report) are saved to the reports/ folder.\nitems import without --yes only shows the changes; local edits are taken from src/backend/items_overrides.json.\n--code is not needed if a shared_secret is saved for the account (guard set / guard import).\nProxy: http://[user:pass@]host:port or socks5://[user:pass@]host:port (also socks4, socks4a, socks5h); --bind — local IP.\nMaster password of encrypted sessions — in CS2_STARS_MASTER_PASSWORD, API token (serve) — in CS2_STARS_API_TOKEN.\nDrop alert rules and webhooks — in alerts.json (alerts init creates an example).\nDaemon redeem policies — in policies.json (daemon init creates an example).\nAccount selector: comma-separated names, all, tag:<tag>, group:<group> (can be combined: tag:farm-eu,main).\nimport-accounts: login:password[:shared_secret] per line; for a maFiles folder passwords come from --passwords or --password.',
+    'usage.settings': 'Settings (paths, timeouts, pacing, daemon schedule, balance overview, language) — in {file} next to the program or in the file from --config / {env};\nsingle values are overridden by environment variables ({example}=45000)\nand by --set timeouts.purchaseMs=45000,pacing.redeemDelayMs=500 on any command.\nLanguage: --lang {languages}|auto or ui.language (defaults to the system language).',
+    'usage.offline': 'Offline mode (no Steam, for testing scenarios; data in the offline/ folder):',
+    'usage.exitCodes': 'Exit codes:\n  0 success, 1 error, 2 invalid arguments, 3 invalid session,\n  4 not enough stars, 5 purchase partially done, 6 sessions are encrypted and not unlocked',
+
+    // Argument errors
+    'errors.missingFlag': 'Missing --{name}',
+    'errors.ambiguousItem': 'The name "{query}" is ambiguous: {matches}',
+    'errors.itemNotFound': 'Offer "{query}" not found',
+    'errors.missingAccount': 'No account given',
+    'errors.accountNotFound': 'Account "{username}" not found',
+    'errors.unknownCommand': 'Unknown command: {command}',
+    'errors.positive': '{flag} must be a positive number',
+    'errors.nonNegative': '{flag} must be a non-negative number',
+    'errors.oneOf': '{flag} must be one of: {values}',
+    'errors.yesRequired': 'Pass --yes to buy without confirmation',
+    'errors.missingAccounts': 'No accounts given (comma-separated list, all, tag:<tag> or group:<group>)',
+    'errors.accountsNotFound': 'Accounts not found: {accounts}',
+    'errors.noAccounts': 'No accounts',
+    'errors.badDate': 'Invalid date format (expected YYYY-MM-DD)',
+    'errors.missingLogin': 'No login given',
+    'errors.missingPassword': 'No password given (--password or CS2_STARS_PASSWORD)',
+    'errors.positiveSeconds': '{flag} must be a positive number of seconds',
+    'errors.fileNotFound': 'File not found: {file}',
+    'errors.schema': 'Could not load the schema: {error}',
+};
@@ -0,0 +1,502 @@
+/**
+ * ru.js
+ * Russian messages: the original interface language and the fallback for keys missing elsewhere
+ * @module locales/ru
+ */
+
+export default {
+    // Common
+    'common.back': 'Назад',
+    'common.pressEnter': '\nНажмите Enter для продолжения...',
+    'common.selectAction': '\nВыберите действие: ',
+    'common.selectItem': 'Выберите товар: ',
+    'common.confirmPurchase': 'Подтвердить покупку? (y/n): ',
+    'common.connectionError': 'Ошибка подключения: {error}',
+    'common.loginError': 'Ошибка авторизации: {error}',
+    'common.account': 'Аккаунт: {username}',
+    'common.connecting': 'Подключение к Steam...',
+    'common.connectionLost': 'Подключение потеряно',
+    'common.pressEnterBack': '\nНажмите Enter чтобы вернуться назад...',
+    'common.chooseAction': 'Выберите действие: ',
+    'common.bye': 'До свидания!',
+
+    // Offline mode
+    'offline.banner': 'ОФЛАЙН-РЕЖИМ: Steam не используется, покупки ненастоящие',
+    'offline.unknownScenario': 'Неизвестный сценарий: {scenario}',
+
+    // Token status
+    'token.corrupted': 'токен повреждён',
+    'token.expired': 'токен истёк',
+    'token.daysLeft': 'токен: {days} дн.',
+
+    // Menus
+    'menu.accounts.title': 'АККАУНТЫ',
+    'menu.accounts.expiring': 'Требуют повторной авторизации скоро: {accounts}',
+    'menu.accounts.add': 'Добавить новый аккаунт',
+    'menu.accounts.import': 'Импорт аккаунтов из списка или maFiles',
+    'menu.accounts.dashboard': 'Балансы всех аккаунтов',
+    'menu.accounts.bulk': 'Массовая покупка',
+    'menu.accounts.history': 'История покупок',
+    'menu.accounts.ev': 'Ценность предложений',
+    'menu.accounts.jobs': 'Незавершённые заказы ({count})',
+    'menu.accounts.guard': 'Steam Guard (shared_secret, .maFile)',
+    'menu.accounts.proxy': 'Прокси и адрес привязки',
+    'menu.accounts.registry': 'Сведения об аккаунтах (теги, группы, заметки)',
+    'menu.accounts.filter': 'Фильтр: {filter} (* — все аккаунты)',
+    'menu.accounts.vault': 'Шифрование сессий',
+    'menu.accounts.quit': 'Выход',
+    'menu.items.title': 'ТОВАРЫ (Баланс: {balance})',
+    'menu.items.notEnough': 'недостаточно звёзд',
+    'menu.items.plan': 'Подобрать корзину под баланс',
+    'menu.items.watch': 'Следить за балансом',
+    'menu.items.inventory': 'Инвентарь',
+    'menu.accounts.select': 'Выберите аккаунт: ',
+
+    // Status codes
+    'status.INVALID_TOKEN': 'Сессия недействительна, добавьте аккаунт заново',
+    'status.GC_UNAVAILABLE': 'GC недоступен, баланс неизвестен',
+    'status.SESSION_REPLACED': 'Сессия заменена другим входом (LogonSessionReplaced)',
+    'status.BALANCE_UNAVAILABLE': 'Не удалось получить баланс',
+    'status.INSUFFICIENT_STARS': 'Недостаточно звёзд',
+    'status.DROP_ALERT': 'Покупка приостановлена правилом оповещения',
+    'status.PENDING_JOB': 'Есть незавершённый заказ, сначала jobs resume или jobs cancel',
+    'status.NO_POLICY': 'Политики покупок нет, только проверка баланса',
+    'status.BELOW_THRESHOLD': 'Баланс ниже порога политики',
+
+    // Adding an account and logging in again
+    'account.add.title': 'ДОБАВЛЕНИЕ АККАУНТА',
+    'account.add.login': 'Логин Steam: ',
+    'account.add.loginRequired': 'Логин обязателен',
+    'account.add.password': 'Пароль: ',
+    'account.add.passwordRequired': 'Пароль обязателен',
+    'account.add.guardFromSecret': 'Код Steam Guard будет сгенерирован из сохранённого shared_secret',
+    'account.add.guardPrompt': 'Код Steam Guard или shared_secret: ',
+    'account.add.guardRequired': 'Код Steam Guard обязателен',
+    'account.add.loggingIn': 'Авторизация...',
+    'account.add.loggedIn': 'Авторизация успешна',
+    'account.add.added': 'Аккаунт "{username}" добавлен',
+    'account.reauth.expired': 'Сессия устарела. Требуется повторная авторизация.',
+    'account.reauth.confirm': '\nАвторизоваться заново? (y/n): ',
+    'account.reauth.guardCode': 'Код Steam Guard: ',
+    'account.reauth.noInput': 'Данные не введены',
+
+    // Account registry
+    'accounts.title': 'СВЕДЕНИЯ ОБ АККАУНТАХ',
+    'accounts.none': 'нет',
+    'accounts.noSession': 'нет сессии',
+    'accounts.locked': 'задан (хранилище заблокировано)',
+    'accounts.guardSaved': 'сохранён',
+    'accounts.groups': 'Группы',
+    'accounts.field.nickname': 'Ник',
+    'accounts.field.group': 'Группа',
+    'accounts.field.tags': 'Теги',
+    'accounts.field.defaultItem': 'Предложение по умолчанию',
+    'accounts.field.guard': 'shared_secret',
+    'accounts.field.proxy': 'Сеть',
+    'accounts.field.notes': 'Заметки',
+    'accounts.missingFields': 'Укажите, что изменить: --nickname, --group, --tags, --item, --notes или --steam-id',
+    'accounts.missingTags': 'Не указаны теги',
+    'accounts.saved': 'Сведения об аккаунте "{username}" сохранены',
+    'accounts.tagged': 'Теги {tags} добавлены аккаунтам: {count}',
+    'accounts.untagged': 'Теги {tags} сняты с аккаунтов: {count}',
+    'accounts.ask': '{field} [{current}] (Enter — оставить, "-" — очистить): ',
+    'accounts.menu.tag': 'Добавить теги',
+    'accounts.menu.untag': 'Снять теги',
+    'accounts.menu.select': 'Номер аккаунта для изменения или действие: ',
+    'accounts.askSelector': 'Аккаунты (имена через запятую, all, tag:…, group:…): ',
+    'accounts.askTags': 'Теги через запятую: ',
+
+    // Balance and purchase
+    'buy.starsLeft': 'осталось {stars}',
+    'buy.gettingBalance': 'Получение баланса звёзд...',
+    'buy.noItems': 'Товары не загружены',
+    'buy.askQty': 'Количество "{name}" (цена {price}): ',
+    'buy.total': 'Итого: {qty} × {price} = {total}',
+    'buy.buying': 'Покупка {count} предметов...',
+    'buy.sessionReplacedHint': 'Закрой Steam-клиент/другие боты на этом аккаунте и повтори.',
+    'buy.result': 'РЕЗУЛЬТАТ',
+    'buy.offer': 'Товар: {name}',
+    'buy.starsLeftTotal': 'Осталось звёзд: {stars}',
+    'buy.errors': 'Ошибок: {count}',
+    'buy.unfinishedMenu': 'Заказ {id} не завершён — продолжить можно в меню [J] или командой jobs resume',
+    'buy.again': '\nКупить ещё? (y/n): ',
+    'buy.notEnough': 'Недостаточно звёзд: нужно {cost}, на балансе {stars}',
+    'buy.bought': 'Куплено {purchased}/{qty} "{name}", осталось {stars}',
+
+    // Bulk purchase
+    'bulk.notEnough': 'Недостаточно звёзд ({stars})',
+    'bulk.buying': 'Баланс {stars}, покупка {qty} шт.',
+    'bulk.summary': 'ИТОГИ',
+    'bulk.offer': 'Товар: {name} ({price})',
+    'bulk.column.account': 'Аккаунт',
+    'bulk.column.before': 'Было',
+    'bulk.column.purchased': 'Куплено',
+    'bulk.column.left': 'Осталось',
+    'bulk.column.status': 'Статус',
+    'bulk.status.ok': 'ok',
+    'bulk.status.partial': 'частично',
+    'bulk.status.error': 'ошибка',
+    'bulk.status.skipped': 'пропущен',
+    'bulk.total': 'Всего куплено: {purchased}, потрачено {spent}',
+    'bulk.title': 'МАССОВАЯ ПОКУПКА',
+    'bulk.nothing': 'Нет аккаунтов или товаров',
+    'bulk.selectAccounts': 'Аккаунты (номера или имена через запятую, "all", tag:…, group:…): ',
+    'bulk.concurrency': 'Одновременных аккаунтов (по умолчанию 2): ',
+    'bulk.confirmInfo': 'Аккаунтов: {accounts}, товар: {name}, потоков: {concurrency}',
+    'bulk.spendAll': 'На каждом аккаунте будет потрачен весь доступный баланс.',
+
+    // Orders
+    'jobs.unfinishedHint': 'Заказ {id} не завершён, продолжить: jobs resume {id}',
+    'jobs.checkingPending': 'Проверка последней покупки "{name}"...',
+    'jobs.remainingCost': 'Для остатка нужно {cost}, на балансе {stars}',
+    'jobs.buyingRest': 'Докупаем: {lines}',
+    'jobs.pendingUnconfirmed': 'не подтверждена покупка "{name}"',
+    'jobs.status.running': 'выполняется',
+    'jobs.status.interrupted': 'прерван',
+    'jobs.status.done': 'завершён',
+    'jobs.status.cancelled': 'отменён',
+    'jobs.none': 'Незавершённых заказов нет',
+    'jobs.missingTarget': 'Не указан заказ (id или all)',
+    'jobs.notFound': 'Незавершённый заказ "{id}" не найден',
+    'jobs.cancelled': 'Отменено заказов: {count}',
+    'jobs.resumed': '{status}, докуплено {purchased}',
+    'jobs.title': 'НЕЗАВЕРШЁННЫЕ ЗАКАЗЫ',
+    'jobs.select': 'Выберите заказ: ',
+    'jobs.actions': '[R] Продолжить  [C] Отменить  [B] Назад: ',
+    'jobs.finished': 'Заказ завершён',
+    'jobs.notFinished': 'Заказ не завершён: {note}',
+    'jobs.seeAbove': 'см. выше',
+
+    // Checking unconfirmed purchases
+    'reconcile.unknown': 'Не удалось проверить, прошла ли покупка "{name}": {note}. Проверка повторится при возобновлении заказа.',
+    'reconcile.happened': 'Покупка "{name}" прошла (звёзды списаны, баланс {stars}), предмет появится в инвентаре',
+    'reconcile.notHappened': 'Покупка "{name}" не прошла, звёзды не списаны (баланс {stars})',
+
+    // History
+    'history.writeFailed': 'Не удалось записать историю покупок: {error}',
+    'history.confirmedByBalance': 'предмет не получен, списание подтверждено по балансу',
+    'history.title': 'ИСТОРИЯ ПОКУПОК',
+    'history.all': 'все',
+    'history.filters': 'Аккаунт: {account} | Товар: {item} | Период: {from} — {to}',
+    'history.empty': 'Записей нет',
+    'history.found': 'Найдено: {count} (успешно {ok}, потрачено {spent})',
+    'history.shownLast': 'показаны последние {count}',
+    'history.filterAccount': 'Фильтр по аккаунту',
+    'history.filterItem': 'Фильтр по товару',
+    'history.filterPeriod': 'Период',
+    'history.resetFilters': 'Сбросить фильтры',
+    'history.askAccount': 'Аккаунт (пусто — все): ',
+    'history.askItem': 'Товар или armoryId (пусто — все): ',
+    'history.askFrom': 'С даты (ГГГГ-ММ-ДД, пусто — без ограничения): ',
+    'history.askTo': 'По дату (ГГГГ-ММ-ДД, пусто — без ограничения): ',
+    'history.badDate': 'Неверный формат даты',
+
+    // Reports
+    'report.formatUsage': 'Формат отчёта: {formats} (через запятую) или all',
+    'report.jobTitle': 'Отчёт о покупках, заказ {id}',
+    'report.askExport': '\nСохранить отчёт? ({formats}/all, Enter — нет): ',
+    'report.saved': 'Отчёт: {file}',
+    'report.saveFailed': 'Не удалось сохранить отчёт: {error}',
+    'report.noJobs': 'В истории нет заказов',
+    'report.jobNotFound': 'Заказ {id} не найден в истории',
+    'report.missingTarget': 'Укажите заказ (<id> или last) либо --account / --from / --to',
+    'report.title': 'Отчёт о покупках',
+    'report.accountTitle': 'Отчёт о покупках: {account}',
+    'report.totals': 'Покупок: {purchased}/{attempts}, потрачено {spent}, стоимость предметов {value}',
+    'report.html.error': 'ошибка',
+    'report.html.generated': 'создан {date}',
+    'report.html.purchased': 'получено предметов',
+    'report.html.starsSpent': 'потрачено звёзд',
+    'report.html.value': 'стоимость предметов',
+    'report.html.expectedValue': 'ожидаемая стоимость предложений',
+    'report.html.item': 'Предмет',
+    'report.html.float': 'Флоат',
+    'report.html.seed': 'Сид',
+    'report.html.rarity': 'Редкость',
+    'report.html.stars': 'Звёзды',
+    'report.html.price': 'Стоимость',
+
+    // Offer value
+    'ev.noPrices': 'нет данных о ценах',
+    'ev.coverage': 'цены есть для {percent}%',
+    'ev.tier': '{rarity} ({items} шт.), в среднем {value}',
+    'ev.title': 'ЦЕННОСТЬ ПРЕДЛОЖЕНИЙ',
+    'ev.method': 'Оценка по ценам из schema.json, шансы редкостей как у кейсов (каждая следующая в 5 раз реже).',
+
+    // Basket planning
+    'plan.goal.value': 'максимум ожидаемой стоимости',
+    'plan.goal.cases': 'больше всего кейсов',
+    'plan.goal.rarity': 'максимальный шанс высшей редкости',
+    'plan.goal': 'Цель: {goal}',
+    'plan.budget': 'Бюджет: {budget}',
+    'plan.nothing': 'Под эту цель и бюджет ничего не подходит',
+    'plan.spent': 'Потрачено: {spent}, останется: {left}',
+    'plan.value': 'Ожидаемая стоимость: {value}',
+    'plan.topTierChance': 'Шанс хотя бы одного предмета высшей редкости: {percent}%',
+    'plan.askGoal': 'Цель (Enter — 1): ',
+    'plan.askReserve': 'Сколько звёзд оставить (Enter — 0): ',
+    'plan.confirm': 'Купить эту корзину? (y/n): ',
+    'plan.yesWithStars': '--yes нельзя совмещать с --stars: для покупки нужен реальный баланс',
+    'plan.bought': 'Куплено {purchased}/{requested}, осталось {stars}',
+
+    // Inventory
+    'inventory.type.weapon': 'Оружие',
+    'inventory.type.sticker': 'Наклейки',
+    'inventory.type.charm': 'Брелоки',
+    'inventory.type.container': 'Кейсы',
+    'inventory.type.agent': 'Агенты',
+    'inventory.type.collectible': 'Значки',
+    'inventory.type.music_kit': 'Наборы музыки',
+    'inventory.type.other': 'Прочее',
+    'inventory.sort.default': 'как в игре',
+    'inventory.sort.float': 'по флоату',
+    'inventory.sort.value': 'по стоимости',
+    'inventory.sort.rarity': 'по редкости',
+    'inventory.sort.name': 'по названию',
+    'inventory.filter.type': 'тип: {type}',
+    'inventory.filter.rarity': 'редкость: {rarity}',
+    'inventory.filter.collection': 'коллекция: {collection}',
+    'inventory.filter.armory': 'только из армори',
+    'inventory.filter.sort': 'сортировка: {sort}',
+    'inventory.title': 'ИНВЕНТАРЬ ({shown} из {total})',
+    'inventory.notReceived': 'GC не прислал содержимое инвентаря',
+    'inventory.nothingFound': 'Ничего не найдено',
+    'inventory.page': 'Страница {page} из {pages} ([N] следующая, [P] предыдущая)',
+    'inventory.fromArmory': 'получено из армори',
+    'inventory.actions': '[T] Тип  [R] Редкость  [C] Коллекция  [A] Только из армори  [S] Сортировка  [X] Сбросить',
+    'inventory.askType': 'Тип (Enter — все): ',
+    'inventory.askRarity': 'Редкость (например Covert, Classified; Enter — все): ',
+    'inventory.unknownRarity': 'Неизвестная редкость',
+    'inventory.askCollection': 'Коллекция (часть названия; Enter — все): ',
+    'inventory.askSort': 'Сортировка: ',
+    'inventory.summary': 'Инвентарь {username}: {shown} из {total} ({filters})',
+
+    // Balance watch
+    'watch.balance': 'Баланс: {stars}',
+    'watch.prompt': 'Изменения баланса показываются ниже. Enter — остановить.\n',
+
+    // Token renewal
+    'tokens.renewed': 'токен обновлён ({status})',
+    'tokens.notIssued': 'Steam не выдал новый токен',
+    'tokens.renewingExpiring': 'Обновление токенов, срок которых скоро истекает: {accounts}',
+    'tokens.noData': 'нет данных',
+    'tokens.nothingToRenew': 'Нет токенов, которые нужно обновить',
+
+    // Local API
+    'serve.purchase': 'Покупка {qty} × "{name}" (заказ {id})',
+    'serve.badPort': '--port должен быть числом от 0 до 65535',
+    'serve.token': 'Токен (передавайте в заголовке Authorization: Bearer <токен>): {token}',
+    'serve.stopHint': 'Ctrl+C — остановить',
+    'serve.stopped': 'Сервер остановлен',
+
+    // Steam Guard
+    'guard.badSecret': 'Неверный shared_secret (base64 из .maFile или 40 hex-символов)',
+    'guard.none': 'Нет сохранённых shared_secret',
+    'guard.missingPath': 'Не указан путь к .maFile или папке maFiles',
+    'guard.imported': 'Импортировано: {count}',
+    'guard.saved': 'shared_secret для "{username}" сохранён',
+    'guard.missing': 'Для "{username}" нет shared_secret',
+    'guard.removed': 'shared_secret для "{username}" удалён',
+    'guard.accounts': 'Аккаунты с shared_secret: {accounts}',
+    'guard.noAccounts': 'нет',
+    'guard.menu.import': 'Импорт .maFile (файл или папка SDA maFiles)',
+    'guard.menu.set': 'Задать shared_secret вручную',
+    'guard.menu.code': 'Показать текущий код',
+    'guard.menu.remove': 'Удалить shared_secret',
+    'guard.askPath': 'Путь к .maFile или папке: ',
+    'guard.code': 'Код: {code}',
+
+    // Network
+    'proxy.via': 'прокси {proxy}',
+    'proxy.bind': 'адрес {address}',
+    'proxy.direct': 'напрямую',
+    'proxy.reachable': 'доступен ({ms} мс)',
+    'proxy.none': 'Прокси и адреса привязки не заданы',
+    'proxy.nothingToCheck': 'Нет аккаунтов с прокси или адресом привязки (proxy set)',
+    'proxy.missingFlags': 'Укажите --proxy <url> и/или --bind <ip>',
+    'proxy.removed': 'Прокси и адрес привязки для "{username}" удалены',
+    'proxy.title': 'ПРОКСИ И АДРЕС ПРИВЯЗКИ',
+    'proxy.allDirect': 'Для всех аккаунтов подключение напрямую',
+    'proxy.menu.set': 'Задать прокси / адрес привязки',
+    'proxy.menu.remove': 'Удалить',
+    'proxy.menu.check': 'Проверить доступность',
+    'proxy.askProxy': 'Прокси (http://… или socks5://…, Enter — без прокси): ',
+    'proxy.askBind': 'Локальный IP (Enter — любой): ',
+    'proxy.notSet': 'Для "{username}" прокси не задан',
+    'proxy.nothing': 'Нечего проверять',
+    'proxy.checking': 'Проверка...',
+
+    // Offer database
+    'items.missingSource': 'Не указан путь к items_game.txt',
+    'items.badOverrides': 'Неверный формат файла переопределений: {file}',
+    'items.noOffers': 'В дампе не найдено предложений арсенала',
+    'items.upToDate': 'База предложений актуальна',
+    'items.updated': 'items_database.json обновлён: {count} предложений',
+    'items.dryRun': 'Изменения не записаны — повторите с --yes',
+    'items.skipped': 'Пропущено "{key}": {reason}',
+
+    // Session encryption
+    'vault.locked': 'Сессии зашифрованы: задайте мастер-пароль в CS2_STARS_MASTER_PASSWORD',
+    'vault.statusOn': 'Шифрование: включено',
+    'vault.statusOff': 'Шифрование: выключено',
+    'vault.plaintext': 'Незашифрованных сессий: {count}',
+    'vault.alreadyEnabled': 'Шифрование уже включено',
+    'vault.missingPassword': 'Задайте мастер-пароль в CS2_STARS_MASTER_PASSWORD',
+    'vault.enabled': 'Шифрование включено, зашифровано сессий: {count}',
+    'vault.notEnabled': 'Шифрование не включено (vault enable)',
+    'vault.migrated': 'Зашифровано сессий: {count}',
+    'vault.wrongEnvPassword': 'Неверный мастер-пароль в CS2_STARS_MASTER_PASSWORD',
+    'vault.encryptedHint': 'Сессии зашифрованы мастер-паролем.',
+    'vault.askPassword': 'Мастер-пароль: ',
+    'vault.wrongPassword': 'Неверный мастер-пароль',
+    'vault.stillLocked': 'Сессии не разблокированы',
+    'vault.title': 'ШИФРОВАНИЕ СЕССИЙ',
+    'vault.plaintextHint': 'Токены сейчас хранятся в открытом виде.',
+    'vault.enableWarning': 'После включения для запуска понадобится мастер-пароль; восстановить его нельзя.',
+    'vault.askNewPassword': 'Новый мастер-пароль (пусто — отмена): ',
+    'vault.askRepeat': 'Повторите мастер-пароль: ',
+    'vault.mismatch': 'Пароли не совпадают',
+    'vault.isOn': 'Шифрование включено',
+    'vault.askMigrate': '\nЗашифровать их сейчас? (y/n): ',
+
+    // Settings
+    'config.file': 'Файл настроек: {file}',
+    'config.noFile': 'Файл настроек: нет ({file})',
+    'config.changedMark': '* — отличается от значения по умолчанию',
+    'config.exists': 'Файл уже существует: {file}',
+    'config.created': 'Создан файл настроек: {file}',
+    'config.error': 'Ошибка в настройках: {error}',
+
+    // Drop alerts
+    'alerts.pausedRest': 'остальные покупки приостановлены',
+    'alerts.deliveryFailed': 'Оповещение не доставлено ({webhook}): {error}',
+    'alerts.text.title': '🚨 {rules} — {account}',
+    'alerts.text.offer': 'Предложение: {name}',
+    'alerts.text.paused': 'Остальные покупки приостановлены, продолжить: jobs resume',
+    'alerts.fileError': 'Ошибка в файле оповещений: {error}',
+    'alerts.file': 'Файл оповещений: {file}',
+    'alerts.noFile': 'Файл оповещений: нет ({file})',
+    'alerts.rules': 'Правила: {count}',
+    'alerts.webhooks': 'Вебхуки: {count}',
+    'alerts.rule.pause': 'пауза',
+    'alerts.rule.silent': 'без уведомления',
+    'alerts.created': 'Файл оповещений создан: {file}',
+    'alerts.noWebhooks': 'Вебхуки не настроены',
+    'alerts.webhookNotFound': 'Вебхук "{name}" не найден',
+    'alerts.delivered': 'доставлено',
+    'alerts.noRules': 'Правила оповещений не настроены',
+    'alerts.checked': 'Совпадений: {matched} из {checked}',
+    'alerts.receiving': 'Приёмник вебхуков: {url}',
+
+    // Daemon
+    'daemon.policiesError': 'Ошибка в файле политик: {error}',
+    'daemon.policy.none': 'без политики (только баланс)',
+    'daemon.policy.reserve': 'резерв {stars}',
+    'daemon.policy.threshold': 'порог {stars}',
+    'daemon.bought': 'куплено {purchased}/{requested}, осталось {stars}',
+    'daemon.started': 'Демон запущен (pid {pid}): аккаунтов {accounts}, интервал {interval} мин ± {jitter}',
+    'daemon.stopped': 'Демон остановлен (pid {pid}), проверок: {checks}',
+    'daemon.next': 'следующая проверка {time}',
+    'daemon.redeeming': 'Баланс {stars}, покупаем: {basket}',
+    'daemon.created': 'Файл политик создан: {file}',
+    'daemon.logEmpty': 'Журнал демона пуст',
+    'daemon.neverRun': 'Демон ещё не запускался',
+    'daemon.running': 'Демон работает (pid {pid}) с {since}',
+    'daemon.notRunning': 'Демон не запущен (последний запуск: {time})',
+    'daemon.schedule': 'Расписание: каждые {interval} мин ± {jitter}',
+    'daemon.policiesFile': 'Файл политик: {file}',
+    'daemon.noPoliciesFile': 'Файл политик: нет ({file})',
+    'daemon.lastCheck': 'Проверка {time}:',
+    'daemon.lastRedeem': 'Покупка {time}:',
+    'daemon.notChecked': 'Ещё не проверялся',
+    'daemon.badInterval': 'daemon.intervalMinutes должен быть больше нуля',
+    'daemon.alreadyRunning': 'Демон уже запущен (pid {pid})',
+    'daemon.stopHint': 'Ctrl+C — остановить после текущей проверки',
+
+    // Balance overview
+    'dashboard.title': 'БАЛАНСЫ',
+    'dashboard.sorted': 'Сортировка: {sort}',
+    'dashboard.sort.balance': 'по балансу',
+    'dashboard.sort.name': 'по имени',
+    'dashboard.sort.checked': 'по давности проверки',
+    'dashboard.column.account': 'Аккаунт',
+    'dashboard.column.stars': 'Звёзды',
+    'dashboard.column.canBuy': 'Можно купить',
+    'dashboard.column.checked': 'Проверен',
+    'dashboard.column.token': 'Токен',
+    'dashboard.column.last': 'Последняя покупка',
+    'dashboard.never': 'никогда',
+    'dashboard.justNow': 'только что',
+    'dashboard.minutesAgo': '{n} мин назад',
+    'dashboard.hoursAgo': '{n} ч назад',
+    'dashboard.daysAgo': '{n} дн. назад',
+    'dashboard.totals': 'Аккаунтов: {accounts}, баланс известен: {known}, всего: {stars}',
+    'dashboard.canBuyTotal': '{name}: можно купить {qty} шт. на {accounts} аккаунтах',
+    'dashboard.staleNote': '* проверен больше {minutes} мин назад (dashboard.staleMinutes)',
+    'dashboard.refreshing': 'Читаем балансы {count} из {total} аккаунтов...',
+    'dashboard.menu.refresh': 'Обновить все балансы',
+    'dashboard.menu.sort': 'Сменить сортировку',
+    'dashboard.menu.item': 'Показать, сколько предложения может купить каждый аккаунт',
+    'dashboard.askItem': 'Предложение (armoryId или название, пусто — скрыть колонку): ',
+    'dashboard.cacheFailed': 'Не удалось обновить кэш балансов: {error}',
+
+    // Account import
+    'import.title': 'ИМПОРТ АККАУНТОВ',
+    'import.intro': 'Текстовый файл со строками login:password[:shared_secret] или .maFile / папка с .maFile (SDA).\nАккаунты, у которых уже есть сессия, пропускаются.',
+    'import.askSource': 'Путь к списку или папке maFiles (пусто — назад): ',
+    'import.askPasswords': 'Файл со строками login:password для .maFile (пусто — один пароль для всех): ',
+    'import.askPassword': 'Пароль всех аккаунтов: ',
+    'import.found': 'Аккаунтов к импорту: {count}',
+    'import.concurrency': 'Входов одновременно (по умолчанию {count}): ',
+    'import.exists': 'уже добавлен, пропущен',
+    'import.noPassword': 'Нет пароля для этого аккаунта',
+    'import.loggingIn': 'вход...',
+    'import.rateLimited': 'Steam ограничил входы, попытка {attempt}; ждём {seconds} с',
+    'import.added': 'добавлен',
+    'import.summary': 'ИТОГ ИМПОРТА',
+    'import.totals': 'Добавлено: {imported}, пропущено: {skipped}, ошибок: {failed} (аккаунтов: {total})',
+    'import.failures': 'Не импортированы:',
+    'import.gaveUp': 'сдались после {attempts} попыток',
+    'import.missingSource': 'Укажите файл со списком или папку maFiles',
+    'import.empty': 'В {source} не найдено аккаунтов',
+
+    // ArmoryManager
+    'armory.tokenSaveFailed': 'Не удалось сохранить новый токен: {error}',
+    'armory.connected': 'Постоянное подключение установлено',
+    'armory.disconnected': 'Подключение закрыто',
+    'armory.balanceMismatch': 'Баланс по данным GC: {reported}, ожидалось {expected}',
+
+    // Usage
+    'usage.title': 'Использование:',
+    'usage.interactive': 'интерактивное меню',
+    'usage.serve': 'локальный HTTP/WebSocket API',
+    'usage.watch': 'баланс в реальном времени (Ctrl+C — выход)',
+    'usage.config': 'действующие настройки / создать файл настроек',
+    'usage.alertsReceive': 'тестовый приёмник вебхуков оповещений',
+    'usage.daemon': 'проверки баланса и покупки по расписанию',
+    'usage.notes': 'Пароль можно передать через переменную окружения CS2_STARS_PASSWORD.\nplan без --yes только показывает корзину, с --yes покупает её.\nОтчёты о покупках (--export, report) сохраняются в папку reports/.\nitems import без --yes только показывает изменения; локальные правки берутся из src/backend/items_overrides.json.\n--code не нужен, если для аккаунта сохранён shared_secret (guard set / guard import).\nПрокси: http://[user:pass@]host:port или socks5://[user:pass@]host:port (также socks4, socks4a, socks5h); --bind — локальный IP.\nМастер-пароль зашифрованных сессий — через CS2_STARS_MASTER_PASSWORD, токен API (serve) — через CS2_STARS_API_TOKEN.\nПравила оповещений о дропе и вебхуки — в alerts.json (alerts init создаёт пример).\nПолитики покупок демона — в policies.json (daemon init создаёт пример).\nСелектор аккаунтов: имена через запятую, all, tag:<тег>, group:<группа> (можно вместе: tag:farm-eu,main).\nimport-accounts: по строке login:password[:shared_secret]; для папки maFiles пароли — из --passwords или --password.',
+    'usage.settings': 'Настройки (пути, таймауты, паузы, расписание демона, сводка балансов, язык) — в {file} рядом с программой или в файле из --config / {env};\nотдельные значения переопределяются переменными окружения ({example}=45000)\nи флагом --set timeouts.purchaseMs=45000,pacing.redeemDelayMs=500 для любой команды.\nЯзык: --lang {languages}|auto или ui.language (по умолчанию — по языку системы).',
+    'usage.offline': 'Офлайн-режим (без Steam, для проверки сценариев; данные в папке offline/):',
+    'usage.exitCodes': 'Коды выхода:\n  0 успех, 1 ошибка, 2 неверные аргументы, 3 сессия недействительна,\n  4 недостаточно звёзд, 5 покупка выполнена частично, 6 сессии зашифрованы и не разблокированы',
+
+    // Argument errors
+    'errors.missingFlag': 'Не указан параметр --{name}',
+    'errors.ambiguousItem': 'Название "{query}" неоднозначно: {matches}',
+    'errors.itemNotFound': 'Товар "{query}" не найден',
+    'errors.missingAccount': 'Не указан аккаунт',
+    'errors.accountNotFound': 'Аккаунт "{username}" не найден',
+    'errors.unknownCommand': 'Неизвестная команда: {command}',
+    'errors.positive': '{flag} должен быть положительным числом',
+    'errors.nonNegative': '{flag} должен быть неотрицательным числом',
+    'errors.oneOf': '{flag} должен быть одним из: {values}',
+    'errors.yesRequired': 'Для покупки без подтверждения укажите --yes',
+    'errors.missingAccounts': 'Не указаны аккаунты (список через запятую, all, tag:<тег> или group:<группа>)',
+    'errors.accountsNotFound': 'Аккаунты не найдены: {accounts}',
+    'errors.noAccounts': 'Нет аккаунтов',
+    'errors.badDate': 'Неверный формат даты (ожидается ГГГГ-ММ-ДД)',
+    'errors.missingLogin': 'Не указан логин',
+    'errors.missingPassword': 'Не указан пароль (--password или CS2_STARS_PASSWORD)',
+    'errors.positiveSeconds': '{flag} должен быть положительным числом секунд',
+    'errors.fileNotFound': 'Файл не найден: {file}',
+    'errors.schema': 'Не удалось загрузить схему: {error}',
+};
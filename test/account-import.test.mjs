@@ -0,0 +1,98 @@
+/**
+ * Account import: logins outside Steam's character set are rejected in credential lists and .maFiles,
+ * so an imported name can never point a session file outside sessions/
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { parseCredentials } from '../src/backend/AccountImport.js';
+import { isValidLogin, readMaFiles } from '../src/backend/SteamGuard.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = path.join(ROOT, 'cs2-stars-cli.mjs');
+
+// 20 zero bytes, base64
+const SHARED_SECRET = 'AAAAAAAAAAAAAAAAAAAAAAAAAAA=';
+
+function tempDir(prefix) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((e) => (e.isDirectory() ? listFiles(path.join(dir, e.name)) : [path.join(dir, e.name)]));
+}
+
+describe('imported logins', () => {
+    let dir;
+
+    before(() => {
+        dir = tempDir('cs2-stars-import-');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('only latin letters, digits and "_" make a valid login', () => {
+        for (const login of ['demo', 'Demo_User_01', 'a'.repeat(64)]) assert.equal(isValidLogin(login), true, login);
+        for (const login of ['', 'ab', 'a'.repeat(65), '../demo', 'demo/x', 'demo\\x', '..', 'de mo', 'demo.x', 'дemo', 'demo@mail.com']) {
+            assert.equal(isValidLogin(login), false, login);
+        }
+    });
+
+    it('a credentials list reports invalid logins as line errors', () => {
+        const { entries, errors } = parseCredentials(['demo:pass', '../../escaped:pass', 'sub/dir:pass:with:colons', 'demo_2:pass'].join('\n'));
+        assert.deepEqual(
+            entries.map((e) => e.username),
+            ['demo', 'demo_2']
+        );
+        assert.deepEqual(
+            errors.map((e) => e.line),
+            [2, 3]
+        );
+        assert.match(errors[0].error, /not a valid Steam login/);
+    });
+
+    it('a .maFile with an invalid account_name is reported and not imported', () => {
+        const maFiles = path.join(dir, 'maFiles');
+        fs.mkdirSync(maFiles);
+        fs.writeFileSync(path.join(maFiles, '1.maFile'), JSON.stringify({ account_name: 'demo', shared_secret: SHARED_SECRET }));
+        fs.writeFileSync(path.join(maFiles, '2.maFile'), JSON.stringify({ account_name: '../../escaped', shared_secret: SHARED_SECRET }));
+
+        const { accounts, errors } = readMaFiles(maFiles);
+        assert.deepEqual(
+            accounts.map((a) => a.username),
+            ['demo']
+        );
+        assert.equal(errors.length, 1);
+        assert.equal(path.basename(errors[0].file), '2.maFile');
+        assert.match(errors[0].error, /not a valid Steam login/);
+    });
+
+    it('import-accounts writes sessions for valid logins only, all inside sessions/', () => {
+        const offlineDir = path.join(dir, 'offline');
+        const list = path.join(dir, 'accounts.txt');
+        fs.writeFileSync(list, [`demo:pass:${SHARED_SECRET}`, '../../escaped:pass', '..\\..\\escaped2:pass'].join('\n'));
+
+        const r = spawnSync(process.execPath, [CLI, 'import-accounts', list, '--offline', '--json', '--lang', 'en', '--set', `paths.offlineDir=${offlineDir},pacing.loginRetryDelayMs=10`], {
+            cwd: ROOT,
+            encoding: 'utf8',
+            timeout: 60000,
+            env: { ...process.env, CS2_STARS_CONFIG: '', CS2_STARS_MASTER_PASSWORD: '' },
+        });
+        assert.equal(r.status, 5);
+        const json = JSON.parse(r.stdout);
+        assert.deepEqual(json.imported, ['demo']);
+        assert.deepEqual(
+            json.errors.map((e) => e.source),
+            ['accounts.txt:2', 'accounts.txt:3']
+        );
+
+        const written = listFiles(dir).filter((f) => /\.steam(session|guard|network)$/.test(f));
+        assert.deepEqual(written.sort(), [path.join(offlineDir, 'sessions', 'demo.steamguard'), path.join(offlineDir, 'sessions', 'demo.steamsession')]);
+    });
+});
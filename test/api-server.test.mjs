@@ -0,0 +1,219 @@
+/**
+ * API server: bearer-token auth, rejected job ids and URL escapes, and the WebSocket frame size cap —
+ * against ApiServer itself and the "serve" command in --offline mode
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import ApiServer from '../src/backend/ApiServer.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = path.join(ROOT, 'cs2-stars-cli.mjs');
+
+const TOKEN = 'secret-token';
+
+function tempDir(prefix) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+async function request(base, pathname, { token = TOKEN } = {}) {
+    const res = await fetch(`${base}${pathname}`, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+    return { status: res.status, body: await res.json() };
+}
+
+// WebSocket handshake on a raw socket: resolves once the 101 response has arrived
+function openEvents(port, token = TOKEN) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        let received = Buffer.alloc(0);
+        const onData = (chunk) => {
+            received = Buffer.concat([received, chunk]);
+            const end = received.indexOf('\r\n\r\n');
+            if (end === -1) return;
+            socket.off('data', onData);
+            resolve({ socket, status: Number(received.toString('latin1', 9, 12)), rest: received.subarray(end + 4) });
+        };
+        socket.on('data', onData);
+        socket.once('error', reject);
+        socket.write(
+            [
+                `GET /api/events?token=${encodeURIComponent(token)} HTTP/1.1`,
+                'Host: 127.0.0.1',
+                'Upgrade: websocket',
+                'Connection: Upgrade',
+                `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+                'Sec-WebSocket-Version: 13',
+                '',
+                '',
+            ].join('\r\n')
+        );
+    });
+}
+
+// Everything the server sends until it closes the socket
+function readUntilClose(socket, initial) {
+    return new Promise((resolve) => {
+        let received = initial;
+        socket.on('data', (chunk) => (received = Buffer.concat([received, chunk])));
+        socket.on('error', () => {});
+        socket.on('close', () => resolve(received));
+    });
+}
+
+// Masked client frame header declaring `length` bytes of payload
+function frameHeader(opcode, length) {
+    const header = Buffer.alloc(14);
+    header[0] = 0x80 | opcode;
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+    return header;
+}
+
+describe('ApiServer', () => {
+    let api;
+    let port;
+    let base;
+
+    before(async () => {
+        api = new ApiServer({ token: TOKEN, logger: { log() {} } });
+        api.route('GET', '/api/ping', () => ({ ok: true, pong: true }));
+        api.route('GET', '/api/echo/:value', ({ params }) => ({ value: params.value }));
+        ({ port } = await api.listen(0, '127.0.0.1'));
+        base = `http://127.0.0.1:${port}`;
+    });
+
+    after(() => api.close());
+
+    it('answers 401 without a token or with a wrong one', async () => {
+        assert.deepEqual(await request(base, '/api/ping', { token: null }), { status: 401, body: { ok: false, error: 'Unauthorized' } });
+        assert.equal((await request(base, '/api/ping', { token: 'wrong' })).status, 401);
+        assert.equal((await request(base, '/api/ping', { token: `${TOKEN}x` })).status, 401);
+        assert.deepEqual(await request(base, '/api/ping'), { status: 200, body: { ok: true, pong: true } });
+    });
+
+    it('also accepts the token as ?token=', async () => {
+        assert.equal((await request(base, `/api/ping?token=${TOKEN}`, { token: null })).status, 200);
+        assert.equal((await request(base, '/api/ping?token=wrong', { token: null })).status, 401);
+    });
+
+    it('rejects the WebSocket upgrade with a wrong token', async () => {
+        const { socket, status } = await openEvents(port, 'wrong');
+        socket.destroy();
+        assert.equal(status, 401);
+        assert.equal(api.clients.size, 0);
+    });
+
+    it('decodes route parameters and answers 400 for a malformed URL escape', async () => {
+        assert.deepEqual((await request(base, '/api/echo/a%20b')).body, { value: 'a b' });
+        assert.deepEqual(await request(base, '/api/echo/%E0%A4%A'), { status: 400, body: { ok: false, error: 'Malformed URL escape' } });
+        assert.equal((await request(base, '/api/echo/%ZZ')).status, 400);
+    });
+
+    it('answers a ping frame with a pong', async () => {
+        const { socket, status, rest } = await openEvents(port);
+        assert.equal(status, 101);
+        assert.equal(api.clients.size, 1);
+
+        const pong = new Promise((resolve) => {
+            let received = rest;
+            socket.on('data', (chunk) => {
+                received = Buffer.concat([received, chunk]);
+                if (received.length >= 6) resolve(received);
+            });
+        });
+        // Ping "ping" with an all-zero mask
+        socket.write(Buffer.concat([Buffer.from([0x89, 0x80 | 4, 0, 0, 0, 0]), Buffer.from('ping')]));
+        assert.deepEqual(await pong, Buffer.concat([Buffer.from([0x8a, 4]), Buffer.from('ping')]));
+
+        const closed = readUntilClose(socket, Buffer.alloc(0));
+        socket.write(Buffer.from([0x88, 0x80, 0, 0, 0, 0]));
+        await closed;
+        assert.equal(api.clients.size, 0);
+    });
+
+    it('closes with 1009 a frame declaring more than 64 KiB, without waiting for the payload', async () => {
+        for (const length of [64 * 1024 + 1, 2 ** 40]) {
+            const { socket, status, rest } = await openEvents(port);
+            assert.equal(status, 101);
+
+            const received = readUntilClose(socket, rest);
+            socket.write(frameHeader(0x1, length));
+            socket.write(Buffer.alloc(1024));
+
+            assert.deepEqual(await received, Buffer.from([0x88, 2, 0x03, 0xf1]));
+            assert.equal(api.clients.size, 0);
+        }
+    });
+});
+
+describe('serve command in --offline mode', () => {
+    let dir;
+    let child;
+    let base;
+
+    function cli(args) {
+        return spawn(process.execPath, [CLI, ...args, '--offline', '--lang', 'en', '--set', `paths.offlineDir=${dir}`], {
+            cwd: ROOT,
+            env: { ...process.env, CS2_STARS_CONFIG: '', CS2_STARS_MASTER_PASSWORD: '', CS2_STARS_API_TOKEN: '' },
+        });
+    }
+
+    before(async () => {
+        dir = tempDir('cs2-stars-serve-');
+        const added = spawnSync(process.execPath, [CLI, 'add-account', 'demo', '--password', 'x', '--code', 'x', '--offline', '--json', '--set', `paths.offlineDir=${dir}`], {
+            cwd: ROOT,
+            timeout: 60000,
+            env: { ...process.env, CS2_STARS_CONFIG: '', CS2_STARS_MASTER_PASSWORD: '' },
+        });
+        assert.equal(added.status, 0);
+
+        child = cli(['serve', '--host', '127.0.0.1', '--port', '0', '--token', TOKEN]);
+        base = await new Promise((resolve, reject) => {
+            let stdout = '';
+            const timer = setTimeout(() => reject(new Error(`serve did not start: ${stdout}`)), 30000);
+            child.stdout.on('data', (chunk) => {
+                stdout += chunk;
+                const match = /(http:\/\/[\d.]+:\d+)\/api /.exec(stdout);
+                if (!match) return;
+                clearTimeout(timer);
+                resolve(match[1]);
+            });
+            child.on('error', reject);
+        });
+    });
+
+    after(async () => {
+        if (child.exitCode === null) {
+            const exited = new Promise((resolve) => child.once('exit', resolve));
+            child.kill('SIGINT');
+            await exited;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('requires the bearer token', async () => {
+        assert.equal((await request(base, '/api/accounts', { token: null })).status, 401);
+        assert.deepEqual((await request(base, '/api/accounts')).body.accounts.map((a) => a.username), ['demo']);
+    });
+
+    it('answers 404 for job ids that do not match the job id format', async () => {
+        for (const id of ['..%2F..%2Fconfig', '..%2Fsessions%2Fdemo', 'latest', '20261019120000-ABCDEF']) {
+            const { status, body } = await request(base, `/api/jobs/${id}`);
+            assert.equal(status, 404, id);
+            assert.equal(body.error, `Job not found: ${decodeURIComponent(id)}`);
+        }
+        assert.equal((await request(base, '/api/jobs/20261019120000-abcdef')).status, 404);
+    });
+
+    it('answers 400 for a malformed URL escape in a job id', async () => {
+        assert.deepEqual(await request(base, '/api/jobs/%E0%A4%A'), { status: 400, body: { ok: false, error: 'Malformed URL escape' } });
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * Buy flow against FakeSteamNetwork: the transport injected into ArmoryManager / SteamClient,
+ * and the whole "buy" command in --offline mode for every offline scenario
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import FakeSteamNetwork from '../src/backend/FakeSteamNetwork.js';
+import { ArmoryManager } from '../src/backend/ArmoryManager.js';
+import SteamClient from '../src/backend/SteamClient.js';
+import SessionManager from '../src/backend/SessionManager.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = path.join(ROOT, 'cs2-stars-cli.mjs');
+
+// "The Sport & Field", 4 stars
+const OFFER = { armoryId: 531266704, price: 4 };
+const DROP = { def_index: 7007 };
+
+function tempDir(prefix) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function createManager(network) {
+    const manager = new ArmoryManager({ ...network.transport(), purchaseTimeoutMs: 500 });
+    manager.setLogger({ log() {} });
+    return manager;
+}
+
+describe('FakeSteamNetwork injected into ArmoryManager and SteamClient', () => {
+    let dir;
+
+    before(() => {
+        dir = tempDir('cs2-stars-fake-');
+        SessionManager.configureBaseDir(dir);
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    function setup(options, username = 'demo') {
+        const network = new FakeSteamNetwork({ latencyMs: 1, redeem: () => DROP, ...options });
+        SessionManager.saveSession(username, network.issueRefreshToken(username));
+        return network;
+    }
+
+    async function readStars(network, username = 'demo') {
+        const client = new SteamClient(username, network.transport());
+        try {
+            await client.connect({ steamTimeoutMs: 500, gcTimeoutMs: 500 });
+            return await client.getStars({ timeoutMs: 200 });
+        } finally {
+            client.disconnect();
+        }
+    }
+
+    it('logs in with a password and returns a refresh token', async () => {
+        const network = new FakeSteamNetwork({ latencyMs: 1 });
+        const client = new SteamClient('fresh', network.transport());
+        const token = await client.loginWithCredentials({ username: 'fresh', password: 'x', twoFactorCode: 'ABCDE', timeoutMs: 2000 });
+        assert.match(token, /\.offline$/);
+    });
+
+    it('renewRefreshToken: saves the new token and leaves no timer or listener behind', async () => {
+        const timers = () => process.getActiveResourcesInfo().filter((r) => r === 'Timeout').length;
+
+        for (const [tokenLifetimeDays, renewed] of [
+            [10, true],
+            [200, false],
+        ]) {
+            const network = new FakeSteamNetwork({ latencyMs: 1, tokenLifetimeDays });
+            const token = network.issueRefreshToken('renew');
+            SessionManager.saveSession('renew', token);
+            const client = new SteamClient('renew', network.transport());
+
+            const before = timers();
+            const result = await client.renewRefreshToken({ timeoutMs: renewed ? 60000 : 300 });
+            assert.ok(timers() <= before, 'a timer outlived the call');
+            // Only the handler that saves renewed tokens stays until disconnect()
+            assert.equal(client.client.listenerCount('refreshToken'), 1);
+            client.disconnect();
+
+            assert.equal(result !== null, renewed);
+            assert.equal(SessionManager.loadSession('renew'), result ?? token);
+        }
+    });
+
+    it('ok: ClientWelcome carries the balance and each redeem charges the price', async () => {
+        const network = setup({ stars: 20 });
+        assert.equal(await readStars(network), 20);
+
+        const manager = createManager(network);
+        await manager.createConnection('demo');
+        const first = await manager.purchaseItem(OFFER.armoryId, 20, OFFER.price);
+        const second = await manager.purchaseItem(OFFER.armoryId, first.newStars, OFFER.price);
+        manager.disconnectSession();
+
+        assert.equal(first.item.def_index, DROP.def_index);
+        assert.equal(second.newStars, 12);
+        assert.equal(second.starsMismatch, false);
+        assert.equal(network.account('demo').stars, 12);
+        assert.equal(network.account('demo').redeemed, 2);
+    });
+
+    it('paint seed: decoded from attribute 7, left unset when the value is not a seed', async () => {
+        const cases = [
+            [FakeSteamNetwork.floatAttribute(7, 661), 661],
+            [FakeSteamNetwork.floatAttribute(7, 0), 0],
+            [FakeSteamNetwork.uint32Attribute(7, 955), 955],
+            [FakeSteamNetwork.floatAttribute(7, 0.37), null],
+            [FakeSteamNetwork.floatAttribute(7, 1661), null],
+            [FakeSteamNetwork.uint32Attribute(7, 123456789), null],
+        ];
+        const network = setup({ stars: 20, redeem: (request, account) => ({ def_index: 7, attributes: [cases[account.redeemed][0]] }) });
+        const manager = createManager(network);
+        await manager.createConnection('demo');
+        let stars = 20;
+        for (const [, seed] of cases) {
+            const r = await manager.purchaseItem(OFFER.armoryId, stars, 1);
+            stars = r.newStars;
+            assert.equal(r.item.paint_seed, seed);
+        }
+        manager.disconnectSession();
+    });
+
+    it('redeem-timeout: no reply rejects the purchase and nothing is charged', async () => {
+        const network = setup({ stars: 20, redeem: () => 'timeout' });
+        const manager = createManager(network);
+        await manager.createConnection('demo');
+        await assert.rejects(manager.purchaseItem(OFFER.armoryId, 20, OFFER.price), { code: 'PURCHASE_TIMEOUT' });
+        manager.disconnectSession();
+        assert.equal(network.account('demo').stars, 20);
+    });
+
+    it('malformed: an unparsable item rejects the purchase', async () => {
+        const network = setup({ stars: 20, redeem: () => 'malformed' });
+        const manager = createManager(network);
+        await manager.createConnection('demo');
+        await assert.rejects(manager.purchaseItem(OFFER.armoryId, 20, OFFER.price), /CSOEconItem/);
+        manager.disconnectSession();
+    });
+
+    it('lost-drop: the stars are charged but the item never arrives', async () => {
+        const network = setup({ stars: 20, redeem: () => 'lost' });
+        const manager = createManager(network);
+        await manager.createConnection('demo');
+        await assert.rejects(manager.purchaseItem(OFFER.armoryId, 20, OFFER.price), { code: 'PURCHASE_TIMEOUT' });
+        manager.disconnectSession();
+        assert.equal(network.account('demo').stars, 16);
+    });
+
+    it('late-drop: an item sent after the timeout is still picked up by awaitItem', async () => {
+        const network = setup({ stars: 20, redeem: () => ({ ...DROP, delayMs: 700 }) });
+        const manager = createManager(network);
+        await manager.createConnection('demo');
+        await assert.rejects(manager.purchaseItem(OFFER.armoryId, 20, OFFER.price), { code: 'PURCHASE_TIMEOUT' });
+        const late = await manager.awaitItem(1000);
+        manager.disconnectSession();
+        assert.equal(late.def_index, DROP.def_index);
+    });
+
+    it('price-change: the balance reported by the GC wins over the expected one', async () => {
+        const network = setup({ stars: 20, redeem: () => ({ ...DROP, charge: OFFER.price + 1 }) });
+        const manager = createManager(network);
+        await manager.createConnection('demo');
+        const r = await manager.purchaseItem(OFFER.armoryId, 20, OFFER.price);
+        manager.disconnectSession();
+        assert.equal(r.starsMismatch, true);
+        assert.equal(r.expectedStars, 16);
+        assert.equal(r.newStars, 15);
+    });
+
+    it('invalid-token: the logon error rejects the connection', async () => {
+        const network = setup({ logonError: 'AccessDenied' });
+        await assert.rejects(readStars(network), /AccessDenied/);
+    });
+
+    it('gc-down: the GC never answers and the connection times out', async () => {
+        const network = setup({ gcAvailable: false });
+        await assert.rejects(readStars(network), /GC connection timeout/);
+    });
+
+    it('no-stars: ClientWelcome without the stars object leaves the balance unknown', async () => {
+        const network = setup({ welcomeStars: false });
+        assert.equal(await readStars(network), null);
+    });
+});
+
+describe('buy command in --offline mode', () => {
+    let dir;
+
+    before(() => {
+        dir = tempDir('cs2-stars-offline-');
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    function cli(offlineDir, args) {
+        const set = `paths.offlineDir=${offlineDir},timeouts.offlinePurchaseMs=1000,timeouts.gcConnectMs=1000,timeouts.starsWaitMs=500`;
+        const r = spawnSync(process.execPath, [CLI, ...args, '--offline', '--json', '--lang', 'en', '--set', set], {
+            cwd: ROOT,
+            encoding: 'utf8',
+            timeout: 60000,
+            env: { ...process.env, CS2_STARS_CONFIG: '', CS2_STARS_MASTER_PASSWORD: '' },
+        });
+        return { status: r.status, json: JSON.parse(r.stdout) };
+    }
+
+    // 3 × 4⭐ bought with 100⭐ on the account
+    const cases = [
+        { scenario: 'ok', exit: 0, starsLeft: 88, purchased: 3, drops: 3 },
+        { scenario: 'redeem-timeout', exit: 5, starsLeft: 96, purchased: 1, drops: 1 },
+        { scenario: 'malformed', exit: 1, starsLeft: 100, purchased: 0, drops: 0 },
+        { scenario: 'invalid-token', exit: 3, code: 'INVALID_TOKEN' },
+        { scenario: 'gc-down', exit: 1, code: 'GC_UNAVAILABLE' },
+        { scenario: 'no-stars', exit: 1, code: 'GC_UNAVAILABLE' },
+        // The second redeem is charged but its item never arrives: reconciliation counts it without a drop
+        { scenario: 'lost-drop', exit: 5, starsLeft: 92, purchased: 2, drops: 1 },
+        { scenario: 'late-drop', exit: 0, starsLeft: 88, purchased: 3, drops: 3 },
+        { scenario: 'price-change', exit: 0, starsLeft: 85, purchased: 3, drops: 3 },
+    ];
+
+    for (const c of cases) {
+        it(`${c.scenario}: exit ${c.exit}`, () => {
+            const offlineDir = path.join(dir, c.scenario);
+            assert.equal(cli(offlineDir, ['add-account', 'demo', '--password', 'x', '--code', 'x']).status, 0);
+
+            const { status, json } = cli(offlineDir, ['buy', 'demo', '--item', String(OFFER.armoryId), '--qty', '3', '--yes', '--offline-scenario', c.scenario]);
+            assert.equal(status, c.exit);
+
+            if (c.code) {
+                assert.equal(json.code, c.code);
+                // A failed balance read never removes the session
+                assert.ok(fs.existsSync(path.join(offlineDir, 'sessions', 'demo.steamsession')));
+                return;
+            }
+            assert.equal(json.starsBefore, 100);
+            assert.equal(json.starsLeft, c.starsLeft);
+            assert.equal(json.purchased, c.purchased);
+            assert.equal(json.drops.length, c.drops);
+        });
+    }
+
+    it('invalid-token: the rejected token is kept, marked expired and not sent to Steam again', () => {
+        const offlineDir = path.join(dir, 'rejected');
+        assert.equal(cli(offlineDir, ['add-account', 'demo', '--password', 'x', '--code', 'x']).status, 0);
+        assert.equal(cli(offlineDir, ['buy', 'demo', '--item', String(OFFER.armoryId), '--yes', '--offline-scenario', 'invalid-token']).status, 3);
+
+        const session = JSON.parse(fs.readFileSync(path.join(offlineDir, 'sessions', 'demo.steamsession'), 'utf8'));
+        assert.match(session.DesktopRefreshToken, /\.offline$/);
+        assert.deepEqual(
+            cli(offlineDir, ['tokens', 'list']).json.accounts.map((a) => [a.account, a.expired]),
+            [['demo', true]]
+        );
+
+        // Steam would accept it now, but only a new login replaces a rejected token
+        const { status, json } = cli(offlineDir, ['buy', 'demo', '--item', String(OFFER.armoryId), '--yes']);
+        assert.equal(status, 3);
+        assert.equal(json.code, 'INVALID_TOKEN');
+
+        assert.equal(cli(offlineDir, ['add-account', 'demo', '--password', 'x', '--code', 'x']).status, 0);
+        assert.equal(cli(offlineDir, ['buy', 'demo', '--item', String(OFFER.armoryId), '--yes']).status, 0);
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Drop alerts: rules checked against parsed drops, webhook bodies delivered to the local receiver,
+ * and a "pause" rule stopping the offline buy
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import DropAlerts, { startWebhookReceiver } from '../src/backend/DropAlerts.js';
+import SchemaResolver from '../src/backend/SchemaResolver.js';
+import ValueEstimator from '../src/backend/ValueEstimator.js';
+import InventoryBrowser from '../src/backend/InventoryBrowser.js';
+import { setLanguage } from '../src/backend/I18n.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = path.join(ROOT, 'cs2-stars-cli.mjs');
+
+const OFFER = { armoryId: 531266704, name: 'The Sport & Field' };
+
+// Drops as parseItemFromGC returns them
+const COVERT = { type: 'weapon', name: 'AK-47 | Bloodsport (Field-Tested)', floatValue: 0.21, paintSeed: 12, rarity: 6 };
+const LOW_FLOAT = { type: 'weapon', name: 'MP9 | Featherweight (Factory New)', floatValue: 0.004, paintSeed: 300, rarity: 3 };
+const WATCHED_SEED = { type: 'weapon', name: 'Five-SeveN | Case Hardened (Minimal Wear)', floatValue: 0.09, paintSeed: 661, rarity: 4 };
+const PLAIN = { type: 'weapon', name: 'P250 | Sand Dune (Field-Tested)', floatValue: 0.3, paintSeed: 1, rarity: 1 };
+
+const RULES = [
+    { name: 'covert', minRarity: 'Covert', pause: true },
+    { name: 'low float', maxFloat: 0.01 },
+    { name: 'seed watch', item: 'Case Hardened', seeds: [661, 670, 955] },
+];
+
+function tempDir(prefix) {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+async function startReceiver() {
+    const messages = [];
+    const receiver = await startWebhookReceiver({ port: 0, host: '127.0.0.1', onMessage: (m) => messages.push(m) });
+    const base = `http://127.0.0.1:${receiver.port}`;
+    return {
+        messages,
+        base,
+        close: () => new Promise((resolve) => receiver.server.close(() => resolve())),
+    };
+}
+
+describe('DropAlerts with the local webhook receiver', () => {
+    let receiver;
+    let alerts;
+
+    before(async () => {
+        setLanguage('en');
+        const schemaResolver = new SchemaResolver(path.join(ROOT, 'schema.json'));
+        schemaResolver.init();
+        const valueEstimator = new ValueEstimator(schemaResolver);
+        receiver = await startReceiver();
+        alerts = new DropAlerts(new InventoryBrowser(schemaResolver, valueEstimator), valueEstimator, { timeoutMs: 2000 }).configure({
+            rules: RULES,
+            webhooks: [
+                { name: 'local', format: 'json', url: `${receiver.base}/hook` },
+                { name: 'telegram', format: 'telegram', botToken: '123:abc', chatId: '42', apiUrl: receiver.base },
+                { name: 'discord', format: 'discord', url: `${receiver.base}/api/webhooks/1/token` },
+            ],
+        });
+    });
+
+    after(() => receiver.close());
+
+    beforeEach(() => {
+        receiver.messages.length = 0;
+    });
+
+    function bodies(alert) {
+        return alerts.notify(alert).then((deliveries) => {
+            assert.deepEqual(
+                deliveries.map((d) => d.ok),
+                [true, true, true]
+            );
+            return Object.fromEntries(receiver.messages.map((m) => [m.path, m.body]));
+        });
+    }
+
+    it('a drop that matches no rule raises no alert', () => {
+        assert.equal(alerts.check(PLAIN, { account: 'demo', offer: OFFER }), null);
+    });
+
+    it('Covert drop: pauses the purchase and reaches every webhook', async () => {
+        const alert = alerts.check(COVERT, { account: 'demo', offer: OFFER, jobId: '20261019120000-abcdef' });
+        assert.deepEqual(alert.rules, ['covert']);
+        assert.equal(alert.pause, true);
+        assert.equal(alert.drop.rarityName, 'Covert');
+
+        const received = await bodies(alert);
+        assert.equal(received['/hook'].event, 'drop.alert');
+        assert.equal(received['/hook'].account, 'demo');
+        assert.equal(received['/hook'].jobId, '20261019120000-abcdef');
+        assert.equal(received['/hook'].pause, true);
+        assert.deepEqual(received['/hook'].offer, { armoryId: OFFER.armoryId, name: OFFER.name });
+        assert.deepEqual(received['/hook'].drop, { name: COVERT.name, type: 'weapon', float: 0.21, seed: 12, rarity: 6, rarityName: 'Covert' });
+
+        const telegram = received['/bot123:abc/sendMessage'];
+        assert.equal(telegram.chat_id, '42');
+        assert.equal(telegram.disable_web_page_preview, true);
+        assert.equal(telegram.text, alerts.formatText(alert));
+        assert.match(telegram.text, /AK-47 \| Bloodsport/);
+        assert.match(telegram.text, /Float 0\.210000000 · Seed 12 · Covert/);
+
+        assert.deepEqual(received['/api/webhooks/1/token'], { content: alerts.formatText(alert) });
+    });
+
+    it('low-float drop: notifies without pausing', async () => {
+        const alert = alerts.check(LOW_FLOAT, { account: 'demo', offer: OFFER });
+        assert.deepEqual(alert.rules, ['low float']);
+        assert.equal(alert.pause, false);
+
+        const received = await bodies(alert);
+        assert.equal(received['/hook'].drop.float, 0.004);
+        assert.equal(received['/hook'].pause, false);
+        assert.match(received['/api/webhooks/1/token'].content, /Float 0\.004000000/);
+        assert.equal(received['/api/webhooks/1/token'].content, received['/bot123:abc/sendMessage'].text);
+    });
+
+    it('watched-seed drop: matches the item name and the paint seed', async () => {
+        const alert = alerts.check(WATCHED_SEED, { account: 'demo', offer: OFFER });
+        assert.deepEqual(alert.rules, ['seed watch']);
+        assert.equal(alert.pause, false);
+        assert.equal(alerts.check({ ...WATCHED_SEED, paintSeed: 662 }, { account: 'demo', offer: OFFER }), null);
+
+        const received = await bodies(alert);
+        assert.equal(received['/hook'].drop.seed, 661);
+        assert.match(received['/bot123:abc/sendMessage'].text, /Seed 661/);
+    });
+});
+
+describe('buy command with a pause rule in --offline mode', () => {
+    let dir;
+    let receiver;
+
+    before(async () => {
+        dir = tempDir('cs2-stars-alerts-');
+        receiver = await startReceiver();
+    });
+
+    after(async () => {
+        await receiver.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // spawnSync would block the receiver running in this process
+    function cli(args) {
+        const set = `paths.offlineDir=${dir},paths.alerts=${path.join(dir, 'alerts.json')},timeouts.offlinePurchaseMs=1000,timeouts.gcConnectMs=1000,timeouts.starsWaitMs=500`;
+        return new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, [CLI, ...args, '--offline', '--json', '--lang', 'en', '--set', set], {
+                cwd: ROOT,
+                env: { ...process.env, CS2_STARS_CONFIG: '', CS2_STARS_MASTER_PASSWORD: '' },
+            });
+            let stdout = '';
+            child.stdout.on('data', (chunk) => (stdout += chunk));
+            const timer = setTimeout(() => child.kill(), 60000);
+            child.on('error', reject);
+            child.on('close', (status) => {
+                clearTimeout(timer);
+                resolve({ status, json: JSON.parse(stdout) });
+            });
+        });
+    }
+
+    it('stops after the first matching drop and posts the alert', async () => {
+        fs.writeFileSync(
+            path.join(dir, 'alerts.json'),
+            JSON.stringify({
+                rules: [{ name: 'any drop', offer: OFFER.armoryId, pause: true }],
+                webhooks: [{ name: 'local', format: 'json', url: `${receiver.base}/hook` }],
+            })
+        );
+        assert.equal((await cli(['add-account', 'demo', '--password', 'x', '--code', 'x'])).status, 0);
+
+        const { status, json } = await cli(['buy', 'demo', '--item', String(OFFER.armoryId), '--qty', '3', '--yes']);
+        assert.equal(status, 5);
+        assert.equal(json.paused, true);
+        assert.equal(json.purchased, 1);
+        assert.equal(json.starsLeft, 96);
+        assert.equal(json.jobStatus, 'interrupted');
+        assert.deepEqual(json.alerts.map((a) => a.rules), [['any drop']]);
+
+        assert.equal(receiver.messages.length, 1);
+        const { body } = receiver.messages[0];
+        assert.equal(body.event, 'drop.alert');
+        assert.deepEqual(body.rules, ['any drop']);
+        assert.equal(body.pause, true);
+        assert.equal(body.account, 'demo');
+        assert.equal(body.offer.armoryId, OFFER.armoryId);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Items import: armory offers read from a trimmed items_game.txt, hand-added fields kept on re-import,
+ * and the "items import" command writing items_database.json
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import ItemsImporter, { readItemsGame } from '../src/backend/ItemsImporter.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CLI = path.join(ROOT, 'cs2-stars-cli.mjs');
+const DUMP = path.join(ROOT, 'test', 'fixtures', 'items_game.txt');
+
+const SCHEMA = JSON.parse(fs.readFileSync(path.join(ROOT, 'schema.json'), 'utf8'));
+
+// In armoryId order: the redeemables are keyed by id
+const OFFERS = [
+    { name: 'The Sport & Field', price: 4, armoryId: 531266704, collection: 'set_realism_camo' },
+    { name: 'Fever Case', price: 2, armoryId: 1025083006, container: 7007 },
+    { name: 'The Train 2025', price: 4, armoryId: 1629075955, collection: 'set_train_2025' },
+    { name: 'Keychain Dr Boom Capsule', price: 3, armoryId: 1986856372 },
+];
+
+describe('ItemsImporter', () => {
+    const importer = new ItemsImporter(SCHEMA);
+
+    it('reads the redeemables of operation 11 keyed by redeem id, with their cost and granted item', () => {
+        const { offers, skipped } = importer.extractOffers(readItemsGame(DUMP));
+        assert.deepEqual(offers, OFFERS);
+        // Index keys of earlier operations and entries without points are not armory offers
+        assert.deepEqual(skipped, [
+            { key: '3', reason: 'no id' },
+            { key: '2332851919', reason: 'no cost' },
+        ]);
+    });
+
+    it('finds nothing in a dump without the armory block', () => {
+        const itemsGame = readItemsGame(DUMP);
+        delete itemsGame.seasonaloperations['11'];
+        assert.deepEqual(importer.extractOffers(itemsGame), { offers: [], skipped: [] });
+    });
+
+    it('keeps hand-added fields, including a collection or container the dump does not resolve', () => {
+        const current = [
+            { name: 'Dr. Boom Charms', price: 3, armoryId: 1986856372, collection: 'set_dr_boom', value: 12 },
+            { name: 'Fever Case', price: 2, armoryId: 1025083006, container: 4001, value: 40 },
+        ];
+        const [, fever, , charms] = importer.keepLocalFields(OFFERS, current);
+        assert.deepEqual(charms, { ...OFFERS[3], collection: 'set_dr_boom', value: 12 });
+        // What the dump resolves wins over the old value
+        assert.deepEqual(fever, { ...OFFERS[1], value: 40 });
+    });
+});
+
+describe('items import command', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cs2-stars-items-'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('writes the offers found in the dump, merged with local overrides', () => {
+        const itemsDb = path.join(dir, 'items_database.json');
+        const overrides = path.join(dir, 'items_overrides.json');
+        fs.writeFileSync(itemsDb, JSON.stringify([{ name: 'Dr. Boom Charms', price: 3, armoryId: 1986856372, value: 12 }]));
+        fs.writeFileSync(overrides, JSON.stringify({ 1986856372: { name: 'Dr. Boom Charms' }, 1629075955: { hidden: true } }));
+
+        const r = spawnSync(process.execPath, [CLI, 'items', 'import', DUMP, '--yes', '--json', '--set', `paths.itemsDb=${itemsDb},paths.itemsOverrides=${overrides}`], {
+            cwd: ROOT,
+            encoding: 'utf8',
+            timeout: 60000,
+            env: { ...process.env, CS2_STARS_CONFIG: '' },
+        });
+        assert.equal(r.status, 0);
+        const json = JSON.parse(r.stdout);
+        assert.equal(json.written, true);
+        assert.deepEqual(
+            json.added.map((o) => o.armoryId),
+            [531266704, 1025083006]
+        );
+
+        assert.deepEqual(JSON.parse(fs.readFileSync(itemsDb, 'utf8')), [
+            OFFERS[0],
+            OFFERS[1],
+            { name: 'Dr. Boom Charms', price: 3, armoryId: 1986856372, value: 12 },
+        ]);
+    });
+});